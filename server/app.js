@@ -0,0 +1,59 @@
+const express = require('express');
+const cors = require('cors');
+const morgan = require('morgan');
+const path = require('path');
+const config = require('./config/config');
+const errorHandler = require('./middleware/errorHandler');
+
+// Import routes
+const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const guestRoutes = require('./routes/guestRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const setupRoutes = require('./routes/setupRoutes');
+
+// Create Express app
+const app = express();
+
+// Guests reach the API through nginx; take their address from X-Forwarded-For
+// so guest sessions are bound to the device rather than the proxy
+app.set('trust proxy', config.server.trustProxy);
+
+// Middleware
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
+app.use(cors());
+app.use(express.json({
+  // Keep the raw body of payment webhooks for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+
+// Serve static files from the React app in production
+if (process.env.NODE_ENV === 'production') {
+  app.use(express.static(path.join(__dirname, '../build')));
+}
+
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/guest', guestRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/setup', setupRoutes);
+
+// Handle React routing in production
+if (process.env.NODE_ENV === 'production') {
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, '../build', 'index.html'));
+  });
+}
+
+// Error handling middleware
+app.use(errorHandler);
+
+module.exports = app;
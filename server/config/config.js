@@ -3,11 +3,34 @@
 // Load environment variables
 require('dotenv').config();
 
+// Run against the bundled mock controller (server/mock/unifiController.js)
+const useMockController = process.env.UNIFI_MOCK_CONTROLLER === 'true';
+const mockController = {
+  enabled: useMockController,
+  port: parseInt(process.env.MOCK_UNIFI_PORT, 10) || 8443,
+  // 'classic' or 'unifios'
+  type: process.env.MOCK_UNIFI_TYPE || 'classic',
+  username: process.env.UNIFI_USERNAME || 'admin',
+  password: process.env.UNIFI_PASSWORD || 'admin',
+  site: process.env.UNIFI_SITE || 'default'
+};
+
+// Express "trust proxy" value: true/false, a hop count, or addresses and
+// subnets such as "loopback, 172.28.0.10"
+const parseTrustProxy = (value) => {
+  if (!value) return 'loopback';
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
 module.exports = {
   // Server configuration
   server: {
     port: process.env.PORT || 3001,
     env: process.env.NODE_ENV || 'development',
+    // Proxies allowed to report the client address in X-Forwarded-For. Only
+    // list proxies guests cannot bypass, or they can spoof their address
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   },
   
   // Database configuration
@@ -25,18 +48,96 @@ module.exports = {
     expiresIn: process.env.JWT_EXPIRES_IN || '1d',
   },
   
+  // Guest portal sessions binding a device to its purchase or voucher
+  guestSession: {
+    expiresIn: process.env.GUEST_SESSION_EXPIRES_IN || '30m',
+    // Reject tokens used from a different IP than they were issued to
+    bindIp: process.env.GUEST_SESSION_BIND_IP !== 'false'
+  },
+  
   // UniFi controller settings
   unifi: {
-    controller: {
+    controller: useMockController ? {
+      url: 'http://127.0.0.1',
+      port: mockController.port,
+      username: mockController.username,
+      password: mockController.password,
+      site: mockController.site,
+      type: 'auto',
+      verifyCertificate: false
+    } : {
       url: process.env.UNIFI_CONTROLLER_URL || 'https://unifi.example.com',
       port: process.env.UNIFI_CONTROLLER_PORT || 8443,
       username: process.env.UNIFI_USERNAME,
       password: process.env.UNIFI_PASSWORD,
       site: process.env.UNIFI_SITE || 'default',
+      // 'auto', 'unifios' (UDM, UCG, Cloud Key Gen2+) or 'classic'
+      type: process.env.UNIFI_CONTROLLER_TYPE || 'auto',
       verifyCertificate: process.env.UNIFI_VERIFY_CERTIFICATE === 'true'
+    },
+    mock: mockController
+  },
+  
+  // Background jobs
+  jobs: {
+    // Retry queue for controller authorizations that failed
+    controllerQueue: {
+      intervalMs: parseInt(process.env.CONTROLLER_QUEUE_INTERVAL_MS, 10) || 30000,
+      maxAttempts: parseInt(process.env.CONTROLLER_QUEUE_MAX_ATTEMPTS, 10) || 8,
+      baseDelayMs: parseInt(process.env.CONTROLLER_QUEUE_BASE_DELAY_MS, 10) || 30000,
+      maxDelayMs: parseInt(process.env.CONTROLLER_QUEUE_MAX_DELAY_MS, 10) || 3600000
+    },
+    // Deauthorizes expired guests and expires out-of-date vouchers
+    expirySweeper: {
+      intervalMs: parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 60000,
+      batchSize: parseInt(process.env.EXPIRY_SWEEP_BATCH_SIZE, 10) || 100
+    },
+    // Pulls client usage and presence from the controller
+    usageSync: {
+      intervalMs: parseInt(process.env.USAGE_SYNC_INTERVAL_MS, 10) || 300000
+    },
+    // Retries payment webhook events whose processing failed
+    webhookRetry: {
+      intervalMs: parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS, 10) || 60000,
+      maxAttempts: parseInt(process.env.WEBHOOK_RETRY_MAX_ATTEMPTS, 10) || 8,
+      baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 60000,
+      maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 3600000
+    },
+    // Settles payments left initialized or processing with their provider
+    paymentReconciliation: {
+      intervalMs: parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MS, 10) || 300000,
+      // Younger payments are left to the payment page and webhooks
+      minAgeMs: parseInt(process.env.PAYMENT_RECONCILE_MIN_AGE_MS, 10) || 600000,
+      // Payments still unpaid this long after they were started are canceled
+      abandonAfterMs: parseInt(process.env.PAYMENT_ABANDON_AFTER_MS, 10) || 3600000,
+      batchSize: parseInt(process.env.PAYMENT_RECONCILE_BATCH_SIZE, 10) || 100
     }
   },
   
+  // Locale prices and amounts are formatted in on the server (receipts, emails)
+  locale: process.env.LOCALE || 'en-US',
+  
+  // Receipts issued for paid plans
+  receipts: {
+    businessName: process.env.RECEIPT_BUSINESS_NAME || 'Guest WiFi',
+    businessAddress: process.env.RECEIPT_BUSINESS_ADDRESS || '',
+    // VAT or other tax registration number printed on receipts
+    taxId: process.env.RECEIPT_TAX_ID || '',
+    invoicePrefix: process.env.INVOICE_PREFIX || 'INV-'
+  },
+  
+  // Outgoing email; nothing is sent unless an SMTP host is set
+  email: {
+    smtp: {
+      host: process.env.SMTP_HOST || '',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || ''
+    },
+    from: process.env.EMAIL_FROM || 'Guest WiFi <no-reply@example.com>'
+  },
+  
   // Payment providers configuration
   payments: require('./payments')
 };
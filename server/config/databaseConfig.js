@@ -29,11 +29,7 @@ const refreshCache = async () => {
       unifi: {
         controller: {}
       },
-      payments: {
-        providers: {
-          stripe: {}
-        }
-      },
+      payments: {},
       portal: {},
       system: {}
     };
@@ -53,16 +49,11 @@ const refreshCache = async () => {
           cache.unifi[unifiKey] = value;
         }
       }
-      // Payment settings
+      // Payment settings, both global (payment_active_providers) and per
+      // provider (payment_<provider>_<key>); the payment registry splits them
       else if (key.startsWith('payment_')) {
         const paymentKey = key.replace('payment_', '');
-        
-        if (paymentKey.startsWith('stripe_')) {
-          const stripeKey = paymentKey.replace('stripe_', '');
-          cache.payments.providers.stripe[stripeKey] = value;
-        } else {
-          cache.payments[paymentKey] = value;
-        }
+        cache.payments[paymentKey] = value;
       }
       // Portal settings
       else if (key.startsWith('portal_')) {
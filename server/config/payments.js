@@ -1,12 +1,42 @@
 // Configuration for payment providers
 
+// Parse site:value pairs (e.g. default:usd,border:eur) into values by site
+const parseSitePairs = (pairs) => (pairs || '').split(',').reduce((values, pair) => {
+  const [site, value] = pair.split(':').map(part => part.trim());
+  if (site && value) values[site] = value.toLowerCase();
+  return values;
+}, {});
+
 module.exports = {
   // List of active payment providers (comma-separated in .env)
-  activeProviders: process.env.ACTIVE_PAYMENT_PROVIDERS?.split(',') || ['stripe'],
+  // Saved settings take precedence; admins can change them at runtime
+  activeProviders: process.env.ACTIVE_PAYMENT_PROVIDERS?.split(',') || ['stripe', 'manual'],
   
   // Default payment provider
   defaultProvider: process.env.DEFAULT_PAYMENT_PROVIDER || 'stripe',
   
+  // What a refund does to the guest's network access, unless the admin
+  // chooses otherwise: 'auto' revokes access on a full refund and shortens it
+  // pro rata on a partial one, 'revoke' always revokes, 'prorate' always
+  // shortens and 'keep' leaves access alone
+  refundAccessPolicy: process.env.REFUND_ACCESS_POLICY || 'auto',
+  
+  // Disputes (chargebacks): whether the guest's access is suspended while a
+  // dispute is open, and who is emailed about them (admins when empty)
+  disputes: {
+    suspendAccess: process.env.DISPUTE_SUSPEND_ACCESS !== 'false',
+    alertEmails: process.env.DISPUTE_ALERT_EMAILS?.split(',').map(email => email.trim()).filter(Boolean) || [],
+  },
+  
+  // Days webhook deliveries that failed signature verification are kept for
+  // inspection before they are deleted
+  rejectedWebhookRetentionDays: parseInt(process.env.REJECTED_WEBHOOK_RETENTION_DAYS, 10) || 7,
+  
+  // Currency guests are shown prices in on each UniFi site, as site:currency
+  // pairs (e.g. default:usd,border:eur). Plans without a price in it, and
+  // sites not listed, use the plan's main currency.
+  siteCurrencies: parseSitePairs(process.env.SITE_CURRENCIES),
+  
   // Provider-specific configuration
   providers: {
     stripe: {
@@ -15,14 +45,44 @@ module.exports = {
       webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
       currency: process.env.STRIPE_CURRENCY || 'usd',
       paymentMethods: process.env.STRIPE_PAYMENT_METHODS?.split(',') || ['card'],
+      // 'elements' (card form in the portal) or 'checkout' (Stripe hosted page)
+      checkoutMode: process.env.STRIPE_CHECKOUT_MODE || 'elements',
+      // Checkout mode for sites that differ from checkoutMode, as site:mode
+      // pairs (e.g. lobby:checkout)
+      checkoutModeSites: parseSitePairs(process.env.STRIPE_CHECKOUT_MODE_SITES),
     },
-    // PayPal configuration for future implementation
     paypal: {
       clientId: process.env.PAYPAL_CLIENT_ID,
       clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+      webhookId: process.env.PAYPAL_WEBHOOK_ID,
       environment: process.env.PAYPAL_ENVIRONMENT || 'sandbox', // 'sandbox' or 'live'
+      // Overrides the environment's API host, e.g. the local sandbox stub
+      apiBaseUrl: process.env.PAYPAL_API_BASE_URL,
       currency: process.env.PAYPAL_CURRENCY || 'USD',
     },
+    mpesa: {
+      consumerKey: process.env.MPESA_CONSUMER_KEY,
+      consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+      // Paybill or Buy Goods store number, and its Lipa na M-Pesa passkey
+      shortcode: process.env.MPESA_SHORTCODE,
+      passkey: process.env.MPESA_PASSKEY,
+      // Buy Goods till number; leave empty for paybills
+      tillNumber: process.env.MPESA_TILL_NUMBER,
+      // Public URL of /api/payments/webhook/mpesa, where payment results are sent
+      callbackUrl: process.env.MPESA_CALLBACK_URL,
+      environment: process.env.MPESA_ENVIRONMENT || 'sandbox', // 'sandbox' or 'production'
+      // Overrides the environment's API host, e.g. the local sandbox stub
+      apiBaseUrl: process.env.MPESA_API_BASE_URL,
+      currency: process.env.MPESA_CURRENCY || 'KES',
+      // Replaces the leading 0 of local phone numbers
+      countryCode: process.env.MPESA_COUNTRY_CODE || '254',
+      // Shown to the guest in the prompt on their phone (12 characters at most)
+      accountReference: process.env.MPESA_ACCOUNT_REFERENCE || 'GuestWiFi',
+    },
+    // Front-desk payments recorded by staff
+    manual: {
+      methods: process.env.MANUAL_PAYMENT_METHODS?.split(',') || ['cash', 'card_terminal'],
+    },
     // Add additional payment providers here
   }
 };
@@ -9,7 +9,17 @@ const Voucher = require('../models/Voucher');
 const Plan = require('../models/Plan');
 const Payment = require('../models/Payment');
 const Setting = require('../models/Setting');
+const ControllerJob = require('../models/ControllerJob');
+const WebhookEvent = require('../models/WebhookEvent');
 const unifiService = require('../services/unifi/unifiService');
+const controllerQueue = require('../services/unifi/controllerQueue');
+const expirySweeper = require('../services/unifi/expirySweeper');
+const usageSync = require('../services/unifi/usageSync');
+const webhookEvents = require('../services/payments/webhooks/eventLog');
+const paymentReconciliation = require('../services/payments/reconciliation');
+const disputes = require('../services/payments/disputes');
+const dbConfig = require('../config/databaseConfig');
+const money = require('../utils/money');
 
 /**
  * @route   GET /api/admin/dashboard
@@ -22,6 +32,8 @@ exports.getDashboardStats = async (req, res, next) => {
     const now = new Date();
     const thirtyDaysAgo = new Date(now);
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
     
     // Get current active guests
     const activeGuests = await Guest.countDocuments({
@@ -39,20 +51,24 @@ exports.getDashboardStats = async (req, res, next) => {
     
     // Get payment stats
     const successfulPayments = await Payment.countDocuments({ status: 'succeeded' });
-    const totalRevenue = await Payment.aggregate([
-      { $match: { status: 'succeeded' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
-    ]);
     
-    // Monthly revenue
-    const monthlyRevenue = await Payment.aggregate([
-      { 
-        $match: { 
-          status: 'succeeded',
-          createdAt: { $gte: thirtyDaysAgo }
-        } 
+    // Disputes still open, soonest evidence deadline first
+    const openDisputes = await Payment.find({ 'dispute.status': { $in: disputes.OPEN_STATUSES } })
+      .select('dispute.evidenceDueBy')
+      .sort({ 'dispute.evidenceDueBy': 1 });
+    
+    // Revenue per currency; amounts in different currencies cannot be added up
+    const revenueByCurrency = await Payment.aggregate([
+      { $match: { status: 'succeeded' } },
+      {
+        $group: {
+          _id: '$currency',
+          total: { $sum: '$amountMinor' },
+          monthly: { $sum: { $cond: [{ $gte: ['$createdAt', thirtyDaysAgo] }, '$amountMinor', 0] } },
+          today: { $sum: { $cond: [{ $gte: ['$createdAt', startOfToday] }, '$amountMinor', 0] } }
+        }
       },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $sort: { total: -1 } }
     ]);
     
     // Daily guest statistics for the past 30 days
@@ -88,15 +104,23 @@ exports.getDashboardStats = async (req, res, next) => {
           _id: {
             year: { $year: '$createdAt' },
             month: { $month: '$createdAt' },
-            day: { $dayOfMonth: '$createdAt' }
+            day: { $dayOfMonth: '$createdAt' },
+            currency: '$currency'
           },
-          total: { $sum: '$amount' },
+          total: { $sum: '$amountMinor' },
           count: { $sum: 1 }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
     ]);
     
+    // Latest background job runs
+    const [lastExpirySweep, lastUsageSync, lastReconciliation] = await Promise.all([
+      expirySweeper.getLastRun(),
+      usageSync.getLastRun(),
+      paymentReconciliation.getLastRun()
+    ]);
+    
     res.status(200).json({
       success: true,
       data: {
@@ -116,13 +140,25 @@ exports.getDashboardStats = async (req, res, next) => {
         },
         payments: {
           count: successfulPayments,
-          totalRevenue: totalRevenue.length > 0 ? totalRevenue[0].total : 0,
-          monthlyRevenue: monthlyRevenue.length > 0 ? monthlyRevenue[0].total : 0,
+          revenue: revenueByCurrency.map(revenue => ({
+            currency: revenue._id,
+            total: money.fromMinorUnits(revenue.total, revenue._id),
+            monthly: money.fromMinorUnits(revenue.monthly, revenue._id),
+            today: money.fromMinorUnits(revenue.today, revenue._id)
+          })),
+          openDisputes: openDisputes.length,
+          nextEvidenceDueBy: openDisputes.find(payment => payment.dispute.evidenceDueBy)?.dispute.evidenceDueBy || null,
           dailyStats: dailyPaymentStats.map(day => ({
             date: `${day._id.year}-${day._id.month}-${day._id.day}`,
-            amount: day.total,
+            currency: day._id.currency,
+            amount: money.fromMinorUnits(day.total, day._id.currency),
             count: day.count
           }))
+        },
+        jobs: {
+          expirySweeper: lastExpirySweep,
+          usageSync: lastUsageSync,
+          paymentReconciliation: lastReconciliation
         }
       }
     });
@@ -252,29 +288,24 @@ exports.authorizeGuest = async (req, res, next) => {
     guest.authorized = true;
     guest.authorizedAt = now;
     guest.expiresAt = expiresAt;
-    guest.status = 'authorized';
     guest.accessType = 'admin';
     
-    await guest.save();
-    
-    // Try to authorize with UniFi Controller
-    try {
-      await unifiService.authorizeGuest({
-        mac: guest.mac,
-        minutesDuration: durationHours * 60,
-        name: guest.name || 'Guest'
-      });
-    } catch (unifiError) {
-      console.error('UniFi authorization error:', unifiError);
-      // Continue anyway - we'll handle this manually if needed
-    }
+    // Authorize with UniFi Controller; failures are retried by the queue
+    const job = await controllerQueue.enqueueAuthorization(guest, {
+      minutesDuration: durationHours * 60,
+      name: guest.name || 'Guest'
+    }, 'admin');
     
     res.status(200).json({
       success: true,
-      message: 'Guest authorized successfully',
+      message: job.status === 'succeeded'
+        ? 'Guest authorized successfully'
+        : `Guest authorization queued: ${job.lastError}`,
       data: {
         guestId: guest._id,
         mac: guest.mac,
+        status: guest.status,
+        jobId: job._id,
         expiresAt: guest.expiresAt,
         durationHours
       }
@@ -307,13 +338,8 @@ exports.unauthorizeGuest = async (req, res, next) => {
     
     await guest.save();
     
-    // Try to unauthorize with UniFi Controller
-    try {
-      await unifiService.unauthorizeGuest(guest.mac);
-    } catch (unifiError) {
-      console.error('UniFi unauthorization error:', unifiError);
-      // Continue anyway - we'll handle this manually if needed
-    }
+    // Unauthorize with UniFi Controller; failures are retried by the queue
+    await controllerQueue.enqueueUnauthorization(guest, 'admin');
     
     res.status(200).json({
       success: true,
@@ -329,6 +355,250 @@ exports.unauthorizeGuest = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/admin/unifi/status
+ * @desc    Get UniFi controller session state for diagnostics
+ * @access  Admin
+ */
+exports.getUnifiStatus = async (req, res, next) => {
+  try {
+    const { check } = req.query;
+    
+    // Optionally verify the session with a live login
+    let checkError = null;
+    if (check === 'true') {
+      try {
+        await unifiService.ensureLoggedIn();
+      } catch (unifiError) {
+        checkError = unifiError.message;
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...unifiService.getSessionState(),
+        checkError
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/admin/controller-jobs
+ * @desc    Get queued controller operations, stuck ones first
+ * @access  Admin
+ */
+exports.getControllerJobs = async (req, res, next) => {
+  try {
+    const { status, mac, page = 1, limit = 20 } = req.query;
+    
+    // Build query - default to jobs that still need attention
+    const query = {};
+    
+    if (status === 'all') {
+      // No status filter
+    } else if (status) {
+      query.status = status;
+    } else {
+      query.status = { $in: ['pending', 'processing', 'dead'] };
+    }
+    if (mac) query.mac = new RegExp(mac, 'i');
+    
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+    
+    // Get total count for pagination
+    const total = await ControllerJob.countDocuments(query);
+    
+    // Get paginated results
+    const jobs = await ControllerJob.find(query)
+      .populate('guestId', 'mac email name status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    // Count jobs per status for the summary
+    const statusCounts = await ControllerJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      summary: statusCounts.reduce((acc, { _id, count }) => {
+        acc[_id] = count;
+        return acc;
+      }, {}),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      },
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/controller-jobs/:id/retry
+ * @desc    Retry a pending or dead controller job now
+ * @access  Admin
+ */
+exports.retryControllerJob = async (req, res, next) => {
+  try {
+    let job;
+    
+    try {
+      job = await controllerQueue.retryJob(req.params.id);
+    } catch (retryError) {
+      return res.status(400).json({
+        success: false,
+        message: retryError.message
+      });
+    }
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Controller job not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: job.status === 'succeeded'
+        ? 'Controller job completed successfully'
+        : `Controller job failed again: ${job.lastError}`,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/admin/webhook-events
+ * @desc    Get received payment webhook events, newest first
+ * @access  Admin
+ */
+exports.getWebhookEvents = async (req, res, next) => {
+  try {
+    const { status, provider, type, page = 1, limit = 20 } = req.query;
+    
+    // Build query
+    const query = {};
+    
+    if (status) query.status = status;
+    if (provider) query.provider = provider;
+    if (type) query.type = new RegExp(type, 'i');
+    
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+    
+    // Get total count for pagination
+    const total = await WebhookEvent.countDocuments(query);
+    
+    // Get paginated results; payloads are only loaded for a single event
+    const events = await WebhookEvent.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    // Count events per status for the summary
+    const statusCounts = await WebhookEvent.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      summary: statusCounts.reduce((acc, { _id, count }) => {
+        acc[_id] = count;
+        return acc;
+      }, {}),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      },
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/admin/webhook-events/:id
+ * @desc    Get a webhook event with its payload
+ * @access  Admin
+ */
+exports.getWebhookEvent = async (req, res, next) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate('replayedBy', 'username');
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/webhook-events/:id/replay
+ * @desc    Process a webhook event again
+ * @access  Admin
+ */
+exports.replayWebhookEvent = async (req, res, next) => {
+  try {
+    let event;
+    
+    try {
+      event = await webhookEvents.replayEvent(req.params.id, req.user._id);
+    } catch (replayError) {
+      return res.status(400).json({
+        success: false,
+        message: replayError.message
+      });
+    }
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: ['processed', 'ignored'].includes(event.status)
+        ? 'Webhook event replayed successfully'
+        : `Webhook event failed again: ${event.lastError}`,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   POST /api/admin/vouchers/generate
  * @desc    Generate vouchers
@@ -361,6 +631,13 @@ exports.generateVouchers = async (req, res, next) => {
       });
     }
     
+    if (plan.archived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot generate vouchers for an archived plan'
+      });
+    }
+    
     // Set validity period if provided
     const options = {
       count: Math.min(count, 100), // Limit to max 100 vouchers at once
@@ -509,13 +786,8 @@ exports.revokeVoucher = async (req, res, next) => {
       guest.disconnectedAt = new Date();
       await guest.save();
       
-      // Try to unauthorize with UniFi Controller
-      try {
-        await unifiService.unauthorizeGuest(guest.mac);
-      } catch (unifiError) {
-        console.error('UniFi unauthorization error:', unifiError);
-        // Continue anyway - we'll handle this manually if needed
-      }
+      // Unauthorize with UniFi Controller; failures are retried by the queue
+      await controllerQueue.enqueueUnauthorization(guest, 'voucher_revoked');
     }
     
     res.status(200).json({
@@ -572,6 +844,9 @@ exports.updateSettings = async (req, res, next) => {
       }
     }
     
+    // Apply the new values (e.g. payment provider credentials) immediately
+    dbConfig.invalidateCache();
+    
     res.status(200).json({
       success: true,
       message: `${updatedSettings.length} settings updated successfully`,
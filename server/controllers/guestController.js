@@ -7,6 +7,13 @@ const Guest = require('../models/Guest');
 const Voucher = require('../models/Voucher');
 const Plan = require('../models/Plan');
 const unifiService = require('../services/unifi/unifiService');
+const controllerQueue = require('../services/unifi/controllerQueue');
+const { buildAuthorizationPolicy } = require('../services/unifi/authorizationPolicy');
+const pricing = require('../services/payments/pricing');
+const dbConfig = require('../config/databaseConfig');
+const { formatMac } = require('../utils/mac');
+const { formatMoney } = require('../utils/money');
+const { signGuestSession } = require('../utils/guestSession');
 
 /**
  * @route   GET /api/guest/info
@@ -82,15 +89,24 @@ exports.getGuestInfo = async (req, res, next) => {
     if (isExpired && guest.authorized) {
       guest.authorized = false;
       guest.status = 'expired';
+      guest.disconnectedAt = new Date();
       await guest.save();
       
-      // Try to unauthorize with UniFi Controller
-      try {
-        await unifiService.unauthorizeGuest(formattedMac);
-      } catch (unifiError) {
-        console.error('UniFi unauthorization error:', unifiError);
-        // Continue anyway - we'll handle this manually if needed
+      // Unauthorize with UniFi Controller; failures are retried by the queue
+      await controllerQueue.enqueueUnauthorization(guest, 'expiry');
+    }
+    
+    // Record usage and presence if we got new info from UniFi
+    if (unifiInfo && unifiInfo.success) {
+      guest.applyUsageCounters(unifiInfo.rxBytes, unifiInfo.txBytes);
+      guest.isConnected = true;
+      if (unifiInfo.ipAddress) {
+        guest.ip = unifiInfo.ipAddress;
       }
+      if (unifiInfo.lastSeen) {
+        guest.lastSeenAt = new Date(unifiInfo.lastSeen * 1000);
+      }
+      await guest.save();
     }
     
     // Merge UniFi data with our database info
@@ -126,14 +142,6 @@ exports.getGuestInfo = async (req, res, next) => {
       unifiData: unifiInfo && unifiInfo.success ? unifiInfo : null
     };
     
-    // Update data usage if we got new info from UniFi
-    if (unifiInfo && unifiInfo.success && 
-        (unifiInfo.rxBytes !== guest.dataUsage.download || 
-         unifiInfo.txBytes !== guest.dataUsage.upload)) {
-      guest.updateDataUsage(unifiInfo.rxBytes, unifiInfo.txBytes);
-      // Don't await this to avoid slowing down the response
-    }
-    
     res.status(200).json({
       success: true,
       data: guestInfo
@@ -144,25 +152,80 @@ exports.getGuestInfo = async (req, res, next) => {
 };
 
 /**
- * @route   POST /api/guest/redeem-voucher
- * @desc    Redeem a voucher for WiFi access
+ * @route   POST /api/guest/session
+ * @desc    Start a guest portal session for the device in the UniFi redirect
  * @access  Public
  */
-exports.redeemVoucher = async (req, res, next) => {
+exports.createGuestSession = async (req, res, next) => {
   try {
-    const { code, mac } = req.body;
+    const mac = formatMac(req.body.mac);
     
-    if (!code) {
+    if (!mac) {
       return res.status(400).json({
         success: false,
-        message: 'Voucher code is required'
+        message: 'A valid MAC address is required'
       });
     }
     
-    if (!mac) {
+    // The redirect parameters are not signed, so the controller has to confirm
+    // the device is connected at the caller's IP before a session is issued for it
+    let clientInfo;
+    try {
+      clientInfo = await unifiService.getClientInfo(mac);
+    } catch (unifiError) {
+      return res.status(503).json({
+        success: false,
+        message: 'Unable to verify your device with the network controller. Please try again.'
+      });
+    }
+    
+    const requestIp = req.ip.replace(/^::ffff:/, '');
+    if (!clientInfo.success || !clientInfo.ipAddress || clientInfo.ipAddress !== requestIp) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device is not connected to the guest network'
+      });
+    }
+    
+    // Prefer what the controller reports over the redirect parameters. The site
+    // picks the tax rate and currency for purchases, so it is always the one
+    // the controller found the device on
+    const ap = formatMac(clientInfo.fullData?.ap_mac) || formatMac(req.body.ap);
+    const ssid = clientInfo.fullData?.essid || req.body.ssid;
+    const site = clientInfo.site;
+    
+    const { token, expiresAt } = signGuestSession({ mac, ap, ip: req.ip, ssid, site });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+        mac,
+        ap
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/guest/redeem-voucher
+ * @desc    Redeem a voucher for WiFi access
+ * @access  Guest session
+ */
+exports.redeemVoucher = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    // The device comes from the guest session, never from the request body
+    const { mac, ap: apMac } = req.guestSession;
+    const ssid = req.guestSession.ssid || req.body.ssid;
+    
+    if (!code) {
       return res.status(400).json({
         success: false,
-        message: 'MAC address is required'
+        message: 'Voucher code is required'
       });
     }
     
@@ -208,50 +271,46 @@ exports.redeemVoucher = async (req, res, next) => {
       guest.ip = req.ip;
     }
     
+    if (apMac) guest.apMac = apMac;
+    if (ssid) guest.ssid = ssid;
+    
     // Redeem the voucher
     await voucher.redeem(guest._id);
     
-    // Get values from the voucher or associated plan
+    // Voucher settings take precedence over the associated plan
     const plan = voucher.planId;
-    const durationInSeconds = plan.getDurationInSeconds();
-    const uploadBandwidth = voucher.bandwidth?.upload || plan.bandwidth.upload;
-    const downloadBandwidth = voucher.bandwidth?.download || plan.bandwidth.download;
+    const { durationSeconds, authorization } = buildAuthorizationPolicy(plan, voucher);
     
     // Calculate expiration time
     const now = new Date();
-    const expiresAt = new Date(now.getTime() + durationInSeconds * 1000);
+    const expiresAt = new Date(now.getTime() + durationSeconds * 1000);
     
     // Update guest authorization details
     guest.authorized = true;
     guest.authorizedAt = now;
     guest.expiresAt = expiresAt;
-    guest.status = 'authorized';
     
-    await guest.save();
-    
-    // Try to authorize with UniFi Controller
-    try {
-      await unifiService.authorizeGuest({
-        mac: formattedMac,
-        minutesDuration: Math.floor(durationInSeconds / 60),
-        uploadBandwidth: uploadBandwidth,
-        downloadBandwidth: downloadBandwidth,
-        name: 'Voucher Guest'
-      });
-    } catch (unifiError) {
-      console.error('UniFi authorization error:', unifiError);
-      // Continue anyway - we'll handle this manually if needed
-    }
+    // Authorize with UniFi Controller; failures are retried by the queue and
+    // the guest stays pending authorization until the controller confirms
+    const job = await controllerQueue.enqueueAuthorization(guest, {
+      ...authorization,
+      apMac: guest.apMac,
+      name: 'Voucher Guest'
+    }, 'voucher');
     
     res.status(200).json({
       success: true,
-      message: 'Voucher redeemed successfully',
+      message: job.status === 'succeeded'
+        ? 'Voucher redeemed successfully'
+        : 'Voucher redeemed, network access is being activated',
       data: {
         guestId: guest._id,
         mac: guest.mac,
+        status: guest.status,
+        pendingAuthorization: job.status !== 'succeeded',
         planName: plan.name,
         expiresAt: guest.expiresAt,
-        durationMinutes: Math.floor(durationInSeconds / 60)
+        durationMinutes: authorization.minutesDuration
       }
     });
   } catch (error) {
@@ -275,7 +334,10 @@ exports.getNetworkInfo = async (req, res, next) => {
       privacyPolicy: 'https://example.com/privacy-policy',
       contactInfo: 'support@example.com',
       availableVouchers: true,
-      availablePayment: true
+      availablePayment: true,
+      // Where guests are sent after authorization, overriding the page they
+      // originally requested
+      redirectUrl: await dbConfig.get('portal.redirect_url', '')
     };
     
     res.status(200).json({
@@ -289,11 +351,15 @@ exports.getNetworkInfo = async (req, res, next) => {
 
 /**
  * @route   GET /api/guest/plans
- * @desc    Get available plans for purchase
+ * @desc    Get available plans for purchase, priced in the requested currency
+ *          or the site's, where the plan has a price in it
  * @access  Public
  */
 exports.getAvailablePlans = async (req, res, next) => {
   try {
+    const currency = typeof req.query.currency === 'string' ? req.query.currency : undefined;
+    const site = typeof req.query.site === 'string' ? req.query.site : undefined;
+    
     // Get all active plans, sorted by sort order
     const plans = await Plan.find({ isActive: true })
       .sort('sortOrder');
@@ -301,7 +367,17 @@ exports.getAvailablePlans = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: plans.length,
-      data: plans
+      data: plans.map(plan => {
+        const { price, currency: code } = plan.getPrice(pricing.resolveCurrency(plan, { currency, site }));
+        
+        return {
+          ...plan.toJSON(),
+          price,
+          currency: code,
+          formattedPrice: formatMoney(price, code),
+          currencies: plan.getCurrencies()
+        };
+      })
     });
   } catch (error) {
     next(error);
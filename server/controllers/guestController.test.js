@@ -0,0 +1,178 @@
+const http = require('http');
+
+jest.mock('../services/unifi/unifiService', () => ({
+  getClientInfo: jest.fn()
+}));
+
+const unifiService = require('../services/unifi/unifiService');
+const { verifyGuestSession } = require('../utils/guestSession');
+const app = require('../app');
+
+const GUEST_MAC = '00:11:22:33:44:55';
+const GUEST_IP = '192.168.10.50';
+
+let server;
+let baseUrl;
+
+// Send a JSON request as the bundled nginx would, with the guest's address
+// in X-Forwarded-For and the connection coming from the proxy on loopback
+const proxiedRequest = (method, path, { body, forwardedFor, headers = {} } = {}) => {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : '';
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'X-Forwarded-For': forwardedFor,
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+
+    req.on('error', reject);
+    req.end(payload);
+  });
+};
+
+beforeAll((done) => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  unifiService.getClientInfo.mockReset();
+});
+
+describe('POST /api/guest/session', () => {
+  it('binds the session to the guest address forwarded by the proxy', async () => {
+    unifiService.getClientInfo.mockResolvedValue({
+      success: true,
+      site: 'default',
+      ipAddress: GUEST_IP,
+      fullData: { ap_mac: 'AA:BB:CC:DD:EE:FF', essid: 'Guest WiFi' }
+    });
+
+    const res = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: GUEST_MAC, ap: '11:11:11:11:11:11', ssid: 'Spoofed', site: 'taxfree' },
+      forwardedFor: GUEST_IP
+    });
+
+    expect(res.status).toBe(201);
+    expect(unifiService.getClientInfo).toHaveBeenCalledWith(GUEST_MAC);
+
+    const session = verifyGuestSession(res.body.data.token);
+    expect(session).toMatchObject({
+      mac: GUEST_MAC,
+      ip: GUEST_IP,
+      ap: 'aa:bb:cc:dd:ee:ff',
+      ssid: 'Guest WiFi',
+      site: 'default'
+    });
+  });
+
+  it('refuses a missing or malformed MAC', async () => {
+    const res = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: 'not-a-mac' },
+      forwardedFor: GUEST_IP
+    });
+
+    expect(res.status).toBe(400);
+    expect(unifiService.getClientInfo).not.toHaveBeenCalled();
+  });
+
+  it('refuses a MAC the controller reports at another address', async () => {
+    unifiService.getClientInfo.mockResolvedValue({ success: true, ipAddress: '192.168.10.77' });
+
+    const res = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: GUEST_MAC },
+      forwardedFor: GUEST_IP
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('refuses a MAC the controller does not know or has no address for', async () => {
+    unifiService.getClientInfo.mockResolvedValueOnce({ success: false, message: 'Client not found' });
+    unifiService.getClientInfo.mockResolvedValueOnce({ success: true });
+
+    const unknown = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: GUEST_MAC },
+      forwardedFor: GUEST_IP
+    });
+    const noAddress = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: GUEST_MAC },
+      forwardedFor: GUEST_IP
+    });
+
+    expect(unknown.status).toBe(403);
+    expect(noAddress.status).toBe(403);
+  });
+
+  it('answers 503 when the controller cannot be reached', async () => {
+    unifiService.getClientInfo.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const res = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: GUEST_MAC },
+      forwardedFor: GUEST_IP
+    });
+
+    expect(res.status).toBe(503);
+  });
+
+  it('rejects the session token from a different forwarded address', async () => {
+    unifiService.getClientInfo.mockResolvedValue({ success: true, ipAddress: GUEST_IP });
+
+    const created = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: GUEST_MAC },
+      forwardedFor: GUEST_IP
+    });
+
+    const res = await proxiedRequest('POST', '/guest/redeem-voucher', {
+      body: { code: 'ABC123' },
+      forwardedFor: '192.168.10.77',
+      headers: { 'X-Guest-Session': created.body.data.token }
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Guest session does not belong to this connection');
+  });
+});
+
+describe('requireGuestSession', () => {
+  it('refuses requests without a session', async () => {
+    const res = await proxiedRequest('POST', '/guest/redeem-voucher', {
+      body: { code: 'ABC123' },
+      forwardedFor: GUEST_IP
+    });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses a session used for a different device', async () => {
+    unifiService.getClientInfo.mockResolvedValue({ success: true, ipAddress: GUEST_IP });
+
+    const created = await proxiedRequest('POST', '/guest/session', {
+      body: { mac: GUEST_MAC },
+      forwardedFor: GUEST_IP
+    });
+
+    const res = await proxiedRequest('POST', '/guest/redeem-voucher', {
+      body: { code: 'ABC123', mac: '66:77:88:99:aa:bb' },
+      forwardedFor: GUEST_IP,
+      headers: { 'X-Guest-Session': created.body.data.token }
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Device does not match the guest session');
+  });
+});
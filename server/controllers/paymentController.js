@@ -3,27 +3,43 @@
  * Handles payment processing and management for multiple payment providers
  */
 
+const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Plan = require('../models/Plan');
-const Guest = require('../models/Guest');
-const { createPaymentProvider, getAvailableProviders } = require('../services/payments');
+const PromoCode = require('../models/PromoCode');
+const Voucher = require('../models/Voucher');
+const Subscription = require('../models/Subscription');
+const paymentProviders = require('../services/payments');
+const webhookEvents = require('../services/payments/webhooks/eventLog');
+const { fulfilPayment } = require('../services/payments/fulfilment');
+const pricing = require('../services/payments/pricing');
+const receipts = require('../services/payments/receipts');
+const refunds = require('../services/payments/refunds');
+const disputes = require('../services/payments/disputes');
+const subscriptions = require('../services/payments/subscriptions');
+const { formatMac } = require('../utils/mac');
+const money = require('../utils/money');
 const config = require('../config/config');
-const unifiService = require('../services/unifi/unifiService');
 
 /**
  * @route   GET /api/payments/providers
- * @desc    Get available payment providers
+ * @desc    Get available payment providers, configured for the guest's site
+ *          when a guest session is sent
  * @access  Public
  */
 exports.getPaymentProviders = async (req, res, next) => {
   try {
-    const availableProviders = getAvailableProviders(config.payments);
+    const availableProviders = await paymentProviders.getAvailableProviders({ site: req.guestSession?.site });
+    const defaultProvider = await paymentProviders.getDefaultProviderName();
     
     res.status(200).json({
       success: true,
       data: {
         providers: availableProviders,
-        defaultProvider: config.payments.defaultProvider
+        // Fall back to the first available provider if the default is disabled
+        defaultProvider: availableProviders.some(provider => provider.name === defaultProvider)
+          ? defaultProvider
+          : availableProviders[0]?.name || null
       }
     });
   } catch (error) {
@@ -31,14 +47,228 @@ exports.getPaymentProviders = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/admin/payment-providers
+ * @desc    List all payment providers with their enabled and configuration state
+ * @access  Admin
+ */
+exports.getProviderSettings = async (req, res, next) => {
+  try {
+    const providers = await paymentProviders.listProviders();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        providers,
+        defaultProvider: await paymentProviders.getDefaultProviderName()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that enables or disables a payment provider
+ * @param {Boolean} enabled - Target state
+ * @returns {Function} - Express route handler
+ */
+const setProviderEnabled = (enabled) => async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    
+    if (!paymentProviders.getProviderNames().includes(name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Payment provider '${name}' not found`
+      });
+    }
+    
+    // Refuse to offer guests a provider that can't take payments
+    if (enabled) {
+      try {
+        await paymentProviders.getProvider(name);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment provider '${name}' is not configured: ${error.message}`
+        });
+      }
+    }
+    
+    const activeProviders = await paymentProviders.setProviderEnabled(name, enabled, req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      message: `Payment provider ${enabled ? 'enabled' : 'disabled'} successfully`,
+      data: { activeProviders }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/payment-providers/:name/enable
+ * @desc    Offer a payment provider
+ * @access  Admin
+ */
+exports.enableProvider = setProviderEnabled(true);
+
+/**
+ * @route   POST /api/admin/payment-providers/:name/disable
+ * @desc    Stop offering a payment provider; existing payments can still be refunded
+ * @access  Admin
+ */
+exports.disableProvider = setProviderEnabled(false);
+
+/**
+ * @route   PUT /api/admin/payment-providers/:name/settings
+ * @desc    Change a provider option such as the Stripe payment page, for
+ *          every site or for the UniFi site given
+ * @access  Admin
+ */
+exports.updateProviderSetting = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { key, value } = req.body;
+    const site = typeof req.body.site === 'string' ? req.body.site.trim() : undefined;
+    
+    if (!paymentProviders.getProviderNames().includes(name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Payment provider '${name}' not found`
+      });
+    }
+    
+    try {
+      await paymentProviders.setProviderSetting(name, key, value, req.user._id, { site });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Payment provider setting updated successfully',
+      data: { key, value, site }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/payments/quote
+ * @desc    Price active plans, or one plan when planId is given, with tax and
+ *          an optional promo code, in the guest's currency where the plan has it
+ * @access  Guest session
+ */
+exports.quotePrices = async (req, res, next) => {
+  try {
+    const { planId, promoCode } = req.body;
+    const currency = typeof req.body.currency === 'string' ? req.body.currency : undefined;
+    
+    const plans = planId
+      ? await Plan.find({ _id: planId, isActive: true })
+      : await Plan.find({ isActive: true }).sort('sortOrder');
+    
+    if (planId && plans.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+    
+    let promo = null;
+    if (promoCode) {
+      try {
+        promo = await pricing.loadPromoCode(promoCode, req.guestSession.mac);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+    
+    const taxRate = await pricing.loadTaxRate(req.guestSession.site);
+    
+    const quotes = plans.map(plan => {
+      const code = pricing.resolveCurrency(plan, { currency, site: req.guestSession.site });
+      const { promo: applied, ...price } = pricing.pricePlan(plan, promo, taxRate, code);
+      return { planId: plan._id, ...price, promoApplied: Boolean(applied) };
+    });
+    
+    if (promo && !quotes.some(quote => quote.promoApplied)) {
+      return res.status(400).json({
+        success: false,
+        message: planId ? 'Promo code does not apply to this plan' : 'Promo code does not apply to any available plan'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: promo ? 'Promo code applied' : 'Prices calculated',
+      data: {
+        promoCode: promo ? {
+          code: promo.code,
+          description: promo.description,
+          formattedDiscount: promo.formattedDiscount
+        } : null,
+        quotes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Fields of a provider's createPaymentIntent or createSubscription result that
+// are kept on the payment
+const STORED_PROVIDER_FIELDS = ['id', 'status', 'mode', 'subscriptionId', 'customerId'];
+
+/**
+ * Pick what to keep on a payment from a provider's result. Client secrets and
+ * hosted page URLs are only for the guest's browser and are never stored
+ * @param {Object} result - Result of createPaymentIntent or createSubscription
+ * @returns {Object} - The fields in STORED_PROVIDER_FIELDS the provider returned
+ */
+const getStoredProviderData = (result) => {
+  return Object.fromEntries(
+    STORED_PROVIDER_FIELDS.filter(field => result[field] !== undefined).map(field => [field, result[field]])
+  );
+};
+
 /**
  * @route   POST /api/payments/initialize
  * @desc    Initialize a payment intent
- * @access  Public
+ * @access  Guest session
  */
 exports.initializePayment = async (req, res, next) => {
   try {
-    const { planId, paymentMethod = config.payments.defaultProvider, customerInfo = {} } = req.body;
+    const { planId, customerInfo = {} } = req.body;
+    const paymentMethod = req.body.paymentMethod || await paymentProviders.getDefaultProviderName();
+    
+    // Guests can only use enabled providers offered on the payment page
+    let provider;
+    try {
+      provider = await paymentProviders.getProvider(paymentMethod, { requireEnabled: true });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (provider.constructor.metadata.guestSelectable === false) {
+      return res.status(400).json({
+        success: false,
+        message: `${provider.constructor.metadata.displayName} payments can only be recorded by staff`
+      });
+    }
     
     // Validate plan exists
     const plan = await Plan.findById(planId);
@@ -57,45 +287,149 @@ exports.initializePayment = async (req, res, next) => {
       });
     }
     
-    // Get client MAC address from request
-    const clientMac = req.body.mac || req.headers['x-client-mac'] || 'unknown';
+    // Renewing plans need a provider that can bill the guest again
+    if (plan.billingInterval && !provider.constructor.metadata.subscriptions) {
+      return res.status(400).json({
+        success: false,
+        message: `${provider.constructor.metadata.displayName} cannot be used for subscription plans`
+      });
+    }
     
-    // Create payment provider instance
-    const provider = createPaymentProvider(
-      paymentMethod,
-      config.payments.providers[paymentMethod]
-    );
-    
-    // Initialize payment with the provider
-    const paymentIntent = await provider.createPaymentIntent(
-      plan.price,
-      plan.currency,
-      {
-        planId: plan._id.toString(),
-        planName: plan.name,
+    // Mobile money prompts are sent to the guest's phone
+    if (provider.constructor.metadata.requiresPhone && !customerInfo.phone) {
+      return res.status(400).json({
+        success: false,
+        message: `A phone number is required to pay with ${provider.constructor.metadata.displayName}`
+      });
+    }
+    
+    if (plan.billingInterval && req.body.promoCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo codes cannot be used on subscription plans'
+      });
+    }
+    
+    // The paying device comes from the guest session
+    const { mac: clientMac, ap: apMac, ssid, site } = req.guestSession;
+    
+    // A guest who starts the checkout again still holds a use of the promo code
+    // with the checkout they left; give it back so only this one counts
+    if (typeof req.body.promoCode === 'string' && req.body.promoCode.trim()) {
+      await Payment.releasePromoHolds(clientMac, req.body.promoCode.trim().toUpperCase());
+    }
+    
+    // The price is always worked out here, never taken from the browser
+    let price;
+    try {
+      price = await pricing.quotePlan(plan, {
+        promoCode: req.body.promoCode,
         mac: clientMac,
-        customerEmail: customerInfo.email,
-        ipAddress: req.ip
-      }
-    );
+        site,
+        currency: typeof req.body.currency === 'string' ? req.body.currency : undefined
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
-    // Create payment record in database
-    const payment = new Payment({
-      amount: plan.price,
-      currency: plan.currency,
-      status: 'initialized',
-      provider: paymentMethod,
-      providerPaymentId: paymentIntent.id,
-      providerData: paymentIntent,
-      planId: plan._id,
-      customer: {
-        email: customerInfo.email,
-        name: customerInfo.name,
-        ipAddress: req.ip
+    // Card providers cannot take a zero charge; free access is what vouchers are for
+    if (price.amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code covers the full price and cannot be used for online payment'
+      });
+    }
+    
+    // Take a use of the promo code for this checkout. The limits were checked
+    // when pricing, but another checkout may have taken the last use since
+    if (price.promo && !(await PromoCode.reserveUse(price.promo.codeId, clientMac))) {
+      const promo = await PromoCode.findById(price.promo.codeId);
+      
+      return res.status(400).json({
+        success: false,
+        message: promo?.getUseLimitMessage(clientMac) || 'Promo code has no uses left'
+      });
+    }
+    
+    // Known up front so hosted payment pages can return to it
+    const paymentId = new mongoose.Types.ObjectId();
+    const subscriptionId = plan.billingInterval ? new mongoose.Types.ObjectId() : null;
+    const returnUrl = String(req.body.returnUrl || req.get('origin') || '').replace(/\/+$/, '');
+    
+    const metadata = {
+      paymentId: paymentId.toString(),
+      subscriptionId: subscriptionId?.toString(),
+      planId: plan._id.toString(),
+      planName: plan.name,
+      promoCode: price.promo?.code,
+      mac: clientMac,
+      customerEmail: customerInfo.email,
+      customerPhone: customerInfo.phone,
+      ipAddress: req.ip
+    };
+    const returnUrls = /^https?:\/\//.test(returnUrl) ? {
+      successUrl: `${returnUrl}/success/payment?payment_id=${paymentId}`,
+      cancelUrl: `${returnUrl}/success/payment?payment_id=${paymentId}&canceled=1`
+    } : {};
+    
+    const customer = {
+      email: customerInfo.email,
+      name: customerInfo.name,
+      phone: customerInfo.phone,
+      ipAddress: req.ip,
+      mac: clientMac,
+      apMac: apMac || undefined,
+      ssid: ssid || req.body.ssid,
+      site: site || undefined
+    };
+    
+    let paymentIntent;
+    let payment;
+    try {
+      // Initialize payment with the provider; for subscriptions this pays the first period
+      paymentIntent = subscriptionId
+        ? await provider.createSubscription(price.amount, price.currency, plan.billingInterval, metadata, returnUrls)
+        : await provider.createPaymentIntent(price.amount, price.currency, metadata, { ...returnUrls, site });
+      
+      // Create payment record in database
+      payment = new Payment({
+        _id: paymentId,
+        amount: price.amount,
+        currency: price.currency,
+        status: 'initialized',
+        provider: paymentMethod,
+        providerPaymentId: paymentIntent.id,
+        providerData: getStoredProviderData(paymentIntent),
+        planId: plan._id,
+        subscriptionId: subscriptionId || undefined,
+        promo: price.promo ? { ...price.promo, reserved: true } : undefined,
+        tax: price.tax || undefined,
+        customer
+      });
+      
+      await payment.save();
+    } catch (error) {
+      // No payment holds the promo code use, so give it back
+      if (price.promo) {
+        await PromoCode.releaseUse(price.promo.codeId, clientMac);
       }
-    });
+      throw error;
+    }
     
-    await payment.save();
+    if (subscriptionId) {
+      await Subscription.create({
+        _id: subscriptionId,
+        provider: paymentMethod,
+        amount: price.amount,
+        currency: price.currency,
+        planId: plan._id,
+        initialPaymentId: payment._id,
+        customer
+      });
+    }
     
     // Return payment initialization data to client
     res.status(200).json({
@@ -104,9 +438,14 @@ exports.initializePayment = async (req, res, next) => {
       data: {
         paymentId: payment._id,
         provider: paymentMethod,
-        amount: plan.price,
-        currency: plan.currency,
-        formattedPrice: plan.formattedPrice,
+        amount: payment.amount,
+        currency: payment.currency,
+        originalAmount: price.originalAmount,
+        discount: price.discount,
+        tax: price.tax,
+        formattedPrice: payment.formattedAmount,
+        subscriptionId,
+        billingInterval: plan.billingInterval,
         clientData: paymentIntent.clientData
       }
     });
@@ -119,11 +458,11 @@ exports.initializePayment = async (req, res, next) => {
 /**
  * @route   POST /api/payments/confirm
  * @desc    Confirm a payment (client-side confirmation)
- * @access  Public
+ * @access  Guest session
  */
 exports.confirmPayment = async (req, res, next) => {
   try {
-    const { paymentId, providerPaymentId, mac } = req.body;
+    const { paymentId } = req.body;
     
     // Find payment in database
     const payment = await Payment.findById(paymentId);
@@ -134,107 +473,92 @@ exports.confirmPayment = async (req, res, next) => {
       });
     }
     
-    // Get provider-specific payment ID if not provided
-    const paymentIntentId = providerPaymentId || payment.providerPaymentId;
+    // Only the device that started the payment may claim it
+    if (payment.customer?.mac && payment.customer.mac !== req.guestSession.mac) {
+      return res.status(403).json({
+        success: false,
+        message: 'Payment belongs to a different device'
+      });
+    }
+    
+    // Refunded and canceled payments are final; don't capture them again
+    if (!payment.canTransitionTo('succeeded')) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${payment.status}`
+      });
+    }
     
     // Create payment provider instance
-    const provider = createPaymentProvider(
-      payment.provider,
-      config.payments.providers[payment.provider]
-    );
+    const provider = await paymentProviders.getProvider(payment.provider);
+    
+    // Check payment status, capturing it for providers that settle server-side.
+    // Only the provider payment created for this payment is ever looked at
+    const paymentStatus = await provider.confirmPayment(payment.providerPaymentId);
+    
+    if (!payment.canTransitionTo(paymentStatus.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${payment.status}`
+      });
+    }
     
-    // Check payment status
-    const paymentStatus = await provider.getPaymentStatus(paymentIntentId);
+    // Update payment record. A webhook may have changed it since it was read;
+    // carry on if it left the payment where the provider says it is
+    const updated = await payment.updateStatus(paymentStatus.status, paymentStatus);
     
-    // Update payment record
-    await payment.updateStatus(paymentStatus.status, paymentStatus);
+    if (!updated && payment.status !== paymentStatus.status) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${payment.status}`
+      });
+    }
+    
+    // The first period of a subscription is paid on the provider's page
+    if (payment.subscriptionId && paymentStatus.subscriptionId) {
+      const subscription = await Subscription.findById(payment.subscriptionId);
+      if (subscription) {
+        await subscriptions.activateSubscription(subscription, {
+          providerSubscriptionId: paymentStatus.subscriptionId,
+          providerCustomerId: paymentStatus.customerId
+        });
+      }
+    }
     
-    // If payment is successful, authorize guest access
+    // If payment is successful, authorize the device in the guest session
     if (paymentStatus.status === 'succeeded') {
-      // Find associated plan
-      const plan = await Plan.findById(payment.planId);
-      if (!plan) {
+      const fulfilment = await fulfilPayment(payment, {
+        mac: req.guestSession.mac,
+        apMac: req.guestSession.ap,
+        ip: req.ip,
+        source: 'payment'
+      });
+      const { guest } = fulfilment;
+      
+      if (fulfilment.status === 'skipped') {
         return res.status(200).json({
           success: true,
-          message: 'Payment confirmed but plan not found',
+          message: `Payment confirmed but access could not be granted: ${fulfilment.message}`,
           data: {
             paymentId: payment._id,
-            status: payment.status
+            status: payment.status,
+            invoiceNumber: payment.invoiceNumber
           }
         });
       }
       
-      // Create or update guest
-      const normalizedMac = mac?.replace(/[^a-fA-F0-9]/g, '').toLowerCase();
-      let guest = null;
-      
-      if (normalizedMac) {
-        // Format MAC address with colons
-        const formattedMac = normalizedMac.match(/.{1,2}/g).join(':');
-        
-        // Look for existing guest
-        guest = await Guest.findOne({ mac: formattedMac });
-        
-        if (!guest) {
-          // Create new guest
-          guest = new Guest({
-            mac: formattedMac,
-            ip: req.ip,
-            email: payment.customer?.email,
-            accessType: 'payment',
-            paymentId: payment._id,
-            planId: payment.planId
-          });
-        } else {
-          // Update existing guest
-          guest.accessType = 'payment';
-          guest.paymentId = payment._id;
-          guest.planId = payment.planId;
-          guest.ip = req.ip;
-          if (payment.customer?.email) {
-            guest.email = payment.customer.email;
-          }
-        }
-        
-        // Calculate expiration time
-        const durationInSeconds = plan.getDurationInSeconds();
-        const now = new Date();
-        const expiresAt = new Date(now.getTime() + durationInSeconds * 1000);
-        
-        // Update guest authorization details
-        guest.authorized = true;
-        guest.authorizedAt = now;
-        guest.expiresAt = expiresAt;
-        guest.status = 'authorized';
-        
-        await guest.save();
-        
-        // Update payment with guest ID
-        payment.guestId = guest._id;
-        await payment.save();
-        
-        // Try to authorize with UniFi Controller
-        try {
-          await unifiService.authorizeGuest({
-            mac: formattedMac,
-            minutesDuration: Math.floor(durationInSeconds / 60),
-            uploadBandwidth: plan.bandwidth.upload,
-            downloadBandwidth: plan.bandwidth.download,
-            name: payment.customer?.name || 'Guest'
-          });
-        } catch (unifiError) {
-          console.error('UniFi authorization error:', unifiError);
-          // Continue anyway - we'll handle this manually if needed
-        }
-      }
-      
       return res.status(200).json({
         success: true,
-        message: 'Payment confirmed and access granted',
+        message: fulfilment.pendingAuthorization
+          ? 'Payment confirmed, network access is being activated'
+          : 'Payment confirmed and access granted',
         data: {
           paymentId: payment._id,
           status: payment.status,
+          invoiceNumber: payment.invoiceNumber,
           guestId: guest?._id,
+          guestStatus: guest?.status,
+          pendingAuthorization: Boolean(fulfilment.pendingAuthorization),
           expiresAt: guest?.expiresAt
         }
       });
@@ -246,7 +570,8 @@ exports.confirmPayment = async (req, res, next) => {
       message: 'Payment status updated',
       data: {
         paymentId: payment._id,
-        status: payment.status
+        status: payment.status,
+        failureReason: paymentStatus.failureReason
       }
     });
   } catch (error) {
@@ -282,6 +607,60 @@ exports.getPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/payments/:id/receipt
+ * @route   GET /api/admin/payments/:id/receipt
+ * @desc    Download the PDF receipt for a paid payment
+ * @access  Guest session (own payments) or Admin
+ */
+exports.downloadReceipt = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    
+    // Guests may only download receipts for their own device's payments
+    if (req.guestSession && payment.customer?.mac !== req.guestSession.mac) {
+      return res.status(403).json({
+        success: false,
+        message: 'Payment belongs to a different device'
+      });
+    }
+    
+    if (!receipts.RECEIPT_STATUSES.includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Receipts are only available for completed payments'
+      });
+    }
+    
+    // Payments made before receipts were introduced are numbered on first download
+    try {
+      await receipts.assignInvoiceNumber(payment);
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    const pdf = await receipts.buildReceiptPdf(payment);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${payment.invoiceNumber}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/payments
  * @desc    Get all payments with filtering and pagination
@@ -289,7 +668,7 @@ exports.getPayment = async (req, res, next) => {
  */
 exports.getAllPayments = async (req, res, next) => {
   try {
-    const { status, provider, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+    const { status, provider, dispute, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
     
     // Build query
     const query = {};
@@ -298,6 +677,15 @@ exports.getAllPayments = async (req, res, next) => {
     if (status) query.status = status;
     if (provider) query.provider = provider;
     
+    // Dispute filter: any, open, or a closed dispute status such as won or lost
+    if (dispute === 'any') {
+      query['dispute.status'] = { $exists: true, $ne: null };
+    } else if (dispute === 'open') {
+      query['dispute.status'] = { $in: disputes.OPEN_STATUSES };
+    } else if (disputes.CLOSED_STATUSES.includes(dispute)) {
+      query['dispute.status'] = dispute;
+    }
+    
     // Date range filter
     if (dateFrom || dateTo) {
       query.createdAt = {};
@@ -337,12 +725,28 @@ exports.getAllPayments = async (req, res, next) => {
 
 /**
  * @route   POST /api/payments/:id/refund
- * @desc    Process refund for a payment
+ * @desc    Refund all or part of a payment and take back the access it paid for
  * @access  Admin
  */
 exports.refundPayment = async (req, res, next) => {
   try {
-    const { amount, reason } = req.body;
+    const { note } = req.body;
+    const reason = req.body.reason || 'requested_by_customer';
+    const accessPolicy = req.body.accessPolicy || config.payments.refundAccessPolicy;
+    
+    if (!refunds.REFUND_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund reason must be one of: ${refunds.REFUND_REASONS.join(', ')}`
+      });
+    }
+    
+    if (!refunds.ACCESS_POLICIES.includes(accessPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Access policy must be one of: ${refunds.ACCESS_POLICIES.join(', ')}`
+      });
+    }
     
     // Find payment
     const payment = await Payment.findById(req.params.id);
@@ -355,64 +759,52 @@ exports.refundPayment = async (req, res, next) => {
     }
     
     // Ensure payment is in a refundable state
-    if (payment.status !== 'succeeded') {
+    if (!refunds.REFUNDABLE_STATUSES.includes(payment.status)) {
       return res.status(400).json({
         success: false,
         message: `Cannot refund payment with status: ${payment.status}`
       });
     }
     
+    // Refund what is left unless a smaller amount is given
+    const refunded = refunds.getRefundedAmount(payment);
+    const remaining = money.subtractAmounts(payment.amount, refunded, payment.currency);
+    const amount = req.body.amount !== undefined && req.body.amount !== '' ? Number(req.body.amount) : remaining;
+    
+    if (!(amount > 0) || amount > remaining || !money.isValidAmount(amount, payment.currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be more than 0 and at most ${money.formatMoney(remaining, payment.currency)}`
+      });
+    }
+    
     // Create payment provider instance
-    const provider = createPaymentProvider(
-      payment.provider,
-      config.payments.providers[payment.provider]
-    );
+    const provider = await paymentProviders.getProvider(payment.provider);
     
     // Process refund
-    const refundResult = await provider.refundPayment(
-      payment.providerPaymentId,
-      amount || payment.amount,
-      reason
-    );
-    
-    // Update payment status
-    const refundStatus = amount && amount < payment.amount ? 'partially_refunded' : 'refunded';
-    await payment.updateStatus(refundStatus, {
-      refund: {
-        amount: refundResult.amount,
-        reason,
-        date: new Date()
-      },
-      refundResult
-    });
+    const refundResult = await provider.refundPayment(payment.providerPaymentId, amount, reason);
     
-    // If payment is associated with a guest, revoke access
-    if (payment.guestId && refundStatus === 'refunded') {
-      const guest = await Guest.findById(payment.guestId);
-      
-      if (guest && guest.accessType === 'payment' && guest.paymentId.equals(payment._id)) {
-        guest.authorized = false;
-        guest.status = 'disconnected';
-        guest.disconnectedAt = new Date();
-        await guest.save();
-        
-        // Try to unauthorize with UniFi Controller
-        try {
-          await unifiService.unauthorizeGuest(guest.mac);
-        } catch (unifiError) {
-          console.error('UniFi unauthorization error:', unifiError);
-          // Continue anyway - we'll handle this manually if needed
-        }
-      }
-    }
+    // The provider's webhook may report the same refund; it is only recorded once
+    const result = await refunds.recordRefund(payment, {
+      totalRefunded: money.addAmounts(payment.currency, refunded, refundResult.amount),
+      source: 'admin',
+      reason,
+      note,
+      refundedBy: req.user._id,
+      providerRefundId: refundResult.id,
+      accessPolicy
+    });
     
     res.status(200).json({
       success: true,
-      message: `Payment ${refundStatus}`,
+      message: `Payment ${result.payment.status.replace('_', ' ')}`,
       data: {
         paymentId: payment._id,
         refundAmount: refundResult.amount,
-        status: payment.status
+        totalRefunded: result.payment.refund?.amount,
+        status: result.payment.status,
+        access: result.refund?.access || null,
+        refunds: result.payment.refunds
       }
     });
   } catch (error) {
@@ -421,6 +813,195 @@ exports.refundPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   POST /api/payments/manual
+ * @desc    Record a front-desk payment and authorize a device or print a voucher
+ * @access  Admin
+ */
+exports.recordManualPayment = async (req, res, next) => {
+  try {
+    const {
+      planId,
+      mac,
+      method = 'cash',
+      reference,
+      notes,
+      issueVoucher = false,
+      customerInfo = {}
+    } = req.body;
+    
+    const provider = await paymentProviders.getProvider('manual', { requireEnabled: true });
+    const { methods } = provider.getClientConfig();
+    
+    if (!methods.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${methods.join(', ')}`
+      });
+    }
+    
+    const formattedMac = mac ? formatMac(mac) : null;
+    
+    if (mac && !formattedMac) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid MAC address'
+      });
+    }
+    
+    if (!formattedMac && !issueVoucher) {
+      return res.status(400).json({
+        success: false,
+        message: 'A device MAC address or a printed voucher is required'
+      });
+    }
+    
+    const plan = await Plan.findById(planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+    
+    if (!plan.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected plan is not currently available'
+      });
+    }
+    
+    // Front-desk sales are taxed at the portal's own site and charged the
+    // plan's main price, as listed on the Front Desk page
+    const price = await pricing.quotePlan(plan, { currency: plan.currency });
+    
+    const manualPayment = await provider.createPaymentIntent(price.amount, price.currency, {
+      recordedBy: req.user._id.toString(),
+      method
+    });
+    
+    const payment = new Payment({
+      amount: price.amount,
+      currency: price.currency,
+      tax: price.tax || undefined,
+      status: 'succeeded',
+      provider: 'manual',
+      providerPaymentId: manualPayment.id,
+      providerData: getStoredProviderData(manualPayment),
+      method,
+      recordedBy: req.user._id,
+      reference,
+      notes,
+      planId: plan._id,
+      processedAt: new Date(),
+      customer: {
+        email: customerInfo.email,
+        name: customerInfo.name,
+        mac: formattedMac || undefined
+      }
+    });
+    
+    // The guest redeems a printed voucher on their own device
+    let voucher = null;
+    if (issueVoucher) {
+      [voucher] = await Voucher.generateBatch({
+        count: 1,
+        planId: plan._id,
+        createdById: req.user._id,
+        notes: `Front desk ${method} payment ${payment._id}`
+      });
+      payment.voucherId = voucher._id;
+    }
+    
+    try {
+      await payment.save();
+    } catch (error) {
+      // A voucher without its payment would be free access
+      if (voucher) {
+        await Voucher.deleteOne({ _id: voucher._id });
+      }
+      throw error;
+    }
+    
+    // Without a MAC this only issues the receipt; the voucher grants access later
+    const fulfilment = await fulfilPayment(payment, { mac: formattedMac, source: 'manual_payment' });
+    const { guest } = fulfilment;
+    const pendingAuthorization = Boolean(fulfilment.pendingAuthorization);
+    
+    res.status(201).json({
+      success: true,
+      message: pendingAuthorization
+        ? 'Payment recorded, network access is being activated'
+        : 'Payment recorded',
+      data: {
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        tax: price.tax,
+        invoiceNumber: payment.invoiceNumber,
+        method,
+        voucherCode: voucher?.code,
+        guestId: guest?._id,
+        guestStatus: guest?.status,
+        pendingAuthorization,
+        expiresAt: guest?.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Manual payment error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/payments/manual/shift-totals
+ * @desc    Front-desk totals per operator, for today unless a range is given
+ * @access  Admin
+ */
+exports.getShiftTotals = async (req, res, next) => {
+  try {
+    const { from, to, operator } = req.query;
+    
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    
+    const range = {
+      from: from ? new Date(from) : startOfDay,
+      to: to ? new Date(to) : new Date()
+    };
+    
+    if (isNaN(range.from) || isNaN(range.to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+    
+    if (operator && !mongoose.Types.ObjectId.isValid(operator)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid operator ID'
+      });
+    }
+    
+    const operators = await Payment.getShiftTotals({
+      ...range,
+      recordedBy: operator
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        from: range.from,
+        to: range.to,
+        operators
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   POST /api/payments/webhook/:provider
  * @desc    Handle webhook events from payment providers
@@ -431,73 +1012,73 @@ exports.handleWebhook = async (req, res, next) => {
     const { provider } = req.params;
     
     // Validate provider
-    if (!config.payments.providers[provider]) {
+    if (!paymentProviders.getProviderNames().includes(provider)) {
       return res.status(400).json({
         success: false,
         message: `Unsupported payment provider: ${provider}`
       });
     }
     
-    // Get webhook signature
-    const signature = req.headers[`x-${provider}-signature`] || 
-                      req.headers['stripe-signature'] ||
-                      req.headers['paypal-signature'] ||
-                      '';
+    if (!webhookEvents.supportsProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Webhook handler not implemented for provider: ${provider}`
+      });
+    }
     
     // Get raw body
     const payload = req.body;
     
-    // Process based on provider
-    let result;
-    
-    switch (provider) {
-      case 'stripe':
-        // Import here to avoid circular dependencies
-        const { processStripeWebhook } = require('../services/payments/webhooks/stripeWebhooks');
-        
-        // Create provider instance
-        const stripeProvider = createPaymentProvider(
-          'stripe',
-          config.payments.providers.stripe
-        );
-        
-        // Verify and construct the event
-        const event = await stripeProvider.handleWebhook(
-          req.rawBody, // express-raw-body middleware should provide this
-          signature
-        );
-        
-        // Process the event
-        result = await processStripeWebhook(event);
-        break;
-        
-      // Add cases for other providers when implemented
-      // case 'paypal':
-      //   const { processPayPalWebhook } = require('../services/payments/webhooks/paypalWebhooks');
-      //   result = await processPayPalWebhook(payload, signature);
-      //   break;
-        
-      default:
-        return res.status(400).json({
-          success: false,
-          message: `Webhook handler not implemented for provider: ${provider}`
-        });
+    // Verify the event with the provider before acting on it
+    let verified;
+    
+    try {
+      const providerInstance = await paymentProviders.getProvider(provider);
+      
+      if (provider === 'stripe') {
+        // Stripe signs the raw request body, captured by the JSON parser
+        verified = await providerInstance.handleWebhook(req.rawBody, req.headers['stripe-signature'] || '');
+      } else {
+        // PayPal verifies the parsed event together with its transmission
+        // headers; M-Pesa callbacks are checked against a status query
+        verified = await providerInstance.handleWebhook(payload, req.headers);
+      }
+    } catch (verifyError) {
+      await webhookEvents.recordRejected(provider, payload, verifyError.message);
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook signature verification failed'
+      });
     }
     
-    // Return result
+    const { event, duplicate } = await webhookEvents.handleDelivery(provider, verified);
+    const failed = ['failed', 'dead'].includes(event.status);
+    
+    let message = 'Webhook processed successfully';
+    if (event.status === 'failed') {
+      message = 'Webhook received, processing will be retried';
+    } else if (event.status === 'dead') {
+      message = 'Webhook received but processing failed';
+    } else if (duplicate) {
+      message = 'Duplicate webhook ignored';
+    }
+    
+    // Acknowledge receipt even if processing failed; the event log retries it
+    // rather than relying on the provider to deliver it again
     res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      data: result
+      success: !failed,
+      message,
+      data: failed ? undefined : event.result,
+      error: failed ? event.lastError : undefined
     });
   } catch (error) {
     console.error('Webhook processing error:', error);
     
-    // For webhooks, always return 200 to acknowledge receipt
-    // even if processing failed (to prevent repeated delivery)
-    res.status(200).json({
+    // The event could not be recorded, so ask the provider to deliver it again
+    res.status(500).json({
       success: false,
-      message: 'Webhook received but processing failed',
+      message: 'Webhook could not be recorded',
       error: error.message
     });
   }
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/payments', () => ({
+  getProvider: jest.fn()
+}));
+
+jest.mock('../services/payments/fulfilment', () => ({
+  fulfilPayment: jest.fn()
+}));
+
+const Payment = require('../models/Payment');
+const Plan = require('../models/Plan');
+const PromoCode = require('../models/PromoCode');
+const TaxRate = require('../models/TaxRate');
+const paymentProviders = require('../services/payments');
+const { fulfilPayment } = require('../services/payments/fulfilment');
+const paymentController = require('./paymentController');
+
+const GUEST_MAC = '00:11:22:33:44:55';
+
+const mockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn()
+});
+
+describe('confirmPayment', () => {
+  let payment;
+  let provider;
+
+  beforeEach(() => {
+    payment = Payment.hydrate({
+      _id: '64b7f0a1c2d3e4f5a6b7c8d9',
+      amount: 5,
+      currency: 'usd',
+      provider: 'stripe',
+      providerPaymentId: 'pi_test_1',
+      status: 'initialized',
+      customer: { mac: GUEST_MAC }
+    });
+
+    provider = { confirmPayment: jest.fn().mockResolvedValue({ id: 'pi_test_1', status: 'succeeded' }) };
+    paymentProviders.getProvider.mockResolvedValue(provider);
+    fulfilPayment.mockReset().mockResolvedValue({ status: 'already_fulfilled', message: 'Payment already fulfilled' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The payment as the webhook leaves it while the portal is confirming: the
+  // portal's guarded save misses and the reload finds the stored status
+  const flipStatus = (status) => {
+    payment.save = jest.fn().mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: payment._id }, 'Payment', 0, {}));
+    jest.spyOn(Payment, 'findById')
+      .mockImplementationOnce(() => Promise.resolve(payment))
+      .mockImplementationOnce(() => ({
+        lean: () => Promise.resolve({ ...payment.toObject({ virtuals: false }), status })
+      }));
+  };
+
+  const confirm = async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await paymentController.confirmPayment({
+      body: { paymentId: '64b7f0a1c2d3e4f5a6b7c8d9' },
+      guestSession: { mac: GUEST_MAC, ap: 'aa:bb:cc:dd:ee:ff' },
+      ip: '192.168.10.50'
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  it('carries on to fulfilment when a webhook marked the payment succeeded first', async () => {
+    flipStatus('succeeded');
+
+    const res = await confirm();
+
+    expect(payment.status).toBe('succeeded');
+    expect(fulfilPayment).toHaveBeenCalledWith(payment, expect.objectContaining({ mac: GUEST_MAC, source: 'payment' }));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, data: { status: 'succeeded' } });
+  });
+
+  it('refuses when the payment was moved somewhere else first', async () => {
+    flipStatus('canceled');
+
+    const res = await confirm();
+
+    expect(fulfilPayment).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Payment is already canceled' });
+  });
+});
+
+describe('initializePayment with a promo code', () => {
+  const codeId = new mongoose.Types.ObjectId();
+  let provider;
+
+  // The code as stored once the device's earlier checkout gave its use back
+  const promoCode = (heldUsesByMac = {}) => new PromoCode({
+    _id: codeId,
+    code: 'ONCE',
+    discountType: 'percentage',
+    discountValue: 10,
+    maxUsesPerMac: 1,
+    heldUsesByMac
+  });
+
+  beforeEach(() => {
+    class FakeStripe {}
+    FakeStripe.metadata = { name: 'stripe', displayName: 'Stripe' };
+    provider = Object.assign(new FakeStripe(), {
+      createPaymentIntent: jest.fn().mockResolvedValue({
+        id: 'pi_test_2',
+        status: 'requires_payment_method',
+        mode: 'elements',
+        clientData: { clientSecret: 'pi_test_2_secret_abc' }
+      })
+    });
+    paymentProviders.getProvider.mockResolvedValue(provider);
+
+    jest.spyOn(Plan, 'findById').mockResolvedValue(new Plan({ name: 'Day pass', price: 5, currency: 'usd', isActive: true }));
+    jest.spyOn(TaxRate, 'findForSite').mockResolvedValue(null);
+    jest.spyOn(PromoCode, 'findOne').mockResolvedValue(promoCode());
+    jest.spyOn(PromoCode, 'releaseUse').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const initialize = async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await paymentController.initializePayment({
+      body: { planId: '64b7f0a1c2d3e4f5a6b7c8e1', paymentMethod: 'stripe', promoCode: ' once ' },
+      guestSession: { mac: GUEST_MAC, site: 'default' },
+      ip: '192.168.10.50',
+      get: () => undefined
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  it('gives back the use held by the checkout the device left before taking one for the new checkout', async () => {
+    const left = Payment.hydrate({
+      _id: '64b7f0a1c2d3e4f5a6b7c8d9',
+      amount: 4.5,
+      currency: 'usd',
+      provider: 'stripe',
+      status: 'initialized',
+      promo: { codeId, code: 'ONCE', reserved: true },
+      customer: { mac: GUEST_MAC }
+    });
+    jest.spyOn(Payment, 'find').mockReturnValue({
+      select: () => Promise.resolve([left]),
+      countDocuments: () => Promise.resolve(0)
+    });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const reserveUse = jest.spyOn(PromoCode, 'reserveUse').mockResolvedValue(true);
+
+    const res = await initialize();
+
+    expect(Payment.find).toHaveBeenCalledWith(expect.objectContaining({ 'customer.mac': GUEST_MAC, 'promo.code': 'ONCE' }));
+    expect(PromoCode.releaseUse).toHaveBeenCalledWith(codeId, GUEST_MAC);
+    expect(PromoCode.releaseUse.mock.invocationCallOrder[0]).toBeLessThan(reserveUse.mock.invocationCallOrder[0]);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ amount: 4.5, discount: 0.5 });
+  });
+
+  it('sends the client secret to the browser but does not store it', async () => {
+    jest.spyOn(Payment, 'find').mockReturnValue({
+      select: () => Promise.resolve([]),
+      countDocuments: () => Promise.resolve(0)
+    });
+    jest.spyOn(PromoCode, 'reserveUse').mockResolvedValue(true);
+
+    const res = await initialize();
+
+    const [payment] = Payment.prototype.save.mock.instances;
+    expect(payment.providerData).toEqual({ id: 'pi_test_2', status: 'requires_payment_method', mode: 'elements' });
+    expect(res.json.mock.calls[0][0].data.clientData).toEqual({ clientSecret: 'pi_test_2_secret_abc' });
+  });
+
+  it('says when the device has used the code rather than that it ran out', async () => {
+    jest.spyOn(Payment, 'find').mockReturnValue({
+      select: () => Promise.resolve([]),
+      countDocuments: () => Promise.resolve(0)
+    });
+    // Another checkout from the device took the use after the price was worked out
+    jest.spyOn(PromoCode, 'reserveUse').mockResolvedValue(false);
+    jest.spyOn(PromoCode, 'findById').mockResolvedValue(promoCode({ [GUEST_MAC]: 1 }));
+
+    const res = await initialize();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Promo code has already been used on this device' });
+    expect(provider.createPaymentIntent).not.toHaveBeenCalled();
+  });
+});
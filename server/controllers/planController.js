@@ -0,0 +1,332 @@
+/**
+ * Plan Controller
+ * Handles admin management of WiFi plans
+ */
+
+const Plan = require('../models/Plan');
+const Voucher = require('../models/Voucher');
+const Guest = require('../models/Guest');
+const Payment = require('../models/Payment');
+
+// Fields an admin may set when creating or updating a plan
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'currency',
+  'prices',
+  'duration',
+  'billingInterval',
+  'bandwidth',
+  'dataLimit',
+  'features',
+  'isActive',
+  'sortOrder'
+];
+
+/**
+ * Pick the editable plan fields from a request body. A blank billing interval
+ * makes the plan a one-off purchase.
+ * @param {Object} body - Request body
+ * @returns {Object} - Plan fields
+ */
+const pickPlanFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = key === 'billingInterval' && !body[key] ? null : body[key];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Count the records that reference a plan
+ * @param {ObjectId} planId - Plan ID
+ * @returns {Promise<Object>} - Reference counts per collection
+ */
+const getPlanReferences = async (planId) => {
+  const [vouchers, guests, payments] = await Promise.all([
+    Voucher.countDocuments({ planId }),
+    Guest.countDocuments({ planId }),
+    Payment.countDocuments({ planId })
+  ]);
+
+  return {
+    vouchers,
+    guests,
+    payments,
+    total: vouchers + guests + payments
+  };
+};
+
+/**
+ * @route   GET /api/admin/plans
+ * @desc    Get all plans, including inactive ones
+ * @access  Admin
+ */
+exports.getAllPlans = async (req, res, next) => {
+  try {
+    const { active, includeArchived } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+    if (includeArchived !== 'true') query.archived = { $ne: true };
+
+    const plans = await Plan.find(query).sort({ sortOrder: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/admin/plans/:id
+ * @desc    Get plan details with reference counts
+ * @access  Admin
+ */
+exports.getPlan = async (req, res, next) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const references = await getPlanReferences(plan._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...plan.toObject(),
+        references
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/plans
+ * @desc    Create a plan
+ * @access  Admin
+ */
+exports.createPlan = async (req, res, next) => {
+  try {
+    const fields = pickPlanFields(req.body);
+
+    // New plans go to the end of the list unless a position is given
+    if (fields.sortOrder === undefined) {
+      const lastPlan = await Plan.findOne().sort({ sortOrder: -1 });
+      fields.sortOrder = lastPlan ? lastPlan.sortOrder + 1 : 1;
+    }
+
+    const plan = await Plan.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/admin/plans/:id
+ * @desc    Update a plan
+ * @access  Admin
+ */
+exports.updatePlan = async (req, res, next) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    if (plan.archived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archived plans cannot be modified'
+      });
+    }
+
+    plan.set(pickPlanFields(req.body));
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/plans/reorder
+ * @desc    Reorder plans by assigning sortOrder from a list of plan IDs
+ * @access  Admin
+ */
+exports.reorderPlans = async (req, res, next) => {
+  try {
+    const { planIds } = req.body;
+
+    if (!Array.isArray(planIds) || planIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'An ordered array of plan IDs is required'
+      });
+    }
+
+    const result = await Plan.bulkWrite(
+      planIds.map((planId, index) => ({
+        updateOne: {
+          filter: { _id: planId },
+          update: { $set: { sortOrder: index + 1 } }
+        }
+      }))
+    );
+
+    const plans = await Plan.find({ archived: { $ne: true } })
+      .sort({ sortOrder: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} plans reordered`,
+      data: plans
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that sets a plan's active flag
+ * @param {Boolean} isActive - Target state
+ * @returns {Function} - Express route handler
+ */
+const setPlanActive = (isActive) => async (req, res, next) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    if (plan.archived && isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archived plans cannot be activated'
+      });
+    }
+
+    plan.isActive = isActive;
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Plan ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/plans/:id/activate
+ * @desc    Make a plan available for purchase and vouchers
+ * @access  Admin
+ */
+exports.activatePlan = setPlanActive(true);
+
+/**
+ * @route   POST /api/admin/plans/:id/deactivate
+ * @desc    Hide a plan from guests without deleting it
+ * @access  Admin
+ */
+exports.deactivatePlan = setPlanActive(false);
+
+/**
+ * @route   DELETE /api/admin/plans/:id
+ * @desc    Delete a plan. Plans referenced by vouchers, guests or payments
+ *          are refused, or archived when ?archive=true is passed.
+ * @access  Admin
+ */
+exports.deletePlan = async (req, res, next) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const references = await getPlanReferences(plan._id);
+
+    // Unreferenced plans can be removed outright
+    if (references.total === 0) {
+      await plan.deleteOne();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Plan deleted successfully',
+        data: {
+          planId: plan._id,
+          deleted: true,
+          archived: false
+        }
+      });
+    }
+
+    if (req.query.archive !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: `Plan is in use by ${references.vouchers} vouchers, ${references.guests} guests and ${references.payments} payments. Archive it instead.`,
+        data: { references }
+      });
+    }
+
+    // Keep the document so history stays intact, but hide it everywhere
+    plan.archived = true;
+    plan.archivedAt = new Date();
+    plan.isActive = false;
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan is in use and has been archived',
+      data: {
+        planId: plan._id,
+        deleted: false,
+        archived: true,
+        references
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,248 @@
+/**
+ * Promo Code Controller
+ * Handles admin management of promo codes and their usage
+ */
+
+const PromoCode = require('../models/PromoCode');
+const Payment = require('../models/Payment');
+const { PROMO_USE_STATUSES, getPromoUsage } = require('../services/payments/pricing');
+
+// Fields an admin may set when creating or updating a promo code
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'currency',
+  'planIds',
+  'validFrom',
+  'validUntil',
+  'maxUses',
+  'maxUsesPerMac',
+  'isActive'
+];
+
+// Usage reported for codes that have never been redeemed
+const NO_USAGE = { uses: 0, devices: 0, lastUsedAt: null, totals: [] };
+
+/**
+ * Pick the editable promo code fields from a request body. Empty limits and
+ * dates are cleared rather than ignored.
+ * @param {Object} body - Request body
+ * @returns {Object} - Promo code fields
+ */
+const pickPromoCodeFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key] === '' ? null : body[key];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * @route   GET /api/admin/promo-codes
+ * @desc    Get all promo codes with usage stats
+ * @access  Admin
+ */
+exports.getAllPromoCodes = async (req, res, next) => {
+  try {
+    const { active } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+
+    const promoCodes = await PromoCode.find(query)
+      .populate('planIds', 'name')
+      .sort({ createdAt: -1 });
+
+    const usage = await getPromoUsage(promoCodes.map(promo => promo._id));
+
+    res.status(200).json({
+      success: true,
+      count: promoCodes.length,
+      data: promoCodes.map(promo => ({
+        ...promo.toJSON(),
+        usage: usage.get(String(promo._id)) || NO_USAGE
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/admin/promo-codes/:id
+ * @desc    Get promo code details with usage stats and recent redemptions
+ * @access  Admin
+ */
+exports.getPromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id)
+      .populate('planIds', 'name')
+      .populate('createdById', 'username');
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const [usage, redemptions] = await Promise.all([
+      getPromoUsage([promo._id]),
+      Payment.find({ 'promo.codeId': promo._id, status: { $in: PROMO_USE_STATUSES } })
+        .select('amount currency status promo customer.mac planId createdAt')
+        .populate('planId', 'name')
+        .sort({ createdAt: -1 })
+        .limit(20)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...promo.toJSON(),
+        usage: usage.get(String(promo._id)) || NO_USAGE,
+        redemptions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/promo-codes
+ * @desc    Create a promo code
+ * @access  Admin
+ */
+exports.createPromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.create({
+      ...pickPromoCodeFields(req.body),
+      createdById: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promo
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/admin/promo-codes/:id
+ * @desc    Update a promo code
+ * @access  Admin
+ */
+exports.updatePromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    promo.set(pickPromoCodeFields(req.body));
+    await promo.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promo
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that sets a promo code's active flag
+ * @param {Boolean} isActive - Target state
+ * @returns {Function} - Express route handler
+ */
+const setPromoCodeActive = (isActive) => async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    promo.isActive = isActive;
+    await promo.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Promo code ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: promo
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/promo-codes/:id/activate
+ * @desc    Let guests use a promo code again
+ * @access  Admin
+ */
+exports.activatePromoCode = setPromoCodeActive(true);
+
+/**
+ * @route   POST /api/admin/promo-codes/:id/deactivate
+ * @desc    Stop guests using a promo code without deleting it
+ * @access  Admin
+ */
+exports.deactivatePromoCode = setPromoCodeActive(false);
+
+/**
+ * @route   DELETE /api/admin/promo-codes/:id
+ * @desc    Delete a promo code. Codes already applied to payments are refused
+ *          so their history stays intact; deactivate them instead.
+ * @access  Admin
+ */
+exports.deletePromoCode = async (req, res, next) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const payments = await Payment.countDocuments({ 'promo.codeId': promo._id });
+
+    if (payments > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Promo code has been applied to ${payments} payments. Deactivate it instead.`,
+        data: { payments }
+      });
+    }
+
+    await promo.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code deleted successfully',
+      data: { promoCodeId: promo._id }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -264,10 +264,10 @@ exports.setupConfiguration = async (req, res, next) => {
         });
       }
       
-      // Also add Stripe as an active provider
+      // Also add Stripe as an active provider, alongside front-desk payments
       settingsToCreate.push({
         key: 'payment_active_providers',
-        value: ['stripe'],
+        value: ['stripe', 'manual'],
         group: 'payment',
         label: 'Active Payment Providers',
         description: 'Enabled payment providers',
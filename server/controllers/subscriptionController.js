@@ -0,0 +1,94 @@
+/**
+ * Subscription Controller
+ * Lets guests see and cancel the renewing plans paid for from their device
+ */
+
+const Subscription = require('../models/Subscription');
+const subscriptions = require('../services/payments/subscriptions');
+
+/**
+ * @route   GET /api/payments/subscriptions
+ * @desc    Get the guest device's current subscriptions
+ * @access  Guest session
+ */
+exports.getGuestSubscriptions = async (req, res, next) => {
+  try {
+    const guestSubscriptions = await Subscription.find({
+      'customer.mac': req.guestSession.mac,
+      status: { $in: ['active', 'past_due'] }
+    })
+      .populate('planId', 'name price currency billingInterval')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: guestSubscriptions.length,
+      data: guestSubscriptions.map(subscription => ({
+        id: subscription._id,
+        plan: subscription.planId,
+        amount: subscription.amount,
+        currency: subscription.currency,
+        status: subscription.status,
+        cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+        currentPeriodEnd: subscription.currentPeriodEnd
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/payments/subscriptions/:id/cancel
+ * @desc    Stop a subscription renewing; access lasts until the paid period ends
+ * @access  Guest session
+ */
+exports.cancelGuestSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    // Only the device that subscribed may cancel
+    if (subscription.customer?.mac !== req.guestSession.mac) {
+      return res.status(403).json({
+        success: false,
+        message: 'Subscription belongs to a different device'
+      });
+    }
+
+    if (!subscription.isRenewing()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is not renewing'
+      });
+    }
+
+    try {
+      await subscriptions.cancelSubscription(subscription);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription canceled, access continues until the end of the paid period',
+      data: {
+        id: subscription._id,
+        status: subscription.status,
+        cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+        currentPeriodEnd: subscription.currentPeriodEnd
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Tax Rate Controller
+ * Handles admin management of the tax rates charged on each site
+ */
+
+const TaxRate = require('../models/TaxRate');
+
+// Fields an admin may set when creating or updating a tax rate
+const EDITABLE_FIELDS = [
+  'name',
+  'rate',
+  'inclusive',
+  'site',
+  'isActive'
+];
+
+/**
+ * Pick the editable tax rate fields from a request body. A blank site makes
+ * the rate the default for sites without their own.
+ * @param {Object} body - Request body
+ * @returns {Object} - Tax rate fields
+ */
+const pickTaxRateFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = key === 'site' && !body[key] ? null : body[key];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * @route   GET /api/admin/tax-rates
+ * @desc    Get all tax rates
+ * @access  Admin
+ */
+exports.getAllTaxRates = async (req, res, next) => {
+  try {
+    const taxRates = await TaxRate.find().sort({ site: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: taxRates.length,
+      data: taxRates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/admin/tax-rates
+ * @desc    Create a tax rate
+ * @access  Admin
+ */
+exports.createTaxRate = async (req, res, next) => {
+  try {
+    const taxRate = await TaxRate.create(pickTaxRateFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: taxRate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/admin/tax-rates/:id
+ * @desc    Update a tax rate. Payments already taken keep the tax they were charged.
+ * @access  Admin
+ */
+exports.updateTaxRate = async (req, res, next) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    taxRate.set(pickTaxRateFields(req.body));
+    await taxRate.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: taxRate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/admin/tax-rates/:id
+ * @desc    Delete a tax rate
+ * @access  Admin
+ */
+exports.deleteTaxRate = async (req, res, next) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    await taxRate.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate deleted successfully',
+      data: { taxRateId: taxRate._id }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
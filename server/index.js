@@ -1,51 +1,27 @@
-const express = require('express');
-const cors = require('cors');
 const mongoose = require('mongoose');
-const morgan = require('morgan');
-const path = require('path');
 const config = require('./config/config');
-const errorHandler = require('./middleware/errorHandler');
+const app = require('./app');
+const controllerQueue = require('./services/unifi/controllerQueue');
+const expirySweeper = require('./services/unifi/expirySweeper');
+const usageSync = require('./services/unifi/usageSync');
+const webhookEvents = require('./services/payments/webhooks/eventLog');
+const paymentReconciliation = require('./services/payments/reconciliation');
 
-// Import routes
-const authRoutes = require('./routes/authRoutes');
-const adminRoutes = require('./routes/adminRoutes');
-const guestRoutes = require('./routes/guestRoutes');
-const paymentRoutes = require('./routes/paymentRoutes');
-const setupRoutes = require('./routes/setupRoutes');
-
-// Create Express app
-const app = express();
 const PORT = process.env.PORT || 3881;
 
-// Middleware
-app.use(morgan('dev'));
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Serve static files from the React app in production
-if (process.env.NODE_ENV === 'production') {
-  app.use(express.static(path.join(__dirname, '../build')));
-}
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/guest', guestRoutes);
-app.use('/api/payments', paymentRoutes);
-app.use('/api/setup', setupRoutes);
-
-// Handle React routing in production
-if (process.env.NODE_ENV === 'production') {
-  app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, '../build', 'index.html'));
-  });
+// Connect to MongoDB
+// Start the bundled mock UniFi Controller for demos and integration tests
+if (config.unifi.mock.enabled) {
+  const { createMockController } = require('./mock/unifiController');
+  createMockController(config.unifi.mock).listen()
+    .then(() => {
+      console.log(`Using mock UniFi Controller (${config.unifi.mock.type}) on port ${config.unifi.mock.port}`);
+    })
+    .catch(err => {
+      console.error('Mock UniFi Controller failed to start:', err.message);
+    });
 }
 
-// Error handling middleware
-app.use(errorHandler);
-
-// Connect to MongoDB
 mongoose.connect(config.database.uri, config.database.options)
   .then(() => {
     console.log('Connected to MongoDB');
@@ -53,6 +29,13 @@ mongoose.connect(config.database.uri, config.database.options)
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+    
+    // Start background jobs
+    controllerQueue.start();
+    expirySweeper.start();
+    usageSync.start();
+    webhookEvents.start();
+    paymentReconciliation.start();
   })
   .catch(err => {
     console.error('MongoDB connection error:', err);
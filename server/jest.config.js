@@ -0,0 +1,10 @@
+// Server tests run under Node; react-scripts only runs the tests under src/
+module.exports = {
+  rootDir: __dirname,
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/**/*.test.js'],
+  // Jest 27 ignores package exports, which would load axios's ES module build
+  moduleNameMapper: {
+    '^axios$': 'axios/dist/node/axios.cjs'
+  }
+};
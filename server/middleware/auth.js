@@ -6,6 +6,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/config');
+const { verifyGuestSession } = require('../utils/guestSession');
+const { formatMac } = require('../utils/mac');
 
 /**
  * Middleware to protect routes requiring authentication
@@ -102,6 +104,83 @@ exports.authorize = (...roles) => {
   };
 };
 
+/**
+ * Middleware to require a guest portal session token. The token is read from
+ * the X-Guest-Session header, and any MAC or AP the request claims must match
+ * the device the token was issued to.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.requireGuestSession = (req, res, next) => {
+  const token = req.headers['x-guest-session'];
+  
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Guest session required. Please reconnect to the WiFi network.'
+    });
+  }
+  
+  let session;
+  try {
+    session = verifyGuestSession(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Guest session is invalid or has expired. Please reconnect to the WiFi network.'
+    });
+  }
+  
+  // The token only works from the address it was issued to
+  if (config.guestSession.bindIp && session.ip !== req.ip) {
+    return res.status(403).json({
+      success: false,
+      message: 'Guest session does not belong to this connection'
+    });
+  }
+  
+  // Reject requests that try to act for a different device
+  const claimedMac = formatMac(req.body?.mac || req.headers['x-client-mac']);
+  const claimedAp = formatMac(req.body?.ap || req.headers['x-client-ap']);
+  
+  if ((claimedMac && claimedMac !== session.mac) || (claimedAp && session.ap && claimedAp !== session.ap)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Device does not match the guest session'
+    });
+  }
+  
+  req.guestSession = session;
+  next();
+};
+
+/**
+ * Middleware that reads a guest session token when one is sent, for public
+ * routes that tailor their response to the guest's site. A missing, invalid
+ * or foreign token is treated as no session rather than refused.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.optionalGuestSession = (req, res, next) => {
+  const token = req.headers['x-guest-session'];
+  
+  if (token) {
+    try {
+      const session = verifyGuestSession(token);
+      
+      if (!config.guestSession.bindIp || session.ip === req.ip) {
+        req.guestSession = session;
+      }
+    } catch (error) {
+      // Served as to a guest without a session
+    }
+  }
+  
+  next();
+};
+
 /**
  * Utility middleware to update last login time
  * @param {Object} req - Express request object
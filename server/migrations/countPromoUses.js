@@ -0,0 +1,69 @@
+/**
+ * Count held promo code uses
+ * Fills in heldUses and heldUsesByMac on promo codes, and marks the payments
+ * holding a use, from payments saved before uses were reserved at checkout.
+ * Safe to run more than once, but run it while guests cannot check out.
+ * Run with: node server/migrations/countPromoUses.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const PromoCode = require('../models/PromoCode');
+const Payment = require('../models/Payment');
+
+// Payments that hold a use of their promo code
+const HOLDING_STATUSES = ['initialized', 'processing', 'succeeded', 'partially_refunded'];
+
+async function countPromoUses() {
+  try {
+    const rows = await Payment.aggregate([
+      { $match: { 'promo.codeId': { $exists: true }, status: { $in: HOLDING_STATUSES } } },
+      { $group: { _id: { codeId: '$promo.codeId', mac: '$customer.mac' }, uses: { $sum: 1 } } }
+    ]);
+
+    const counts = new Map();
+    rows.forEach(({ _id, uses }) => {
+      const key = String(_id.codeId);
+      const count = counts.get(key) || { heldUses: 0, heldUsesByMac: {} };
+      count.heldUses += uses;
+      if (_id.mac) count.heldUsesByMac[_id.mac] = uses;
+      counts.set(key, count);
+    });
+
+    const promoCodes = await PromoCode.find().select('_id').lean();
+    await PromoCode.bulkWrite(promoCodes.map(({ _id }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: counts.get(String(_id)) || { heldUses: 0, heldUsesByMac: {} } }
+      }
+    })), { ordered: false });
+    console.log(`Counted uses of ${promoCodes.length} promo codes`);
+
+    const held = await Payment.updateMany(
+      { 'promo.codeId': { $exists: true }, status: { $in: HOLDING_STATUSES } },
+      { $set: { 'promo.reserved': true } }
+    );
+    const released = await Payment.updateMany(
+      { 'promo.codeId': { $exists: true }, status: { $nin: HOLDING_STATUSES } },
+      { $set: { 'promo.reserved': false } }
+    );
+    console.log(`Marked ${held.modifiedCount + released.modifiedCount} payments`);
+  } catch (error) {
+    console.error('Error counting promo code uses:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+mongoose.connect(config.database.uri, config.database.options)
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return countPromoUses();
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,101 @@
+/**
+ * Store plan prices and payment amounts in minor units
+ * Fills in priceMinor and amountMinor on plans and payments saved before
+ * they were added. Safe to run more than once.
+ * Run with: node server/migrations/storeMinorUnits.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const money = require('../utils/money');
+
+const Plan = require('../models/Plan');
+const Payment = require('../models/Payment');
+
+// Documents updated per bulk write
+const BATCH_SIZE = 500;
+
+/**
+ * Write updates in batches
+ * @param {Object} Model - Mongoose model
+ * @param {Object} cursor - Query cursor over the documents to update
+ * @param {Function} toUpdate - Maps a document to its $set, or null to skip it
+ * @returns {Promise<Number>} - Number of documents updated
+ */
+async function migrate(Model, cursor, toUpdate) {
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Model.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const update = toUpdate(doc);
+    if (!update) continue;
+
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return updated;
+}
+
+/**
+ * Convert an amount, warning when it had more decimals than its currency allows
+ * @param {String} label - What the amount is, for the warning
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO currency code
+ * @returns {Number} - Amount in minor units
+ */
+function toMinorUnits(label, amount, currency) {
+  if (!money.isValidAmount(amount, currency)) {
+    console.warn(`${label}: ${amount} ${currency} has more decimals than the currency allows and was rounded`);
+  }
+
+  return money.toMinorUnits(amount, currency);
+}
+
+async function storeMinorUnits() {
+  try {
+    // Plans are few, and their other-currency prices are all rewritten
+    const plans = await migrate(Plan, Plan.find().lean().cursor(), plan => ({
+      priceMinor: toMinorUnits(`Plan ${plan._id}`, plan.price, plan.currency),
+      prices: (plan.prices || []).map(entry => ({
+        ...entry,
+        priceMinor: toMinorUnits(`Plan ${plan._id}`, entry.price, entry.currency)
+      }))
+    }));
+    console.log(`Updated ${plans} plans`);
+
+    const payments = await migrate(
+      Payment,
+      Payment.find({ amountMinor: { $exists: false } }).select('amount currency').lean().cursor(),
+      payment => ({ amountMinor: toMinorUnits(`Payment ${payment._id}`, payment.amount, payment.currency) })
+    );
+    console.log(`Updated ${payments} payments`);
+  } catch (error) {
+    console.error('Error storing minor units:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+mongoose.connect(config.database.uri, config.database.options)
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return storeMinorUnits();
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
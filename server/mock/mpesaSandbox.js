@@ -0,0 +1,406 @@
+/**
+ * Mock M-Pesa Sandbox
+ * An in-memory stand-in for the Daraja API, used for demos and integration
+ * tests of the M-Pesa provider. It implements OAuth client credentials, STK
+ * push, STK push status queries and the result callback.
+ *
+ * There is no phone to approve the prompt on, so results are set with a
+ * mock-only helper: POST /__mock/stk/:id/complete with an optional
+ * { "resultCode": 1032 } (0, success, by default). The callback is then sent
+ * to the CallBackURL of the request. With autoCompleteMs set, every prompt
+ * succeeds on its own after that delay.
+ *
+ * Run standalone with `node server/mock/mpesaSandbox.js` and point
+ * MPESA_API_BASE_URL at it.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_OPTIONS = {
+  port: 8091,
+  consumerKey: 'sandbox-consumer-key',
+  consumerSecret: 'sandbox-consumer-secret',
+  passkey: 'sandbox-passkey',
+  tokenTtlSeconds: 3599,
+  // Settle every prompt successfully after this many ms; 0 waits for /__mock
+  autoCompleteMs: 0
+};
+
+// Prefix for mock-only helper endpoints
+const MOCK_PREFIX = '/__mock';
+
+// Result descriptions Daraja sends with each result code
+const RESULT_DESCRIPTIONS = {
+  0: 'The service request is processed successfully.',
+  1: 'The balance is insufficient for the transaction.',
+  1001: 'Unable to lock subscriber, a transaction is already in process for the current subscriber',
+  1019: 'Transaction has expired',
+  1032: 'Request cancelled by user',
+  1037: 'DS timeout user cannot be reached',
+  2001: 'The initiator information is invalid.'
+};
+
+/**
+ * Generate a Daraja-style request ID
+ * @param {String} prefix - ID prefix
+ * @returns {String}
+ */
+const createId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+/**
+ * Send a Daraja-style error
+ * @param {Object} res - Express response
+ * @param {Number} status - HTTP status
+ * @param {String} errorCode - Daraja error code
+ * @param {String} errorMessage - Error message
+ */
+const fail = (res, status, errorCode, errorMessage) => {
+  res.status(status).json({
+    requestId: createId(''),
+    errorCode,
+    errorMessage
+  });
+};
+
+/**
+ * Format a date as a Daraja transaction date (YYYYMMDDHHmmss)
+ * @param {Date} date
+ * @returns {Number}
+ */
+const toTransactionDate = (date) => Number(date.toISOString().replace(/\D/g, '').slice(0, 14));
+
+/**
+ * Create a mock M-Pesa sandbox
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} - { app, state, completeRequest, reset, listen, close }
+ */
+const createMpesaSandbox = (options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const state = {
+    tokens: new Map(),
+    requests: new Map(),
+    // Callbacks sent, with the response from the portal
+    callbacks: []
+  };
+
+  const timers = new Set();
+
+  const app = express();
+  app.use(express.json());
+
+  /**
+   * Build the callback body for a settled request
+   * @param {Object} request - STK request state
+   * @returns {Object} - Daraja callback
+   */
+  const toCallback = (request) => {
+    const stkCallback = {
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: request.resultCode,
+      ResultDesc: request.resultDesc
+    };
+
+    if (request.resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: request.amount },
+          { Name: 'MpesaReceiptNumber', Value: request.receiptNumber },
+          { Name: 'TransactionDate', Value: toTransactionDate(request.settledAt) },
+          { Name: 'PhoneNumber', Value: Number(request.phone) }
+        ]
+      };
+    }
+
+    return { Body: { stkCallback } };
+  };
+
+  /**
+   * Send the callback for a settled request to its CallBackURL
+   * @param {Object} request - STK request state
+   * @returns {Promise<Object>} - Delivery record
+   */
+  const sendCallback = async (request) => {
+    const delivery = {
+      checkoutRequestId: request.checkoutRequestId,
+      url: request.callbackUrl,
+      sentAt: new Date().toISOString()
+    };
+
+    try {
+      const response = await axios.post(request.callbackUrl, toCallback(request), { timeout: 10000 });
+      delivery.status = response.status;
+    } catch (error) {
+      delivery.status = error.response?.status || null;
+      delivery.error = error.message;
+    }
+
+    state.callbacks.push(delivery);
+    return delivery;
+  };
+
+  /**
+   * Settle a request as if the guest had responded on their phone
+   * @param {String} checkoutRequestId - Checkout request ID
+   * @param {Object} [result] - { resultCode, callback } where callback: false
+   *                            skips sending the callback
+   * @returns {Promise<Object|null>} - Request, or null if it doesn't exist
+   */
+  const completeRequest = async (checkoutRequestId, { resultCode = 0, callback = true } = {}) => {
+    const request = state.requests.get(checkoutRequestId);
+    if (!request) return null;
+
+    if (request.resultCode === null) {
+      request.resultCode = Number(resultCode);
+      request.resultDesc = RESULT_DESCRIPTIONS[request.resultCode] || 'The transaction failed';
+      request.settledAt = new Date();
+      request.receiptNumber = request.resultCode === 0 ? createId('SBX').slice(0, 10) : undefined;
+
+      if (callback) {
+        await sendCallback(request);
+      }
+    }
+
+    return request;
+  };
+
+  /**
+   * Build the public representation of a request
+   * @param {Object} request - STK request state
+   * @returns {Object}
+   */
+  const toRequest = (request) => ({
+    merchantRequestId: request.merchantRequestId,
+    checkoutRequestId: request.checkoutRequestId,
+    phone: request.phone,
+    amount: request.amount,
+    accountReference: request.accountReference,
+    transactionType: request.transactionType,
+    callbackUrl: request.callbackUrl,
+    resultCode: request.resultCode,
+    resultDesc: request.resultDesc,
+    receiptNumber: request.receiptNumber,
+    createdAt: request.createdAt
+  });
+
+  /**
+   * Check the password sent with an STK request
+   * @param {Object} body - Request body
+   * @returns {Boolean}
+   */
+  const validPassword = (body) => {
+    const expected = Buffer.from(`${body.BusinessShortCode}${settings.passkey}${body.Timestamp}`).toString('base64');
+    return body.Password === expected;
+  };
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    const [consumerKey, consumerSecret] = Buffer.from(encoded || '', 'base64').toString().split(':');
+
+    if (req.query.grant_type !== 'client_credentials') {
+      return fail(res, 400, '400.008.02', 'Invalid grant type passed');
+    }
+    if (scheme !== 'Basic' || consumerKey !== settings.consumerKey || consumerSecret !== settings.consumerSecret) {
+      return fail(res, 400, '400.008.01', 'Invalid Authentication passed');
+    }
+
+    const token = crypto.randomBytes(14).toString('base64').replace(/\W/g, '');
+    state.tokens.set(token, Date.now() + settings.tokenTtlSeconds * 1000);
+
+    // Daraja sends the lifetime as a string
+    res.json({
+      access_token: token,
+      expires_in: String(settings.tokenTtlSeconds)
+    });
+  });
+
+  // Everything below requires a bearer token
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const expiresAt = state.tokens.get(token);
+
+    if (scheme !== 'Bearer' || !expiresAt || expiresAt < Date.now()) {
+      return fail(res, 404, '404.001.03', 'Invalid Access Token');
+    }
+
+    next();
+  });
+
+  api.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+    const body = req.body || {};
+
+    if (!validPassword(body)) {
+      return fail(res, 400, '400.002.02', 'Bad Request - Invalid Password');
+    }
+    if (!['CustomerPayBillOnline', 'CustomerBuyGoodsOnline'].includes(body.TransactionType)) {
+      return fail(res, 400, '400.002.02', 'Bad Request - Invalid TransactionType');
+    }
+    if (!Number.isInteger(body.Amount) || body.Amount < 1) {
+      return fail(res, 400, '400.002.02', 'Bad Request - Invalid Amount');
+    }
+    if (!/^254\d{9}$/.test(String(body.PhoneNumber))) {
+      return fail(res, 400, '400.002.02', 'Bad Request - Invalid PhoneNumber');
+    }
+    if (!/^https?:\/\//.test(body.CallBackURL || '')) {
+      return fail(res, 400, '400.002.02', 'Bad Request - Invalid CallBackURL');
+    }
+
+    const request = {
+      merchantRequestId: createId('29115-'),
+      checkoutRequestId: createId('ws_CO_'),
+      shortcode: String(body.BusinessShortCode),
+      phone: String(body.PhoneNumber),
+      amount: body.Amount,
+      accountReference: body.AccountReference,
+      transactionType: body.TransactionType,
+      callbackUrl: body.CallBackURL,
+      resultCode: null,
+      resultDesc: null,
+      createdAt: new Date().toISOString()
+    };
+    state.requests.set(request.checkoutRequestId, request);
+
+    if (settings.autoCompleteMs > 0) {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        completeRequest(request.checkoutRequestId);
+      }, settings.autoCompleteMs);
+      timers.add(timer);
+    }
+
+    res.json({
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  });
+
+  api.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+    const body = req.body || {};
+
+    if (!validPassword(body)) {
+      return fail(res, 400, '400.002.02', 'Bad Request - Invalid Password');
+    }
+
+    const request = state.requests.get(body.CheckoutRequestID);
+
+    if (!request) {
+      return fail(res, 500, '500.001.1001', 'Unable to find the transaction');
+    }
+    // Daraja answers with an error until the guest has responded
+    if (request.resultCode === null) {
+      return fail(res, 500, '500.001.1001', 'The transaction is being processed');
+    }
+
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: String(request.resultCode),
+      ResultDesc: request.resultDesc
+    });
+  });
+
+  app.use(api);
+
+  // Mock-only helpers for tests and demos
+  app.post(`${MOCK_PREFIX}/stk/:id/complete`, async (req, res) => {
+    const request = await completeRequest(req.params.id, {
+      resultCode: req.body?.resultCode ?? 0,
+      callback: req.body?.callback !== false
+    });
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+    res.json(toRequest(request));
+  });
+
+  app.get(`${MOCK_PREFIX}/state`, (req, res) => {
+    res.json({
+      requests: [...state.requests.values()].map(toRequest),
+      callbacks: state.callbacks
+    });
+  });
+
+  app.post(`${MOCK_PREFIX}/reset`, (req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  /**
+   * Clear all state and pending automatic results
+   */
+  const reset = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    state.tokens.clear();
+    state.requests.clear();
+    state.callbacks.length = 0;
+  };
+
+  let server = null;
+
+  /**
+   * Start listening
+   * @param {Number} [port] - Port, defaults to the configured one
+   * @returns {Promise<Object>} - http.Server
+   */
+  const listen = (port = settings.port) => {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, () => resolve(server));
+      server.once('error', reject);
+    });
+  };
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  const close = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+
+    return new Promise(resolve => {
+      if (!server) return resolve();
+      server.close(() => resolve());
+      server = null;
+    });
+  };
+
+  return {
+    app,
+    state,
+    completeRequest,
+    reset,
+    listen,
+    close
+  };
+};
+
+module.exports = {
+  createMpesaSandbox
+};
+
+// Allow running the sandbox on its own
+if (require.main === module) {
+  const { mpesa } = require('../config/config').payments.providers;
+  const sandbox = createMpesaSandbox({
+    port: Number(process.env.MOCK_MPESA_PORT) || DEFAULT_OPTIONS.port,
+    consumerKey: mpesa.consumerKey || DEFAULT_OPTIONS.consumerKey,
+    consumerSecret: mpesa.consumerSecret || DEFAULT_OPTIONS.consumerSecret,
+    passkey: mpesa.passkey || DEFAULT_OPTIONS.passkey,
+    autoCompleteMs: Number(process.env.MOCK_MPESA_AUTO_COMPLETE_MS) || 0
+  });
+
+  sandbox.listen().then(server => {
+    console.log(`Mock M-Pesa sandbox listening on port ${server.address().port}`);
+  });
+}
@@ -0,0 +1,375 @@
+/**
+ * Mock PayPal Sandbox
+ * An in-memory stand-in for the PayPal REST API, used for demos and
+ * integration tests of the PayPal provider. It implements OAuth client
+ * credentials, Orders v2 create/get/capture, capture refunds and webhook
+ * signature verification.
+ *
+ * Buyers can't approve orders here, so approval is a mock-only helper:
+ * POST /__mock/orders/:id/approve. Webhook signatures verify unless the
+ * transmission signature is "invalid".
+ *
+ * Run standalone with `node server/mock/paypalSandbox.js` and point
+ * PAYPAL_API_BASE_URL at it.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const DEFAULT_OPTIONS = {
+  port: 8090,
+  clientId: 'sandbox-client-id',
+  clientSecret: 'sandbox-client-secret',
+  tokenTtlSeconds: 32400
+};
+
+// Prefix for mock-only helper endpoints
+const MOCK_PREFIX = '/__mock';
+
+/**
+ * Generate a PayPal-style resource ID
+ * @returns {String} - 17 character uppercase ID
+ */
+const createId = () => crypto.randomBytes(9).toString('hex').toUpperCase().slice(0, 17);
+
+/**
+ * Send a PayPal-style error
+ * @param {Object} res - Express response
+ * @param {Number} status - HTTP status
+ * @param {String} name - Error name
+ * @param {String} [issue] - Detail issue code
+ * @param {String} [description] - Detail description
+ */
+const fail = (res, status, name, issue, description) => {
+  res.status(status).json({
+    name,
+    message: description || name,
+    details: issue ? [{ issue, description }] : []
+  });
+};
+
+/**
+ * Create a mock PayPal sandbox
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} - { app, state, approveOrder, reset, listen, close }
+ */
+const createPayPalSandbox = (options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const state = {
+    tokens: new Map(),
+    orders: new Map(),
+    refunds: new Map(),
+    // Responses replayed for repeated PayPal-Request-Id headers
+    idempotency: new Map()
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * Build the public representation of an order
+   * @param {Object} order - Order state
+   * @returns {Object} - PayPal order
+   */
+  const toOrder = (order) => ({
+    id: order.id,
+    intent: order.intent,
+    status: order.status,
+    payer: order.payer,
+    purchase_units: order.purchase_units,
+    create_time: order.create_time,
+    links: [
+      { rel: 'self', href: `/v2/checkout/orders/${order.id}`, method: 'GET' },
+      { rel: 'approve', href: `${MOCK_PREFIX}/orders/${order.id}/approve`, method: 'POST' },
+      { rel: 'capture', href: `/v2/checkout/orders/${order.id}/capture`, method: 'POST' }
+    ]
+  });
+
+  /**
+   * Find the order holding a capture
+   * @param {String} captureId - Capture ID
+   * @returns {Object|null} - { order, capture }
+   */
+  const findCapture = (captureId) => {
+    for (const order of state.orders.values()) {
+      const capture = order.purchase_units[0].payments?.captures
+        ?.find(item => item.id === captureId);
+      if (capture) return { order, capture };
+    }
+    return null;
+  };
+
+  /**
+   * Mark an order as approved by the buyer
+   * @param {String} orderId - Order ID
+   * @returns {Object|null} - Order, or null if it doesn't exist
+   */
+  const approveOrder = (orderId) => {
+    const order = state.orders.get(orderId);
+    if (!order) return null;
+
+    if (order.status === 'CREATED') {
+      order.status = 'APPROVED';
+      order.payer = {
+        payer_id: createId().slice(0, 13),
+        email_address: 'sb-buyer@personal.example.com'
+      };
+    }
+
+    return order;
+  };
+
+  // Replay the stored response for a repeated PayPal-Request-Id
+  const idempotent = (req, res, next) => {
+    const requestId = req.get('PayPal-Request-Id');
+    const key = requestId && `${req.method} ${req.path} ${requestId}`;
+
+    if (key && state.idempotency.has(key)) {
+      const { status, body } = state.idempotency.get(key);
+      return res.status(status).json(body);
+    }
+
+    if (key) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode < 400) {
+          state.idempotency.set(key, { status: res.statusCode, body });
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+
+  app.post('/v1/oauth2/token', (req, res) => {
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    const [clientId, clientSecret] = Buffer.from(encoded || '', 'base64').toString().split(':');
+
+    if (scheme !== 'Basic' || clientId !== settings.clientId || clientSecret !== settings.clientSecret) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client Authentication failed' });
+    }
+
+    const token = `A21AA${crypto.randomBytes(24).toString('hex')}`;
+    state.tokens.set(token, Date.now() + settings.tokenTtlSeconds * 1000);
+
+    res.json({
+      scope: 'https://uri.paypal.com/services/payments/payment',
+      access_token: token,
+      token_type: 'Bearer',
+      app_id: 'APP-SANDBOX',
+      expires_in: settings.tokenTtlSeconds
+    });
+  });
+
+  // Everything below requires a bearer token
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const expiresAt = state.tokens.get(token);
+
+    if (scheme !== 'Bearer' || !expiresAt || expiresAt < Date.now()) {
+      return fail(res, 401, 'AUTHENTICATION_FAILURE', null, 'Authentication failed due to invalid authentication credentials');
+    }
+
+    next();
+  });
+
+  api.post('/v2/checkout/orders', idempotent, (req, res) => {
+    const { intent, purchase_units: purchaseUnits } = req.body || {};
+    const amount = purchaseUnits?.[0]?.amount;
+
+    if (intent !== 'CAPTURE') {
+      return fail(res, 422, 'UNPROCESSABLE_ENTITY', 'INTENT_NOT_SUPPORTED', 'Only CAPTURE intent is supported by the sandbox stub');
+    }
+    if (!amount?.currency_code || !(Number(amount.value) > 0)) {
+      return fail(res, 400, 'INVALID_REQUEST', 'INVALID_PARAMETER_VALUE', 'purchase_units[0].amount is invalid');
+    }
+
+    const order = {
+      id: createId(),
+      intent,
+      status: 'CREATED',
+      purchase_units: [{ ...purchaseUnits[0] }],
+      create_time: new Date().toISOString()
+    };
+    state.orders.set(order.id, order);
+
+    res.status(201).json(toOrder(order));
+  });
+
+  api.get('/v2/checkout/orders/:id', (req, res) => {
+    const order = state.orders.get(req.params.id);
+    if (!order) {
+      return fail(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+    }
+    res.json(toOrder(order));
+  });
+
+  api.post('/v2/checkout/orders/:id/capture', idempotent, (req, res) => {
+    const order = state.orders.get(req.params.id);
+
+    if (!order) {
+      return fail(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+    }
+    if (order.status === 'COMPLETED') {
+      return fail(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_CAPTURED', 'Order already captured');
+    }
+    if (order.status !== 'APPROVED') {
+      return fail(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_NOT_APPROVED', 'Payer has not yet approved the Order for payment');
+    }
+
+    const unit = order.purchase_units[0];
+    unit.payments = {
+      captures: [{
+        id: createId(),
+        status: 'COMPLETED',
+        amount: { ...unit.amount },
+        final_capture: true,
+        custom_id: unit.custom_id,
+        create_time: new Date().toISOString()
+      }]
+    };
+    order.status = 'COMPLETED';
+
+    res.status(201).json(toOrder(order));
+  });
+
+  api.post('/v2/payments/captures/:id/refund', idempotent, (req, res) => {
+    const found = findCapture(req.params.id);
+
+    if (!found) {
+      return fail(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+    }
+
+    const { capture } = found;
+    const captured = Number(capture.amount.value);
+    const refunded = capture.refundedTotal || 0;
+    const amount = req.body?.amount ? Number(req.body.amount.value) : captured - refunded;
+
+    if (capture.status === 'REFUNDED' || amount <= 0 || refunded + amount > captured + 0.001) {
+      return fail(res, 422, 'UNPROCESSABLE_ENTITY', 'REFUND_AMOUNT_EXCEEDED', 'The refund amount must be less than or equal to the capture amount that has not yet been refunded');
+    }
+
+    capture.refundedTotal = refunded + amount;
+    capture.status = capture.refundedTotal >= captured ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+    const refundId = createId();
+    const refund = {
+      id: refundId,
+      status: 'COMPLETED',
+      amount: { currency_code: capture.amount.currency_code, value: amount.toFixed(2) },
+      note_to_payer: req.body?.note_to_payer,
+      seller_payable_breakdown: {
+        total_refunded_amount: {
+          currency_code: capture.amount.currency_code,
+          value: capture.refundedTotal.toFixed(2)
+        }
+      },
+      create_time: new Date().toISOString(),
+      links: [
+        { rel: 'self', href: `/v2/payments/refunds/${refundId}`, method: 'GET' },
+        { rel: 'up', href: `/v2/payments/captures/${capture.id}`, method: 'GET' }
+      ]
+    };
+    state.refunds.set(refund.id, refund);
+
+    res.status(201).json(refund);
+  });
+
+  api.post('/v1/notifications/verify-webhook-signature', (req, res) => {
+    const body = req.body || {};
+    const valid = body.webhook_id && body.transmission_id && body.transmission_sig !== 'invalid';
+
+    res.json({ verification_status: valid ? 'SUCCESS' : 'FAILURE' });
+  });
+
+  app.use(api);
+
+  // Mock-only helpers for tests and demos
+  app.post(`${MOCK_PREFIX}/orders/:id/approve`, (req, res) => {
+    const order = approveOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.json(toOrder(order));
+  });
+
+  app.get(`${MOCK_PREFIX}/state`, (req, res) => {
+    res.json({
+      orders: [...state.orders.values()].map(toOrder),
+      refunds: [...state.refunds.values()]
+    });
+  });
+
+  app.post(`${MOCK_PREFIX}/reset`, (req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  /**
+   * Clear all state
+   */
+  const reset = () => {
+    state.tokens.clear();
+    state.orders.clear();
+    state.refunds.clear();
+    state.idempotency.clear();
+  };
+
+  let server = null;
+
+  /**
+   * Start listening
+   * @param {Number} [port] - Port, defaults to the configured one
+   * @returns {Promise<Object>} - http.Server
+   */
+  const listen = (port = settings.port) => {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, () => resolve(server));
+      server.once('error', reject);
+    });
+  };
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  const close = () => {
+    return new Promise(resolve => {
+      if (!server) return resolve();
+      server.close(() => resolve());
+      server = null;
+    });
+  };
+
+  return {
+    app,
+    state,
+    approveOrder,
+    reset,
+    listen,
+    close
+  };
+};
+
+module.exports = {
+  createPayPalSandbox
+};
+
+// Allow running the sandbox on its own
+if (require.main === module) {
+  const { paypal } = require('../config/config').payments.providers;
+  const sandbox = createPayPalSandbox({
+    port: Number(process.env.MOCK_PAYPAL_PORT) || DEFAULT_OPTIONS.port,
+    clientId: paypal.clientId || DEFAULT_OPTIONS.clientId,
+    clientSecret: paypal.clientSecret || DEFAULT_OPTIONS.clientSecret
+  });
+
+  sandbox.listen().then(server => {
+    console.log(`Mock PayPal sandbox listening on port ${server.address().port}`);
+  });
+}
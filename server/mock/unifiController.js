@@ -0,0 +1,493 @@
+/**
+ * Mock UniFi Controller
+ * A small in-memory stand-in for a UniFi Network controller, used for demos
+ * and integration tests. It implements the endpoints the portal relies on:
+ * login/logout, cmd/stamgr, rest/user and stat/sta, for both classic
+ * controllers and UniFi OS consoles (with CSRF tokens).
+ *
+ * Run standalone with `node server/mock/unifiController.js`, or set
+ * UNIFI_MOCK_CONTROLLER=true to have the portal start it and connect to it.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const DEFAULT_OPTIONS = {
+  port: 8443,
+  type: 'classic',
+  username: 'admin',
+  password: 'admin',
+  site: 'default',
+  // Sessions expire after this long, to exercise re-login
+  sessionTtlMs: 60 * 60 * 1000,
+  // Simulated traffic per authorized client, in bytes per second
+  bytesPerSecond: 50 * 1024,
+  // Devices that are connected to the guest network on startup
+  seedClients: [
+    { mac: '00:11:22:33:44:01', ip: '192.168.10.101', hostname: 'guest-phone' },
+    { mac: '00:11:22:33:44:02', ip: '192.168.10.102', hostname: 'guest-laptop' }
+  ]
+};
+
+// Prefix for mock-only helper endpoints
+const MOCK_PREFIX = '/__mock';
+
+/**
+ * Normalize a MAC address to lowercase colon notation
+ * @param {String} mac - MAC address in any format
+ * @returns {String|null} - Normalized MAC, or null if invalid
+ */
+const normalizeMac = (mac) => {
+  const clean = String(mac || '').replace(/[^a-fA-F0-9]/g, '').toLowerCase();
+  return clean.length === 12 ? clean.match(/.{2}/g).join(':') : null;
+};
+
+/**
+ * Parse a Cookie header into a name/value map
+ * @param {String} header - Cookie header
+ * @returns {Object} - Cookies
+ */
+const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+    return cookies;
+  }, {});
+};
+
+/**
+ * Build a controller-style response body
+ * @param {Array} data - Response data
+ * @returns {Object} - { meta, data }
+ */
+const ok = (data = []) => ({ meta: { rc: 'ok' }, data });
+
+/**
+ * Send a controller-style error
+ * @param {Object} res - Express response
+ * @param {Number} status - HTTP status
+ * @param {String} msg - Controller error message
+ */
+const fail = (res, status, msg) => {
+  res.status(status).json({ meta: { rc: 'error', msg }, data: [] });
+};
+
+/**
+ * Create a mock controller
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} - { app, state, listen, close }
+ */
+const createMockController = (options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const isUnifiOs = settings.type === 'unifios';
+  const apiPrefix = isUnifiOs ? '/proxy/network' : '';
+
+  const state = {
+    sessions: new Map(),
+    clients: new Map(),
+    users: new Map(),
+    // Queued HTTP statuses returned by the next site API calls
+    failures: [],
+    requests: []
+  };
+
+  /**
+   * Add or update a client device
+   * @param {Object} client - { mac, ip, hostname }
+   * @returns {Object} - Client state
+   */
+  const upsertClient = ({ mac, ip, hostname, isGuest = true }) => {
+    const normalizedMac = normalizeMac(mac);
+    if (!normalizedMac) {
+      throw new Error(`Invalid MAC address: ${mac}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const existing = state.clients.get(normalizedMac);
+    const client = existing || {
+      mac: normalizedMac,
+      authorized: false,
+      blocked: false,
+      rx_bytes: 0,
+      tx_bytes: 0,
+      first_seen: now,
+      trafficUpdatedAt: Date.now()
+    };
+
+    client.ip = ip || client.ip;
+    client.hostname = hostname || client.hostname || '';
+    client.is_guest = isGuest;
+    client.last_seen = now;
+    state.clients.set(normalizedMac, client);
+
+    return client;
+  };
+
+  /**
+   * Advance simulated traffic and guest expiry for a client
+   * @param {Object} client - Client state
+   */
+  const tick = (client) => {
+    const now = Date.now();
+
+    if (client.authorized && client.expiresAt && now >= client.expiresAt) {
+      client.authorized = false;
+    }
+
+    if (client.authorized && !client.blocked) {
+      const seconds = (now - client.trafficUpdatedAt) / 1000;
+      // Split roughly 80/20 between download (rx) and upload (tx)
+      client.rx_bytes += Math.round(seconds * settings.bytesPerSecond * 0.8);
+      client.tx_bytes += Math.round(seconds * settings.bytesPerSecond * 0.2);
+      client.last_seen = Math.floor(now / 1000);
+
+      // Stop guests that have used up their quota
+      if (client.quotaBytes && client.rx_bytes + client.tx_bytes >= client.quotaBytes) {
+        client.authorized = false;
+      }
+    }
+
+    client.trafficUpdatedAt = now;
+  };
+
+  /**
+   * Shape a client like the controller's stat/sta output
+   * @param {Object} client - Client state
+   * @returns {Object} - stat/sta entry
+   */
+  const toStation = (client) => {
+    tick(client);
+
+    return {
+      _id: crypto.createHash('md5').update(client.mac).digest('hex').slice(0, 24),
+      site_id: settings.site,
+      mac: client.mac,
+      ip: client.ip,
+      hostname: client.hostname,
+      is_guest: client.is_guest,
+      authorized: client.authorized,
+      blocked: client.blocked,
+      first_seen: client.first_seen,
+      last_seen: client.last_seen,
+      uptime: client.last_seen - client.first_seen,
+      rx_bytes: client.rx_bytes,
+      tx_bytes: client.tx_bytes,
+      rx_rate: client.authorized ? client.qos?.down || 0 : 0,
+      tx_rate: client.authorized ? client.qos?.up || 0 : 0,
+      signal: -55,
+      qos_policy_applied: Boolean(client.qos)
+    };
+  };
+
+  /**
+   * Create a login session and set its cookies on the response
+   * @param {Object} res - Express response
+   */
+  const startSession = (res) => {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const csrfToken = crypto.randomBytes(16).toString('hex');
+    state.sessions.set(sessionId, {
+      csrfToken,
+      expiresAt: Date.now() + settings.sessionTtlMs
+    });
+
+    if (isUnifiOs) {
+      // UniFi OS issues a JWT-style TOKEN cookie carrying the CSRF token
+      const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify({ sessionId, csrfToken })).toString('base64url');
+      res.cookie('TOKEN', `${header}.${payload}.`, { httpOnly: true });
+      res.set('X-CSRF-Token', csrfToken);
+    } else {
+      res.cookie('unifises', sessionId, { httpOnly: true });
+      res.cookie('csrf_token', csrfToken);
+    }
+  };
+
+  /**
+   * Resolve the session for a request
+   * @param {Object} req - Express request
+   * @returns {Object|null} - { sessionId, session }
+   */
+  const getSession = (req) => {
+    const cookies = parseCookies(req.headers.cookie);
+    let sessionId = cookies.unifises;
+
+    if (isUnifiOs && cookies.TOKEN) {
+      try {
+        sessionId = JSON.parse(Buffer.from(cookies.TOKEN.split('.')[1], 'base64url').toString()).sessionId;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const session = sessionId && state.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (Date.now() >= session.expiresAt) {
+      state.sessions.delete(sessionId);
+      return null;
+    }
+
+    return { sessionId, session };
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  // Record requests so tests can assert on what the portal sent
+  app.use((req, res, next) => {
+    if (!req.path.startsWith(MOCK_PREFIX)) {
+      state.requests.push({ method: req.method, path: req.path, body: req.body, at: new Date() });
+      if (state.requests.length > 200) state.requests.shift();
+    }
+    next();
+  });
+
+  // Controller type detection: UniFi OS answers 200, classic redirects
+  app.get('/', (req, res) => {
+    if (isUnifiOs) {
+      return res.status(200).send('<html><body>UniFi OS (mock)</body></html>');
+    }
+    res.redirect(302, '/manage');
+  });
+
+  app.post(isUnifiOs ? '/api/auth/login' : '/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (username !== settings.username || password !== settings.password) {
+      return fail(res, 400, 'api.err.Invalid');
+    }
+
+    startSession(res);
+    res.json(ok());
+  });
+
+  app.post(isUnifiOs ? '/api/auth/logout' : '/api/logout', (req, res) => {
+    const current = getSession(req);
+    if (current) {
+      state.sessions.delete(current.sessionId);
+    }
+    res.json(ok());
+  });
+
+  // Everything under the site API requires a session (and CSRF on UniFi OS)
+  const site = express.Router({ mergeParams: true });
+
+  site.use((req, res, next) => {
+    if (req.params.site !== settings.site) {
+      return fail(res, 400, 'api.err.NoSiteContext');
+    }
+
+    const current = getSession(req);
+    if (!current) {
+      return fail(res, 401, 'api.err.LoginRequired');
+    }
+
+    if (isUnifiOs && req.method !== 'GET' && req.get('X-CSRF-Token') !== current.session.csrfToken) {
+      return fail(res, 403, 'api.err.InvalidCSRFToken');
+    }
+
+    const injected = state.failures.shift();
+    if (injected) {
+      return fail(res, injected, 'api.err.MockFailure');
+    }
+
+    next();
+  });
+
+  site.post('/cmd/stamgr', (req, res) => {
+    const { cmd, mac, minutes, up, down, bytes } = req.body || {};
+    const normalizedMac = normalizeMac(mac);
+
+    if (!normalizedMac) {
+      return fail(res, 400, 'api.err.InvalidMac');
+    }
+
+    const client = state.clients.get(normalizedMac) || upsertClient({ mac: normalizedMac });
+    tick(client);
+
+    switch (cmd) {
+      case 'authorize-guest':
+        client.authorized = true;
+        client.expiresAt = Date.now() + (Number(minutes) || 60) * 60 * 1000;
+        client.qos = up || down ? { up: Number(up) || 0, down: Number(down) || 0 } : null;
+        // "bytes" is the quota in megabytes
+        client.quotaBytes = bytes ? Number(bytes) * 1024 * 1024 + client.rx_bytes + client.tx_bytes : null;
+        break;
+      case 'unauthorize-guest':
+        client.authorized = false;
+        client.expiresAt = null;
+        break;
+      case 'kick-sta':
+        // Kicked clients reconnect with fresh counters
+        client.rx_bytes = 0;
+        client.tx_bytes = 0;
+        client.first_seen = Math.floor(Date.now() / 1000);
+        break;
+      case 'block-sta':
+        client.blocked = true;
+        client.authorized = false;
+        break;
+      case 'unblock-sta':
+        client.blocked = false;
+        break;
+      default:
+        return fail(res, 400, 'api.err.UnknownCommand');
+    }
+
+    res.json(ok([{ mac: client.mac, authorized: client.authorized, blocked: client.blocked }]));
+  });
+
+  site.get('/rest/user', (req, res) => {
+    res.json(ok([...state.users.values()]));
+  });
+
+  site.post('/rest/user', (req, res) => {
+    const mac = normalizeMac(req.body?.mac);
+    if (!mac) {
+      return fail(res, 400, 'api.err.InvalidMac');
+    }
+
+    const existing = [...state.users.values()].find(user => user.mac === mac);
+    const user = {
+      ...existing,
+      ...req.body,
+      mac,
+      _id: existing?._id || crypto.randomBytes(12).toString('hex'),
+      site_id: settings.site
+    };
+    state.users.set(user._id, user);
+
+    res.json(ok([user]));
+  });
+
+  site.put('/rest/user/:id', (req, res) => {
+    const user = state.users.get(req.params.id);
+    if (!user) {
+      return fail(res, 400, 'api.err.IdInvalid');
+    }
+
+    Object.assign(user, req.body, { _id: user._id });
+    res.json(ok([user]));
+  });
+
+  site.get('/stat/sta', (req, res) => {
+    res.json(ok([...state.clients.values()].map(toStation)));
+  });
+
+  site.get('/stat/sta/:mac', (req, res) => {
+    const client = state.clients.get(normalizeMac(req.params.mac));
+    res.json(ok(client ? [toStation(client)] : []));
+  });
+
+  app.use(`${apiPrefix}/api/s/:site`, site);
+
+  // Mock-only helpers for tests and demos
+  app.get(`${MOCK_PREFIX}/state`, (req, res) => {
+    res.json({
+      type: settings.type,
+      site: settings.site,
+      sessions: state.sessions.size,
+      clients: [...state.clients.values()].map(toStation),
+      users: [...state.users.values()],
+      requests: state.requests
+    });
+  });
+
+  app.post(`${MOCK_PREFIX}/clients`, (req, res) => {
+    try {
+      res.status(201).json(toStation(upsertClient(req.body || {})));
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  app.delete(`${MOCK_PREFIX}/clients/:mac`, (req, res) => {
+    state.clients.delete(normalizeMac(req.params.mac));
+    res.status(204).end();
+  });
+
+  // Drop all sessions so the next portal request gets a 401
+  app.post(`${MOCK_PREFIX}/expire-sessions`, (req, res) => {
+    state.sessions.clear();
+    res.status(204).end();
+  });
+
+  // Make the next site API calls fail, e.g. { "statuses": [502, 502] }
+  app.post(`${MOCK_PREFIX}/failures`, (req, res) => {
+    state.failures.push(...(req.body?.statuses || [500]));
+    res.status(204).end();
+  });
+
+  app.post(`${MOCK_PREFIX}/reset`, (req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  /**
+   * Clear all state and re-add the seed clients
+   */
+  const reset = () => {
+    state.sessions.clear();
+    state.clients.clear();
+    state.users.clear();
+    state.failures.length = 0;
+    state.requests.length = 0;
+    settings.seedClients.forEach(upsertClient);
+  };
+
+  reset();
+
+  let server = null;
+
+  /**
+   * Start listening
+   * @param {Number} [port] - Port, defaults to the configured one
+   * @returns {Promise<Object>} - http.Server
+   */
+  const listen = (port = settings.port) => {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, () => resolve(server));
+      server.once('error', reject);
+    });
+  };
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  const close = () => {
+    return new Promise(resolve => {
+      if (!server) return resolve();
+      server.close(() => resolve());
+      server = null;
+    });
+  };
+
+  return {
+    app,
+    state,
+    upsertClient,
+    reset,
+    listen,
+    close
+  };
+};
+
+module.exports = {
+  createMockController
+};
+
+// Allow running the mock on its own
+if (require.main === module) {
+  const { mock: mockConfig } = require('../config/config').unifi;
+  const mock = createMockController(mockConfig);
+
+  mock.listen().then(server => {
+    console.log(`Mock UniFi Controller (${mockConfig.type}) listening on port ${server.address().port}`);
+  });
+}
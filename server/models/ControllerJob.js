@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const ControllerJobSchema = new mongoose.Schema({
+  // Operation to perform on the UniFi controller
+  type: {
+    type: String,
+    enum: ['authorize', 'unauthorize'],
+    required: [true, 'Job type is required']
+  },
+  mac: {
+    type: String,
+    required: [true, 'MAC address is required'],
+    trim: true,
+    lowercase: true
+  },
+  guestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest'
+  },
+  // Arguments passed to the UniFi service (e.g. duration, bandwidth)
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Queue state
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'dead', 'canceled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lastError: {
+    type: String,
+    trim: true
+  },
+  completedAt: {
+    type: Date
+  },
+
+  // Where the job came from (voucher, payment, admin, expiry, ...)
+  source: {
+    type: String,
+    trim: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+  }
+});
+
+// Method to schedule the next attempt with exponential backoff
+ControllerJobSchema.methods.scheduleRetry = function(errorMessage, baseDelayMs, maxDelayMs) {
+  this.lastError = errorMessage;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead';
+    this.completedAt = new Date();
+  } else {
+    const delay = Math.min(baseDelayMs * Math.pow(2, this.attempts - 1), maxDelayMs);
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return this.save();
+};
+
+// Indexes for efficient queries
+ControllerJobSchema.index({ status: 1, nextAttemptAt: 1 });
+ControllerJobSchema.index({ guestId: 1 });
+ControllerJobSchema.index({ mac: 1 });
+
+module.exports = mongoose.model('ControllerJob', ControllerJobSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers, incremented atomically
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required']
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to take the next value of a sequence
+CounterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -35,6 +35,15 @@ const GuestSchema = new mongoose.Schema({
   },
   
   // Connection information
+  apMac: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  ssid: {
+    type: String,
+    trim: true
+  },
   deviceType: {
     type: String,
     enum: ['mobile', 'tablet', 'laptop', 'desktop', 'other'],
@@ -75,7 +84,7 @@ const GuestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'authorized', 'connected', 'disconnected', 'blocked'],
+    enum: ['pending', 'pending_authorization', 'authorized', 'connected', 'disconnected', 'expired', 'blocked'],
     default: 'pending'
   },
   
@@ -93,6 +102,9 @@ const GuestSchema = new mongoose.Schema({
   disconnectedAt: {
     type: Date
   },
+  lastSeenAt: {
+    type: Date
+  },
   
   // Bandwidth usage
   dataUsage: {
@@ -110,6 +122,19 @@ const GuestSchema = new mongoose.Schema({
     }
   },
   
+  // Last raw byte counters reported by the controller. These reset when the
+  // client reconnects, so usage is accumulated from the difference.
+  usageCounters: {
+    rxBytes: {
+      type: Number,
+      default: 0
+    },
+    txBytes: {
+      type: Number,
+      default: 0
+    }
+  },
+  
   // Unifi specific information
   unifiData: {
     type: mongoose.Schema.Types.Mixed
@@ -147,10 +172,34 @@ GuestSchema.methods.getRemainingTime = function() {
 
 // Method to update data usage
 GuestSchema.methods.updateDataUsage = function(downloadBytes, uploadBytes) {
+  this.updateUsageTotals(downloadBytes, uploadBytes);
+  return this.save();
+};
+
+// Method to add bytes to the usage totals (does not save)
+GuestSchema.methods.updateUsageTotals = function(downloadBytes, uploadBytes) {
   this.dataUsage.download += downloadBytes || 0;
   this.dataUsage.upload += uploadBytes || 0;
   this.dataUsage.total = this.dataUsage.download + this.dataUsage.upload;
-  return this.save();
+  return this;
+};
+
+// Method to apply cumulative controller counters to data usage (does not save)
+GuestSchema.methods.applyUsageCounters = function(rxBytes, txBytes) {
+  const previous = this.usageCounters || {};
+  // A counter lower than last time means a new controller session started
+  const delta = (current, last) => {
+    if (!current) return 0;
+    return current >= (last || 0) ? current - (last || 0) : current;
+  };
+  
+  this.updateUsageTotals(delta(rxBytes, previous.rxBytes), delta(txBytes, previous.txBytes));
+  this.usageCounters = {
+    rxBytes: rxBytes || 0,
+    txBytes: txBytes || 0
+  };
+  
+  return this;
 };
 
 // Virtual for formatted expiration date
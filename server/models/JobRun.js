@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const JobRunSchema = new mongoose.Schema({
+  // Name of the background job (e.g. expiry-sweeper)
+  job: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  // Job-specific counts returned by the task
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+  }
+});
+
+// Static method to run a task and record its outcome
+JobRunSchema.statics.track = async function(job, task) {
+  const run = await this.create({ job });
+
+  try {
+    run.summary = await task();
+    run.status = 'succeeded';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    throw error;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+  }
+
+  return run;
+};
+
+// Static method to get the most recent run of a job
+JobRunSchema.statics.getLatest = function(job) {
+  return this.findOne({ job }).sort({ startedAt: -1 });
+};
+
+// Indexes for efficient queries
+JobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep run history for 30 days
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const money = require('../utils/money');
+const PromoCode = require('./PromoCode');
 
 const PaymentSchema = new mongoose.Schema({
   // Amount and currency
@@ -14,11 +16,44 @@ const PaymentSchema = new mongoose.Schema({
     lowercase: true,
     maxlength: [3, 'Currency code cannot exceed 3 characters']
   },
+  // The amount in the currency's minor units (cents, or whole yen for JPY),
+  // set from amount when the payment is saved. Totals are summed from this,
+  // so they are exact
+  amountMinor: {
+    type: Number,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Minor-unit amount must be a whole number'
+    }
+  },
+  
+  // Tax included in the amount above
+  tax: {
+    name: {
+      type: String,
+      trim: true
+    },
+    // Percentage
+    rate: {
+      type: Number
+    },
+    inclusive: {
+      type: Boolean
+    },
+    // Amount before tax
+    net: {
+      type: Number
+    },
+    amount: {
+      type: Number
+    }
+  },
   
   // Payment status
   status: {
     type: String,
-    enum: ['initialized', 'processing', 'succeeded', 'failed', 'refunded', 'partially_refunded'],
+    // canceled: abandoned before the guest paid, see the reconciliation job
+    enum: ['initialized', 'processing', 'succeeded', 'failed', 'canceled', 'refunded', 'partially_refunded'],
     default: 'initialized'
   },
   
@@ -37,13 +72,28 @@ const PaymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed
   },
   
+  // Front-desk payments: how the guest paid and who took the money
+  method: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Receipt or card terminal reference
+  reference: {
+    type: String,
+    trim: true
+  },
+  
   // If this payment is a refund, store the original payment ID
   originalPaymentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   },
   
-  // Refund information
+  // Refund information: total refunded so far and the latest reason
   refund: {
     amount: {
       type: Number
@@ -56,6 +106,94 @@ const PaymentSchema = new mongoose.Schema({
       type: Date
     }
   },
+  // Audit trail with an entry per refund, whoever issued it
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    // admin, or the provider webhook that reported a refund made elsewhere
+    source: {
+      type: String,
+      trim: true
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    providerRefundId: {
+      type: String,
+      trim: true
+    },
+    // What happened to the guest's network access
+    access: {
+      policy: {
+        type: String,
+        trim: true
+      },
+      action: {
+        type: String,
+        enum: ['revoked', 'shortened', 'none']
+      },
+      secondsRemoved: {
+        type: Number
+      }
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Chargeback raised by the cardholder's bank; see services/payments/disputes
+  dispute: {
+    providerDisputeId: {
+      type: String,
+      trim: true
+    },
+    // Provider's dispute status, e.g. needs_response, under_review, won, lost
+    status: {
+      type: String,
+      trim: true
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number
+    },
+    // Evidence must be submitted to the provider by this time
+    evidenceDueBy: {
+      type: Date
+    },
+    openedAt: {
+      type: Date
+    },
+    closedAt: {
+      type: Date
+    },
+    // Access suspended while the dispute is open, restored if it is won
+    access: {
+      suspendedAt: {
+        type: Date
+      },
+      secondsRemaining: {
+        type: Number
+      },
+      restoredAt: {
+        type: Date
+      }
+    }
+  },
   
   // Relations
   guestId: {
@@ -67,6 +205,92 @@ const PaymentSchema = new mongoose.Schema({
     ref: 'Plan',
     required: [true, 'Plan ID is required']
   },
+  // Subscription this payment paid a period of
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Voucher printed for the guest instead of authorizing a device
+  voucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  
+  // Promo code applied at checkout; amount above is what was charged
+  promo: {
+    codeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    originalAmount: {
+      type: Number
+    },
+    discount: {
+      type: Number
+    },
+    // Whether the payment holds one of the code's limited uses
+    reserved: {
+      type: Boolean
+    }
+  },
+  
+  // Last check of an unfinished payment against the provider
+  reconciliation: {
+    checkedAt: {
+      type: Date
+    },
+    providerStatus: {
+      type: String,
+      trim: true
+    },
+    // What the reconciliation job could not settle on its own
+    discrepancy: {
+      type: String,
+      trim: true
+    }
+  },
+  
+  // Sequential receipt number, assigned once the payment succeeds
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  receipt: {
+    issuedAt: {
+      type: Date
+    },
+    emailedAt: {
+      type: Date
+    },
+    emailError: {
+      type: String,
+      trim: true
+    }
+  },
+  
+  // Access granted for this payment; claimed before the guest is authorized
+  // so that the portal and webhooks never fulfil the same payment twice
+  fulfilment: {
+    status: {
+      type: String,
+      enum: ['claimed', 'fulfilled']
+    },
+    source: {
+      type: String,
+      trim: true
+    },
+    claimedAt: {
+      type: Date
+    },
+    fulfilledAt: {
+      type: Date
+    }
+  },
   
   // Customer information
   customer: {
@@ -79,9 +303,34 @@ const PaymentSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    // Mobile money number the payment prompt was sent to
+    phone: {
+      type: String,
+      trim: true
+    },
     ipAddress: {
       type: String,
       trim: true
+    },
+    // Device details from the UniFi portal redirect
+    mac: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    apMac: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    ssid: {
+      type: String,
+      trim: true
+    },
+    // UniFi site the guest connected through
+    site: {
+      type: String,
+      trim: true
     }
   },
   
@@ -114,19 +363,132 @@ const PaymentSchema = new mongoose.Schema({
   }
 });
 
-// Method to update payment status
-PaymentSchema.methods.updateStatus = function(status, providerData = {}) {
+// Store the amount in minor units as well; amount stays in major units for the API
+PaymentSchema.pre('validate', function(next) {
+  if (this.amount !== undefined && this.amount !== null) {
+    this.amountMinor = money.toMinorUnits(this.amount, this.currency);
+  }
+  
+  next();
+});
+
+// Statuses a payment may move to from each status. A failed payment can still
+// succeed when the guest retries with another card; canceled and refunded
+// payments never go back, so late webhooks and repeated confirmations cannot
+// undo them
+const STATUS_TRANSITIONS = {
+  initialized: ['processing', 'succeeded', 'failed', 'canceled'],
+  processing: ['succeeded', 'failed', 'canceled'],
+  failed: ['processing', 'succeeded'],
+  succeeded: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  refunded: [],
+  canceled: []
+};
+
+// Statuses in which a payment gives its promo code use back
+const PROMO_RELEASE_STATUSES = ['failed', 'canceled', 'refunded'];
+
+// Method to check whether the payment may move to a status; staying in the
+// current status is always allowed
+PaymentSchema.methods.canTransitionTo = function(status) {
+  return status === this.status || (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to update payment status. Resolves to false, with the payment
+// reloaded as stored, if its status was changed elsewhere since it was read
+PaymentSchema.methods.updateStatus = async function(status, providerData = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change payment status from ${this.status} to ${status}`);
+  }
+  
+  const previousStatus = this.status;
+  const previousProcessedAt = this.processedAt;
   this.status = status;
   
   // Merge new provider data with existing data
   this.providerData = { ...this.providerData, ...providerData };
   
-  // Set processed timestamp for final statuses
-  if (['succeeded', 'failed', 'refunded', 'partially_refunded'].includes(status)) {
+  // Set processed timestamp when the payment reaches a final status
+  if (status !== previousStatus && ['succeeded', 'failed', 'canceled', 'refunded', 'partially_refunded'].includes(status)) {
     this.processedAt = new Date();
   }
   
-  return this.save();
+  // Give back the promo code use, or take it again for a failed payment that
+  // went through after all; the limits no longer apply to money taken
+  const holdsPromo = Boolean(this.promo?.codeId) && !PROMO_RELEASE_STATUSES.includes(status);
+  const promoChanged = Boolean(this.promo?.codeId) && holdsPromo !== Boolean(this.promo.reserved);
+  
+  if (promoChanged) {
+    this.promo.reserved = holdsPromo;
+  }
+  
+  // Only save if the status was not changed elsewhere since the payment was
+  // read, e.g. by a webhook or a refund; the save then fails with
+  // DocumentNotFoundError
+  this.$where = { status: previousStatus };
+  
+  try {
+    await this.save();
+  } catch (error) {
+    const stored = error instanceof mongoose.Error.DocumentNotFoundError
+      ? await this.constructor.findById(this._id).lean()
+      : null;
+    
+    if (!stored) {
+      throw error;
+    }
+    
+    // Whoever changed it also took or gave back the promo code use
+    this.processedAt = previousProcessedAt;
+    this.modifiedPaths().forEach(path => this.unmarkModified(path));
+    this.init(stored);
+    return false;
+  } finally {
+    this.$where = undefined;
+  }
+  
+  if (promoChanged) {
+    const { codeId } = this.promo;
+    const mac = this.customer?.mac;
+    await (holdsPromo ? PromoCode.reserveUse(codeId, mac, { force: true }) : PromoCode.releaseUse(codeId, mac));
+  }
+  
+  return true;
+};
+
+// Static method to find a device's unpaid checkouts holding a use of a promo code
+PaymentSchema.statics.findPromoHolds = function(mac, code) {
+  return this.find({
+    status: 'initialized',
+    'customer.mac': mac,
+    'promo.code': code,
+    'promo.reserved': true
+  });
+};
+
+// Static method to give back the promo code uses held by a device's unpaid
+// checkouts with a code, when the guest starts another checkout with it. A
+// checkout paid after all takes its use again in updateStatus
+PaymentSchema.statics.releasePromoHolds = async function(mac, code) {
+  const open = await this.findPromoHolds(mac, code).select('promo');
+  
+  let released = 0;
+  
+  for (const payment of open) {
+    // Only one caller gives back each checkout's use
+    const result = await this.updateOne(
+      { _id: payment._id, status: 'initialized', 'promo.reserved': true },
+      { $set: { 'promo.reserved': false } }
+    );
+    
+    if (result.modifiedCount === 1) {
+      await PromoCode.releaseUse(payment.promo.codeId, mac);
+      released += 1;
+    }
+  }
+  
+  return released;
 };
 
 // Method to process refund
@@ -161,17 +523,71 @@ PaymentSchema.methods.processRefund = async function(amount, reason = '') {
   return this.save();
 };
 
+// Static method to total front-desk payments per operator, currency and method
+PaymentSchema.statics.getShiftTotals = async function({ from, to, recordedBy } = {}) {
+  const match = {
+    provider: 'manual',
+    createdAt: { $gte: from, $lte: to }
+  };
+  
+  if (recordedBy) {
+    match.recordedBy = new mongoose.Types.ObjectId(recordedBy);
+  }
+  
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { recordedBy: '$recordedBy', currency: '$currency', method: '$method' },
+        count: { $sum: 1 },
+        collected: { $sum: '$amountMinor' },
+        // Refunds from the admin endpoint are kept in providerData
+        refunded: { $sum: { $ifNull: ['$refund.amount', { $ifNull: ['$providerData.refund.amount', 0] }] } }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id.recordedBy',
+        foreignField: '_id',
+        as: 'operator'
+      }
+    },
+    { $sort: { '_id.recordedBy': 1, '_id.currency': 1, '_id.method': 1 } }
+  ]);
+  
+  // One entry per operator with a line per currency and method
+  const operators = new Map();
+  
+  for (const row of rows) {
+    const operatorId = String(row._id.recordedBy);
+    
+    if (!operators.has(operatorId)) {
+      operators.set(operatorId, {
+        operatorId,
+        username: row.operator[0]?.username || 'unknown',
+        totals: []
+      });
+    }
+    
+    operators.get(operatorId).totals.push({
+      currency: row._id.currency,
+      method: row._id.method,
+      count: row.count,
+      collected: money.fromMinorUnits(row.collected, row._id.currency),
+      refunded: money.roundAmount(row.refunded, row._id.currency),
+      net: money.subtractAmounts(money.fromMinorUnits(row.collected, row._id.currency), row.refunded, row._id.currency)
+    });
+  }
+  
+  return [...operators.values()];
+};
+
 // Virtual for formatted amount
 PaymentSchema.virtual('formattedAmount').get(function() {
-  const currencySymbols = {
-    usd: '$',
-    eur: '€',
-    gbp: '£',
-    // Add more currencies as needed
-  };
+  if (this.amount === undefined || !this.currency) return undefined;
   
-  const symbol = currencySymbols[this.currency.toLowerCase()] || this.currency.toUpperCase() + ' ';
-  return `${symbol}${this.amount.toFixed(2)}`;
+  return money.formatMoney(this.amount, this.currency);
 });
 
 // Virtual for formatted date
@@ -183,8 +599,13 @@ PaymentSchema.virtual('formattedDate').get(function() {
 // Indexes for efficient queries
 PaymentSchema.index({ status: 1 });
 PaymentSchema.index({ provider: 1, providerPaymentId: 1 });
+PaymentSchema.index({ provider: 1, recordedBy: 1, createdAt: -1 });
 PaymentSchema.index({ guestId: 1 });
 PaymentSchema.index({ planId: 1 });
+PaymentSchema.index({ subscriptionId: 1 });
+PaymentSchema.index({ 'dispute.status': 1 });
+PaymentSchema.index({ 'promo.codeId': 1, status: 1 });
+PaymentSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
 PaymentSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Payment = require('./Payment');
+const PromoCode = require('./PromoCode');
+
+// A payment as read from the database, with save stubbed out
+const loadPayment = (status, fields = {}) => {
+  const payment = Payment.hydrate({
+    _id: '64b7f0a1c2d3e4f5a6b7c8d9',
+    amount: 10,
+    currency: 'usd',
+    provider: 'stripe',
+    status,
+    ...fields
+  });
+
+  payment.save = jest.fn(function() {
+    this.savedWhere = this.$where;
+    return Promise.resolve(this);
+  });
+
+  return payment;
+};
+
+// Make the guarded save miss, as it does when the status was changed
+// elsewhere, and have findById return the stored payment
+const changeElsewhere = (payment, stored) => {
+  payment.save = jest.fn().mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: payment._id }, 'Payment', 0, {}));
+  jest.spyOn(Payment, 'findById').mockReturnValue({
+    lean: () => Promise.resolve({ _id: payment._id, amount: 10, currency: 'usd', provider: 'stripe', ...stored })
+  });
+};
+
+describe('Payment.updateStatus', () => {
+  it.each([
+    ['initialized', 'processing'],
+    ['initialized', 'succeeded'],
+    ['initialized', 'canceled'],
+    ['processing', 'succeeded'],
+    ['processing', 'failed'],
+    ['failed', 'succeeded'],
+    ['succeeded', 'partially_refunded'],
+    ['partially_refunded', 'refunded']
+  ])('moves a %s payment to %s', async (from, to) => {
+    const payment = loadPayment(from);
+
+    await payment.updateStatus(to, { providerStatus: to });
+
+    expect(payment.status).toBe(to);
+    expect(payment.providerData.providerStatus).toBe(to);
+    expect(payment.save).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ['refunded', 'succeeded'],
+    ['partially_refunded', 'succeeded'],
+    ['canceled', 'succeeded'],
+    ['canceled', 'processing'],
+    ['succeeded', 'failed'],
+    ['succeeded', 'processing'],
+    ['refunded', 'partially_refunded']
+  ])('refuses to move a %s payment to %s', async (from, to) => {
+    const payment = loadPayment(from);
+
+    await expect(payment.updateStatus(to)).rejects.toThrow(`Cannot change payment status from ${from} to ${to}`);
+
+    expect(payment.status).toBe(from);
+    expect(payment.save).not.toHaveBeenCalled();
+  });
+
+  it('lets a repeated confirmation keep the status and processing time', async () => {
+    const payment = loadPayment('succeeded');
+    const processedAt = new Date('2024-01-01T00:00:00Z');
+    payment.processedAt = processedAt;
+
+    await payment.updateStatus('succeeded', { captureId: 'CAPTURE-1' });
+
+    expect(payment.status).toBe('succeeded');
+    expect(payment.processedAt).toEqual(processedAt);
+    expect(payment.providerData.captureId).toBe('CAPTURE-1');
+  });
+
+  it('only saves if the stored status has not changed since it was read', async () => {
+    const payment = loadPayment('processing');
+
+    await expect(payment.updateStatus('succeeded')).resolves.toBe(true);
+
+    expect(payment.savedWhere).toEqual({ status: 'processing' });
+    expect(payment.$where).toBeUndefined();
+  });
+
+  it('reports a status changed elsewhere and reloads the payment as stored', async () => {
+    const payment = loadPayment('initialized');
+    const processedAt = new Date('2024-01-01T00:00:00Z');
+    changeElsewhere(payment, { status: 'succeeded', processedAt, providerData: { paymentIntentId: 'pi_1' } });
+
+    await expect(payment.updateStatus('failed', { error: 'card_declined' })).resolves.toBe(false);
+
+    expect(payment.status).toBe('succeeded');
+    expect(payment.processedAt).toEqual(processedAt);
+    expect(payment.providerData).toEqual({ paymentIntentId: 'pi_1' });
+    expect(payment.isModified()).toBe(false);
+    expect(payment.$where).toBeUndefined();
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Payment.canTransitionTo', () => {
+  it('treats refunded and canceled payments as final', () => {
+    expect(loadPayment('refunded').canTransitionTo('succeeded')).toBe(false);
+    expect(loadPayment('canceled').canTransitionTo('succeeded')).toBe(false);
+    expect(loadPayment('canceled').canTransitionTo('failed')).toBe(false);
+  });
+});
+
+describe('Payment minor units', () => {
+  it.each([
+    [12.5, 'usd', 1250],
+    [1500, 'jpy', 1500],
+    [2.125, 'kwd', 2125]
+  ])('stores %p %s as %p minor units', async (amount, currency, minor) => {
+    const payment = new Payment({ amount, currency });
+
+    await payment.validate(['amount', 'amountMinor']);
+
+    expect(payment.amountMinor).toBe(minor);
+  });
+});
+
+describe('Payment promo code uses', () => {
+  const promo = { codeId: '64b7f0a1c2d3e4f5a6b7c8e0', code: 'TENOFF', reserved: true };
+  const customer = { mac: 'aa:bb:cc:dd:ee:ff' };
+
+  beforeEach(() => {
+    jest.spyOn(PromoCode, 'reserveUse').mockResolvedValue(true);
+    jest.spyOn(PromoCode, 'releaseUse').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(['failed', 'canceled'])('gives the use back when the payment is %s', async (status) => {
+    const payment = loadPayment('initialized', { promo, customer });
+
+    await payment.updateStatus(status);
+
+    expect(payment.promo.reserved).toBe(false);
+    expect(PromoCode.releaseUse).toHaveBeenCalledWith(payment.promo.codeId, 'aa:bb:cc:dd:ee:ff');
+  });
+
+  it('keeps the use when the payment goes through', async () => {
+    const payment = loadPayment('processing', { promo, customer });
+
+    await payment.updateStatus('succeeded');
+
+    expect(payment.promo.reserved).toBe(true);
+    expect(PromoCode.releaseUse).not.toHaveBeenCalled();
+    expect(PromoCode.reserveUse).not.toHaveBeenCalled();
+  });
+
+  it('takes the use again, whatever the limits, when a failed payment goes through', async () => {
+    const payment = loadPayment('failed', { promo: { ...promo, reserved: false }, customer });
+
+    await payment.updateStatus('succeeded');
+
+    expect(payment.promo.reserved).toBe(true);
+    expect(PromoCode.reserveUse).toHaveBeenCalledWith(payment.promo.codeId, 'aa:bb:cc:dd:ee:ff', { force: true });
+  });
+
+  it('leaves the use to whoever changed the status first', async () => {
+    const payment = loadPayment('initialized', { promo, customer });
+    changeElsewhere(payment, { status: 'succeeded', promo, customer });
+
+    await expect(payment.updateStatus('canceled')).resolves.toBe(false);
+
+    expect(payment.promo.reserved).toBe(true);
+    expect(PromoCode.releaseUse).not.toHaveBeenCalled();
+  });
+
+  it('gives back the uses of checkouts the device left unpaid, once each', async () => {
+    const open = [
+      loadPayment('initialized', { promo, customer }),
+      loadPayment('initialized', { _id: '64b7f0a1c2d3e4f5a6b7c8da', promo, customer })
+    ];
+    const find = jest.spyOn(Payment, 'find').mockReturnValue({ select: () => Promise.resolve(open) });
+    const updateOne = jest.spyOn(Payment, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(Payment.releasePromoHolds('aa:bb:cc:dd:ee:ff', 'TENOFF')).resolves.toBe(1);
+
+    expect(find).toHaveBeenCalledWith({
+      status: 'initialized',
+      'customer.mac': 'aa:bb:cc:dd:ee:ff',
+      'promo.code': 'TENOFF',
+      'promo.reserved': true
+    });
+    expect(updateOne.mock.calls[0]).toEqual([
+      { _id: open[0]._id, status: 'initialized', 'promo.reserved': true },
+      { $set: { 'promo.reserved': false } }
+    ]);
+    expect(PromoCode.releaseUse).toHaveBeenCalledTimes(1);
+    expect(PromoCode.releaseUse).toHaveBeenCalledWith(open[0].promo.codeId, 'aa:bb:cc:dd:ee:ff');
+  });
+
+  it('does not give the use back when the status could not be saved', async () => {
+    const payment = loadPayment('initialized', { promo, customer });
+    payment.save = jest.fn().mockRejectedValue(new Error('No document found'));
+
+    await expect(payment.updateStatus('canceled')).rejects.toThrow('No document found');
+
+    expect(PromoCode.releaseUse).not.toHaveBeenCalled();
+  });
+});
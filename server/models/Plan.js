@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const money = require('../utils/money');
 
 const PlanSchema = new mongoose.Schema({
   name: {
@@ -15,7 +16,22 @@ const PlanSchema = new mongoose.Schema({
   price: {
     type: Number,
     required: [true, 'Price is required'],
-    min: [0, 'Price cannot be negative']
+    min: [0, 'Price cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return money.isValidAmount(value, this.currency);
+      },
+      message: props => `Price ${props.value} has more decimals than the currency allows`
+    }
+  },
+  // The price in the currency's minor units (cents, or whole yen for JPY),
+  // set from price when the plan is saved
+  priceMinor: {
+    type: Number,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Minor-unit price must be a whole number'
+    }
   },
   currency: {
     type: String,
@@ -25,6 +41,41 @@ const PlanSchema = new mongoose.Schema({
     lowercase: true,
     maxlength: [3, 'Currency code cannot exceed 3 characters']
   },
+  // Prices in other currencies, for guests shown prices in their own; price
+  // and currency above stay the plan's main price
+  prices: {
+    type: [{
+      currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        trim: true,
+        lowercase: true,
+        maxlength: [3, 'Currency code cannot exceed 3 characters']
+      },
+      price: {
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price cannot be negative'],
+        validate: {
+          validator: function(value) {
+            return money.isValidAmount(value, this.currency);
+          },
+          message: props => `Price ${props.value} has more decimals than the currency allows`
+        }
+      },
+      priceMinor: {
+        type: Number
+      }
+    }],
+    _id: false,
+    validate: {
+      validator: function(prices) {
+        const currencies = [this.currency, ...prices.map(price => price.currency)];
+        return new Set(currencies).size === currencies.length;
+      },
+      message: 'Each currency can only have one price'
+    }
+  },
   duration: {
     value: {
       type: Number,
@@ -38,6 +89,13 @@ const PlanSchema = new mongoose.Schema({
       default: 'hours'
     }
   },
+  // Plans with an interval renew automatically and are billed every interval;
+  // set the duration to match so each paid period extends access by one interval
+  billingInterval: {
+    type: String,
+    enum: ['week', 'month', 'year'],
+    default: null
+  },
   bandwidth: {
     download: {
       type: Number,
@@ -83,6 +141,15 @@ const PlanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Archived plans are kept for plans referenced by vouchers, guests or
+  // payments that an admin has deleted
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -95,9 +162,39 @@ const PlanSchema = new mongoose.Schema({
   timestamps: { 
     createdAt: 'createdAt', 
     updatedAt: 'updatedAt' 
+  },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Store prices in minor units as well; price stays in major units for the API
+PlanSchema.pre('validate', function(next) {
+  if (this.price !== undefined && this.price !== null) {
+    this.priceMinor = money.toMinorUnits(this.price, this.currency);
   }
+  
+  (this.prices || []).forEach(entry => {
+    entry.priceMinor = money.toMinorUnits(entry.price, entry.currency);
+  });
+  
+  next();
 });
 
+// Method to list the currencies the plan is priced in, main currency first
+PlanSchema.methods.getCurrencies = function() {
+  return [this.currency, ...(this.prices || []).map(price => price.currency)];
+};
+
+// Method to get the price in a currency, or the main price if none is given
+PlanSchema.methods.getPrice = function(currency) {
+  if (!currency || currency.toLowerCase() === this.currency) {
+    return { price: this.price, currency: this.currency };
+  }
+
+  const entry = (this.prices || []).find(price => price.currency === currency.toLowerCase());
+  return entry ? { price: entry.price, currency: entry.currency } : null;
+};
+
 // Method to get plan duration in seconds
 PlanSchema.methods.getDurationInSeconds = function() {
   const { value, unit } = this.duration;
@@ -130,19 +227,16 @@ PlanSchema.methods.getDataLimitInBytes = function() {
 
 // Virtual for formatted price
 PlanSchema.virtual('formattedPrice').get(function() {
-  const currencySymbols = {
-    usd: '$',
-    eur: '€',
-    gbp: '£',
-    // Add more currencies as needed
-  };
+  // Partial selects (e.g. populate with a field list) may omit the price
+  if (this.price === undefined || !this.currency) return undefined;
   
-  const symbol = currencySymbols[this.currency.toLowerCase()] || this.currency.toUpperCase() + ' ';
-  return `${symbol}${this.price.toFixed(2)}`;
+  return money.formatMoney(this.price, this.currency);
 });
 
 // Virtual for formatted duration
 PlanSchema.virtual('formattedDuration').get(function() {
+  if (!this.duration?.unit) return undefined;
+  
   const { value, unit } = this.duration;
   
   // Handle singular/plural
@@ -153,19 +247,28 @@ PlanSchema.virtual('formattedDuration').get(function() {
 
 // Virtual for formatted bandwidth
 PlanSchema.virtual('formattedBandwidth').get(function() {
+  if (!this.bandwidth) return undefined;
+  
   const { download, upload, unit } = this.bandwidth;
   return `${download}/${upload} ${unit}`;
 });
 
 // Virtual for formatted data limit
 PlanSchema.virtual('formattedDataLimit').get(function() {
-  if (this.dataLimit.unlimited) return 'Unlimited';
+  if (!this.dataLimit) return undefined;
+  if (this.dataLimit.unlimited || !this.dataLimit.value) return 'Unlimited';
   
   const { value, unit } = this.dataLimit;
   return `${value} ${unit.toUpperCase()}`;
 });
 
+// Virtual for whether the plan renews automatically
+PlanSchema.virtual('isSubscription').get(function() {
+  return Boolean(this.billingInterval);
+});
+
 // Index for efficient queries
 PlanSchema.index({ isActive: 1, sortOrder: 1 });
+PlanSchema.index({ archived: 1 });
 
 module.exports = mongoose.model('Plan', PlanSchema);
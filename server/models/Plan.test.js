@@ -0,0 +1,25 @@
+const Plan = require('./Plan');
+
+describe('Plan minor units', () => {
+  it('stores each price in its currency minor units', async () => {
+    const plan = new Plan({
+      price: 4.99,
+      currency: 'usd',
+      prices: [
+        { currency: 'jpy', price: 800 },
+        { currency: 'bhd', price: 1.875 }
+      ]
+    });
+
+    await plan.validate(['price', 'priceMinor', 'prices']);
+
+    expect(plan.priceMinor).toBe(499);
+    expect(plan.prices.map(entry => entry.priceMinor)).toEqual([800, 1875]);
+  });
+
+  it('refuses prices with more decimals than the currency has', async () => {
+    const plan = new Plan({ price: 800.5, currency: 'jpy' });
+
+    await expect(plan.validate(['price'])).rejects.toThrow('more decimals than the currency allows');
+  });
+});
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+const PromoCodeSchema = new mongoose.Schema({
+  // Code guests type on the purchase page, stored uppercase
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    minlength: [3, 'Promo code must be at least 3 characters'],
+    maxlength: [32, 'Promo code cannot exceed 32 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Promo code may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // Discount
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  // Percent off for percentage codes, amount off in major units for fixed codes
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount must be greater than zero'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100'
+    }
+  },
+  // Fixed discounts only apply to plans priced in this currency
+  currency: {
+    type: String,
+    default: 'usd',
+    trim: true,
+    lowercase: true,
+    maxlength: [3, 'Currency code cannot exceed 3 characters']
+  },
+
+  // Plans the code applies to; empty means every plan
+  planIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  }],
+
+  // Validity window; either end may be open
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.validFrom || value > this.validFrom;
+      },
+      message: 'Promo code must end after it starts'
+    }
+  },
+
+  // Redemption limits; empty means unlimited
+  maxUses: {
+    type: Number,
+    min: [1, 'Maximum uses must be at least 1']
+  },
+  maxUsesPerMac: {
+    type: Number,
+    min: [1, 'Maximum uses per device must be at least 1']
+  },
+  // Uses held by open and paid payments, overall and per device MAC. Checkouts
+  // take a use with reserveUse, and failed, canceled and refunded payments
+  // give it back, so concurrent checkouts cannot go over the limits above
+  heldUses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  heldUsesByMac: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+  },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Method to check whether the code is within its validity window
+PromoCodeSchema.methods.isCurrent = function(now = new Date()) {
+  if (this.validFrom && this.validFrom > now) return false;
+  if (this.validUntil && this.validUntil < now) return false;
+  return true;
+};
+
+// Method to explain why a device cannot take another use of the code, or null
+// if it can. Uses held by open checkouts count as well as paid ones, except
+// the device's own unpaid checkouts it is about to give back (ownHolds)
+PromoCodeSchema.methods.getUseLimitMessage = function(mac, ownHolds = 0) {
+  const deviceUses = mac ? (this.heldUsesByMac.get(mac) || 0) - ownHolds : 0;
+
+  if (this.maxUsesPerMac && mac && deviceUses >= this.maxUsesPerMac) {
+    return 'Promo code has already been used on this device';
+  }
+
+  if (this.maxUses && this.heldUses - ownHolds >= this.maxUses) {
+    return 'Promo code has no uses left';
+  }
+
+  return null;
+};
+
+// Method to check whether the code can be used on a plan paid in a currency
+PromoCodeSchema.methods.appliesToPlan = function(plan, currency = plan.currency) {
+  if (this.planIds.length > 0 && !this.planIds.some(planId => planId.equals(plan._id))) {
+    return false;
+  }
+
+  // A fixed amount off only makes sense in the currency it was set in
+  return this.discountType !== 'fixed' || this.currency === currency;
+};
+
+// Method to calculate the discount on a price, never more than the price itself
+PromoCodeSchema.methods.calculateDiscount = function(price, currency) {
+  const priceMinor = money.toMinorUnits(price, currency);
+  const discount = this.discountType === 'percentage'
+    ? Math.round(priceMinor * this.discountValue / 100)
+    : money.toMinorUnits(this.discountValue, currency);
+
+  return money.fromMinorUnits(Math.min(discount, priceMinor), currency);
+};
+
+// Static method to take a use of a code for a device. Only succeeds while the
+// code is under its limits, checked in the same update so two checkouts
+// cannot both take the last use; force skips the limits
+PromoCodeSchema.statics.reserveUse = async function(codeId, mac, { force = false } = {}) {
+  const inc = mac ? { heldUses: 1, [`heldUsesByMac.${mac}`]: 1 } : { heldUses: 1 };
+  const deviceUses = mac
+    ? { $ifNull: [{ $getField: { field: mac, input: '$heldUsesByMac' } }, 0] }
+    : 0;
+
+  const filter = force ? { _id: codeId } : {
+    _id: codeId,
+    $expr: {
+      $and: [
+        { $or: [{ $not: ['$maxUses'] }, { $lt: [{ $ifNull: ['$heldUses', 0] }, '$maxUses'] }] },
+        { $or: [{ $not: ['$maxUsesPerMac'] }, { $lt: [deviceUses, '$maxUsesPerMac'] }] }
+      ]
+    }
+  };
+
+  const result = await this.updateOne(filter, { $inc: inc });
+  return result.modifiedCount === 1;
+};
+
+// Static method to give back a use taken with reserveUse
+PromoCodeSchema.statics.releaseUse = function(codeId, mac) {
+  const inc = mac ? { heldUses: -1, [`heldUsesByMac.${mac}`]: -1 } : { heldUses: -1 };
+  return this.updateOne({ _id: codeId, heldUses: { $gt: 0 } }, { $inc: inc });
+};
+
+// Virtual for formatted discount
+PromoCodeSchema.virtual('formattedDiscount').get(function() {
+  if (this.discountValue === undefined) return undefined;
+
+  if (this.discountType === 'percentage') {
+    return `${this.discountValue}% off`;
+  }
+
+  return `${money.formatMoney(this.discountValue, this.currency)} off`;
+});
+
+// Indexes for efficient queries
+PromoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
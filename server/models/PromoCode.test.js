@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const PromoCode = require('./PromoCode');
+
+describe('PromoCode.calculateDiscount', () => {
+  it('takes a percentage off, rounded to the currency smallest unit', () => {
+    const promo = new PromoCode({ code: 'TENOFF', discountType: 'percentage', discountValue: 10 });
+
+    expect(promo.calculateDiscount(9.99, 'usd')).toBe(1);
+    expect(promo.calculateDiscount(1234, 'jpy')).toBe(123);
+    expect(promo.calculateDiscount(1.235, 'kwd')).toBe(0.124);
+  });
+
+  it('takes a fixed amount off', () => {
+    const promo = new PromoCode({ code: 'TWOOFF', discountType: 'fixed', discountValue: 2.5, currency: 'usd' });
+
+    expect(promo.calculateDiscount(9.99, 'usd')).toBe(2.5);
+  });
+
+  it('never takes off more than the price', () => {
+    const fixed = new PromoCode({ code: 'BIG', discountType: 'fixed', discountValue: 500, currency: 'jpy' });
+    const percentage = new PromoCode({ code: 'ALL', discountType: 'percentage', discountValue: 100 });
+
+    expect(fixed.calculateDiscount(300, 'jpy')).toBe(300);
+    expect(percentage.calculateDiscount(0.5, 'kwd')).toBe(0.5);
+  });
+});
+
+describe('PromoCode.appliesToPlan', () => {
+  const plan = { _id: new mongoose.Types.ObjectId(), currency: 'usd' };
+
+  it('applies fixed discounts only in their own currency', () => {
+    const promo = new PromoCode({ code: 'FIVE', discountType: 'fixed', discountValue: 5, currency: 'usd' });
+
+    expect(promo.appliesToPlan(plan)).toBe(true);
+    expect(promo.appliesToPlan(plan, 'eur')).toBe(false);
+  });
+
+  it('applies only to the plans it is limited to', () => {
+    const promo = new PromoCode({
+      code: 'ONEPLAN',
+      discountType: 'percentage',
+      discountValue: 10,
+      planIds: [new mongoose.Types.ObjectId()]
+    });
+
+    expect(promo.appliesToPlan(plan)).toBe(false);
+  });
+});
+
+describe('PromoCode.getUseLimitMessage', () => {
+  const mac = 'aa:bb:cc:dd:ee:ff';
+
+  it('tells a device it has used its uses apart from the code running out', () => {
+    const perDevice = new PromoCode({ code: 'ONCE', maxUsesPerMac: 1, heldUses: 1, heldUsesByMac: { [mac]: 1 } });
+    const overall = new PromoCode({ code: 'TEN', maxUses: 10, heldUses: 10 });
+
+    expect(perDevice.getUseLimitMessage(mac)).toBe('Promo code has already been used on this device');
+    expect(perDevice.getUseLimitMessage('11:22:33:44:55:66')).toBeNull();
+    expect(overall.getUseLimitMessage(mac)).toBe('Promo code has no uses left');
+  });
+
+  it('leaves out the uses the device is about to give back', () => {
+    const promo = new PromoCode({ code: 'ONCE', maxUses: 1, maxUsesPerMac: 1, heldUses: 1, heldUsesByMac: { [mac]: 1 } });
+
+    expect(promo.getUseLimitMessage(mac, 1)).toBeNull();
+  });
+});
+
+describe('PromoCode.reserveUse', () => {
+  const codeId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes a use only while the code is under its limits', async () => {
+    const updateOne = jest.spyOn(PromoCode, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(PromoCode.reserveUse(codeId, 'aa:bb:cc:dd:ee:ff')).resolves.toBe(true);
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter._id).toBe(codeId);
+    expect(JSON.stringify(filter.$expr)).toContain('"$maxUses"');
+    expect(JSON.stringify(filter.$expr)).toContain('"field":"aa:bb:cc:dd:ee:ff"');
+    expect(update).toEqual({ $inc: { heldUses: 1, 'heldUsesByMac.aa:bb:cc:dd:ee:ff': 1 } });
+  });
+
+  it('reports when another checkout took the last use', async () => {
+    jest.spyOn(PromoCode, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(PromoCode.reserveUse(codeId, 'aa:bb:cc:dd:ee:ff')).resolves.toBe(false);
+  });
+
+  it('ignores the limits when forced', async () => {
+    const updateOne = jest.spyOn(PromoCode, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await PromoCode.reserveUse(codeId, 'aa:bb:cc:dd:ee:ff', { force: true });
+
+    expect(updateOne.mock.calls[0][0]).toEqual({ _id: codeId });
+  });
+
+  it('gives a use back without going below zero', async () => {
+    const updateOne = jest.spyOn(PromoCode, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await PromoCode.releaseUse(codeId, 'aa:bb:cc:dd:ee:ff');
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: codeId, heldUses: { $gt: 0 } },
+      { $inc: { heldUses: -1, 'heldUsesByMac.aa:bb:cc:dd:ee:ff': -1 } }
+    );
+  });
+});
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Renewing plan bought by a guest. Each paid period is recorded as its own
+// Payment, which extends the guest's access when it is fulfilled.
+const SubscriptionSchema = new mongoose.Schema({
+  // Payment provider information
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required'],
+    trim: true
+  },
+  providerSubscriptionId: {
+    type: String,
+    trim: true
+  },
+  providerCustomerId: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['incomplete', 'active', 'past_due', 'canceled'],
+    default: 'incomplete'
+  },
+  // Set when the guest cancels; access runs until the end of the paid period
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  currentPeriodEnd: {
+    type: Date
+  },
+  canceledAt: {
+    type: Date
+  },
+
+  // Price of each period, as charged for the first one
+  amount: {
+    type: Number,
+    required: [true, 'Subscription amount is required'],
+    min: [0, 'Subscription amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [3, 'Currency code cannot exceed 3 characters']
+  },
+
+  // Relations
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: [true, 'Plan ID is required']
+  },
+  guestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guest'
+  },
+  // Payment for the first period, made when the guest subscribed
+  initialPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+
+  // Customer information, copied to the payment for each period
+  customer: {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    mac: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    apMac: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    ssid: {
+      type: String,
+      trim: true
+    },
+    site: {
+      type: String,
+      trim: true
+    }
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+  }
+});
+
+// Method to check whether the subscription still renews
+SubscriptionSchema.methods.isRenewing = function() {
+  return ['active', 'past_due'].includes(this.status) && !this.cancelAtPeriodEnd;
+};
+
+// Indexes for efficient queries
+SubscriptionSchema.index({ provider: 1, providerSubscriptionId: 1 });
+SubscriptionSchema.index({ 'customer.mac': 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', SubscriptionSchema);
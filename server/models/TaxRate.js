@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+const TaxRateSchema = new mongoose.Schema({
+  // Name printed on receipts, e.g. VAT or GST
+  name: {
+    type: String,
+    required: [true, 'Tax name is required'],
+    trim: true,
+    maxlength: [30, 'Tax name cannot exceed 30 characters']
+  },
+  // Percentage, e.g. 20 for 20%
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  // Inclusive rates are already part of the plan price; exclusive rates are added on top
+  inclusive: {
+    type: Boolean,
+    default: true
+  },
+  // UniFi site the rate applies to; empty for sites without a rate of their own
+  site: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+  }
+});
+
+// Method to split an amount into net and tax, rounded to the currency's minor unit
+TaxRateSchema.methods.calculate = function(amount, currency) {
+  const gross = money.toMinorUnits(amount, currency);
+  const tax = this.inclusive
+    ? gross - Math.round(gross / (1 + this.rate / 100))
+    : Math.round(gross * this.rate / 100);
+
+  return {
+    name: this.name,
+    rate: this.rate,
+    inclusive: this.inclusive,
+    net: money.fromMinorUnits(this.inclusive ? gross - tax : gross, currency),
+    amount: money.fromMinorUnits(tax, currency)
+  };
+};
+
+// Static method to find the rate charged on a site, falling back to the default rate
+TaxRateSchema.statics.findForSite = async function(site) {
+  const rate = site ? await this.findOne({ site, isActive: true }) : null;
+  return rate || this.findOne({ site: null, isActive: true });
+};
+
+// Indexes for efficient queries
+// One rate per site, and one default rate (site null)
+TaxRateSchema.index({ site: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxRate', TaxRateSchema);
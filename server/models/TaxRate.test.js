@@ -0,0 +1,37 @@
+const TaxRate = require('./TaxRate');
+
+describe('TaxRate.calculate', () => {
+  it('takes inclusive tax out of the price', () => {
+    const vat = new TaxRate({ name: 'VAT', rate: 20, inclusive: true });
+
+    expect(vat.calculate(12, 'usd')).toEqual({
+      name: 'VAT',
+      rate: 20,
+      inclusive: true,
+      net: 10,
+      amount: 2
+    });
+  });
+
+  it('adds exclusive tax on top of the price', () => {
+    const gst = new TaxRate({ name: 'GST', rate: 7.5, inclusive: false });
+
+    expect(gst.calculate(9.99, 'usd')).toMatchObject({ net: 9.99, amount: 0.75 });
+  });
+
+  it('rounds tax to whole units in zero-decimal currencies', () => {
+    const consumption = new TaxRate({ name: 'JCT', rate: 10, inclusive: true });
+    const exclusive = new TaxRate({ name: 'JCT', rate: 10, inclusive: false });
+
+    expect(consumption.calculate(1000, 'jpy')).toMatchObject({ net: 909, amount: 91 });
+    expect(exclusive.calculate(995, 'jpy')).toMatchObject({ net: 995, amount: 100 });
+  });
+
+  it('keeps the third decimal in three-decimal currencies', () => {
+    const vat = new TaxRate({ name: 'VAT', rate: 5, inclusive: false });
+    const inclusive = new TaxRate({ name: 'VAT', rate: 5, inclusive: true });
+
+    expect(vat.calculate(1.25, 'kwd')).toMatchObject({ net: 1.25, amount: 0.063 });
+    expect(inclusive.calculate(1.05, 'kwd')).toMatchObject({ net: 1, amount: 0.05 });
+  });
+});
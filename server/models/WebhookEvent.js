@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const WebhookEventSchema = new mongoose.Schema({
+  // Payment provider that sent the event
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true,
+    lowercase: true
+  },
+  // Provider's event ID, used to detect repeated deliveries
+  eventId: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    trim: true
+  },
+  // Event as received (verified events only are ever processed). Rejected
+  // deliveries keep only a hash, the size and the start of the body
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Signature verification
+  signatureVerified: {
+    type: Boolean,
+    default: false
+  },
+  signatureError: {
+    type: String,
+    trim: true
+  },
+
+  // Processing state
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed', 'dead', 'rejected'],
+    default: 'received'
+  },
+  // Handler result (e.g. payment and guest IDs)
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lastError: {
+    type: String,
+    trim: true
+  },
+  processedAt: {
+    type: Date
+  },
+  // Admin who last replayed the event
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When a rejected delivery is deleted; verified events are kept
+  expiresAt: {
+    type: Date
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+  }
+});
+
+// Method to schedule the next attempt with exponential backoff
+WebhookEventSchema.methods.scheduleRetry = function(errorMessage, baseDelayMs, maxDelayMs) {
+  this.lastError = errorMessage;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead';
+    this.nextAttemptAt = undefined;
+  } else {
+    const delay = Math.min(baseDelayMs * Math.pow(2, this.attempts - 1), maxDelayMs);
+    this.status = 'failed';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return this.save();
+};
+
+// Indexes for efficient queries
+// Rejected deliveries are not unique: anyone can post a forged event ID
+WebhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureVerified: true } }
+);
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookEventSchema.index({ createdAt: -1 });
+WebhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
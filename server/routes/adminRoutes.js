@@ -5,6 +5,10 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const planController = require('../controllers/planController');
+const promoCodeController = require('../controllers/promoCodeController');
+const taxRateController = require('../controllers/taxRateController');
+const paymentController = require('../controllers/paymentController');
 const sampleDataController = require('../controllers/sampleDataController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -21,12 +25,54 @@ router.get('/guests/:id', adminController.getGuest);
 router.post('/guests/:id/authorize', adminController.authorizeGuest);
 router.post('/guests/:id/unauthorize', adminController.unauthorizeGuest);
 
+// UniFi controller diagnostics
+router.get('/unifi/status', adminController.getUnifiStatus);
+router.get('/controller-jobs', adminController.getControllerJobs);
+router.post('/controller-jobs/:id/retry', adminController.retryControllerJob);
+
 // Voucher management
 router.post('/vouchers/generate', adminController.generateVouchers);
 router.get('/vouchers', adminController.getAllVouchers);
 router.get('/vouchers/:id', adminController.getVoucher);
 router.post('/vouchers/:id/revoke', adminController.revokeVoucher);
 
+// Plan management
+router.get('/plans', planController.getAllPlans);
+router.post('/plans', planController.createPlan);
+router.post('/plans/reorder', planController.reorderPlans);
+router.get('/plans/:id', planController.getPlan);
+router.put('/plans/:id', planController.updatePlan);
+router.delete('/plans/:id', planController.deletePlan);
+router.post('/plans/:id/activate', planController.activatePlan);
+router.post('/plans/:id/deactivate', planController.deactivatePlan);
+
+// Promo codes
+router.get('/promo-codes', promoCodeController.getAllPromoCodes);
+router.post('/promo-codes', promoCodeController.createPromoCode);
+router.get('/promo-codes/:id', promoCodeController.getPromoCode);
+router.put('/promo-codes/:id', promoCodeController.updatePromoCode);
+router.delete('/promo-codes/:id', promoCodeController.deletePromoCode);
+router.post('/promo-codes/:id/activate', promoCodeController.activatePromoCode);
+router.post('/promo-codes/:id/deactivate', promoCodeController.deactivatePromoCode);
+
+// Tax rates and receipts
+router.get('/tax-rates', taxRateController.getAllTaxRates);
+router.post('/tax-rates', taxRateController.createTaxRate);
+router.put('/tax-rates/:id', taxRateController.updateTaxRate);
+router.delete('/tax-rates/:id', taxRateController.deleteTaxRate);
+router.get('/payments/:id/receipt', paymentController.downloadReceipt);
+
+// Payment providers
+router.get('/payment-providers', paymentController.getProviderSettings);
+router.post('/payment-providers/:name/enable', paymentController.enableProvider);
+router.post('/payment-providers/:name/disable', paymentController.disableProvider);
+router.put('/payment-providers/:name/settings', paymentController.updateProviderSetting);
+
+// Payment webhook log
+router.get('/webhook-events', adminController.getWebhookEvents);
+router.get('/webhook-events/:id', adminController.getWebhookEvent);
+router.post('/webhook-events/:id/replay', adminController.replayWebhookEvent);
+
 // Settings management
 router.get('/settings', adminController.getSettings);
 router.post('/settings', adminController.updateSettings);
@@ -5,12 +5,16 @@
 const express = require('express');
 const router = express.Router();
 const guestController = require('../controllers/guestController');
+const { requireGuestSession } = require('../middleware/auth');
 
-// All guest routes are public
+// Public guest routes
+router.post('/session', guestController.createGuestSession);
 router.get('/info', guestController.getGuestInfo);
-router.post('/redeem-voucher', guestController.redeemVoucher);
 router.get('/network-info', guestController.getNetworkInfo);
 router.get('/plans', guestController.getAvailablePlans);
 router.get('/device-info', guestController.getDeviceInfo);
 
+// Routes that grant access require the device's guest session
+router.post('/redeem-voucher', requireGuestSession, guestController.redeemVoucher);
+
 module.exports = router;
@@ -5,12 +5,17 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
-const { protect, authorize } = require('../middleware/auth');
+const subscriptionController = require('../controllers/subscriptionController');
+const { protect, authorize, requireGuestSession, optionalGuestSession } = require('../middleware/auth');
 
 // Public routes for payment processing
-router.get('/providers', paymentController.getPaymentProviders);
-router.post('/initialize', paymentController.initializePayment);
-router.post('/confirm', paymentController.confirmPayment);
+router.get('/providers', optionalGuestSession, paymentController.getPaymentProviders);
+router.post('/quote', requireGuestSession, paymentController.quotePrices);
+router.post('/initialize', requireGuestSession, paymentController.initializePayment);
+router.post('/confirm', requireGuestSession, paymentController.confirmPayment);
+router.get('/:id/receipt', requireGuestSession, paymentController.downloadReceipt);
+router.get('/subscriptions', requireGuestSession, subscriptionController.getGuestSubscriptions);
+router.post('/subscriptions/:id/cancel', requireGuestSession, subscriptionController.cancelGuestSubscription);
 router.post('/webhook/:provider', paymentController.handleWebhook);
 
 // Admin-only routes
@@ -18,6 +23,8 @@ router.use(protect); // All routes below this line require authentication
 router.use(authorize('admin', 'superadmin')); // And also require admin role
 
 router.get('/', paymentController.getAllPayments);
+router.post('/manual', paymentController.recordManualPayment);
+router.get('/manual/shift-totals', paymentController.getShiftTotals);
 router.get('/:id', paymentController.getPayment);
 router.post('/:id/refund', paymentController.refundPayment);
 
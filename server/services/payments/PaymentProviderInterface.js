@@ -3,14 +3,31 @@
  * Abstract class that all payment providers must implement
  */
 class PaymentProviderInterface {
+  /**
+   * Provider details used by the registry. Each provider overrides this with
+   * { name, displayName, icon, guestSelectable, subscriptions, requiresPhone,
+   * settings }; name is also the prefix of its database settings
+   * (payment_<name>_<key>). subscriptions is true for providers that implement
+   * createSubscription and cancelSubscription. requiresPhone is true for
+   * mobile money providers, which are given the guest's number as
+   * metadata.customerPhone. settings lists options admins can change, as
+   * { key, label, description, options }
+   */
+  static metadata = null;
+
   /**
    * Initialize a payment intent
    * @param {Number} amount - The payment amount
    * @param {String} currency - The currency code (e.g., 'usd', 'eur')
    * @param {Object} metadata - Additional metadata for the payment
-   * @returns {Promise<Object>} - Payment intent data
+   * @param {Object} [options] - { successUrl, cancelUrl } for providers that
+   *                             redirect the guest to a hosted payment page, and
+   *                             the guest's UniFi site for per-site settings
+   * @returns {Promise<Object>} - { id, status, clientData } and optionally mode,
+   *                              subscriptionId and customerId. Only clientData
+   *                              is sent to the browser, and it is never stored
    */
-  async createPaymentIntent(amount, currency, metadata) {
+  async createPaymentIntent(amount, currency, metadata, options) {
     throw new Error('createPaymentIntent method must be implemented by the payment provider');
   }
 
@@ -33,6 +50,28 @@ class PaymentProviderInterface {
     throw new Error('getPaymentStatus method must be implemented by the payment provider');
   }
 
+  /**
+   * Confirm a payment after the guest returns from the payment form.
+   * Providers that capture server-side override this; the default only
+   * reads the current status.
+   * @param {String} paymentId - The provider-specific payment ID
+   * @returns {Promise<Object>} - Payment status information
+   */
+  async confirmPayment(paymentId) {
+    return this.getPaymentStatus(paymentId);
+  }
+
+  /**
+   * Stop an abandoned payment from being paid later. Providers whose payments
+   * cannot be cancelled leave them to expire on their own.
+   * @param {String} paymentId - The provider-specific payment ID
+   * @returns {Promise<Object>} - { canceled } where canceled is false if the
+   *                              provider has no way to cancel the payment
+   */
+  async cancelPayment(paymentId) {
+    return { canceled: false };
+  }
+
   /**
    * Refund a payment
    * @param {String} paymentId - The provider-specific payment ID
@@ -44,6 +83,28 @@ class PaymentProviderInterface {
     throw new Error('refundPayment method must be implemented by the payment provider');
   }
 
+  /**
+   * Start a subscription that bills the guest every interval
+   * @param {Number} amount - The amount of each period
+   * @param {String} currency - The currency code (e.g., 'usd', 'eur')
+   * @param {String} interval - Billing interval: week, month or year
+   * @param {Object} metadata - Additional metadata for the subscription
+   * @param {Object} [options] - { successUrl, cancelUrl } for hosted payment pages
+   * @returns {Promise<Object>} - Payment data for the first period, as from createPaymentIntent
+   */
+  async createSubscription(amount, currency, interval, metadata, options) {
+    throw new Error('This payment provider does not support subscriptions');
+  }
+
+  /**
+   * Stop a subscription renewing at the end of the current period
+   * @param {String} subscriptionId - The provider-specific subscription ID
+   * @returns {Promise<Object>} - { id, status, cancelAtPeriodEnd, currentPeriodEnd }
+   */
+  async cancelSubscription(subscriptionId) {
+    throw new Error('This payment provider does not support subscriptions');
+  }
+
   /**
    * Handle webhook events from the payment provider
    * @param {Object} payload - The webhook payload
@@ -56,6 +117,7 @@ class PaymentProviderInterface {
 
   /**
    * Get client-side config needed for the payment form
+   * @param {Object} [options] - { site } of the guest, for per-site settings
    * @returns {Object} - Client configuration (API keys, etc.)
    */
   getClientConfig() {
@@ -0,0 +1,242 @@
+/**
+ * Payment Disputes
+ * Records chargebacks reported by the provider on payments. While a dispute
+ * is open the guest's access can be suspended (see payments.disputes in
+ * config); it is given back if the dispute is won and stays revoked if it is
+ * lost. Admins are emailed when a dispute opens and when it closes.
+ */
+
+const Guest = require('../../models/Guest');
+const Plan = require('../../models/Plan');
+const User = require('../../models/User');
+const controllerQueue = require('../unifi/controllerQueue');
+const { buildAuthorizationPolicy } = require('../unifi/authorizationPolicy');
+const { getTransporter } = require('../../utils/mailer');
+const { formatMoney } = require('../../utils/money');
+const config = require('../../config/config');
+
+// Stripe dispute statuses; warning_* are inquiries that may become disputes
+const OPEN_STATUSES = ['warning_needs_response', 'warning_under_review', 'needs_response', 'under_review'];
+const CLOSED_STATUSES = ['warning_closed', 'won', 'lost', 'prevented'];
+
+// Closed disputes where the merchant kept the money
+const WON_STATUSES = ['warning_closed', 'won', 'prevented'];
+
+const isOpen = (status) => OPEN_STATUSES.includes(status);
+
+/**
+ * Suspend the access a disputed payment paid for
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object|null>} - { suspendedAt, secondsRemaining }, or null
+ *                                   if there was no access to suspend
+ */
+const suspendAccess = async (payment) => {
+  if (!payment.guestId) {
+    return null;
+  }
+
+  const guest = await Guest.findById(payment.guestId);
+
+  // Time bought later on top of this payment is not the dispute's to take
+  if (!guest || guest.accessType !== 'payment' || !guest.authorized || !guest.paymentId?.equals(payment._id)) {
+    return null;
+  }
+
+  const now = new Date();
+  const secondsRemaining = guest.expiresAt ? Math.max(0, Math.round((guest.expiresAt - now) / 1000)) : 0;
+
+  guest.authorized = false;
+  guest.status = 'disconnected';
+  guest.disconnectedAt = now;
+  await guest.save();
+
+  // Unauthorize with UniFi Controller; failures are retried by the queue
+  await controllerQueue.enqueueUnauthorization(guest, 'dispute');
+
+  return { suspendedAt: now, secondsRemaining };
+};
+
+/**
+ * Give back the time a guest had left when their access was suspended
+ * @param {Object} payment - Payment document with suspended access
+ * @returns {Promise<Date|null>} - When access was restored, or null if the
+ *                                 guest or plan no longer exists
+ */
+const restoreAccess = async (payment) => {
+  const [guest, plan] = await Promise.all([
+    Guest.findById(payment.guestId),
+    Plan.findById(payment.planId)
+  ]);
+
+  if (!guest || !plan) {
+    return null;
+  }
+
+  const { authorization } = buildAuthorizationPolicy(plan);
+  const now = new Date();
+  const seconds = payment.dispute.access.secondsRemaining || 0;
+
+  if (seconds <= 0) {
+    return now;
+  }
+
+  // The guest may have bought more time while the dispute was open
+  const extending = guest.authorized && guest.expiresAt > now;
+  const startsAt = extending ? guest.expiresAt : now;
+
+  if (!extending) {
+    guest.accessType = 'payment';
+    guest.paymentId = payment._id;
+    guest.planId = payment.planId;
+    guest.authorizedAt = now;
+  }
+
+  guest.authorized = true;
+  guest.expiresAt = new Date(startsAt.getTime() + seconds * 1000);
+
+  await controllerQueue.enqueueAuthorization(guest, {
+    ...authorization,
+    minutesDuration: Math.ceil((guest.expiresAt - now) / 60000),
+    apMac: guest.apMac,
+    name: guest.name || 'Guest'
+  }, 'dispute');
+
+  return now;
+};
+
+/**
+ * Get who is emailed about disputes
+ * @returns {Promise<Array<String>>} - Email addresses
+ */
+const getAlertRecipients = async () => {
+  if (config.payments.disputes.alertEmails.length > 0) {
+    return config.payments.disputes.alertEmails;
+  }
+
+  const admins = await User.find({ isActive: true }).select('email');
+  return admins.map(admin => admin.email).filter(Boolean);
+};
+
+/**
+ * Tell admins a dispute was opened or closed
+ * @param {Object} payment - Payment document with its dispute recorded
+ * @returns {Promise}
+ */
+const alertAdmins = async (payment) => {
+  const { dispute } = payment;
+  const amount = formatMoney(dispute.amount ?? payment.amount, payment.currency);
+  const subject = isOpen(dispute.status)
+    ? `Payment ${payment._id} disputed: ${amount}`
+    : `Dispute on payment ${payment._id} closed: ${dispute.status}`;
+
+  const lines = [
+    `Payment: ${payment._id} (${payment.provider} ${payment.providerPaymentId})`,
+    `Dispute: ${dispute.providerDisputeId}`,
+    `Status: ${dispute.status}`,
+    `Reason: ${dispute.reason || 'not given'}`,
+    `Amount: ${amount}`
+  ];
+
+  if (dispute.evidenceDueBy && isOpen(dispute.status)) {
+    lines.push(`Evidence due by: ${dispute.evidenceDueBy.toISOString()}`);
+  }
+
+  if (dispute.access?.suspendedAt) {
+    lines.push(dispute.access.restoredAt
+      ? `Guest access was restored at ${dispute.access.restoredAt.toISOString()}`
+      : `Guest access suspended at ${dispute.access.suspendedAt.toISOString()}`);
+  }
+
+  console.warn(`${subject}. ${lines.join('; ')}`);
+
+  const mailer = getTransporter();
+
+  if (!mailer) {
+    return;
+  }
+
+  try {
+    const recipients = await getAlertRecipients();
+
+    if (recipients.length === 0) {
+      return;
+    }
+
+    await mailer.sendMail({
+      from: config.email.from,
+      to: recipients.join(', '),
+      subject,
+      text: lines.join('\n')
+    });
+  } catch (error) {
+    // The dispute is recorded either way; admins still see it in the panel
+    console.error(`Error emailing dispute alert for payment ${payment._id}:`, error.message);
+  }
+};
+
+/**
+ * Record a dispute reported by the provider on a payment, suspending or
+ * restoring the guest's access as it opens and closes. Reporting the same
+ * status again changes nothing.
+ * @param {Object} payment - Payment document
+ * @param {Object} dispute
+ * @param {String} dispute.providerDisputeId - Provider's dispute ID
+ * @param {String} dispute.status - Provider's dispute status
+ * @param {String} [dispute.reason] - Why the cardholder disputed the payment
+ * @param {Number} [dispute.amount] - Disputed amount in major units
+ * @param {Date} [dispute.evidenceDueBy] - Deadline for submitting evidence
+ * @returns {Promise<Object>} - { changed, payment }
+ */
+const recordDispute = async (payment, { providerDisputeId, status, reason, amount, evidenceDueBy }) => {
+  const previous = payment.dispute?.providerDisputeId ? payment.toObject().dispute : null;
+
+  if (previous?.status === status && previous?.providerDisputeId === providerDisputeId) {
+    return { changed: false, payment };
+  }
+
+  const now = new Date();
+  const opened = isOpen(status) && !isOpen(previous?.status);
+  const closed = CLOSED_STATUSES.includes(status) && !CLOSED_STATUSES.includes(previous?.status);
+
+  payment.dispute = {
+    ...previous,
+    providerDisputeId,
+    status,
+    reason: reason || previous?.reason,
+    amount: amount ?? previous?.amount,
+    evidenceDueBy: evidenceDueBy || previous?.evidenceDueBy,
+    openedAt: previous?.openedAt || now,
+    closedAt: closed ? now : previous?.closedAt,
+    access: previous?.access || {}
+  };
+
+  if (opened && config.payments.disputes.suspendAccess && !payment.dispute.access.suspendedAt) {
+    const suspended = await suspendAccess(payment);
+    if (suspended) {
+      payment.dispute.access = suspended;
+    }
+  }
+
+  const suspended = payment.dispute.access.suspendedAt && !payment.dispute.access.restoredAt;
+
+  if (closed && suspended && WON_STATUSES.includes(status)) {
+    const restoredAt = await restoreAccess(payment);
+    if (restoredAt) {
+      payment.dispute.access.restoredAt = restoredAt;
+    }
+  }
+
+  await payment.save();
+
+  if (opened || closed) {
+    await alertAdmins(payment);
+  }
+
+  return { changed: true, payment };
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  CLOSED_STATUSES,
+  recordDispute
+};
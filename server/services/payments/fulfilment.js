@@ -0,0 +1,185 @@
+/**
+ * Payment Fulfilment
+ * Grants network access for a succeeded payment and issues its receipt. The
+ * portal's confirm call, provider webhooks and front-desk sales all fulfil
+ * payments here. Each payment is claimed atomically first, so however many
+ * of them race, the guest is authorized on the controller exactly once.
+ */
+
+const Payment = require('../../models/Payment');
+const Guest = require('../../models/Guest');
+const Plan = require('../../models/Plan');
+const controllerQueue = require('../unifi/controllerQueue');
+const { issueReceipt } = require('./receipts');
+const { buildAuthorizationPolicy } = require('../unifi/authorizationPolicy');
+const { formatMac } = require('../../utils/mac');
+
+// Claims older than this were abandoned mid-fulfilment (e.g. restart)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Atomically claim a succeeded payment for fulfilment
+ * @param {Object} payment - Payment document
+ * @param {String} source - What is fulfilling the payment
+ * @returns {Promise<Boolean>} - True if this caller now owns the fulfilment
+ */
+const claimPayment = async (payment, source) => {
+  const now = new Date();
+
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'succeeded',
+      $or: [
+        { 'fulfilment.status': null },
+        { 'fulfilment.status': 'claimed', 'fulfilment.claimedAt': { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } }
+      ]
+    },
+    { $set: { fulfilment: { status: 'claimed', source, claimedAt: now } } },
+    { new: true }
+  );
+
+  return Boolean(claimed);
+};
+
+/**
+ * Release a claim so the payment can be fulfilled again
+ * @param {Object} payment - Payment document
+ * @returns {Promise}
+ */
+const releaseClaim = (payment) => {
+  return Payment.updateOne(
+    { _id: payment._id, 'fulfilment.status': 'claimed' },
+    { $unset: { fulfilment: 1 } }
+  );
+};
+
+/**
+ * Fulfil a succeeded payment: issue its receipt, create or extend the guest
+ * for the paying device and queue its authorization on the controller. Safe
+ * to call more than once; only the first call for a payment authorizes
+ * anything.
+ * @param {Object} payment - Payment document with status succeeded
+ * @param {Object} [options] - Device details, overriding those on the payment
+ * @param {String} [options.mac] - Device MAC address
+ * @param {String} [options.apMac] - Access point MAC address
+ * @param {String} [options.ip] - Device IP address
+ * @param {String} [options.source] - What is fulfilling the payment, recorded on the controller job
+ * @returns {Promise<Object>} - { status, message, guest, authorizationJob, pendingAuthorization }
+ *                              where status is fulfilled, already_fulfilled or skipped
+ */
+const fulfilPayment = async (payment, { mac, apMac, ip, source = 'payment' } = {}) => {
+  if (payment.status !== 'succeeded') {
+    throw new Error(`Cannot fulfil payment with status: ${payment.status}`);
+  }
+
+  // Every paid payment gets a receipt, whether or not a device is authorized now
+  try {
+    await issueReceipt(payment);
+  } catch (error) {
+    console.error(`Error issuing receipt for payment ${payment._id}:`, error.message);
+  }
+
+  const deviceMac = formatMac(mac || payment.customer?.mac);
+
+  // Nothing to authorize yet; a later call with the device details can fulfil it
+  if (!deviceMac) {
+    return {
+      status: 'skipped',
+      message: 'No device to authorize for this payment',
+      guest: null
+    };
+  }
+
+  const plan = await Plan.findById(payment.planId);
+
+  if (!plan) {
+    console.error(`Plan not found for payment ${payment._id}`);
+    return {
+      status: 'skipped',
+      message: 'Plan not found',
+      guest: null
+    };
+  }
+
+  if (!(await claimPayment(payment, source))) {
+    const fulfilled = await Payment.findById(payment._id).select('guestId');
+    const guest = fulfilled?.guestId ? await Guest.findById(fulfilled.guestId) : null;
+
+    return {
+      status: 'already_fulfilled',
+      message: 'Payment already fulfilled',
+      guest,
+      pendingAuthorization: guest?.status === 'pending_authorization'
+    };
+  }
+
+  try {
+    let guest = await Guest.findOne({ mac: deviceMac });
+
+    if (!guest) {
+      guest = new Guest({ mac: deviceMac });
+    }
+
+    const { durationSeconds, authorization } = buildAuthorizationPolicy(plan);
+    const now = new Date();
+
+    // Time bought on top of access the device still has from an earlier purchase
+    const extending = guest.authorized && guest.expiresAt > now && !guest.paymentId?.equals(payment._id);
+    const startsAt = extending ? guest.expiresAt : now;
+
+    guest.accessType = 'payment';
+    guest.paymentId = payment._id;
+    guest.planId = payment.planId;
+    if (ip || payment.customer?.ipAddress) guest.ip = ip || payment.customer.ipAddress;
+    if (apMac || payment.customer?.apMac) guest.apMac = apMac || payment.customer.apMac;
+    if (payment.customer?.ssid) guest.ssid = payment.customer.ssid;
+    if (payment.customer?.email) guest.email = payment.customer.email;
+    if (payment.customer?.name) guest.name = payment.customer.name;
+
+    guest.authorized = true;
+    if (!extending) guest.authorizedAt = now;
+    guest.expiresAt = new Date(startsAt.getTime() + durationSeconds * 1000);
+
+    // Authorize with UniFi Controller for the whole remaining time; failures are
+    // retried by the queue and the guest stays pending until the controller confirms
+    const authorizationJob = await controllerQueue.enqueueAuthorization(guest, {
+      ...authorization,
+      minutesDuration: Math.ceil((guest.expiresAt - now) / 60000),
+      apMac: guest.apMac,
+      name: guest.name || 'Guest'
+    }, source);
+
+    const fulfilment = {
+      status: 'fulfilled',
+      source,
+      claimedAt: now,
+      fulfilledAt: new Date()
+    };
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { guestId: guest._id, fulfilment } }
+    );
+
+    // Keep the caller's document in step with what was saved
+    payment.set({ guestId: guest._id, fulfilment });
+
+    const pendingAuthorization = authorizationJob.status !== 'succeeded';
+
+    return {
+      status: 'fulfilled',
+      message: extending ? 'Access extended' : 'Access granted',
+      guest,
+      authorizationJob,
+      pendingAuthorization
+    };
+  } catch (error) {
+    await releaseClaim(payment);
+    throw error;
+  }
+};
+
+module.exports = {
+  fulfilPayment
+};
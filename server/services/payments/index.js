@@ -1,11 +1,10 @@
 /**
- * Payment Service Factory
- * Factory pattern for creating payment provider instances
+ * Payment Service
+ * Entry point for payment providers. Providers are discovered and configured
+ * by the registry; createPaymentProvider builds one from an explicit config.
  */
 
-const StripeProvider = require('./providers/StripeProvider');
-// Future providers will be imported here
-// const PayPalProvider = require('./providers/PayPalProvider');
+const registry = require('./registry');
 
 /**
  * Create a payment provider instance based on the provider name
@@ -17,46 +16,12 @@ const createPaymentProvider = (providerName, config) => {
   if (!providerName) {
     throw new Error('Payment provider name is required');
   }
-  
-  switch (providerName.toLowerCase()) {
-    case 'stripe':
-      return new StripeProvider(config);
-      
-    // case 'paypal':
-    //   return new PayPalProvider(config);
-      
-    default:
-      throw new Error(`Payment provider '${providerName}' is not supported`);
-  }
-};
 
-/**
- * Get all available payment providers
- * @param {Object} paymentsConfig - Configuration for all payment providers
- * @returns {Array} - Array of provider information objects
- */
-const getAvailableProviders = (paymentsConfig) => {
-  const { activeProviders, providers } = paymentsConfig;
-  
-  return activeProviders
-    .filter(providerName => providers[providerName])
-    .map(providerName => {
-      try {
-        const provider = createPaymentProvider(providerName, providers[providerName]);
-        return {
-          name: providerName,
-          displayName: providerName.charAt(0).toUpperCase() + providerName.slice(1),
-          clientConfig: provider.getClientConfig()
-        };
-      } catch (error) {
-        console.error(`Error initializing payment provider ${providerName}:`, error);
-        return null;
-      }
-    })
-    .filter(Boolean); // Remove any null entries
+  const ProviderClass = registry.getProviderClass(providerName);
+  return new ProviderClass(config);
 };
 
 module.exports = {
   createPaymentProvider,
-  getAvailableProviders
+  ...registry
 };
@@ -0,0 +1,221 @@
+/**
+ * Plan Pricing
+ * Works out what a guest pays for a plan. Prices are always calculated here,
+ * from the plan, any promo code and the site's tax rate, so the amount
+ * charged never comes from the browser.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const PromoCode = require('../../models/PromoCode');
+const TaxRate = require('../../models/TaxRate');
+const money = require('../../utils/money');
+const config = require('../../config/config');
+
+// Payments reported as redemptions of their promo code. Limits are enforced
+// on the uses held on the code itself; see PromoCode.reserveUse.
+const PROMO_USE_STATUSES = ['processing', 'succeeded', 'partially_refunded'];
+
+/**
+ * Find a promo code and check that the device may use it now
+ * @param {String} code - Code as entered by the guest
+ * @param {String} [mac] - Device MAC address
+ * @returns {Promise<Object>} - PromoCode document
+ * @throws {Error} - If the code is unknown or cannot be used
+ */
+const loadPromoCode = async (code, mac) => {
+  const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!promo || !promo.isActive) {
+    throw new Error('Invalid promo code');
+  }
+
+  const now = new Date();
+
+  if (promo.validFrom && promo.validFrom > now) {
+    throw new Error('Promo code is not valid yet');
+  }
+
+  if (!promo.isCurrent(now)) {
+    throw new Error('Promo code has expired');
+  }
+
+  // Checked again when the checkout takes its use, in case another took the
+  // last one. Checkouts the device left unpaid give their uses back when it
+  // starts another, so they do not count against it
+  const ownHolds = mac ? await Payment.findPromoHolds(mac, promo.code).countDocuments() : 0;
+  const limitMessage = promo.getUseLimitMessage(mac, ownHolds);
+  if (limitMessage) {
+    throw new Error(limitMessage);
+  }
+
+  return promo;
+};
+
+/**
+ * Find the tax rate charged on a site
+ * @param {String} [site] - UniFi site, defaulting to the controller's site
+ * @returns {Promise<Object|null>} - TaxRate document, or null if no tax is charged
+ */
+const loadTaxRate = (site) => {
+  return TaxRate.findForSite(site || config.unifi.controller.site);
+};
+
+/**
+ * Get the currency guests on a site are shown prices in by default
+ * @param {String} [site] - UniFi site, defaulting to the controller's site
+ * @returns {String|null} - Currency code, or null if the site has none set
+ */
+const getSiteCurrency = (site) => {
+  return config.payments.siteCurrencies[site || config.unifi.controller.site] || null;
+};
+
+/**
+ * Pick the currency to price a plan in: the one the guest asked for, then the
+ * site's currency, then the plan's main currency, whichever the plan has a
+ * price in first
+ * @param {Object} plan - Plan document
+ * @param {Object} [options]
+ * @param {String} [options.currency] - Currency the guest asked for
+ * @param {String} [options.site] - UniFi site the guest is on
+ * @returns {String} - Currency code
+ */
+const resolveCurrency = (plan, { currency, site } = {}) => {
+  const match = [currency, getSiteCurrency(site)].find(code => code && plan.getPrice(code));
+  return match ? match.toLowerCase() : plan.currency;
+};
+
+/**
+ * Price a plan, applying a promo code if it covers the plan, then tax
+ * @param {Object} plan - Plan document
+ * @param {Object} [promo] - PromoCode document from loadPromoCode
+ * @param {Object} [taxRate] - TaxRate document from loadTaxRate
+ * @param {String} [currency] - Currency to price in, from resolveCurrency;
+ *                              the plan's main currency if it has no price in it
+ * @returns {Object} - { amount, currency, originalAmount, discount, subtotal, tax, promo }
+ *                     where amount is the total to charge, subtotal the discounted
+ *                     plan price, and tax and promo the records to store on the
+ *                     payment, or null
+ */
+const pricePlan = (plan, promo, taxRate, currency) => {
+  const { price, currency: code } = plan.getPrice(currency) || plan.getPrice();
+  const applied = Boolean(promo && promo.appliesToPlan(plan, code));
+  const discount = applied ? promo.calculateDiscount(price, code) : 0;
+  const subtotal = money.subtractAmounts(price, discount, code);
+  const tax = taxRate ? taxRate.calculate(subtotal, code) : null;
+
+  return {
+    // Exclusive tax is added to the plan price; inclusive tax is already in it
+    amount: tax && !tax.inclusive ? money.addAmounts(code, subtotal, tax.amount) : subtotal,
+    currency: code,
+    originalAmount: price,
+    discount,
+    subtotal,
+    tax,
+    promo: applied ? {
+      codeId: promo._id,
+      code: promo.code,
+      originalAmount: price,
+      discount
+    } : null
+  };
+};
+
+/**
+ * Price a plan for a guest
+ * @param {Object} plan - Plan document
+ * @param {Object} [options]
+ * @param {String} [options.promoCode] - Promo code entered by the guest
+ * @param {String} [options.mac] - Device MAC address, for per-device limits
+ * @param {String} [options.site] - UniFi site, for the tax rate and default currency
+ * @param {String} [options.currency] - Currency the guest chose to pay in
+ * @returns {Promise<Object>} - Price as returned by pricePlan
+ * @throws {Error} - If the plan has no price in the chosen currency, or the
+ *                   promo code cannot be used on this plan
+ */
+const quotePlan = async (plan, { promoCode, mac, site, currency } = {}) => {
+  if (currency && !plan.getPrice(currency)) {
+    throw new Error(`This plan cannot be paid in ${String(currency).toUpperCase()}`);
+  }
+
+  const code = resolveCurrency(plan, { currency, site });
+  const taxRate = await loadTaxRate(site);
+
+  if (!promoCode) {
+    return pricePlan(plan, null, taxRate, code);
+  }
+
+  const promo = await loadPromoCode(promoCode, mac);
+
+  if (!promo.appliesToPlan(plan, code)) {
+    throw new Error('Promo code does not apply to this plan');
+  }
+
+  return pricePlan(plan, promo, taxRate, code);
+};
+
+/**
+ * Summarize how promo codes have been used
+ * @param {Array<ObjectId>} codeIds - PromoCode IDs
+ * @returns {Promise<Map>} - Usage per code ID: { uses, devices, lastUsedAt, totals }
+ *                           with discount and revenue totals per currency
+ */
+const getPromoUsage = async (codeIds) => {
+  const rows = await Payment.aggregate([
+    {
+      $match: {
+        'promo.codeId': { $in: codeIds.map(id => new mongoose.Types.ObjectId(id)) },
+        status: { $in: PROMO_USE_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: { codeId: '$promo.codeId', currency: '$currency' },
+        uses: { $sum: 1 },
+        devices: { $addToSet: '$customer.mac' },
+        discount: { $sum: '$promo.discount' },
+        revenue: { $sum: '$amountMinor' },
+        lastUsedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { '_id.currency': 1 } }
+  ]);
+
+  const usage = new Map();
+
+  for (const row of rows) {
+    const codeId = String(row._id.codeId);
+
+    if (!usage.has(codeId)) {
+      usage.set(codeId, { uses: 0, devices: new Set(), lastUsedAt: null, totals: [] });
+    }
+
+    const entry = usage.get(codeId);
+    entry.uses += row.uses;
+    row.devices.filter(Boolean).forEach(mac => entry.devices.add(mac));
+    if (!entry.lastUsedAt || row.lastUsedAt > entry.lastUsedAt) entry.lastUsedAt = row.lastUsedAt;
+    entry.totals.push({
+      currency: row._id.currency,
+      discount: money.roundAmount(row.discount, row._id.currency),
+      revenue: money.fromMinorUnits(row.revenue, row._id.currency)
+    });
+  }
+
+  // Report device counts rather than the addresses themselves
+  for (const entry of usage.values()) {
+    entry.devices = entry.devices.size;
+  }
+
+  return usage;
+};
+
+module.exports = {
+  PROMO_USE_STATUSES,
+  loadPromoCode,
+  loadTaxRate,
+  getSiteCurrency,
+  resolveCurrency,
+  pricePlan,
+  quotePlan,
+  getPromoUsage
+};
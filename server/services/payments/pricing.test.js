@@ -0,0 +1,161 @@
+const Payment = require('../../models/Payment');
+const Plan = require('../../models/Plan');
+const PromoCode = require('../../models/PromoCode');
+const TaxRate = require('../../models/TaxRate');
+const config = require('../../config/config');
+const pricing = require('./pricing');
+
+const makePlan = (fields = {}) => new Plan({
+  name: 'Day pass',
+  price: 5,
+  currency: 'usd',
+  prices: [
+    { currency: 'jpy', price: 750 },
+    { currency: 'kwd', price: 1.5 }
+  ],
+  ...fields
+});
+
+describe('pricePlan', () => {
+  it('charges the plan price when there is no promo or tax', () => {
+    expect(pricing.pricePlan(makePlan(), null, null)).toEqual({
+      amount: 5,
+      currency: 'usd',
+      originalAmount: 5,
+      discount: 0,
+      subtotal: 5,
+      tax: null,
+      promo: null
+    });
+  });
+
+  it('prices in a zero-decimal currency', () => {
+    const promo = new PromoCode({ code: 'SAVE15', discountType: 'percentage', discountValue: 15 });
+    const tax = new TaxRate({ name: 'JCT', rate: 10, inclusive: false });
+
+    const price = pricing.pricePlan(makePlan(), promo, tax, 'jpy');
+
+    expect(price).toMatchObject({
+      currency: 'jpy',
+      originalAmount: 750,
+      discount: 113,
+      subtotal: 637,
+      amount: 701
+    });
+    expect(price.tax).toMatchObject({ net: 637, amount: 64 });
+    expect(price.promo).toMatchObject({ code: 'SAVE15', originalAmount: 750, discount: 113 });
+  });
+
+  it('prices in a three-decimal currency', () => {
+    const promo = new PromoCode({ code: 'KWD', discountType: 'fixed', discountValue: 0.125, currency: 'kwd' });
+    const tax = new TaxRate({ name: 'VAT', rate: 5, inclusive: true });
+
+    const price = pricing.pricePlan(makePlan(), promo, tax, 'KWD');
+
+    expect(price).toMatchObject({
+      currency: 'kwd',
+      originalAmount: 1.5,
+      discount: 0.125,
+      subtotal: 1.375,
+      amount: 1.375
+    });
+    expect(price.tax).toMatchObject({ net: 1.31, amount: 0.065 });
+  });
+
+  it('leaves out a promo code that does not cover the currency', () => {
+    const promo = new PromoCode({ code: 'FIVE', discountType: 'fixed', discountValue: 1, currency: 'usd' });
+
+    const price = pricing.pricePlan(makePlan(), promo, null, 'jpy');
+
+    expect(price).toMatchObject({ amount: 750, discount: 0, promo: null });
+  });
+
+  it('falls back to the main price for a currency the plan has no price in', () => {
+    expect(pricing.pricePlan(makePlan(), null, null, 'eur')).toMatchObject({ amount: 5, currency: 'usd' });
+  });
+});
+
+describe('resolveCurrency', () => {
+  const { siteCurrencies } = config.payments;
+
+  afterEach(() => {
+    delete siteCurrencies.tokyo;
+  });
+
+  it('prefers the currency the guest asked for', () => {
+    siteCurrencies.tokyo = 'jpy';
+    expect(pricing.resolveCurrency(makePlan(), { currency: 'KWD', site: 'tokyo' })).toBe('kwd');
+  });
+
+  it('uses the site currency when the guest did not ask for one', () => {
+    siteCurrencies.tokyo = 'jpy';
+    expect(pricing.resolveCurrency(makePlan(), { site: 'tokyo' })).toBe('jpy');
+  });
+
+  it('uses the plan currency when it has no price in the others', () => {
+    siteCurrencies.tokyo = 'eur';
+    expect(pricing.resolveCurrency(makePlan(), { currency: 'gbp', site: 'tokyo' })).toBe('usd');
+  });
+});
+
+describe('quotePlan', () => {
+  beforeEach(() => {
+    jest.spyOn(TaxRate, 'findForSite').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('quotes in the chosen currency', async () => {
+    await expect(pricing.quotePlan(makePlan(), { currency: 'jpy' })).resolves.toMatchObject({
+      amount: 750,
+      currency: 'jpy'
+    });
+  });
+
+  it('refuses a currency the plan has no price in', async () => {
+    await expect(pricing.quotePlan(makePlan(), { currency: 'eur' }))
+      .rejects.toThrow('This plan cannot be paid in EUR');
+  });
+});
+
+describe('loadPromoCode', () => {
+  // The code as stored, and how many unpaid checkouts the device holds it with
+  const loadCode = (fields, ownHolds = 0) => {
+    jest.spyOn(PromoCode, 'findOne').mockResolvedValue(new PromoCode({
+      code: 'LIMITED',
+      discountType: 'percentage',
+      discountValue: 10,
+      ...fields
+    }));
+    jest.spyOn(Payment, 'findPromoHolds').mockReturnValue({
+      countDocuments: () => Promise.resolve(ownHolds)
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a code whose uses are all held', async () => {
+    loadCode({ maxUses: 2, heldUses: 2 });
+
+    await expect(pricing.loadPromoCode('limited')).rejects.toThrow('Promo code has no uses left');
+  });
+
+  it('refuses a code the device has used up', async () => {
+    loadCode({ maxUsesPerMac: 1, heldUses: 1, heldUsesByMac: { 'aa:bb:cc:dd:ee:ff': 1 } });
+
+    await expect(pricing.loadPromoCode('limited', 'aa:bb:cc:dd:ee:ff'))
+      .rejects.toThrow('Promo code has already been used on this device');
+    await expect(pricing.loadPromoCode('limited', '11:22:33:44:55:66')).resolves.toMatchObject({ code: 'LIMITED' });
+  });
+
+  it('does not count the checkouts the device left unpaid', async () => {
+    loadCode({ maxUses: 1, maxUsesPerMac: 1, heldUses: 1, heldUsesByMac: { 'aa:bb:cc:dd:ee:ff': 1 } }, 1);
+
+    await expect(pricing.loadPromoCode('limited', 'aa:bb:cc:dd:ee:ff')).resolves.toMatchObject({ code: 'LIMITED' });
+    expect(Payment.findPromoHolds).toHaveBeenCalledWith('aa:bb:cc:dd:ee:ff', 'LIMITED');
+  });
+});
@@ -0,0 +1,150 @@
+const PaymentProviderInterface = require('../PaymentProviderInterface');
+const crypto = require('crypto');
+
+/**
+ * Manual Payment Provider implementation
+ * Records payments taken at the front desk (cash or a card terminal). Money
+ * has already changed hands when the payment is recorded, so there is no
+ * external system to talk to: payments succeed immediately and refunds are
+ * handed back over the counter.
+ */
+class ManualProvider extends PaymentProviderInterface {
+  // Recorded by staff, never offered on the guest payment page
+  static metadata = {
+    name: 'manual',
+    displayName: 'Front Desk',
+    icon: '💵',
+    guestSelectable: false
+  };
+
+  /**
+   * Initialize the manual provider with configuration
+   * @param {Object} config - Manual payment configuration
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      methods: ['cash', 'card_terminal'],
+      ...config
+    };
+
+    // Validate configuration on instantiation
+    if (!this.validateConfig()) {
+      throw new Error('Invalid manual payment configuration');
+    }
+  }
+
+  /**
+   * Generate a reference for a manual transaction
+   * @param {String} prefix - Reference prefix
+   * @returns {String} - Reference
+   */
+  createReference(prefix) {
+    return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  /**
+   * Record a payment taken by a staff member
+   * @param {Number} amount - The payment amount
+   * @param {String} currency - The currency code (e.g., 'usd', 'eur')
+   * @param {Object} metadata - Must include recordedBy and method
+   * @returns {Promise<Object>} - Payment data
+   */
+  async createPaymentIntent(amount, currency, metadata = {}) {
+    if (!metadata.recordedBy) {
+      throw new Error('Manual payments must be recorded by a staff member');
+    }
+
+    if (!this.config.methods.includes(metadata.method)) {
+      throw new Error(`Unsupported manual payment method: ${metadata.method}`);
+    }
+
+    return {
+      id: this.createReference('manual'),
+      amount: amount,
+      currency: currency,
+      status: 'succeeded',
+      method: metadata.method,
+      recordedBy: metadata.recordedBy,
+      clientData: {}
+    };
+  }
+
+  /**
+   * Process a payment (already settled at the desk)
+   * @param {String} paymentId - The manual payment reference
+   * @returns {Promise<Object>} - Payment result
+   */
+  async processPayment(paymentId) {
+    return this.getPaymentStatus(paymentId);
+  }
+
+  /**
+   * Get payment status. Manual payments are settled when recorded
+   * @param {String} paymentId - The manual payment reference
+   * @returns {Promise<Object>} - Payment status information
+   */
+  async getPaymentStatus(paymentId) {
+    return {
+      id: paymentId,
+      status: 'succeeded',
+      providerStatus: 'recorded'
+    };
+  }
+
+  /**
+   * Record a refund handed back at the desk
+   * @param {String} paymentId - The manual payment reference
+   * @param {Number} amount - Amount refunded
+   * @param {String} reason - Reason for the refund (optional)
+   * @returns {Promise<Object>} - Refund result
+   */
+  async refundPayment(paymentId, amount = null, reason = null) {
+    if (amount === null || amount <= 0) {
+      throw new Error('Manual refunds require an amount');
+    }
+
+    return {
+      id: this.createReference('manual_refund'),
+      paymentIntentId: paymentId,
+      amount,
+      status: 'succeeded',
+      reason
+    };
+  }
+
+  /**
+   * Manual payments have no webhooks
+   * @returns {Promise<Object>}
+   */
+  async handleWebhook() {
+    throw new Error('Manual payments do not send webhooks');
+  }
+
+  /**
+   * Get configuration for the staff payment form
+   * @returns {Object} - Client configuration
+   */
+  getClientConfig() {
+    return {
+      provider: 'manual',
+      methods: this.config.methods
+    };
+  }
+
+  /**
+   * Validate the manual payment configuration
+   * @returns {Boolean} - True if configuration is valid
+   */
+  validateConfig() {
+    if (!Array.isArray(this.config.methods) || this.config.methods.length === 0) {
+      console.error('No manual payment methods configured');
+      return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = ManualProvider;
@@ -0,0 +1,394 @@
+const PaymentProviderInterface = require('../PaymentProviderInterface');
+const axios = require('axios');
+
+// Daraja API hosts
+const API_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// Refresh access tokens this long before Daraja expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Daraja timestamps are in East Africa Time (UTC+3)
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// Error code Daraja answers a status query with until the guest has responded
+const QUERY_PENDING_ERROR_CODE = '500.001.1001';
+
+// Result codes meaning the guest has not responded yet
+const PENDING_RESULT_CODES = [4999];
+
+// What guests are told when the payment did not go through
+const RESULT_MESSAGES = {
+  1: 'There is not enough money in the M-Pesa account',
+  1001: 'Another M-Pesa payment is in progress on this phone, please try again shortly',
+  1019: 'The payment request expired before it was approved',
+  1032: 'The payment was cancelled on the phone',
+  1037: 'The phone could not be reached, check it is on and has signal',
+  2001: 'The M-Pesa PIN entered was wrong'
+};
+
+// How often the payment page checks the payment, and how long it waits for
+// the guest to respond to the prompt on their phone
+const POLL_INTERVAL_SECONDS = 5;
+const PROMPT_TIMEOUT_SECONDS = 90;
+
+/**
+ * Create an error the API returns as a 400 rather than a server error
+ * @param {String} message - Error message
+ * @returns {Error}
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * M-Pesa Payment Provider implementation (Daraja STK push)
+ * A payment prompt is pushed to the guest's phone, which they approve by
+ * entering their M-Pesa PIN. The result arrives at the callback URL and can
+ * also be queried, so the payment page polls until it is settled. Checkout
+ * request IDs are stored as the provider payment ID.
+ */
+class MpesaProvider extends PaymentProviderInterface {
+  static metadata = {
+    name: 'mpesa',
+    displayName: 'M-Pesa',
+    icon: '📱',
+    guestSelectable: true,
+    requiresPhone: true
+  };
+
+  /**
+   * Initialize the M-Pesa provider with configuration
+   * @param {Object} config - M-Pesa configuration
+   */
+  constructor(config) {
+    super();
+
+    if (!config?.consumerKey || !config?.consumerSecret) {
+      throw new Error('M-Pesa consumer key and secret are required');
+    }
+
+    this.config = config;
+
+    // Validate configuration on instantiation
+    if (!this.validateConfig()) {
+      throw new Error('Invalid M-Pesa configuration');
+    }
+
+    this.client = axios.create({
+      baseURL: config.apiBaseUrl || API_BASE_URLS[config.environment],
+      timeout: 15000
+    });
+
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Get an OAuth access token, reusing the cached one while it is valid
+   * @returns {Promise<String>} - Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const response = await this.client.get('/oauth/v1/generate', {
+      params: { grant_type: 'client_credentials' },
+      auth: {
+        username: this.config.consumerKey,
+        password: this.config.consumerSecret
+      }
+    });
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + Number(response.data.expires_in) * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Make an authenticated request to the Daraja API
+   * @param {String} url - API path
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} - Response body
+   */
+  async request(url, data) {
+    const token = await this.getAccessToken();
+
+    try {
+      const response = await this.client.post(url, data, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      // Surface Daraja's error code and message rather than the HTTP status
+      const body = error.response?.data;
+      if (body?.errorCode) {
+        const apiError = new Error(body.errorMessage || body.errorCode);
+        apiError.name = 'MpesaError';
+        apiError.code = body.errorCode;
+        apiError.status = error.response.status;
+        throw apiError;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current time in the format Daraja expects (YYYYMMDDHHmmss, EAT)
+   * @returns {String}
+   */
+  getTimestamp() {
+    return new Date(Date.now() + EAT_OFFSET_MS).toISOString().replace(/\D/g, '').slice(0, 14);
+  }
+
+  /**
+   * Build the password sent with STK requests
+   * @param {String} timestamp - Timestamp sent with the same request
+   * @returns {String} - Base64 of shortcode, passkey and timestamp
+   */
+  getPassword(timestamp) {
+    return Buffer.from(`${this.config.shortcode}${this.config.passkey}${timestamp}`).toString('base64');
+  }
+
+  /**
+   * Convert a phone number to the international format Daraja expects
+   * @param {String} phone - Phone number as the guest typed it
+   * @returns {String} - e.g. 254712345678
+   */
+  normalizePhone(phone) {
+    const { countryCode } = this.config;
+    const digits = String(phone || '').replace(/\D/g, '');
+    const number = digits.startsWith('0') ? `${countryCode}${digits.slice(1)}` : digits;
+
+    if (!new RegExp(`^${countryCode}\\d{9}$`).test(number)) {
+      throw badRequest(`Enter the M-Pesa phone number as 07XXXXXXXX or ${countryCode}7XXXXXXXX`);
+    }
+
+    return number;
+  }
+
+  /**
+   * Map a Daraja result code to our system's status
+   * @param {Number} resultCode - Result code from the callback or a status query
+   * @returns {String} - Payment status
+   */
+  mapResultCode(resultCode) {
+    if (resultCode === 0) {
+      return 'succeeded';
+    }
+
+    return PENDING_RESULT_CODES.includes(resultCode) ? 'processing' : 'failed';
+  }
+
+  /**
+   * Describe why a payment failed, in words a guest understands
+   * @param {Number} resultCode - Daraja result code
+   * @param {String} [resultDesc] - Daraja's own description
+   * @returns {String}
+   */
+  getFailureReason(resultCode, resultDesc) {
+    return RESULT_MESSAGES[resultCode] || resultDesc || 'The M-Pesa payment did not go through';
+  }
+
+  /**
+   * Send a payment prompt to the guest's phone
+   * @param {Number} amount - The payment amount, in whole units
+   * @param {String} currency - The currency code, which must be the configured one
+   * @param {Object} metadata - Additional metadata; customerPhone is required
+   * @returns {Promise<Object>} - Payment data
+   */
+  async createPaymentIntent(amount, currency, metadata = {}) {
+    if (currency.toUpperCase() !== this.config.currency.toUpperCase()) {
+      throw badRequest(`M-Pesa payments must be in ${this.config.currency.toUpperCase()}`);
+    }
+
+    // M-Pesa only charges whole amounts
+    if (!Number.isInteger(Number(amount))) {
+      throw badRequest('M-Pesa can only charge whole amounts; adjust the plan price or tax rate');
+    }
+
+    const phone = this.normalizePhone(metadata.customerPhone);
+    const timestamp = this.getTimestamp();
+
+    try {
+      const response = await this.request('/mpesa/stkpush/v1/processrequest', {
+        BusinessShortCode: this.config.shortcode,
+        Password: this.getPassword(timestamp),
+        Timestamp: timestamp,
+        // Buy Goods tills are paid through their store number's shortcode
+        TransactionType: this.config.tillNumber ? 'CustomerBuyGoodsOnline' : 'CustomerPayBillOnline',
+        Amount: Number(amount),
+        PartyA: phone,
+        PartyB: this.config.tillNumber || this.config.shortcode,
+        PhoneNumber: phone,
+        CallBackURL: this.config.callbackUrl,
+        AccountReference: String(this.config.accountReference).slice(0, 12),
+        TransactionDesc: String(metadata.planName || 'WiFi access').slice(0, 13)
+      });
+
+      if (response.ResponseCode !== '0') {
+        throw new Error(response.ResponseDescription || 'Payment request was not accepted');
+      }
+
+      // Return a standardized format with necessary client-side data
+      return {
+        id: response.CheckoutRequestID,
+        amount: Number(amount),
+        currency: currency,
+        status: 'processing',
+        merchantRequestId: response.MerchantRequestID,
+        phone,
+        clientData: {
+          checkoutRequestId: response.CheckoutRequestID,
+          phone,
+          customerMessage: response.CustomerMessage
+        }
+      };
+    } catch (error) {
+      console.error('M-Pesa createPaymentIntent error:', error);
+      throw new Error(`Failed to send M-Pesa payment request: ${error.message}`);
+    }
+  }
+
+  /**
+   * STK payments settle on the phone, so there is nothing to capture
+   * @param {String} checkoutRequestId - The checkout request ID
+   * @returns {Promise<Object>} - Payment status information
+   */
+  async processPayment(checkoutRequestId) {
+    return this.getPaymentStatus(checkoutRequestId);
+  }
+
+  /**
+   * Query the status of a payment prompt
+   * @param {String} checkoutRequestId - The checkout request ID
+   * @returns {Promise<Object>} - Payment status information
+   */
+  async getPaymentStatus(checkoutRequestId) {
+    const timestamp = this.getTimestamp();
+
+    try {
+      const response = await this.request('/mpesa/stkpushquery/v1/query', {
+        BusinessShortCode: this.config.shortcode,
+        Password: this.getPassword(timestamp),
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestId
+      });
+
+      const resultCode = Number(response.ResultCode);
+      const status = this.mapResultCode(resultCode);
+
+      return {
+        id: checkoutRequestId,
+        status,
+        providerStatus: String(resultCode),
+        resultCode,
+        resultDesc: response.ResultDesc,
+        failureReason: status === 'failed' ? this.getFailureReason(resultCode, response.ResultDesc) : undefined
+      };
+    } catch (error) {
+      if (error.code === QUERY_PENDING_ERROR_CODE) {
+        return {
+          id: checkoutRequestId,
+          status: 'processing',
+          providerStatus: 'pending'
+        };
+      }
+
+      console.error('M-Pesa getPaymentStatus error:', error);
+      throw new Error(`Failed to get M-Pesa payment status: ${error.message}`);
+    }
+  }
+
+  /**
+   * M-Pesa payments are reversed from the M-Pesa business portal
+   * @returns {Promise<Object>}
+   */
+  async refundPayment() {
+    throw new Error('M-Pesa payments cannot be refunded from here; reverse the transaction in the M-Pesa business portal');
+  }
+
+  /**
+   * Verify an STK callback. Daraja does not sign callbacks, so the result is
+   * only trusted once a status query for the same request agrees with it.
+   * @param {Object} payload - Parsed callback body
+   * @returns {Promise<Object>} - Event processing result
+   */
+  async handleWebhook(payload) {
+    try {
+      const callback = payload?.Body?.stkCallback;
+
+      if (!callback?.CheckoutRequestID) {
+        throw new Error('Not an STK push callback');
+      }
+
+      const resultCode = Number(callback.ResultCode);
+      const status = await this.getPaymentStatus(callback.CheckoutRequestID);
+
+      if (status.resultCode !== resultCode) {
+        throw new Error(`Callback result ${resultCode} does not match the payment status ${status.providerStatus}`);
+      }
+
+      // Return standardized event data
+      return {
+        id: callback.CheckoutRequestID,
+        type: resultCode === 0 ? 'stk_push.succeeded' : 'stk_push.failed',
+        object: callback,
+        event: payload
+      };
+    } catch (error) {
+      console.error('M-Pesa webhook processing error:', error);
+      throw new Error(`Failed to process M-Pesa webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get client-side configuration for the phone payment form
+   * @returns {Object} - Client configuration
+   */
+  getClientConfig() {
+    return {
+      provider: 'mpesa',
+      currency: this.config.currency,
+      countryCode: this.config.countryCode,
+      pollIntervalSeconds: POLL_INTERVAL_SECONDS,
+      timeoutSeconds: PROMPT_TIMEOUT_SECONDS
+    };
+  }
+
+  /**
+   * Validate the M-Pesa configuration
+   * @returns {Boolean} - True if configuration is valid
+   */
+  validateConfig() {
+    if (!this.config.shortcode || !this.config.passkey) {
+      console.error('Missing M-Pesa shortcode or passkey');
+      return false;
+    }
+
+    if (!/^https?:\/\//.test(this.config.callbackUrl || '')) {
+      console.error('M-Pesa callback URL must be an absolute URL');
+      return false;
+    }
+
+    if (!this.config.apiBaseUrl && !API_BASE_URLS[this.config.environment]) {
+      console.error(`Unknown M-Pesa environment: ${this.config.environment}`);
+      return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = MpesaProvider;
@@ -0,0 +1,436 @@
+const PaymentProviderInterface = require('../PaymentProviderInterface');
+const axios = require('axios');
+const crypto = require('crypto');
+const { getExponent } = require('../../../utils/money');
+
+// PayPal REST API hosts
+const API_BASE_URLS = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com'
+};
+
+// Currencies PayPal takes without the decimals ISO 4217 gives them
+const PAYPAL_EXPONENTS = { huf: 0, twd: 0 };
+
+// Refresh access tokens this long before PayPal expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * PayPal Payment Provider implementation (Orders v2)
+ * The guest approves an order with the PayPal buttons, then the server
+ * captures it. Order IDs are stored as the provider payment ID.
+ */
+class PayPalProvider extends PaymentProviderInterface {
+  static metadata = {
+    name: 'paypal',
+    displayName: 'PayPal',
+    icon: '🅿️',
+    guestSelectable: true
+  };
+
+  /**
+   * Initialize the PayPal provider with configuration
+   * @param {Object} config - PayPal configuration
+   */
+  constructor(config) {
+    super();
+
+    if (!config?.clientId || !config?.clientSecret) {
+      throw new Error('PayPal client ID and secret are required');
+    }
+
+    this.config = config;
+
+    // Validate configuration on instantiation
+    if (!this.validateConfig()) {
+      throw new Error('Invalid PayPal configuration');
+    }
+
+    this.client = axios.create({
+      baseURL: config.apiBaseUrl || API_BASE_URLS[config.environment],
+      timeout: 15000
+    });
+
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Get an OAuth access token, reusing the cached one while it is valid
+   * @returns {Promise<String>} - Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const response = await this.client.post('/v1/oauth2/token', 'grant_type=client_credentials', {
+      auth: {
+        username: this.config.clientId,
+        password: this.config.clientSecret
+      },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + response.data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Make an authenticated request to the PayPal REST API
+   * @param {String} method - HTTP method
+   * @param {String} url - API path
+   * @param {Object} data - Request body
+   * @param {Object} headers - Extra headers
+   * @returns {Promise<Object>} - Response body
+   */
+  async request(method, url, data = undefined, headers = {}) {
+    const token = await this.getAccessToken();
+
+    try {
+      const response = await this.client.request({
+        method,
+        url,
+        data,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...headers
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      // Surface PayPal's error name and detail rather than the HTTP status
+      const body = error.response?.data;
+      if (body) {
+        const detail = body.details?.[0];
+        const apiError = new Error(detail ? `${detail.issue}: ${detail.description}` : body.message || body.name);
+        apiError.name = body.name || 'PayPalError';
+        apiError.issue = detail?.issue;
+        apiError.status = error.response.status;
+        throw apiError;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Format an amount as the decimal string PayPal expects
+   * @param {Number} amount - Amount in major units
+   * @param {String} currency - Currency code
+   * @returns {Object} - PayPal money object
+   */
+  toMoney(amount, currency) {
+    const exponent = PAYPAL_EXPONENTS[currency.toLowerCase()] ?? getExponent(currency);
+
+    return {
+      currency_code: currency.toUpperCase(),
+      value: Number(amount).toFixed(exponent)
+    };
+  }
+
+  /**
+   * Get the first capture on an order
+   * @param {Object} order - PayPal order
+   * @returns {Object|null} - Capture, or null if the order has not been captured
+   */
+  getCapture(order) {
+    return order.purchase_units?.[0]?.payments?.captures?.[0] || null;
+  }
+
+  /**
+   * Map a PayPal order (and its capture) to our system's status
+   * @param {Object} order - PayPal order
+   * @returns {String} - Payment status
+   */
+  mapOrderStatus(order) {
+    const capture = this.getCapture(order);
+
+    switch (order.status) {
+      case 'COMPLETED':
+        switch (capture?.status) {
+          case 'COMPLETED':
+            return 'succeeded';
+          case 'PENDING':
+            return 'processing';
+          case 'DECLINED':
+          case 'FAILED':
+            return 'failed';
+          case 'REFUNDED':
+            return 'refunded';
+          case 'PARTIALLY_REFUNDED':
+            return 'partially_refunded';
+          default:
+            return 'unknown';
+        }
+      case 'CREATED':
+      case 'SAVED':
+      case 'APPROVED':
+      case 'PAYER_ACTION_REQUIRED':
+        return 'initialized';
+      case 'VOIDED':
+        return 'failed';
+      default:
+        return 'unknown';
+    }
+  }
+
+  /**
+   * Build the standardized status result for an order
+   * @param {Object} order - PayPal order
+   * @returns {Object} - Payment status information
+   */
+  toStatusResult(order) {
+    const purchaseUnit = order.purchase_units?.[0] || {};
+    const capture = this.getCapture(order);
+    const money = capture?.amount || purchaseUnit.amount || {};
+
+    return {
+      id: order.id,
+      status: this.mapOrderStatus(order),
+      providerStatus: order.status,
+      amount: money.value !== undefined ? Number(money.value) : undefined,
+      currency: money.currency_code?.toLowerCase(),
+      captureId: capture?.id,
+      payer: order.payer ? {
+        payerId: order.payer.payer_id,
+        email: order.payer.email_address
+      } : undefined,
+      metadata: {
+        planId: purchaseUnit.reference_id,
+        mac: purchaseUnit.custom_id
+      }
+    };
+  }
+
+  /**
+   * Create an order with PayPal
+   * @param {Number} amount - The payment amount
+   * @param {String} currency - The currency code (e.g., 'usd', 'eur')
+   * @param {Object} metadata - Additional metadata for the payment
+   * @returns {Promise<Object>} - Order data
+   */
+  async createPaymentIntent(amount, currency, metadata = {}) {
+    try {
+      const order = await this.request('post', '/v2/checkout/orders', {
+        intent: 'CAPTURE',
+        purchase_units: [{
+          reference_id: metadata.planId,
+          custom_id: metadata.mac,
+          description: metadata.planName,
+          amount: this.toMoney(amount, currency)
+        }],
+        application_context: {
+          shipping_preference: 'NO_SHIPPING',
+          user_action: 'PAY_NOW'
+        }
+      }, {
+        'PayPal-Request-Id': crypto.randomUUID()
+      });
+
+      const approveLink = order.links?.find(link => link.rel === 'approve' || link.rel === 'payer-action');
+
+      // Return a standardized format with necessary client-side data
+      return {
+        id: order.id,
+        amount: amount,
+        currency: currency,
+        status: order.status,
+        clientData: {
+          orderId: order.id,
+          clientId: this.config.clientId,
+          approveUrl: approveLink?.href
+        }
+      };
+    } catch (error) {
+      console.error('PayPal createPaymentIntent error:', error);
+      throw new Error(`Failed to create PayPal order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Capture an approved order
+   * @param {String} orderId - The PayPal order ID
+   * @param {Object} data - Additional data
+   * @returns {Promise<Object>} - Payment result
+   */
+  async processPayment(orderId, data = {}) {
+    try {
+      let order;
+
+      try {
+        // Keyed on the order so a repeated capture request is not charged twice
+        order = await this.request('post', `/v2/checkout/orders/${orderId}/capture`, {}, {
+          'PayPal-Request-Id': `capture-${orderId}`
+        });
+      } catch (error) {
+        if (error.issue !== 'ORDER_ALREADY_CAPTURED') {
+          throw error;
+        }
+
+        order = await this.request('get', `/v2/checkout/orders/${orderId}`);
+      }
+
+      return {
+        ...this.toStatusResult(order),
+        processingResult: order
+      };
+    } catch (error) {
+      console.error('PayPal processPayment error:', error);
+      throw new Error(`Failed to capture PayPal order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get payment status from PayPal
+   * @param {String} orderId - The PayPal order ID
+   * @returns {Promise<Object>} - Payment status information
+   */
+  async getPaymentStatus(orderId) {
+    try {
+      const order = await this.request('get', `/v2/checkout/orders/${orderId}`);
+
+      return this.toStatusResult(order);
+    } catch (error) {
+      console.error('PayPal getPaymentStatus error:', error);
+      throw new Error(`Failed to get PayPal payment status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Capture the order once the guest has approved it in the PayPal popup
+   * @param {String} orderId - The PayPal order ID
+   * @returns {Promise<Object>} - Payment status information
+   */
+  async confirmPayment(orderId) {
+    const status = await this.getPaymentStatus(orderId);
+
+    if (status.providerStatus !== 'APPROVED') {
+      return status;
+    }
+
+    return this.processPayment(orderId);
+  }
+
+  /**
+   * Refund a captured order through PayPal
+   * @param {String} orderId - The PayPal order ID
+   * @param {Number} amount - Amount to refund (optional, defaults to full amount)
+   * @param {String} reason - Reason for the refund (optional)
+   * @returns {Promise<Object>} - Refund result
+   */
+  async refundPayment(orderId, amount = null, reason = null) {
+    try {
+      // Refunds are issued against the capture, not the order
+      const order = await this.request('get', `/v2/checkout/orders/${orderId}`);
+      const capture = this.getCapture(order);
+
+      if (!capture) {
+        throw new Error('No capture found for this order');
+      }
+
+      const refundParams = {};
+
+      if (amount !== null) {
+        refundParams.amount = this.toMoney(amount, capture.amount.currency_code);
+      }
+      if (reason) {
+        refundParams.note_to_payer = reason;
+      }
+
+      const refund = await this.request('post', `/v2/payments/captures/${capture.id}/refund`, refundParams, {
+        'PayPal-Request-Id': crypto.randomUUID()
+      });
+
+      return {
+        id: refund.id,
+        paymentIntentId: orderId,
+        captureId: capture.id,
+        amount: refund.amount ? Number(refund.amount.value) : Number(amount ?? capture.amount.value),
+        currency: (refund.amount?.currency_code || capture.amount.currency_code).toLowerCase(),
+        status: refund.status === 'COMPLETED' ? 'succeeded' : refund.status?.toLowerCase(),
+        reason,
+        refundResult: refund
+      };
+    } catch (error) {
+      console.error('PayPal refundPayment error:', error);
+      throw new Error(`Failed to process PayPal refund: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a PayPal webhook event with the verify-webhook-signature API
+   * @param {Object} payload - Parsed webhook event
+   * @param {Object} signature - PayPal transmission headers
+   * @returns {Promise<Object>} - Event processing result
+   */
+  async handleWebhook(payload, signature = {}) {
+    try {
+      if (!this.config.webhookId) {
+        throw new Error('PayPal webhook ID is not configured');
+      }
+
+      const verification = await this.request('post', '/v1/notifications/verify-webhook-signature', {
+        auth_algo: signature['paypal-auth-algo'],
+        cert_url: signature['paypal-cert-url'],
+        transmission_id: signature['paypal-transmission-id'],
+        transmission_sig: signature['paypal-transmission-sig'],
+        transmission_time: signature['paypal-transmission-time'],
+        webhook_id: this.config.webhookId,
+        webhook_event: payload
+      });
+
+      if (verification.verification_status !== 'SUCCESS') {
+        throw new Error('Webhook signature verification failed');
+      }
+
+      // Return standardized event data
+      return {
+        id: payload.id,
+        type: payload.event_type,
+        object: payload.resource,
+        event: payload
+      };
+    } catch (error) {
+      console.error('PayPal webhook processing error:', error);
+      throw new Error(`Failed to process PayPal webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get client-side configuration for the PayPal buttons
+   * @returns {Object} - Client configuration
+   */
+  getClientConfig() {
+    return {
+      provider: 'paypal',
+      clientId: this.config.clientId,
+      currency: this.config.currency,
+      environment: this.config.environment
+    };
+  }
+
+  /**
+   * Validate the PayPal configuration
+   * @returns {Boolean} - True if configuration is valid
+   */
+  validateConfig() {
+    if (!this.config.clientId || !this.config.clientSecret) {
+      console.error('Missing PayPal client credentials');
+      return false;
+    }
+
+    if (!this.config.apiBaseUrl && !API_BASE_URLS[this.config.environment]) {
+      console.error(`Unknown PayPal environment: ${this.config.environment}`);
+      return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = PayPalProvider;
@@ -1,10 +1,72 @@
 const PaymentProviderInterface = require('../PaymentProviderInterface');
 const stripe = require('stripe');
+const money = require('../../../utils/money');
+
+// How guests enter their card details
+const CHECKOUT_MODES = ['elements', 'checkout'];
+
+// Currencies Stripe takes with more decimals than ISO 4217 gives them
+const STRIPE_EXPONENTS = { isk: 2 };
+
+// Refund reasons Stripe accepts
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
 
 /**
  * Stripe Payment Provider implementation
+ * Supports two checkout modes: 'elements' embeds the card form in the portal
+ * and works with payment intents, while 'checkout' redirects to a Stripe
+ * hosted Checkout page for captive-network browsers that break Elements.
+ * The mode can differ per UniFi site (checkoutModeSites). Checkout Session
+ * IDs (cs_...) are stored as the provider payment ID.
  */
 class StripeProvider extends PaymentProviderInterface {
+  static metadata = {
+    name: 'stripe',
+    displayName: 'Credit / Debit Card',
+    icon: '💳',
+    guestSelectable: true,
+    subscriptions: true,
+    settings: [
+      {
+        key: 'checkout_mode',
+        label: 'Payment page',
+        description: 'Where guests enter their card details',
+        perSite: true,
+        options: [
+          { value: 'elements', label: 'Card form in the portal' },
+          { value: 'checkout', label: 'Stripe Checkout (hosted page)' }
+        ]
+      }
+    ]
+  };
+  
+  /**
+   * Convert an amount in major units to the integer Stripe expects, e.g.
+   * cents for USD and yen for JPY
+   * @param {Number} amount - Amount in major units
+   * @param {String} currency - ISO currency code
+   * @returns {Number}
+   */
+  static toStripeAmount(amount, currency) {
+    const exponent = STRIPE_EXPONENTS[currency.toLowerCase()];
+    return exponent === undefined
+      ? money.toMinorUnits(amount, currency)
+      : money.toMinorUnits(amount, currency) * 10 ** (exponent - money.getExponent(currency));
+  }
+  
+  /**
+   * Convert an amount from Stripe back to major units
+   * @param {Number} amount - Amount as Stripe reports it
+   * @param {String} currency - ISO currency code
+   * @returns {Number}
+   */
+  static fromStripeAmount(amount, currency) {
+    const exponent = STRIPE_EXPONENTS[currency.toLowerCase()];
+    return exponent === undefined
+      ? money.fromMinorUnits(amount, currency)
+      : money.roundAmount(amount / 10 ** exponent, currency);
+  }
+  
   /**
    * Initialize the Stripe provider with configuration
    * @param {Object} config - Stripe configuration
@@ -26,19 +88,43 @@ class StripeProvider extends PaymentProviderInterface {
   }
   
   /**
-   * Create a payment intent with Stripe
+   * Get the checkout mode guests on a site use
+   * @param {String} [site] - UniFi site
+   * @returns {String} - One of CHECKOUT_MODES
+   */
+  getCheckoutMode(site) {
+    return (site && this.config.checkoutModeSites?.[site]) || this.config.checkoutMode || 'elements';
+  }
+  
+  /**
+   * Check whether a provider payment ID is a Checkout Session
+   * @param {String} id - Provider payment ID
+   * @returns {Boolean}
+   */
+  isCheckoutSession(id) {
+    return String(id).startsWith('cs_');
+  }
+  
+  /**
+   * Create a payment intent with Stripe, or a Checkout Session in checkout mode
    * @param {Number} amount - The payment amount
    * @param {String} currency - The currency code (e.g., 'usd', 'eur')
    * @param {Object} metadata - Additional metadata for the payment
+   * @param {Object} options - { successUrl, cancelUrl } for checkout mode, and
+   *                           the guest's site, which picks the mode
    * @returns {Promise<Object>} - Payment intent data
    */
-  async createPaymentIntent(amount, currency, metadata = {}) {
+  async createPaymentIntent(amount, currency, metadata = {}, options = {}) {
+    if (this.getCheckoutMode(options.site) === 'checkout') {
+      return this.createCheckoutSession(amount, currency, metadata, options);
+    }
+    
     try {
-      // Convert amount to cents (Stripe expects amounts in the smallest currency unit)
-      const amountInCents = Math.round(amount * 100);
+      // Stripe expects amounts in the smallest currency unit
+      const stripeAmount = StripeProvider.toStripeAmount(amount, currency);
       
       const paymentIntent = await this.stripe.paymentIntents.create({
-        amount: amountInCents,
+        amount: stripeAmount,
         currency: currency.toLowerCase(),
         metadata,
         payment_method_types: this.config.paymentMethods || ['card'],
@@ -47,10 +133,10 @@ class StripeProvider extends PaymentProviderInterface {
       // Return a standardized format with necessary client-side data
       return {
         id: paymentIntent.id,
-        clientSecret: paymentIntent.client_secret,
         amount: amount,
         currency: currency,
         status: paymentIntent.status,
+        mode: 'elements',
         clientData: {
           clientSecret: paymentIntent.client_secret,
           publishableKey: this.config.publishableKey
@@ -62,6 +148,169 @@ class StripeProvider extends PaymentProviderInterface {
     }
   }
   
+  /**
+   * Create a hosted Checkout Session
+   * @param {Number} amount - The payment amount
+   * @param {String} currency - The currency code
+   * @param {Object} metadata - Additional metadata for the payment
+   * @param {Object} options - { successUrl, cancelUrl } Stripe returns the guest to
+   * @returns {Promise<Object>} - Checkout Session data
+   */
+  async createCheckoutSession(amount, currency, metadata = {}, { successUrl, cancelUrl } = {}) {
+    try {
+      if (!successUrl || !cancelUrl) {
+        throw new Error('Return URLs are required for Stripe Checkout');
+      }
+      
+      const session = await this.stripe.checkout.sessions.create({
+        mode: 'payment',
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency: currency.toLowerCase(),
+            unit_amount: StripeProvider.toStripeAmount(amount, currency),
+            product_data: {
+              name: metadata.planName || 'WiFi access'
+            }
+          }
+        }],
+        payment_method_types: this.config.paymentMethods || ['card'],
+        customer_email: metadata.customerEmail || undefined,
+        client_reference_id: metadata.paymentId,
+        metadata,
+        // Copied to the payment intent so its webhooks can be matched too
+        payment_intent_data: { metadata },
+        success_url: successUrl,
+        cancel_url: cancelUrl
+      });
+      
+      return {
+        id: session.id,
+        amount: amount,
+        currency: currency,
+        status: session.status,
+        mode: 'checkout',
+        clientData: {
+          checkoutUrl: session.url,
+          sessionId: session.id
+        }
+      };
+    } catch (error) {
+      console.error('Stripe createCheckoutSession error:', error);
+      throw new Error(`Failed to create Stripe Checkout Session: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Start a subscription on a hosted Checkout page. Subscriptions always use
+   * Checkout, which collects the card and any authentication that renewals need.
+   * @param {Number} amount - The amount of each period
+   * @param {String} currency - The currency code
+   * @param {String} interval - Billing interval: week, month or year
+   * @param {Object} metadata - Additional metadata for the subscription
+   * @param {Object} options - { successUrl, cancelUrl } Stripe returns the guest to
+   * @returns {Promise<Object>} - Checkout Session data
+   */
+  async createSubscription(amount, currency, interval, metadata = {}, { successUrl, cancelUrl } = {}) {
+    try {
+      if (!successUrl || !cancelUrl) {
+        throw new Error('Return URLs are required for Stripe subscriptions');
+      }
+      
+      const session = await this.stripe.checkout.sessions.create({
+        mode: 'subscription',
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency: currency.toLowerCase(),
+            unit_amount: StripeProvider.toStripeAmount(amount, currency),
+            recurring: { interval },
+            product_data: {
+              name: metadata.planName || 'WiFi access'
+            }
+          }
+        }],
+        payment_method_types: this.config.paymentMethods || ['card'],
+        customer_email: metadata.customerEmail || undefined,
+        client_reference_id: metadata.paymentId,
+        metadata,
+        // Copied to the subscription so its invoices can be matched too
+        subscription_data: { metadata },
+        success_url: successUrl,
+        cancel_url: cancelUrl
+      });
+      
+      return {
+        id: session.id,
+        amount: amount,
+        currency: currency,
+        status: session.status,
+        mode: 'checkout',
+        clientData: {
+          checkoutUrl: session.url,
+          sessionId: session.id
+        }
+      };
+    } catch (error) {
+      console.error('Stripe createSubscription error:', error);
+      throw new Error(`Failed to create Stripe subscription: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Stop a subscription renewing; the guest keeps the period already paid for
+   * @param {String} subscriptionId - The Stripe subscription ID
+   * @returns {Promise<Object>} - { id, status, cancelAtPeriodEnd, currentPeriodEnd }
+   */
+  async cancelSubscription(subscriptionId) {
+    try {
+      const subscription = await this.stripe.subscriptions.update(subscriptionId, {
+        cancel_at_period_end: true
+      });
+      
+      return {
+        id: subscription.id,
+        status: subscription.status,
+        cancelAtPeriodEnd: subscription.cancel_at_period_end,
+        currentPeriodEnd: new Date(subscription.current_period_end * 1000)
+      };
+    } catch (error) {
+      console.error('Stripe cancelSubscription error:', error);
+      throw new Error(`Failed to cancel Stripe subscription: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the payment intent ID behind a provider payment ID
+   * @param {String} id - Payment intent, Checkout Session or invoice ID
+   * @returns {Promise<String>} - Payment intent ID
+   */
+  async resolvePaymentIntentId(id) {
+    // Subscription periods after the first are stored under their invoice
+    if (String(id).startsWith('in_')) {
+      const invoice = await this.stripe.invoices.retrieve(id);
+      
+      if (!invoice.payment_intent) {
+        throw new Error('No payment found for this invoice');
+      }
+      
+      return invoice.payment_intent;
+    }
+    
+    if (!this.isCheckoutSession(id)) {
+      return id;
+    }
+    
+    const session = await this.stripe.checkout.sessions.retrieve(id, { expand: ['invoice'] });
+    const paymentIntentId = session.payment_intent || session.invoice?.payment_intent;
+    
+    if (!paymentIntentId) {
+      throw new Error('No payment found for this Checkout Session');
+    }
+    
+    return paymentIntentId;
+  }
+  
   /**
    * Process a payment (typically handled client-side with Stripe)
    * @param {String} paymentIntentId - The Stripe payment intent ID
@@ -69,6 +318,11 @@ class StripeProvider extends PaymentProviderInterface {
    * @returns {Promise<Object>} - Payment result
    */
   async processPayment(paymentIntentId, data = {}) {
+    // Checkout Sessions are paid on Stripe's page
+    if (this.isCheckoutSession(paymentIntentId)) {
+      return this.getPaymentStatus(paymentIntentId);
+    }
+    
     try {
       // For Stripe, most payment processing happens client-side
       // We just need to retrieve the payment intent to get its status
@@ -77,7 +331,7 @@ class StripeProvider extends PaymentProviderInterface {
       return {
         id: paymentIntent.id,
         status: paymentIntent.status,
-        amount: paymentIntent.amount / 100, // Convert back from cents
+        amount: StripeProvider.fromStripeAmount(paymentIntent.amount, paymentIntent.currency),
         currency: paymentIntent.currency,
         paymentMethod: paymentIntent.payment_method,
         processingResult: paymentIntent
@@ -94,6 +348,10 @@ class StripeProvider extends PaymentProviderInterface {
    * @returns {Promise<Object>} - Payment status information
    */
   async getPaymentStatus(paymentIntentId) {
+    if (this.isCheckoutSession(paymentIntentId)) {
+      return this.getCheckoutSessionStatus(paymentIntentId);
+    }
+    
     try {
       const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
       
@@ -123,7 +381,7 @@ class StripeProvider extends PaymentProviderInterface {
         id: paymentIntent.id,
         status,
         providerStatus: paymentIntent.status,
-        amount: paymentIntent.amount / 100,
+        amount: StripeProvider.fromStripeAmount(paymentIntent.amount, paymentIntent.currency),
         currency: paymentIntent.currency,
         paymentMethod: paymentIntent.payment_method,
         metadata: paymentIntent.metadata
@@ -134,15 +392,77 @@ class StripeProvider extends PaymentProviderInterface {
     }
   }
   
+  /**
+   * Get the status of a Checkout Session
+   * @param {String} sessionId - The Stripe Checkout Session ID
+   * @returns {Promise<Object>} - Payment status information
+   */
+  async getCheckoutSessionStatus(sessionId) {
+    try {
+      const session = await this.stripe.checkout.sessions.retrieve(sessionId);
+      
+      // Map the session to our system's status
+      let status;
+      if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') {
+        status = 'succeeded';
+      } else if (session.status === 'expired') {
+        status = 'failed';
+      } else if (session.status === 'complete') {
+        // Completed with a payment method that settles later
+        status = 'processing';
+      } else {
+        status = 'initialized';
+      }
+      
+      return {
+        id: session.id,
+        status,
+        providerStatus: session.status,
+        amount: StripeProvider.fromStripeAmount(session.amount_total, session.currency),
+        currency: session.currency,
+        paymentIntentId: session.payment_intent,
+        subscriptionId: session.subscription,
+        customerId: session.customer,
+        metadata: session.metadata
+      };
+    } catch (error) {
+      console.error('Stripe getCheckoutSessionStatus error:', error);
+      throw new Error(`Failed to get Stripe Checkout Session status: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Cancel an abandoned payment intent, or expire its Checkout Session, so the
+   * guest can no longer pay it
+   * @param {String} paymentIntentId - The Stripe payment intent or Checkout Session ID
+   * @returns {Promise<Object>} - { canceled }
+   */
+  async cancelPayment(paymentIntentId) {
+    try {
+      if (this.isCheckoutSession(paymentIntentId)) {
+        await this.stripe.checkout.sessions.expire(paymentIntentId);
+      } else {
+        await this.stripe.paymentIntents.cancel(paymentIntentId, { cancellation_reason: 'abandoned' });
+      }
+      
+      return { canceled: true };
+    } catch (error) {
+      console.error('Stripe cancelPayment error:', error);
+      throw new Error(`Failed to cancel Stripe payment: ${error.message}`);
+    }
+  }
+  
   /**
    * Refund a payment through Stripe
-   * @param {String} paymentIntentId - The Stripe payment intent ID
+   * @param {String} providerPaymentId - The Stripe payment intent or Checkout Session ID
    * @param {Number} amount - Amount to refund (optional, defaults to full amount)
    * @param {String} reason - Reason for the refund (optional)
    * @returns {Promise<Object>} - Refund result
    */
-  async refundPayment(paymentIntentId, amount = null, reason = null) {
+  async refundPayment(providerPaymentId, amount = null, reason = null) {
     try {
+      const paymentIntentId = await this.resolvePaymentIntentId(providerPaymentId);
+      
       // Get the payment intent to find the associated charge
       const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
       
@@ -150,15 +470,15 @@ class StripeProvider extends PaymentProviderInterface {
         throw new Error('No charge found for this payment intent');
       }
       
-      // Build refund parameters
+      // Build refund parameters; Stripe only accepts its own reason codes
       const refundParams = {
         charge: paymentIntent.latest_charge,
-        reason: reason || 'requested_by_customer'
+        reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : 'requested_by_customer'
       };
       
-      // If amount is specified, convert to cents and add to params
+      // If amount is specified, convert to the smallest currency unit and add to params
       if (amount !== null) {
-        refundParams.amount = Math.round(amount * 100);
+        refundParams.amount = StripeProvider.toStripeAmount(amount, paymentIntent.currency);
       }
       
       // Process the refund
@@ -167,7 +487,7 @@ class StripeProvider extends PaymentProviderInterface {
       return {
         id: refund.id,
         paymentIntentId,
-        amount: refund.amount / 100,
+        amount: StripeProvider.fromStripeAmount(refund.amount, refund.currency),
         currency: refund.currency,
         status: refund.status,
         reason: refund.reason,
@@ -213,13 +533,15 @@ class StripeProvider extends PaymentProviderInterface {
   
   /**
    * Get client-side configuration for Stripe integration
+   * @param {Object} [options] - { site } of the guest, which picks the checkout mode
    * @returns {Object} - Client configuration
    */
-  getClientConfig() {
+  getClientConfig({ site } = {}) {
     return {
       provider: 'stripe',
       publishableKey: this.config.publishableKey,
-      paymentMethods: this.config.paymentMethods || ['card']
+      paymentMethods: this.config.paymentMethods || ['card'],
+      checkoutMode: this.getCheckoutMode(site)
     };
   }
   
@@ -238,14 +560,16 @@ class StripeProvider extends PaymentProviderInterface {
       return false;
     }
     
-    // Perform a simple API call to verify the keys work
-    try {
-      this.stripe.paymentMethods.list({ limit: 1 });
-      return true;
-    } catch (error) {
-      console.error('Stripe configuration validation failed:', error);
+    const modes = [this.config.checkoutMode, ...Object.values(this.config.checkoutModeSites || {})];
+    const unknownMode = modes.find(mode => mode && !CHECKOUT_MODES.includes(mode));
+    if (unknownMode) {
+      console.error(`Unknown Stripe checkout mode: ${unknownMode}`);
       return false;
     }
+    
+    // Keys are checked by Stripe on first use; an API call here would run on
+    // every instantiation and its rejection could not be caught
+    return true;
   }
 }
 
@@ -0,0 +1,129 @@
+const StripeProvider = require('./StripeProvider');
+
+const makeProvider = (config = {}) => new StripeProvider({
+  secretKey: 'sk_test_123',
+  publishableKey: 'pk_test_123',
+  checkoutMode: 'elements',
+  checkoutModeSites: { lobby: 'checkout' },
+  ...config
+});
+
+const returnUrls = {
+  successUrl: 'https://portal.example/success/payment?payment_id=1',
+  cancelUrl: 'https://portal.example/success/payment?payment_id=1&canceled=1'
+};
+
+describe('StripeProvider checkout mode', () => {
+  it('creates a payment intent for the card form in elements mode', async () => {
+    const provider = makeProvider();
+    provider.stripe.paymentIntents.create = jest.fn().mockResolvedValue({
+      id: 'pi_test_1',
+      client_secret: 'pi_test_1_secret',
+      status: 'requires_payment_method'
+    });
+
+    const intent = await provider.createPaymentIntent(5, 'usd', { paymentId: '1' }, returnUrls);
+
+    expect(intent).toMatchObject({ id: 'pi_test_1', mode: 'elements', clientData: { clientSecret: 'pi_test_1_secret' } });
+    expect(intent.clientSecret).toBeUndefined();
+    expect(provider.getClientConfig().checkoutMode).toBe('elements');
+  });
+
+  it('creates a Checkout Session returning to the portal in checkout mode', async () => {
+    const provider = makeProvider({ checkoutMode: 'checkout' });
+    provider.stripe.checkout.sessions.create = jest.fn().mockResolvedValue({
+      id: 'cs_test_1',
+      status: 'open',
+      url: 'https://checkout.stripe.com/c/pay/cs_test_1'
+    });
+
+    const intent = await provider.createPaymentIntent(5, 'usd', { paymentId: '1', planName: 'Day pass' }, returnUrls);
+
+    expect(intent).toMatchObject({
+      id: 'cs_test_1',
+      mode: 'checkout',
+      clientData: { checkoutUrl: 'https://checkout.stripe.com/c/pay/cs_test_1', sessionId: 'cs_test_1' }
+    });
+    expect(provider.stripe.checkout.sessions.create).toHaveBeenCalledWith(expect.objectContaining({
+      mode: 'payment',
+      client_reference_id: '1',
+      success_url: returnUrls.successUrl,
+      cancel_url: returnUrls.cancelUrl
+    }));
+    expect(provider.getClientConfig().checkoutMode).toBe('checkout');
+  });
+
+  it('needs return URLs for Checkout', async () => {
+    const provider = makeProvider({ checkoutMode: 'checkout' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(provider.createPaymentIntent(5, 'usd', {}, {})).rejects.toThrow('Return URLs are required');
+
+    console.error.mockRestore();
+  });
+
+  it('refuses an unknown mode', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => makeProvider({ checkoutMode: 'popup' })).toThrow('Invalid Stripe configuration');
+
+    console.error.mockRestore();
+  });
+
+  it('uses the site mode for guests on that site and the general mode elsewhere', () => {
+    const provider = makeProvider();
+
+    expect(provider.getClientConfig({ site: 'lobby' }).checkoutMode).toBe('checkout');
+    expect(provider.getClientConfig({ site: 'pool' }).checkoutMode).toBe('elements');
+    expect(provider.getClientConfig().checkoutMode).toBe('elements');
+  });
+
+  it('creates a Checkout Session for guests on a checkout site', async () => {
+    const provider = makeProvider();
+    provider.createCheckoutSession = jest.fn().mockResolvedValue({ id: 'cs_test_1' });
+    provider.stripe.paymentIntents.create = jest.fn().mockResolvedValue({
+      id: 'pi_test_1',
+      client_secret: 'pi_test_1_secret',
+      status: 'requires_payment_method'
+    });
+
+    await provider.createPaymentIntent(5, 'usd', {}, { site: 'lobby' });
+    await provider.createPaymentIntent(5, 'usd', {}, { site: 'pool' });
+
+    expect(provider.createCheckoutSession).toHaveBeenCalledTimes(1);
+    expect(provider.stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses an unknown mode for a site', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => makeProvider({ checkoutModeSites: { lobby: 'popup' } })).toThrow('Invalid Stripe configuration');
+
+    console.error.mockRestore();
+  });
+});
+
+describe('StripeProvider Checkout Session status', () => {
+  it.each([
+    [{ status: 'complete', payment_status: 'paid' }, 'succeeded'],
+    [{ status: 'complete', payment_status: 'unpaid' }, 'processing'],
+    [{ status: 'expired', payment_status: 'unpaid' }, 'failed'],
+    [{ status: 'open', payment_status: 'unpaid' }, 'initialized']
+  ])('maps session %p to %s', async (session, status) => {
+    const provider = makeProvider();
+    provider.stripe.checkout.sessions.retrieve = jest.fn().mockResolvedValue({
+      id: 'cs_test_1',
+      amount_total: 500,
+      currency: 'usd',
+      payment_intent: 'pi_test_1',
+      ...session
+    });
+
+    await expect(provider.getPaymentStatus('cs_test_1')).resolves.toMatchObject({
+      id: 'cs_test_1',
+      status,
+      amount: 5,
+      paymentIntentId: 'pi_test_1'
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Payment Receipts
+ * Numbers receipts for paid payments from a single increasing sequence,
+ * renders them as PDF and emails them to customers who gave an email address.
+ * Numbers are never reused, but a server that stops between taking a number
+ * and storing it on the payment skips that number.
+ */
+
+const PDFDocument = require('pdfkit');
+const Payment = require('../../models/Payment');
+const Plan = require('../../models/Plan');
+const Counter = require('../../models/Counter');
+const config = require('../../config/config');
+const { getTransporter } = require('../../utils/mailer');
+const money = require('../../utils/money');
+
+// Payments that were paid at some point and so have a receipt
+const RECEIPT_STATUSES = ['succeeded', 'refunded', 'partially_refunded'];
+
+// PDFKit's standard fonts have no glyphs for many currency symbols, so
+// receipts show the currency code instead
+const formatMoney = (amount, currency) => money.formatMoney(amount, currency, { currencyDisplay: 'code' });
+
+// Numbering claims older than this were abandoned mid-way (e.g. restart)
+const STALE_CLAIM_MS = 60 * 1000;
+
+/**
+ * Give a paid payment the next invoice number, unless it already has one.
+ * The payment is claimed before the counter moves, so racing callers never
+ * use up a number; only a crash before the number is stored loses one.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object>} - { invoiceNumber, issued } where issued is true
+ *                              if this call assigned the number
+ */
+const assignInvoiceNumber = async (payment) => {
+  if (payment.invoiceNumber) {
+    return { invoiceNumber: payment.invoiceNumber, issued: false };
+  }
+
+  if (!RECEIPT_STATUSES.includes(payment.status)) {
+    throw new Error(`Cannot issue a receipt for a payment with status: ${payment.status}`);
+  }
+
+  const now = new Date();
+
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      invoiceNumber: null,
+      $or: [
+        { 'receipt.issuedAt': null },
+        { 'receipt.issuedAt': { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } }
+      ]
+    },
+    { $set: { 'receipt.issuedAt': now } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await Payment.findById(payment._id).select('invoiceNumber');
+
+    if (!current?.invoiceNumber) {
+      throw new Error('Receipt is being issued, please try again shortly');
+    }
+
+    payment.set({ invoiceNumber: current.invoiceNumber });
+    return { invoiceNumber: current.invoiceNumber, issued: false };
+  }
+
+  const seq = await Counter.next('invoice');
+  const invoiceNumber = `${config.receipts.invoicePrefix}${String(seq).padStart(6, '0')}`;
+
+  await Payment.updateOne({ _id: payment._id }, { $set: { invoiceNumber } });
+  payment.set({ invoiceNumber, 'receipt.issuedAt': now });
+
+  return { invoiceNumber, issued: true };
+};
+
+/**
+ * Render a payment's receipt
+ * @param {Object} payment - Payment document with an invoice number
+ * @returns {Promise<Buffer>} - PDF file
+ */
+const buildReceiptPdf = async (payment) => {
+  const plan = await Plan.findById(payment.planId).select('name duration');
+  const { businessName, businessAddress, taxId } = config.receipts;
+  const { currency } = payment;
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // Seller
+  doc.fontSize(20).text(businessName);
+  doc.fontSize(10);
+  businessAddress.split(/\s*[\n;]\s*/).filter(Boolean).forEach(line => doc.text(line));
+  if (taxId) doc.text(`Tax ID: ${taxId}`);
+  doc.moveDown(2);
+
+  // Receipt details
+  doc.fontSize(16).text('Receipt');
+  doc.fontSize(10).moveDown(0.5);
+  doc.text(`Receipt number: ${payment.invoiceNumber}`);
+  doc.text(`Date: ${(payment.processedAt || payment.createdAt).toISOString().slice(0, 10)}`);
+  doc.text(`Payment reference: ${payment.providerPaymentId || payment._id}`);
+  doc.text(`Paid with: ${payment.method ? `${payment.method} (${payment.provider})` : payment.provider}`);
+
+  if (payment.customer?.name || payment.customer?.email) {
+    doc.moveDown();
+    doc.text('Billed to:');
+    if (payment.customer.name) doc.text(payment.customer.name);
+    if (payment.customer.email) doc.text(payment.customer.email);
+  }
+
+  doc.moveDown(2);
+
+  // Lines
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const line = (label, amount, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, left, y, { width: width - 120 });
+    doc.text(amount, left + width - 120, y, { width: 120, align: 'right' });
+    doc.moveDown(0.5);
+  };
+
+  const { promo, tax } = payment;
+  const subtotal = promo?.discount ? money.subtractAmounts(promo.originalAmount, promo.discount, currency) : null;
+
+  line(
+    plan ? `WiFi access: ${plan.name} (${plan.formattedDuration})` : 'WiFi access',
+    formatMoney(promo?.originalAmount ?? (tax?.inclusive === false ? tax.net : payment.amount), currency)
+  );
+
+  if (promo?.discount) {
+    line(`Discount (${promo.code})`, `-${formatMoney(promo.discount, currency)}`);
+  }
+
+  if (tax?.name) {
+    if (tax.inclusive) {
+      line('Net amount', formatMoney(tax.net, currency));
+      line(`${tax.name} ${tax.rate}% (included)`, formatMoney(tax.amount, currency));
+    } else {
+      if (subtotal !== null) line('Subtotal', formatMoney(subtotal, currency));
+      line(`${tax.name} ${tax.rate}%`, formatMoney(tax.amount, currency));
+    }
+  }
+
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.5);
+  line('Total paid', formatMoney(payment.amount, currency), { bold: true });
+
+  const refunded = payment.refund?.amount ?? payment.providerData?.refund?.amount;
+  if (refunded) {
+    line('Refunded', `-${formatMoney(refunded, currency)}`);
+  }
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * Email a payment's receipt to the customer
+ * @param {Object} payment - Payment document with an invoice number
+ * @returns {Promise<Boolean>} - True if an email was sent
+ */
+const sendReceiptEmail = async (payment) => {
+  const mailer = getTransporter();
+
+  if (!mailer || !payment.customer?.email) {
+    return false;
+  }
+
+  try {
+    const pdf = await buildReceiptPdf(payment);
+
+    await mailer.sendMail({
+      from: config.email.from,
+      to: payment.customer.email,
+      subject: `Your receipt ${payment.invoiceNumber} from ${config.receipts.businessName}`,
+      text: `Thank you for your purchase. Your receipt ${payment.invoiceNumber} for ${formatMoney(payment.amount, payment.currency)} is attached.`,
+      attachments: [{ filename: `${payment.invoiceNumber}.pdf`, content: pdf }]
+    });
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { 'receipt.emailedAt': new Date() }, $unset: { 'receipt.emailError': 1 } }
+    );
+
+    return true;
+  } catch (error) {
+    console.error(`Error emailing receipt for payment ${payment._id}:`, error.message);
+    await Payment.updateOne({ _id: payment._id }, { $set: { 'receipt.emailError': error.message } });
+    return false;
+  }
+};
+
+/**
+ * Number a paid payment's receipt and email it the first time. Safe to call
+ * on every success path; only the first call does anything.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<String>} - Invoice number
+ */
+const issueReceipt = async (payment) => {
+  const { invoiceNumber, issued } = await assignInvoiceNumber(payment);
+
+  // Don't hold up access while the mail server answers
+  if (issued) {
+    sendReceiptEmail(payment).catch(error => {
+      console.error(`Error sending receipt ${invoiceNumber}:`, error.message);
+    });
+  }
+
+  return invoiceNumber;
+};
+
+module.exports = {
+  RECEIPT_STATUSES,
+  assignInvoiceNumber,
+  buildReceiptPdf,
+  sendReceiptEmail,
+  issueReceipt
+};
@@ -0,0 +1,259 @@
+/**
+ * Payment Reconciliation
+ * Periodically checks payments left initialized or processing with their
+ * provider. The payment page and webhooks normally settle payments, but a
+ * browser closed before confirmPayment or a lost webhook leaves them open.
+ * Late successes are fulfilled, failures recorded, and payments the guest
+ * never paid are canceled here and at the provider once the abandonment
+ * window has passed. Payments the provider is still processing are left
+ * alone. Anything the job cannot settle on its own is reported in the run
+ * summary and on the payment.
+ */
+
+const Payment = require('../../models/Payment');
+const Subscription = require('../../models/Subscription');
+const JobRun = require('../../models/JobRun');
+const { getProvider } = require('./index');
+const { fulfilPayment } = require('./fulfilment');
+const subscriptions = require('./subscriptions');
+const money = require('../../utils/money');
+const config = require('../../config/config');
+const { createScheduledTask } = require('../../utils/scheduler');
+
+const JOB_NAME = 'payment-reconciliation';
+
+// Statuses of payments that have not been settled yet
+const OPEN_STATUSES = ['initialized', 'processing'];
+
+// Upper bound on discrepancies listed in a single run summary
+const MAX_REPORTED_DISCREPANCIES = 50;
+
+const reconcileConfig = config.jobs.paymentReconciliation;
+
+/**
+ * Check the amount and currency the provider reports against the payment
+ * @param {Object} payment - Payment document
+ * @param {Object} status - Result of provider.getPaymentStatus
+ * @returns {String|null} - Discrepancy description, or null if they match
+ */
+const findAmountMismatch = (payment, status) => {
+  if (status.amount !== undefined
+    && money.toMinorUnits(status.amount, payment.currency) !== money.toMinorUnits(payment.amount, payment.currency)) {
+    return `Provider amount ${status.amount} differs from ${payment.amount}`;
+  }
+
+  if (status.currency && status.currency.toLowerCase() !== payment.currency.toLowerCase()) {
+    return `Provider currency ${status.currency} differs from ${payment.currency}`;
+  }
+
+  return null;
+};
+
+/**
+ * Fulfil a payment that succeeded without the portal hearing about it
+ * @param {Object} payment - Payment document
+ * @param {Object} status - Result of provider.getPaymentStatus
+ * @returns {Promise<Object|null>} - Result of fulfilPayment, or null if the
+ *                                   payment was moved to another status meanwhile
+ */
+const settleSucceeded = async (payment, status) => {
+  // A webhook may have marked it succeeded since the batch was read; fulfilling
+  // it here as well is harmless
+  const updated = await payment.updateStatus('succeeded', status);
+
+  if (!updated && payment.status !== 'succeeded') {
+    return null;
+  }
+
+  // The first period of a subscription is paid on the provider's page
+  if (payment.subscriptionId && status.subscriptionId) {
+    const subscription = await Subscription.findById(payment.subscriptionId);
+    if (subscription) {
+      await subscriptions.activateSubscription(subscription, {
+        providerSubscriptionId: status.subscriptionId,
+        providerCustomerId: status.customerId
+      });
+    }
+  }
+
+  return fulfilPayment(payment, { source: 'reconciliation' });
+};
+
+/**
+ * Reconcile one open payment with its provider
+ * @param {Object} payment - Payment document
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} - { outcome, providerStatus, discrepancy }
+ */
+const reconcilePayment = async (payment, now) => {
+  let status;
+
+  let provider;
+
+  try {
+    provider = await getProvider(payment.provider);
+    // Captures orders the guest approved but the portal never captured (PayPal);
+    // other providers only report the status
+    status = await provider.confirmPayment(payment.providerPaymentId);
+  } catch (error) {
+    return { outcome: 'error', discrepancy: `Provider status unavailable: ${error.message}` };
+  }
+
+  const providerStatus = status.providerStatus || status.status;
+
+  switch (status.status) {
+    case 'succeeded': {
+      const mismatch = findAmountMismatch(payment, status);
+      if (mismatch) {
+        return { outcome: 'discrepancy', providerStatus, discrepancy: mismatch };
+      }
+
+      const fulfilment = await settleSucceeded(payment, status);
+      if (!fulfilment) {
+        return { outcome: 'changed', providerStatus };
+      }
+
+      return fulfilment.status === 'skipped'
+        ? { outcome: 'discrepancy', providerStatus, discrepancy: `Paid but not fulfilled: ${fulfilment.message}` }
+        : { outcome: 'fulfilled', providerStatus };
+    }
+
+    case 'failed':
+      if (!await payment.updateStatus('failed', status)) {
+        return { outcome: 'changed', providerStatus };
+      }
+
+      return { outcome: 'failed', providerStatus };
+
+    // Money may still be on its way, e.g. an M-Pesa prompt not yet answered
+    case 'processing':
+      return { outcome: 'pending', providerStatus };
+
+    case 'initialized':
+      if (now - payment.createdAt < reconcileConfig.abandonAfterMs) {
+        return { outcome: 'pending', providerStatus };
+      }
+
+      // Stop the guest paying it later, then cancel it here
+      try {
+        await provider.cancelPayment(payment.providerPaymentId);
+      } catch (error) {
+        return { outcome: 'error', providerStatus, discrepancy: `Could not cancel at the provider: ${error.message}` };
+      }
+
+      if (!await payment.updateStatus('canceled', { providerStatus, canceledReason: 'abandoned' })) {
+        return { outcome: 'changed', providerStatus };
+      }
+
+      return { outcome: 'canceled', providerStatus };
+
+    case 'refunded':
+    case 'partially_refunded':
+      return { outcome: 'discrepancy', providerStatus, discrepancy: `Refunded at the provider but ${payment.status} here` };
+
+    default:
+      return { outcome: 'discrepancy', providerStatus, discrepancy: `Unrecognised provider status ${providerStatus}` };
+  }
+};
+
+/**
+ * Reconcile a batch of open payments, least recently checked first
+ * @returns {Promise<Object>} - Run summary
+ */
+const reconcilePayments = async () => {
+  const now = new Date();
+
+  // Recent payments are still being settled by the payment page and webhooks
+  const payments = await Payment.find({
+    status: { $in: OPEN_STATUSES },
+    providerPaymentId: { $exists: true, $ne: null },
+    createdAt: { $lte: new Date(now.getTime() - reconcileConfig.minAgeMs) }
+  })
+    .sort({ 'reconciliation.checkedAt': 1, createdAt: 1 })
+    .limit(reconcileConfig.batchSize);
+
+  const summary = {
+    checked: payments.length,
+    fulfilled: 0,
+    failed: 0,
+    canceled: 0,
+    pending: 0,
+    changed: 0,
+    errors: 0,
+    discrepancies: 0,
+    discrepancyPayments: []
+  };
+
+  for (const payment of payments) {
+    let result;
+
+    try {
+      result = await reconcilePayment(payment, now);
+    } catch (error) {
+      console.error(`Error reconciling payment ${payment._id}:`, error);
+      result = { outcome: 'error', discrepancy: error.message };
+    }
+
+    const counter = {
+      fulfilled: 'fulfilled',
+      failed: 'failed',
+      canceled: 'canceled',
+      pending: 'pending',
+      changed: 'changed',
+      error: 'errors',
+      discrepancy: 'discrepancies'
+    }[result.outcome];
+    summary[counter] += 1;
+
+    if (result.discrepancy && summary.discrepancyPayments.length < MAX_REPORTED_DISCREPANCIES) {
+      summary.discrepancyPayments.push({
+        paymentId: payment._id,
+        provider: payment.provider,
+        providerPaymentId: payment.providerPaymentId,
+        status: payment.status,
+        providerStatus: result.providerStatus,
+        discrepancy: result.discrepancy
+      });
+    }
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          reconciliation: {
+            checkedAt: now,
+            providerStatus: result.providerStatus,
+            discrepancy: result.discrepancy
+          }
+        }
+      }
+    );
+  }
+
+  if (summary.discrepancies > 0 || summary.errors > 0) {
+    console.warn(`Payment reconciliation found ${summary.discrepancies} discrepancies and ${summary.errors} provider errors`);
+  }
+
+  return summary;
+};
+
+/**
+ * Run one reconciliation and record its summary
+ * @returns {Promise<Object>} - JobRun document
+ */
+const runReconciliation = () => JobRun.track(JOB_NAME, reconcilePayments);
+
+/**
+ * Get the most recent reconciliation
+ * @returns {Promise<Object|null>} - JobRun document
+ */
+const getLastRun = () => JobRun.getLatest(JOB_NAME);
+
+const worker = createScheduledTask(JOB_NAME, runReconciliation, reconcileConfig.intervalMs);
+
+module.exports = {
+  runReconciliation,
+  getLastRun,
+  start: worker.start,
+  stop: worker.stop
+};
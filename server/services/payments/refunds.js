@@ -0,0 +1,212 @@
+/**
+ * Payment Refunds
+ * Records refunds on payments and takes back the network access they paid
+ * for. Refunds made from the admin panel and those reported by provider
+ * webhooks both come through here, so each refund is recorded once however
+ * many of them report it.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const Guest = require('../../models/Guest');
+const Plan = require('../../models/Plan');
+const PromoCode = require('../../models/PromoCode');
+const controllerQueue = require('../unifi/controllerQueue');
+const { buildAuthorizationPolicy } = require('../unifi/authorizationPolicy');
+const money = require('../../utils/money');
+const config = require('../../config/config');
+
+// Reasons an admin can give for a refund
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent', 'service_issue', 'other'];
+
+// What a refund does to the guest's access; see refundAccessPolicy in config
+const ACCESS_POLICIES = ['auto', 'revoke', 'prorate', 'keep'];
+
+// Payments that can still be refunded
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+
+// Attempts at recording a refund while other refunds land at the same time
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Get how much of a payment has been refunded so far. Refunds recorded before
+ * the audit trail existed kept the amount in the provider data.
+ * @param {Object} payment - Payment document
+ * @returns {Number} - Amount in major units
+ */
+const getRefundedAmount = (payment) => {
+  return payment.refund?.amount ?? payment.providerData?.refund?.amount ?? 0;
+};
+
+/**
+ * Revoke a guest's access straight away
+ * @param {Object} guest - Guest document
+ * @returns {Promise}
+ */
+const revokeAccess = async (guest) => {
+  guest.authorized = false;
+  guest.status = 'disconnected';
+  guest.disconnectedAt = new Date();
+  await guest.save();
+
+  // Unauthorize with UniFi Controller; failures are retried by the queue
+  await controllerQueue.enqueueUnauthorization(guest, 'refund');
+};
+
+/**
+ * Take back the access a refund paid for
+ * @param {Object} payment - Payment document
+ * @param {Object} refund
+ * @param {Number} refund.amount - Amount refunded this time
+ * @param {String} refund.status - Payment status after the refund
+ * @param {String} refund.policy - One of ACCESS_POLICIES
+ * @returns {Promise<Object>} - { policy, action, secondsRemoved }
+ */
+const applyRefundToAccess = async (payment, { amount, status, policy }) => {
+  const none = { policy, action: 'none', secondsRemoved: 0 };
+
+  if (policy === 'keep' || !payment.guestId) {
+    return none;
+  }
+
+  const guest = await Guest.findById(payment.guestId);
+
+  // The device may have moved on to a voucher or lost access already
+  if (!guest || guest.accessType !== 'payment' || !guest.authorized) {
+    return none;
+  }
+
+  const now = new Date();
+  const revoke = policy === 'revoke' || (policy === 'auto' && status === 'refunded');
+
+  // Time bought later on top of this payment is not the refund's to take
+  if (revoke && guest.paymentId?.equals(payment._id)) {
+    const secondsRemoved = guest.expiresAt ? Math.max(0, Math.round((guest.expiresAt - now) / 1000)) : 0;
+    await revokeAccess(guest);
+    return { policy, action: 'revoked', secondsRemoved };
+  }
+
+  const plan = await Plan.findById(payment.planId);
+
+  if (!plan || !guest.expiresAt) {
+    return none;
+  }
+
+  const { durationSeconds } = buildAuthorizationPolicy(plan);
+  const share = revoke ? 1 : Math.min(1, amount / payment.amount);
+  const secondsRemoved = Math.round(durationSeconds * share);
+  const expiresAt = new Date(guest.expiresAt.getTime() - secondsRemoved * 1000);
+
+  if (expiresAt <= now) {
+    await revokeAccess(guest);
+    return { policy, action: 'revoked', secondsRemoved: Math.round((guest.expiresAt - now) / 1000) };
+  }
+
+  // The expiry sweeper removes access on the controller at the new time
+  guest.expiresAt = expiresAt;
+  await guest.save();
+
+  return { policy, action: 'shortened', secondsRemoved };
+};
+
+/**
+ * Record a refund on a payment and apply it to the guest's access. Providers
+ * report the total refunded so far, so only the part not yet recorded counts
+ * and a refund reported twice is recorded once.
+ * @param {Object} payment - Payment document
+ * @param {Object} refund
+ * @param {Number} refund.totalRefunded - Total refunded on the payment, in major units
+ * @param {String} refund.source - admin or the webhook reporting the refund
+ * @param {String} [refund.reason] - One of REFUND_REASONS
+ * @param {String} [refund.note] - Admin's note
+ * @param {ObjectId} [refund.refundedBy] - Admin who issued the refund
+ * @param {String} [refund.providerRefundId] - Provider's refund ID
+ * @param {String} [refund.accessPolicy] - One of ACCESS_POLICIES
+ * @returns {Promise<Object>} - { recorded, payment, refund } where refund is
+ *                              the new audit entry, or null if already recorded
+ */
+const recordRefund = async (payment, {
+  totalRefunded,
+  source,
+  reason,
+  note,
+  refundedBy,
+  providerRefundId,
+  accessPolicy = config.payments.refundAccessPolicy
+}) => {
+  let current = payment;
+
+  for (let attempt = 0; attempt < MAX_RECORD_ATTEMPTS; attempt += 1) {
+    const previous = money.roundAmount(getRefundedAmount(current), current.currency);
+    const total = money.roundAmount(Math.min(totalRefunded, current.amount), current.currency);
+    const amount = money.subtractAmounts(total, previous, current.currency);
+
+    if (amount <= 0) {
+      return { recorded: false, payment: current, refund: null };
+    }
+
+    const status = total >= current.amount ? 'refunded' : 'partially_refunded';
+    // A full refund gives the promo code use back
+    const releasePromo = status === 'refunded' && Boolean(current.promo?.reserved);
+    const now = new Date();
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      amount,
+      reason,
+      note,
+      source,
+      refundedBy,
+      providerRefundId,
+      createdAt: now
+    };
+
+    // Only succeeds if no other refund was recorded since the payment was read
+    const updated = await Payment.findOneAndUpdate(
+      { _id: current._id, 'refund.amount': current.refund?.amount ?? null },
+      {
+        $set: {
+          status,
+          refund: { amount: total, reason: reason || current.refund?.reason, date: now },
+          ...(releasePromo ? { 'promo.reserved': false } : {})
+        },
+        $push: { refunds: entry }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      current = await Payment.findById(current._id);
+      continue;
+    }
+
+    if (releasePromo) {
+      await PromoCode.releaseUse(updated.promo.codeId, updated.customer?.mac);
+    }
+
+    const access = await applyRefundToAccess(updated, {
+      amount,
+      status,
+      policy: ACCESS_POLICIES.includes(accessPolicy) ? accessPolicy : 'auto'
+    });
+
+    await Payment.updateOne(
+      { _id: updated._id, 'refunds._id': entry._id },
+      { $set: { 'refunds.$.access': access } }
+    );
+
+    const recorded = updated.refunds.id(entry._id);
+    recorded.access = access;
+
+    return { recorded: true, payment: updated, refund: recorded };
+  }
+
+  throw new Error('Payment was updated by another refund, please try again');
+};
+
+module.exports = {
+  REFUND_REASONS,
+  ACCESS_POLICIES,
+  REFUNDABLE_STATUSES,
+  getRefundedAmount,
+  recordRefund
+};
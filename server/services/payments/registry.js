@@ -0,0 +1,384 @@
+/**
+ * Payment Provider Registry
+ * Discovers provider modules in ./providers, resolves each provider's
+ * configuration from environment defaults (config/payments.js) overlaid with
+ * settings saved in the database, and tracks which providers are enabled.
+ *
+ * Database settings use the keys written by the setup wizard:
+ * - payment_active_providers: enabled provider names
+ * - payment_default_provider: provider preselected for guests
+ * - payment_<provider>_<key>: provider credentials, e.g. payment_stripe_secret_key
+ * - payment_<provider>_<key>_sites: values of a per-site setting by UniFi site,
+ *   e.g. payment_stripe_checkout_mode_sites, overriding payment_<provider>_<key>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PaymentProviderInterface = require('./PaymentProviderInterface');
+const Setting = require('../../models/Setting');
+const dbConfig = require('../../config/databaseConfig');
+const config = require('../../config/config');
+
+const PROVIDERS_DIR = path.join(__dirname, 'providers');
+
+// UniFi site names are short IDs such as 'default' or 'ak3hq5c1'
+const SITE_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Load every *Provider.js module and index it by its metadata name
+ * @returns {Map<String, Function>} - Provider classes by name
+ */
+const discoverProviders = () => {
+  const providers = new Map();
+
+  fs.readdirSync(PROVIDERS_DIR)
+    .filter(file => file.endsWith('Provider.js'))
+    .sort()
+    .forEach(file => {
+      const ProviderClass = require(path.join(PROVIDERS_DIR, file));
+      const name = ProviderClass.metadata?.name;
+
+      if (!(ProviderClass.prototype instanceof PaymentProviderInterface) || !name) {
+        console.error(`Skipping payment provider module ${file}: it must extend PaymentProviderInterface and define metadata.name`);
+        return;
+      }
+
+      if (providers.has(name)) {
+        throw new Error(`Duplicate payment provider name '${name}' in ${file}`);
+      }
+
+      providers.set(name, ProviderClass);
+    });
+
+  return providers;
+};
+
+const providerClasses = discoverProviders();
+
+// Instances are reused while their configuration is unchanged, so per-instance
+// state such as cached access tokens survives between requests
+const instances = new Map();
+
+/**
+ * Convert a snake_case settings key to the camelCase used by provider configs
+ * @param {String} key - Settings key
+ * @returns {String} - camelCase key
+ */
+const toCamelCase = (key) => key.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+
+/**
+ * Get a provider class by name
+ * @param {String} name - Provider name
+ * @returns {Function} - Provider class
+ */
+const getProviderClass = (name) => {
+  const ProviderClass = providerClasses.get(String(name || '').toLowerCase());
+
+  if (!ProviderClass) {
+    throw new Error(`Payment provider '${name}' is not supported`);
+  }
+
+  return ProviderClass;
+};
+
+/**
+ * Get the names of all discovered providers
+ * @returns {Array<String>}
+ */
+const getProviderNames = () => [...providerClasses.keys()];
+
+/**
+ * Get the saved payment settings, keyed without the payment_ prefix
+ * @returns {Promise<Object>}
+ */
+const getPaymentSettings = async () => {
+  const settings = await dbConfig.get('payments', {});
+  return settings && typeof settings === 'object' ? settings : {};
+};
+
+/**
+ * Resolve a provider's configuration: environment defaults overlaid with any
+ * payment_<name>_<key> database settings
+ * @param {String} name - Provider name
+ * @param {Object} [settings] - Saved payment settings, loaded if omitted
+ * @returns {Promise<Object>} - Provider configuration
+ */
+const resolveProviderConfig = async (name, settings = null) => {
+  const saved = settings || await getPaymentSettings();
+  const prefix = `${name}_`;
+  const resolved = { ...(config.payments.providers[name] || {}) };
+
+  Object.entries(saved).forEach(([key, value]) => {
+    if (key.startsWith(prefix) && value !== '' && value !== null) {
+      resolved[toCamelCase(key.slice(prefix.length))] = value;
+    }
+  });
+
+  return resolved;
+};
+
+/**
+ * Get the enabled provider names, preferring the saved setting over the environment
+ * @param {Object} [settings] - Saved payment settings, loaded if omitted
+ * @returns {Promise<Array<String>>}
+ */
+const getEnabledProviderNames = async (settings = null) => {
+  const saved = settings || await getPaymentSettings();
+  const enabled = Array.isArray(saved.active_providers)
+    ? saved.active_providers
+    : config.payments.activeProviders;
+
+  return enabled
+    .map(name => String(name).trim().toLowerCase())
+    .filter(name => providerClasses.has(name));
+};
+
+/**
+ * Get the provider preselected for guests
+ * @returns {Promise<String>}
+ */
+const getDefaultProviderName = async () => {
+  const saved = await getPaymentSettings();
+  return saved.default_provider || config.payments.defaultProvider;
+};
+
+/**
+ * Create (or reuse) a provider instance with its resolved configuration.
+ * Providers validate their configuration on construction, so this throws
+ * when credentials are missing or invalid.
+ * @param {String} name - Provider name
+ * @param {Object} [options] - { requireEnabled } rejects disabled providers
+ * @returns {Promise<Object>} - Provider instance
+ */
+const getProvider = async (name, { requireEnabled = false } = {}) => {
+  const ProviderClass = getProviderClass(name);
+  const providerName = ProviderClass.metadata.name;
+  const settings = await getPaymentSettings();
+
+  if (requireEnabled) {
+    const enabled = await getEnabledProviderNames(settings);
+    if (!enabled.includes(providerName)) {
+      throw new Error(`Payment provider '${providerName}' is not enabled`);
+    }
+  }
+
+  const providerConfig = await resolveProviderConfig(providerName, settings);
+  const fingerprint = JSON.stringify(providerConfig);
+  const cached = instances.get(providerName);
+
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.instance;
+  }
+
+  const instance = new ProviderClass(providerConfig);
+  instances.set(providerName, { fingerprint, instance });
+
+  return instance;
+};
+
+/**
+ * Describe every discovered provider for the admin panel
+ * @returns {Promise<Array<Object>>} - { name, displayName, icon, guestSelectable, enabled,
+ *                                     configured, error, settings }
+ */
+const listProviders = async () => {
+  const settings = await getPaymentSettings();
+  const enabled = await getEnabledProviderNames(settings);
+
+  return Promise.all(getProviderNames().map(async (name) => {
+    const { metadata } = providerClasses.get(name);
+    const providerConfig = await resolveProviderConfig(name, settings);
+    let error = null;
+
+    try {
+      await getProvider(name);
+    } catch (providerError) {
+      error = providerError.message;
+    }
+
+    return {
+      name,
+      displayName: metadata.displayName || name,
+      icon: metadata.icon || null,
+      guestSelectable: metadata.guestSelectable !== false,
+      enabled: enabled.includes(name),
+      configured: !error,
+      error,
+      settings: (metadata.settings || []).map(setting => ({
+        ...setting,
+        value: providerConfig[toCamelCase(setting.key)],
+        siteValues: setting.perSite ? providerConfig[toCamelCase(`${setting.key}_sites`)] || {} : undefined
+      }))
+    };
+  }));
+};
+
+/**
+ * Get the providers guests can pay with: enabled, correctly configured and
+ * offered on the payment page
+ * @param {Object} [options] - { site } of the guest, for per-site settings
+ * @returns {Promise<Array<Object>>} - { name, displayName, icon, subscriptions, requiresPhone,
+ *                                     clientConfig }
+ */
+const getAvailableProviders = async ({ site } = {}) => {
+  const enabled = await getEnabledProviderNames();
+
+  const providers = await Promise.all(enabled.map(async (name) => {
+    const { metadata } = providerClasses.get(name);
+
+    if (metadata.guestSelectable === false) {
+      return null;
+    }
+
+    try {
+      const provider = await getProvider(name);
+      return {
+        name,
+        displayName: metadata.displayName || name,
+        icon: metadata.icon || null,
+        subscriptions: Boolean(metadata.subscriptions),
+        requiresPhone: Boolean(metadata.requiresPhone),
+        clientConfig: provider.getClientConfig({ site })
+      };
+    } catch (error) {
+      console.error(`Error initializing payment provider ${name}:`, error.message);
+      return null;
+    }
+  }));
+
+  return providers.filter(Boolean);
+};
+
+/**
+ * Enable or disable a provider by updating payment_active_providers
+ * @param {String} name - Provider name
+ * @param {Boolean} enabled - Target state
+ * @param {String} [userId] - Admin making the change
+ * @returns {Promise<Array<String>>} - Enabled provider names
+ */
+const setProviderEnabled = async (name, enabled, userId) => {
+  const providerName = getProviderClass(name).metadata.name;
+  const current = await getEnabledProviderNames();
+
+  const active = enabled
+    ? [...new Set([...current, providerName])]
+    : current.filter(item => item !== providerName);
+
+  await Setting.findOneAndUpdate(
+    { key: 'payment_active_providers' },
+    {
+      value: active,
+      updatedBy: userId,
+      $setOnInsert: {
+        group: 'payment',
+        label: 'Active Payment Providers',
+        description: 'Enabled payment providers',
+        type: 'array',
+        isPublic: false
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  dbConfig.invalidateCache();
+
+  return active;
+};
+
+/**
+ * Change one of the settings a provider declares in its metadata, for every
+ * site or, for settings declared perSite, for one UniFi site
+ * @param {String} name - Provider name
+ * @param {String} key - Setting key, without the payment_<name>_ prefix
+ * @param {*} value - New value, which must be one of the setting's options;
+ *                    null with a site makes the site use the value for every site
+ * @param {String} [userId] - Admin making the change
+ * @param {Object} [options] - { site } to change the setting for
+ * @returns {Promise<*>} - The saved value
+ */
+const setProviderSetting = async (name, key, value, userId, { site } = {}) => {
+  const { metadata } = getProviderClass(name);
+  const setting = (metadata.settings || []).find(item => item.key === key);
+
+  if (!setting) {
+    throw new Error(`Payment provider '${metadata.name}' has no setting '${key}'`);
+  }
+
+  const clearSite = Boolean(site) && (value === null || value === '');
+  const values = (setting.options || []).map(option => option.value);
+  if (!clearSite && values.length && !values.includes(value)) {
+    throw new Error(`${setting.label} must be one of: ${values.join(', ')}`);
+  }
+
+  if (site) {
+    if (!setting.perSite) {
+      throw new Error(`${setting.label} cannot be set per site`);
+    }
+
+    if (!SITE_PATTERN.test(site)) {
+      throw new Error('Invalid site name');
+    }
+
+    const siteKey = `${key}_sites`;
+    const siteValues = { ...(await resolveProviderConfig(metadata.name))[toCamelCase(siteKey)] };
+
+    if (clearSite) {
+      delete siteValues[site];
+    } else {
+      siteValues[site] = value;
+    }
+
+    await Setting.findOneAndUpdate(
+      { key: `payment_${metadata.name}_${siteKey}` },
+      {
+        value: siteValues,
+        updatedBy: userId,
+        $setOnInsert: {
+          group: 'payment',
+          label: `${metadata.displayName || metadata.name} ${setting.label} by site`,
+          description: `${setting.description} on each UniFi site`,
+          type: 'json',
+          isPublic: false
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    dbConfig.invalidateCache();
+
+    return clearSite ? null : value;
+  }
+
+  await Setting.findOneAndUpdate(
+    { key: `payment_${metadata.name}_${key}` },
+    {
+      value,
+      updatedBy: userId,
+      $setOnInsert: {
+        group: 'payment',
+        label: `${metadata.displayName || metadata.name} ${setting.label}`,
+        description: setting.description,
+        type: 'string',
+        isPublic: false
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  dbConfig.invalidateCache();
+
+  return value;
+};
+
+module.exports = {
+  getProviderClass,
+  getProviderNames,
+  resolveProviderConfig,
+  getEnabledProviderNames,
+  getDefaultProviderName,
+  getProvider,
+  listProviders,
+  getAvailableProviders,
+  setProviderEnabled,
+  setProviderSetting
+};
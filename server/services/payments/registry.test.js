@@ -0,0 +1,85 @@
+jest.mock('../../config/databaseConfig', () => ({
+  get: jest.fn(),
+  invalidateCache: jest.fn()
+}));
+
+const dbConfig = require('../../config/databaseConfig');
+const Setting = require('../../models/Setting');
+const registry = require('./registry');
+
+describe('setProviderSetting', () => {
+  beforeEach(() => {
+    dbConfig.get.mockResolvedValue({});
+    jest.spyOn(Setting, 'findOneAndUpdate').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves a provider option under payment_<provider>_<key>', async () => {
+    await registry.setProviderSetting('stripe', 'checkout_mode', 'checkout', null);
+
+    const [filter, update] = Setting.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ key: 'payment_stripe_checkout_mode' });
+    expect(update.value).toBe('checkout');
+    expect(dbConfig.invalidateCache).toHaveBeenCalled();
+  });
+
+  it('refuses values that are not options and settings the provider does not have', async () => {
+    await expect(registry.setProviderSetting('stripe', 'checkout_mode', 'popup', null))
+      .rejects.toThrow('Payment page must be one of: elements, checkout');
+    await expect(registry.setProviderSetting('stripe', 'secret_key', 'sk_live_1', null))
+      .rejects.toThrow("Payment provider 'stripe' has no setting 'secret_key'");
+    expect(Setting.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('setProviderSetting for a site', () => {
+  beforeEach(() => {
+    dbConfig.get.mockResolvedValue({ stripe_checkout_mode_sites: { pool: 'elements' } });
+    jest.spyOn(Setting, 'findOneAndUpdate').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds the site to the values saved by site', async () => {
+    await registry.setProviderSetting('stripe', 'checkout_mode', 'checkout', null, { site: 'lobby' });
+
+    const [filter, update] = Setting.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ key: 'payment_stripe_checkout_mode_sites' });
+    expect(update.value).toEqual({ pool: 'elements', lobby: 'checkout' });
+    expect(dbConfig.invalidateCache).toHaveBeenCalled();
+  });
+
+  it('puts a site back on the setting for all sites', async () => {
+    await registry.setProviderSetting('stripe', 'checkout_mode', '', null, { site: 'pool' });
+
+    expect(Setting.findOneAndUpdate.mock.calls[0][1].value).toEqual({});
+  });
+
+  it('refuses values that are not options and malformed site names', async () => {
+    await expect(registry.setProviderSetting('stripe', 'checkout_mode', 'popup', null, { site: 'lobby' }))
+      .rejects.toThrow('Payment page must be one of: elements, checkout');
+    await expect(registry.setProviderSetting('stripe', 'checkout_mode', 'checkout', null, { site: 'a.b' }))
+      .rejects.toThrow('Invalid site name');
+    expect(Setting.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('listProviders', () => {
+  it('reports the saved value of each provider option, and its values by site', async () => {
+    dbConfig.get.mockResolvedValue({ stripe_checkout_mode: 'checkout', stripe_checkout_mode_sites: { pool: 'elements' } });
+
+    const providers = await registry.listProviders();
+    const stripe = providers.find(provider => provider.name === 'stripe');
+
+    expect(stripe.settings).toEqual([expect.objectContaining({
+      key: 'checkout_mode',
+      value: 'checkout',
+      siteValues: { pool: 'elements' }
+    })]);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Subscriptions
+ * Keeps subscriptions in step with the provider. Every paid period is stored
+ * as its own Payment and fulfilled through fulfilPayment, which extends the
+ * guest's access; when a subscription ends, the access it paid for ends too.
+ */
+
+const Payment = require('../../models/Payment');
+const Guest = require('../../models/Guest');
+const controllerQueue = require('../unifi/controllerQueue');
+const { fulfilPayment } = require('./fulfilment');
+const { getProvider } = require('./index');
+
+/**
+ * Record the provider's IDs once the guest has subscribed
+ * @param {Object} subscription - Subscription document
+ * @param {Object} details
+ * @param {String} [details.providerSubscriptionId] - Provider's subscription ID
+ * @param {String} [details.providerCustomerId] - Provider's customer ID
+ * @returns {Promise<Object>} - Subscription document
+ */
+const activateSubscription = async (subscription, { providerSubscriptionId, providerCustomerId }) => {
+  if (providerSubscriptionId) subscription.providerSubscriptionId = providerSubscriptionId;
+  if (providerCustomerId) subscription.providerCustomerId = providerCustomerId;
+  if (subscription.status === 'incomplete') subscription.status = 'active';
+
+  return subscription.save();
+};
+
+/**
+ * Update a subscription from the provider's copy
+ * @param {Object} subscription - Subscription document
+ * @param {Object} details
+ * @param {String} details.status - One of the Subscription statuses
+ * @param {Boolean} [details.cancelAtPeriodEnd] - Whether it stops at the period end
+ * @param {Date} [details.currentPeriodEnd] - End of the period paid for
+ * @returns {Promise<Object>} - Subscription document
+ */
+const syncSubscription = async (subscription, { status, cancelAtPeriodEnd, currentPeriodEnd }) => {
+  if (status === 'canceled') {
+    return endSubscription(subscription);
+  }
+
+  subscription.status = status;
+  if (cancelAtPeriodEnd !== undefined) subscription.cancelAtPeriodEnd = cancelAtPeriodEnd;
+  if (currentPeriodEnd) subscription.currentPeriodEnd = currentPeriodEnd;
+
+  return subscription.save();
+};
+
+/**
+ * Record a paid period and extend the guest's access by it. The first period
+ * was paid by the payment made when the guest subscribed; later periods get a
+ * payment of their own. Safe to call again for the same period.
+ * @param {Object} subscription - Subscription document
+ * @param {Object} period
+ * @param {String} period.providerPaymentId - Provider's ID for the period's payment (e.g. invoice ID)
+ * @param {Number} period.amount - Amount paid, in major units
+ * @param {String} period.currency - ISO currency code
+ * @param {Boolean} period.initial - True for the first period
+ * @param {Date} [period.periodEnd] - End of the period paid for
+ * @param {Object} [period.providerData] - Provider data to keep on the payment
+ * @returns {Promise<Object>} - { payment, fulfilment }, with fulfilment skipped if
+ *                              the payment was moved to another status meanwhile
+ */
+const recordPeriodPayment = async (subscription, {
+  providerPaymentId,
+  amount,
+  currency,
+  initial,
+  periodEnd,
+  providerData = {}
+}) => {
+  let payment = initial
+    ? await Payment.findById(subscription.initialPaymentId)
+    : await Payment.findOne({ provider: subscription.provider, providerPaymentId });
+
+  if (payment && payment.status !== 'succeeded') {
+    const updated = await payment.updateStatus('succeeded', providerData);
+
+    // Canceled or refunded elsewhere since it was read: there is nothing to fulfil
+    if (!updated && payment.status !== 'succeeded') {
+      return { payment, fulfilment: { status: 'skipped', message: `Payment is already ${payment.status}` } };
+    }
+  } else if (!payment) {
+    // Renewals are charged the subscription price with the first period's tax
+    const firstPayment = await Payment.findById(subscription.initialPaymentId).select('tax');
+
+    payment = await Payment.create({
+      amount,
+      currency,
+      status: 'succeeded',
+      provider: subscription.provider,
+      providerPaymentId,
+      providerData,
+      planId: subscription.planId,
+      subscriptionId: subscription._id,
+      tax: firstPayment?.tax?.name ? firstPayment.tax : undefined,
+      customer: subscription.customer,
+      description: 'Subscription renewal',
+      processedAt: new Date()
+    });
+  }
+
+  const fulfilment = await fulfilPayment(payment, { source: 'subscription' });
+
+  if (fulfilment.guest) subscription.guestId = fulfilment.guest._id;
+  if (periodEnd) subscription.currentPeriodEnd = periodEnd;
+  if (['incomplete', 'past_due'].includes(subscription.status)) subscription.status = 'active';
+  await subscription.save();
+
+  return { payment, fulfilment };
+};
+
+/**
+ * Mark a subscription as ended and end the guest's access if it was paid for
+ * by the subscription. Access bought separately is left alone.
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<Object>} - Subscription document
+ */
+const endSubscription = async (subscription) => {
+  subscription.status = 'canceled';
+  subscription.canceledAt = subscription.canceledAt || new Date();
+  await subscription.save();
+
+  const guest = subscription.guestId ? await Guest.findById(subscription.guestId) : null;
+
+  if (!guest || !guest.authorized || guest.accessType !== 'payment' || !guest.paymentId) {
+    return subscription;
+  }
+
+  const paidBySubscription = await Payment.exists({ _id: guest.paymentId, subscriptionId: subscription._id });
+
+  if (paidBySubscription) {
+    const now = new Date();
+    guest.authorized = false;
+    guest.status = 'expired';
+    guest.expiresAt = now;
+    guest.disconnectedAt = now;
+    await guest.save();
+
+    // Unauthorize with UniFi Controller; failures are retried by the queue
+    await controllerQueue.enqueueUnauthorization(guest, 'subscription_ended');
+  }
+
+  return subscription;
+};
+
+/**
+ * Stop a subscription renewing at the end of the period already paid for
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<Object>} - Subscription document
+ */
+const cancelSubscription = async (subscription) => {
+  if (!subscription.providerSubscriptionId) {
+    throw new Error('Subscription has not started yet');
+  }
+
+  const provider = await getProvider(subscription.provider);
+  const result = await provider.cancelSubscription(subscription.providerSubscriptionId);
+
+  subscription.cancelAtPeriodEnd = result.cancelAtPeriodEnd;
+  if (result.currentPeriodEnd) subscription.currentPeriodEnd = result.currentPeriodEnd;
+
+  return subscription.save();
+};
+
+module.exports = {
+  activateSubscription,
+  syncSubscription,
+  recordPeriodPayment,
+  endSubscription,
+  cancelSubscription
+};
@@ -0,0 +1,255 @@
+/**
+ * Webhook Event Log
+ * Persists every webhook delivery before it is acted on. Providers retry
+ * deliveries and may send the same event more than once, so events are keyed
+ * on the provider's event ID and only processed until they succeed. Failed
+ * events are retried with exponential backoff and can be replayed by admins.
+ */
+
+const crypto = require('crypto');
+const WebhookEvent = require('../../../models/WebhookEvent');
+const { processStripeWebhook } = require('./stripeWebhooks');
+const { processPayPalWebhook } = require('./paypalWebhooks');
+const { processMpesaWebhook } = require('./mpesaWebhooks');
+const config = require('../../../config/config');
+const { createScheduledTask } = require('../../../utils/scheduler');
+
+const retryConfig = config.jobs.webhookRetry;
+
+// Events stuck in processing longer than this were interrupted (e.g. restart)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Characters of a rejected delivery's body, event ID and type that are kept;
+// anyone can post to the webhook endpoints, so nothing they send is kept whole
+const REJECTED_EXCERPT_LENGTH = 1024;
+const REJECTED_FIELD_LENGTH = 200;
+
+// Shorten a value from a rejected delivery to REJECTED_FIELD_LENGTH
+const truncateField = (value) => {
+  return value === undefined || value === null ? undefined : String(value).slice(0, REJECTED_FIELD_LENGTH);
+};
+
+// Event processors by provider, given the verified event payload
+const processors = {
+  stripe: processStripeWebhook,
+  paypal: processPayPalWebhook,
+  mpesa: processMpesaWebhook
+};
+
+/**
+ * Check whether webhook events from a provider can be processed
+ * @param {String} provider - Provider name
+ * @returns {Boolean}
+ */
+const supportsProvider = (provider) => Boolean(processors[provider]);
+
+/**
+ * Record a delivery that failed signature verification. Only a hash, the size
+ * and the start of the body are kept for inspection, and the record is deleted
+ * after rejectedWebhookRetentionDays. It is never processed.
+ * @param {String} provider - Provider name
+ * @param {Object} payload - Request body
+ * @param {String} errorMessage - Verification error
+ * @returns {Promise<Object>} - WebhookEvent document
+ */
+const recordRejected = (provider, payload, errorMessage) => {
+  const body = JSON.stringify(payload ?? null);
+  const retentionMs = config.payments.rejectedWebhookRetentionDays * 24 * 60 * 60 * 1000;
+
+  return WebhookEvent.create({
+    provider,
+    eventId: truncateField(payload?.id),
+    type: truncateField(payload?.type || payload?.event_type),
+    payload: {
+      sha256: crypto.createHash('sha256').update(body).digest('hex'),
+      size: Buffer.byteLength(body),
+      excerpt: body.slice(0, REJECTED_EXCERPT_LENGTH),
+      truncated: body.length > REJECTED_EXCERPT_LENGTH
+    },
+    signatureVerified: false,
+    signatureError: truncateField(errorMessage),
+    status: 'rejected',
+    expiresAt: new Date(Date.now() + retentionMs)
+  });
+};
+
+/**
+ * Store a verified event, or count another delivery of one already stored
+ * @param {String} provider - Provider name
+ * @param {Object} verified - Standardized event from the provider's handleWebhook
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+const recordVerified = async (provider, verified) => {
+  const query = { provider, eventId: verified.id, signatureVerified: true };
+  const countDelivery = () => WebhookEvent.findOneAndUpdate(query, { $inc: { deliveries: 1 } }, { new: true });
+
+  const existing = await countDelivery();
+  if (existing) {
+    return { event: existing, duplicate: true };
+  }
+
+  try {
+    const event = await WebhookEvent.create({
+      provider,
+      eventId: verified.id,
+      type: verified.type,
+      payload: verified.event,
+      signatureVerified: true,
+      maxAttempts: retryConfig.maxAttempts
+    });
+
+    return { event, duplicate: false };
+  } catch (error) {
+    // Another delivery of the same event was stored first
+    if (error.code === 11000) {
+      return { event: await countDelivery(), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Claim and process a single event
+ * @param {ObjectId} eventId - WebhookEvent ID
+ * @returns {Promise<Object|null>} - Processed event, or null if it could not be claimed
+ */
+const processEvent = async (eventId) => {
+  // Atomically claim the event so a redelivery and the retry worker don't both run it
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, status: { $in: ['received', 'failed'] } },
+    {
+      $set: { status: 'processing', lastAttemptAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!event) {
+    return null;
+  }
+
+  try {
+    const result = await processors[event.provider](event.payload);
+
+    // The payment may not be saved yet if the event raced the portal; try again later
+    if (result?.status === 'error') {
+      throw new Error(result.message);
+    }
+
+    event.status = result?.status === 'ignored' ? 'ignored' : 'processed';
+    event.result = result;
+    event.processedAt = new Date();
+    event.nextAttemptAt = undefined;
+    event.lastError = undefined;
+    await event.save();
+  } catch (error) {
+    console.error(`Webhook event ${event.provider}/${event.eventId} failed:`, error.message);
+    await event.scheduleRetry(error.message, retryConfig.baseDelayMs, retryConfig.maxDelayMs);
+
+    if (event.status === 'dead') {
+      console.error(`Webhook event ${event.provider}/${event.eventId} gave up after ${event.attempts} attempts`);
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Record a verified delivery and process it unless it has already been handled
+ * @param {String} provider - Provider name
+ * @param {Object} verified - Standardized event from the provider's handleWebhook
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+const handleDelivery = async (provider, verified) => {
+  const { event, duplicate } = await recordVerified(provider, verified);
+
+  // A redelivery of a failed event is a good moment to try it again
+  if (duplicate && event.status !== 'failed') {
+    return { event, duplicate: true };
+  }
+
+  return {
+    event: (await processEvent(event._id)) || event,
+    duplicate
+  };
+};
+
+/**
+ * Retry all failed events that are due
+ * @returns {Promise<Object>} - Run summary
+ */
+const processDueEvents = async () => {
+  const now = new Date();
+
+  // Release events whose worker died mid-attempt
+  await WebhookEvent.updateMany(
+    { status: 'processing', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+    { $set: { status: 'failed', nextAttemptAt: now } }
+  );
+
+  const dueEvents = await WebhookEvent.find({
+    status: 'failed',
+    nextAttemptAt: { $lte: now }
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50)
+    .select('_id');
+
+  const summary = { processed: 0, succeeded: 0, failed: 0, dead: 0 };
+
+  for (const { _id } of dueEvents) {
+    const event = await processEvent(_id);
+    if (!event) continue;
+
+    summary.processed += 1;
+    if (['processed', 'ignored'].includes(event.status)) summary.succeeded += 1;
+    else if (event.status === 'dead') summary.dead += 1;
+    else summary.failed += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Process a stored event again, whatever its outcome was
+ * @param {ObjectId} eventId - WebhookEvent ID
+ * @param {ObjectId} userId - Admin replaying the event
+ * @returns {Promise<Object|null>} - The event after processing, or null if not found
+ */
+const replayEvent = async (eventId, userId) => {
+  const event = await WebhookEvent.findById(eventId);
+
+  if (!event) {
+    return null;
+  }
+
+  if (!event.signatureVerified) {
+    throw new Error('Events that failed signature verification cannot be replayed');
+  }
+
+  if (event.status === 'processing') {
+    throw new Error('Event is being processed');
+  }
+
+  event.status = 'received';
+  event.replayedBy = userId;
+  // Give an exhausted event a fresh set of attempts
+  if (event.attempts >= event.maxAttempts) {
+    event.maxAttempts = event.attempts + retryConfig.maxAttempts;
+  }
+  await event.save();
+
+  return (await processEvent(event._id)) || event;
+};
+
+const worker = createScheduledTask('webhook-retry', processDueEvents, retryConfig.intervalMs);
+
+module.exports = {
+  supportsProvider,
+  recordRejected,
+  handleDelivery,
+  processDueEvents,
+  replayEvent,
+  start: worker.start,
+  stop: worker.stop
+};
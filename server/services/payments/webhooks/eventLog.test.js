@@ -0,0 +1,189 @@
+jest.mock('./stripeWebhooks', () => ({
+  processStripeWebhook: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { processStripeWebhook } = require('./stripeWebhooks');
+const WebhookEvent = require('../../../models/WebhookEvent');
+const eventLog = require('./eventLog');
+
+const verified = { id: 'evt_1', type: 'payment_intent.succeeded', event: { id: 'evt_1' } };
+
+// An event as read from the database, with save stubbed out
+const loadEvent = (fields = {}) => {
+  const event = WebhookEvent.hydrate({
+    _id: '64b7f0a1c2d3e4f5a6b7c8d9',
+    provider: 'stripe',
+    eventId: 'evt_1',
+    payload: { id: 'evt_1' },
+    signatureVerified: true,
+    status: 'received',
+    attempts: 0,
+    maxAttempts: 8,
+    ...fields
+  });
+
+  event.save = jest.fn().mockResolvedValue(event);
+  return event;
+};
+
+describe('handleDelivery', () => {
+  beforeEach(() => {
+    processStripeWebhook.mockReset();
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate');
+    jest.spyOn(WebhookEvent, 'create');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores and processes the first delivery of an event', async () => {
+    const stored = loadEvent();
+    const claimed = loadEvent({ status: 'processing', attempts: 1 });
+    WebhookEvent.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(claimed);
+    WebhookEvent.create.mockResolvedValue(stored);
+    processStripeWebhook.mockResolvedValue({ status: 'success', paymentId: 'pay_1' });
+
+    const { event, duplicate } = await eventLog.handleDelivery('stripe', verified);
+
+    expect(duplicate).toBe(false);
+    expect(processStripeWebhook).toHaveBeenCalledWith({ id: 'evt_1' });
+    expect(event.status).toBe('processed');
+    expect(event.result).toEqual({ status: 'success', paymentId: 'pay_1' });
+  });
+
+  it('acknowledges a repeated delivery of a processed event without processing it again', async () => {
+    WebhookEvent.findOneAndUpdate.mockResolvedValueOnce(loadEvent({ status: 'processed', deliveries: 2 }));
+
+    const { event, duplicate } = await eventLog.handleDelivery('stripe', verified);
+
+    expect(duplicate).toBe(true);
+    expect(event.status).toBe('processed');
+    expect(processStripeWebhook).not.toHaveBeenCalled();
+  });
+
+  it('tries a failed event again when it is delivered again', async () => {
+    WebhookEvent.findOneAndUpdate
+      .mockResolvedValueOnce(loadEvent({ status: 'failed', attempts: 1 }))
+      .mockResolvedValueOnce(loadEvent({ status: 'processing', attempts: 2 }));
+    processStripeWebhook.mockResolvedValue({ status: 'success' });
+
+    const { event, duplicate } = await eventLog.handleDelivery('stripe', verified);
+
+    expect(duplicate).toBe(true);
+    expect(processStripeWebhook).toHaveBeenCalledTimes(1);
+    expect(event.status).toBe('processed');
+  });
+
+  it('treats a delivery that lost the race to store the event as a duplicate', async () => {
+    const existing = loadEvent({ status: 'processing', deliveries: 2 });
+    WebhookEvent.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+    WebhookEvent.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const { event, duplicate } = await eventLog.handleDelivery('stripe', verified);
+
+    expect(duplicate).toBe(true);
+    expect(event).toBe(existing);
+    expect(processStripeWebhook).not.toHaveBeenCalled();
+  });
+
+  it('does not process an event another worker has claimed', async () => {
+    WebhookEvent.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+    WebhookEvent.create.mockResolvedValue(loadEvent());
+
+    await eventLog.handleDelivery('stripe', verified);
+
+    expect(processStripeWebhook).not.toHaveBeenCalled();
+  });
+
+  it('schedules a retry when processing fails', async () => {
+    const claimed = loadEvent({ status: 'processing', attempts: 1 });
+    WebhookEvent.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(claimed);
+    WebhookEvent.create.mockResolvedValue(loadEvent());
+    processStripeWebhook.mockResolvedValue({ status: 'error', message: 'Payment not found' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { event } = await eventLog.handleDelivery('stripe', verified);
+
+    expect(event.status).toBe('failed');
+    expect(event.lastError).toBe('Payment not found');
+    expect(event.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('marks events the handler ignores as ignored', async () => {
+    WebhookEvent.findOneAndUpdate
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(loadEvent({ status: 'processing', attempts: 1 }));
+    WebhookEvent.create.mockResolvedValue(loadEvent());
+    processStripeWebhook.mockResolvedValue({ status: 'ignored', message: 'Unhandled event type' });
+
+    const { event } = await eventLog.handleDelivery('stripe', verified);
+
+    expect(event.status).toBe('ignored');
+  });
+});
+
+describe('replayEvent', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses events that failed signature verification', async () => {
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(loadEvent({ signatureVerified: false, status: 'rejected' }));
+
+    await expect(eventLog.replayEvent('64b7f0a1c2d3e4f5a6b7c8d9', null))
+      .rejects.toThrow('Events that failed signature verification cannot be replayed');
+  });
+});
+
+describe('recordRejected', () => {
+  beforeEach(() => {
+    jest.spyOn(WebhookEvent, 'create').mockImplementation(fields => Promise.resolve(fields));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a hash, the size and the start of the body rather than the whole payload', async () => {
+    const payload = { id: 'evt_forged', type: 'payment_intent.succeeded', data: 'x'.repeat(50000) };
+    const body = JSON.stringify(payload);
+
+    const event = await eventLog.recordRejected('stripe', payload, 'No signatures found');
+
+    expect(event).toMatchObject({
+      provider: 'stripe',
+      eventId: 'evt_forged',
+      type: 'payment_intent.succeeded',
+      signatureVerified: false,
+      signatureError: 'No signatures found',
+      status: 'rejected'
+    });
+    expect(event.payload).toEqual({
+      sha256: crypto.createHash('sha256').update(body).digest('hex'),
+      size: body.length,
+      excerpt: body.slice(0, 1024),
+      truncated: true
+    });
+  });
+
+  it('shortens long event IDs and types', async () => {
+    const event = await eventLog.recordRejected('paypal', { id: 'a'.repeat(5000), event_type: 'b'.repeat(5000) }, 'Bad');
+
+    expect(event.eventId).toHaveLength(200);
+    expect(event.type).toHaveLength(200);
+  });
+
+  it('expires the record after the retention period', async () => {
+    const before = Date.now();
+
+    const event = await eventLog.recordRejected('mpesa', undefined, 'Unknown checkout request');
+
+    const retentionMs = 7 * 24 * 60 * 60 * 1000;
+    expect(event.eventId).toBeUndefined();
+    expect(event.payload).toMatchObject({ excerpt: 'null', truncated: false });
+    expect(event.expiresAt.getTime()).toBeGreaterThanOrEqual(before + retentionMs);
+    expect(event.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + retentionMs);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * M-Pesa Webhook Handler
+ * Processes STK push callbacks from Daraja. The payment page polls for the
+ * result while the guest is on it; the callback settles payments for guests
+ * who leave the page before approving the prompt on their phone.
+ */
+
+const Payment = require('../../../models/Payment');
+const { getProvider } = require('../index');
+const { fulfilPayment } = require('../fulfilment');
+
+/**
+ * Process a verified STK push callback
+ * @param {Object} event - The callback body
+ * @returns {Promise<Object>} - The processing result
+ */
+async function processMpesaWebhook(event) {
+  const callback = event.Body?.stkCallback;
+
+  if (!callback) {
+    return { status: 'ignored', message: 'Not an STK push callback' };
+  }
+
+  console.log(`Processing M-Pesa callback for ${callback.CheckoutRequestID}`);
+
+  try {
+    return Number(callback.ResultCode) === 0
+      ? await handlePaymentSucceeded(callback)
+      : await handlePaymentFailed(callback);
+  } catch (error) {
+    console.error(`Error processing M-Pesa callback ${callback.CheckoutRequestID}:`, error);
+    throw new Error(`Failed to process M-Pesa webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Find the payment record for a checkout request
+ * @param {String} checkoutRequestId - Daraja checkout request ID
+ * @returns {Promise<Object|null>} - Payment document
+ */
+function findPaymentByCheckoutRequest(checkoutRequestId) {
+  return Payment.findOne({
+    provider: 'mpesa',
+    providerPaymentId: checkoutRequestId
+  });
+}
+
+/**
+ * Read the CallbackMetadata items into an object
+ * @param {Object} callback - The stkCallback object
+ * @returns {Object} - e.g. { Amount, MpesaReceiptNumber, TransactionDate, PhoneNumber }
+ */
+function getCallbackItems(callback) {
+  return (callback.CallbackMetadata?.Item || []).reduce((items, item) => {
+    items[item.Name] = item.Value;
+    return items;
+  }, {});
+}
+
+/**
+ * Handle a payment the guest approved on their phone
+ * @param {Object} callback - The stkCallback object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handlePaymentSucceeded(callback) {
+  const payment = await findPaymentByCheckoutRequest(callback.CheckoutRequestID);
+
+  if (!payment) {
+    console.error(`Payment not found for M-Pesa request ${callback.CheckoutRequestID}`);
+    return {
+      status: 'error',
+      message: 'Payment record not found in database'
+    };
+  }
+
+  // A late or retried callback must not undo a refund or cancellation
+  if (!payment.canTransitionTo('succeeded')) {
+    return {
+      status: 'ignored',
+      message: `Payment is already ${payment.status}`,
+      paymentId: payment._id
+    };
+  }
+
+  const items = getCallbackItems(callback);
+
+  const updated = await payment.updateStatus('succeeded', {
+    resultCode: 0,
+    resultDesc: callback.ResultDesc,
+    receiptNumber: items.MpesaReceiptNumber,
+    transactionDate: items.TransactionDate,
+    phone: items.PhoneNumber ? String(items.PhoneNumber) : undefined
+  });
+
+  // Carry on if the portal confirmed it since it was read, but not if it was canceled or refunded meanwhile
+  if (!updated && payment.status !== 'succeeded') {
+    return {
+      status: 'ignored',
+      message: `Payment is already ${payment.status}`,
+      paymentId: payment._id
+    };
+  }
+
+  const fulfilment = await fulfilPayment(payment, { source: 'webhook' });
+
+  return {
+    status: fulfilment.status === 'skipped' ? 'partial' : 'success',
+    message: `Payment processed: ${fulfilment.message}`,
+    paymentId: payment._id,
+    guestId: fulfilment.guest?._id
+  };
+}
+
+/**
+ * Handle a prompt the guest cancelled, ignored or could not pay
+ * @param {Object} callback - The stkCallback object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handlePaymentFailed(callback) {
+  const payment = await findPaymentByCheckoutRequest(callback.CheckoutRequestID);
+
+  if (!payment) {
+    console.error(`Payment not found for M-Pesa request ${callback.CheckoutRequestID}`);
+    return {
+      status: 'error',
+      message: 'Payment record not found in database'
+    };
+  }
+
+  // Don't overwrite a payment that has already gone through
+  if (!payment.canTransitionTo('failed')) {
+    return {
+      status: 'ignored',
+      message: `Payment is already ${payment.status}`,
+      paymentId: payment._id
+    };
+  }
+
+  const resultCode = Number(callback.ResultCode);
+  const provider = await getProvider('mpesa');
+
+  const updated = await payment.updateStatus('failed', {
+    resultCode,
+    resultDesc: callback.ResultDesc,
+    failureReason: provider.getFailureReason(resultCode, callback.ResultDesc)
+  });
+
+  // Leave it as it is if something else changed it since it was read
+  if (!updated) {
+    return {
+      status: 'ignored',
+      message: `Payment is already ${payment.status}`,
+      paymentId: payment._id
+    };
+  }
+
+  return {
+    status: 'success',
+    message: 'Payment failure recorded',
+    paymentId: payment._id
+  };
+}
+
+module.exports = {
+  processMpesaWebhook
+};
@@ -0,0 +1,304 @@
+/**
+ * PayPal Webhook Handler
+ * Processes webhook events from PayPal. Orders are normally captured when the
+ * guest confirms the payment; the webhooks cover guests who close the portal
+ * after approving, and captures or refunds made from the PayPal dashboard.
+ */
+
+const Payment = require('../../../models/Payment');
+const { getProvider } = require('../index');
+const { fulfilPayment } = require('../fulfilment');
+const { recordRefund } = require('../refunds');
+
+/**
+ * Process a verified PayPal webhook event
+ * @param {Object} event - The PayPal event object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function processPayPalWebhook(event) {
+  const { event_type: type, resource } = event;
+
+  console.log(`Processing PayPal webhook event: ${type}`);
+
+  try {
+    switch (type) {
+      case 'CHECKOUT.ORDER.APPROVED':
+        return await handleOrderApproved(resource);
+
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return await handleCaptureCompleted(resource);
+
+      case 'PAYMENT.CAPTURE.DENIED':
+        return await handleCaptureDenied(resource);
+
+      case 'PAYMENT.CAPTURE.REFUNDED':
+        return await handleCaptureRefunded(resource);
+
+      default:
+        // Log but don't error on unhandled event types
+        console.log(`Unhandled PayPal webhook event type: ${type}`);
+        return { status: 'ignored', message: `Event type '${type}' not handled` };
+    }
+  } catch (error) {
+    console.error(`Error processing PayPal webhook event ${type}:`, error);
+    throw new Error(`Failed to process PayPal webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Find the payment record for a PayPal order
+ * @param {String} orderId - The PayPal order ID
+ * @returns {Promise<Object|null>} - Payment document
+ */
+function findPaymentByOrder(orderId) {
+  return Payment.findOne({
+    provider: 'paypal',
+    providerPaymentId: orderId
+  });
+}
+
+/**
+ * Get the capture ID a refund belongs to from its HATEOAS links
+ * @param {Object} refund - The PayPal refund object
+ * @returns {String|null} - Capture ID
+ */
+function getRefundCaptureId(refund) {
+  const captureLink = refund.links?.find(link => link.rel === 'up');
+  const match = captureLink?.href.match(/\/captures\/([^/]+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Authorize the paying device unless the portal already did
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object>} - The processing result
+ */
+async function grantAccess(payment) {
+  const fulfilment = await fulfilPayment(payment, { source: 'webhook' });
+
+  return {
+    status: fulfilment.status === 'skipped' ? 'partial' : 'success',
+    message: `Payment processed: ${fulfilment.message}`,
+    paymentId: payment._id,
+    guestId: fulfilment.guest?._id
+  };
+}
+
+/**
+ * Handle an order the guest approved but the portal has not captured
+ * @param {Object} order - The PayPal order object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleOrderApproved(order) {
+  try {
+    const payment = await findPaymentByOrder(order.id);
+
+    if (!payment) {
+      console.error(`Payment not found for PayPal order ${order.id}`);
+      return {
+        status: 'error',
+        message: 'Payment record not found in database'
+      };
+    }
+
+    if (payment.status === 'succeeded') {
+      return {
+        status: 'success',
+        message: 'Payment already captured',
+        paymentId: payment._id
+      };
+    }
+
+    // Never capture an order whose payment was canceled or refunded
+    if (!payment.canTransitionTo('succeeded')) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    const provider = await getProvider('paypal');
+    const paymentStatus = await provider.confirmPayment(order.id);
+
+    if (!payment.canTransitionTo(paymentStatus.status)) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    const updated = await payment.updateStatus(paymentStatus.status, paymentStatus);
+
+    // Carry on if the portal captured it since it was read, but not if it ended up elsewhere
+    if (!updated && payment.status !== paymentStatus.status) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    if (paymentStatus.status !== 'succeeded') {
+      return {
+        status: 'success',
+        message: `Payment ${paymentStatus.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    return await grantAccess(payment);
+  } catch (error) {
+    console.error('Error handling CHECKOUT.ORDER.APPROVED:', error);
+    throw new Error(`Failed to handle approved order: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a completed capture
+ * @param {Object} capture - The PayPal capture object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleCaptureCompleted(capture) {
+  try {
+    const orderId = capture.supplementary_data?.related_ids?.order_id;
+    const payment = orderId ? await findPaymentByOrder(orderId) : null;
+
+    if (!payment) {
+      console.error(`Payment not found for PayPal capture ${capture.id}`);
+      return {
+        status: 'error',
+        message: 'Payment record not found in database'
+      };
+    }
+
+    // A late or retried event must not undo a refund or cancellation
+    if (!payment.canTransitionTo('succeeded')) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    const updated = await payment.updateStatus('succeeded', {
+      captureId: capture.id,
+      capture
+    });
+
+    // Carry on if the portal confirmed it since it was read, but not if it was canceled or refunded meanwhile
+    if (!updated && payment.status !== 'succeeded') {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    return await grantAccess(payment);
+  } catch (error) {
+    console.error('Error handling PAYMENT.CAPTURE.COMPLETED:', error);
+    throw new Error(`Failed to handle completed capture: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a denied capture
+ * @param {Object} capture - The PayPal capture object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleCaptureDenied(capture) {
+  try {
+    const orderId = capture.supplementary_data?.related_ids?.order_id;
+    const payment = orderId ? await findPaymentByOrder(orderId) : null;
+
+    if (!payment) {
+      console.error(`Payment not found for PayPal capture ${capture.id}`);
+      return {
+        status: 'error',
+        message: 'Payment record not found in database'
+      };
+    }
+
+    // Don't overwrite a payment that has already gone through
+    if (!payment.canTransitionTo('failed')) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    const updated = await payment.updateStatus('failed', {
+      captureId: capture.id,
+      error: capture.status_details,
+      capture
+    });
+
+    // Leave it as it is if something else changed it since it was read
+    if (!updated) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+
+    return {
+      status: 'success',
+      message: 'Payment failure recorded',
+      paymentId: payment._id
+    };
+  } catch (error) {
+    console.error('Error handling PAYMENT.CAPTURE.DENIED:', error);
+    throw new Error(`Failed to handle denied capture: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a refunded capture
+ * @param {Object} refund - The PayPal refund object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleCaptureRefunded(refund) {
+  try {
+    const captureId = getRefundCaptureId(refund);
+    const payment = captureId
+      ? await Payment.findOne({ provider: 'paypal', 'providerData.captureId': captureId })
+      : null;
+
+    if (!payment) {
+      console.error(`Payment not found for PayPal refund ${refund.id}`);
+      return {
+        status: 'error',
+        message: 'Payment record not found in database'
+      };
+    }
+
+    // Total refunded so far across all refunds on the capture
+    const totalRefunded = Number(
+      refund.seller_payable_breakdown?.total_refunded_amount?.value ?? refund.amount?.value ?? 0
+    );
+
+    // Refunds made from the admin panel were recorded already and are skipped
+    const { recorded, payment: updated } = await recordRefund(payment, {
+      totalRefunded,
+      source: 'paypal_webhook',
+      providerRefundId: refund.id
+    });
+
+    return {
+      status: 'success',
+      message: recorded ? `Payment ${updated.status}` : 'Refund already recorded',
+      paymentId: payment._id
+    };
+  } catch (error) {
+    console.error('Error handling PAYMENT.CAPTURE.REFUNDED:', error);
+    throw new Error(`Failed to handle refund: ${error.message}`);
+  }
+}
+
+module.exports = {
+  processPayPalWebhook
+};
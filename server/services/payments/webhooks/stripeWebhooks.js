@@ -3,11 +3,26 @@
  * Processes webhook events from Stripe
  */
 
+const mongoose = require('mongoose');
 const Payment = require('../../../models/Payment');
-const Guest = require('../../../models/Guest');
-const Plan = require('../../../models/Plan');
-const { createPaymentProvider } = require('../index');
-const config = require('../../../config/config');
+const Subscription = require('../../../models/Subscription');
+const { fulfilPayment } = require('../fulfilment');
+const { recordRefund } = require('../refunds');
+const { recordDispute } = require('../disputes');
+const subscriptions = require('../subscriptions');
+const StripeProvider = require('../providers/StripeProvider');
+
+// Stripe subscription statuses to ours
+const SUBSCRIPTION_STATUSES = {
+  incomplete: 'incomplete',
+  trialing: 'active',
+  active: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  paused: 'past_due',
+  canceled: 'canceled',
+  incomplete_expired: 'canceled'
+};
 
 /**
  * Process a Stripe webhook event
@@ -30,6 +45,28 @@ async function processStripeWebhook(event) {
       case 'charge.refunded':
         return await handleChargeRefunded(object);
         
+      case 'charge.dispute.created':
+      case 'charge.dispute.updated':
+      case 'charge.dispute.closed':
+        return await handleChargeDispute(object);
+        
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        return await handleCheckoutSessionCompleted(object);
+        
+      case 'checkout.session.async_payment_failed':
+      case 'checkout.session.expired':
+        return await handleCheckoutSessionFailed(object);
+        
+      case 'invoice.paid':
+        return await handleInvoicePaid(object);
+        
+      case 'customer.subscription.updated':
+        return await handleSubscriptionUpdated(object);
+        
+      case 'customer.subscription.deleted':
+        return await handleSubscriptionDeleted(object);
+        
       case 'payment_method.attached':
         // Optional: Handle payment method attachment
         return { status: 'success', message: 'Payment method attached' };
@@ -45,6 +82,62 @@ async function processStripeWebhook(event) {
   }
 }
 
+/**
+ * Find the payment record for a Stripe object. Payments made through Checkout
+ * are stored under the session ID, so fall back to the payment ID that
+ * initializePayment puts in the metadata.
+ * @param {String} id - Payment intent or Checkout Session ID
+ * @param {Object} metadata - Metadata on the Stripe object
+ * @returns {Promise<Object|null>} - Payment document
+ */
+async function findPayment(id, metadata = {}) {
+  const payment = await Payment.findOne({
+    provider: 'stripe',
+    providerPaymentId: id
+  });
+  
+  if (payment || !mongoose.isValidObjectId(metadata?.paymentId)) {
+    return payment;
+  }
+  
+  return Payment.findOne({
+    _id: metadata.paymentId,
+    provider: 'stripe'
+  });
+}
+
+/**
+ * Find the subscription record for a Stripe subscription, falling back to the
+ * subscription ID that initializePayment puts in the metadata
+ * @param {String} id - Stripe subscription ID
+ * @param {Object} metadata - Metadata on the Stripe object
+ * @returns {Promise<Object|null>} - Subscription document
+ */
+async function findSubscription(id, metadata = {}) {
+  const subscription = id
+    ? await Subscription.findOne({ provider: 'stripe', providerSubscriptionId: id })
+    : null;
+  
+  if (subscription || !mongoose.isValidObjectId(metadata?.subscriptionId)) {
+    return subscription;
+  }
+  
+  return Subscription.findOne({
+    _id: metadata.subscriptionId,
+    provider: 'stripe'
+  });
+}
+
+/**
+ * Copy a payment intent to keep on a payment, leaving out the client secret
+ * that only the guest's browser needs
+ * @param {Object} paymentIntent - The Stripe payment intent object
+ * @returns {Object} - The payment intent without client_secret
+ */
+function toStoredPaymentIntent({ client_secret: clientSecret, ...paymentIntent }) {
+  return paymentIntent;
+}
+
 /**
  * Handle a successful payment intent
  * @param {Object} paymentIntent - The Stripe payment intent object
@@ -52,11 +145,13 @@ async function processStripeWebhook(event) {
  */
 async function handlePaymentIntentSucceeded(paymentIntent) {
   try {
+    // Subscription periods are recorded from their invoice
+    if (paymentIntent.invoice) {
+      return { status: 'ignored', message: 'Subscription payments are handled by invoice webhooks' };
+    }
+    
     // Find the payment record in our database
-    const payment = await Payment.findOne({ 
-      provider: 'stripe',
-      providerPaymentId: paymentIntent.id
-    });
+    const payment = await findPayment(paymentIntent.id, paymentIntent.metadata);
     
     if (!payment) {
       console.error(`Payment not found for Stripe payment intent ${paymentIntent.id}`);
@@ -66,95 +161,41 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
       };
     }
     
+    // A late or retried event must not undo a refund or cancellation
+    if (!payment.canTransitionTo('succeeded')) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+    
     // Update payment status
-    await payment.updateStatus('succeeded', paymentIntent);
+    const updated = await payment.updateStatus('succeeded', {
+      ...toStoredPaymentIntent(paymentIntent),
+      paymentIntentId: paymentIntent.id
+    });
     
-    // If we have a plan ID, authorize the guest
-    if (payment.planId) {
-      // Get the plan to determine access duration
-      const plan = await Plan.findById(payment.planId);
-      
-      if (!plan) {
-        console.error(`Plan not found for payment ${payment._id}`);
-        return {
-          status: 'partial',
-          message: 'Payment processed but plan not found',
-          paymentId: payment._id
-        };
-      }
-      
-      // Find or create guest record
-      let guest;
-      
-      if (payment.guestId) {
-        guest = await Guest.findById(payment.guestId);
-      }
-      
-      if (!guest && payment.customer?.email) {
-        // Try to find by MAC address from payment metadata
-        const mac = paymentIntent.metadata?.mac;
-        
-        if (mac) {
-          guest = await Guest.findOne({ mac });
-        }
-        
-        if (!guest) {
-          // Create a new guest record with available information
-          guest = new Guest({
-            mac: mac || 'unknown',
-            email: payment.customer.email,
-            ip: payment.customer.ipAddress,
-            accessType: 'payment',
-            paymentId: payment._id,
-            planId: payment.planId
-          });
-          
-          await guest.save();
-          
-          // Update payment with new guest ID
-          payment.guestId = guest._id;
-          await payment.save();
-        }
-      }
-      
-      if (guest) {
-        // Calculate expiration based on plan duration
-        const now = new Date();
-        const expirationDate = new Date(now);
-        
-        // Use getDurationInSeconds from Plan model
-        const durationInSeconds = plan.getDurationInSeconds();
-        expirationDate.setSeconds(expirationDate.getSeconds() + durationInSeconds);
-        
-        // Update guest with authorization details
-        guest.authorized = true;
-        guest.authorizedAt = now;
-        guest.expiresAt = expirationDate;
-        guest.status = 'authorized';
-        await guest.save();
-        
-        // TODO: Authorize guest with UniFi controller
-        // This would be implemented in the UniFi service
-        
-        return {
-          status: 'success',
-          message: 'Payment processed and guest authorized',
-          paymentId: payment._id,
-          guestId: guest._id
-        };
-      } else {
-        return {
-          status: 'partial',
-          message: 'Payment processed but guest not found/created',
-          paymentId: payment._id
-        };
-      }
+    // Carry on if the portal confirmed it since it was read, but not if it was canceled or refunded meanwhile
+    if (!updated && payment.status !== 'succeeded') {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
     }
     
-    return { 
-      status: 'success', 
-      message: 'Payment processed successfully',
-      paymentId: payment._id
+    // Grant access unless the portal already did when the guest confirmed
+    const fulfilment = await fulfilPayment(payment, {
+      mac: paymentIntent.metadata?.mac,
+      source: 'webhook'
+    });
+    
+    return {
+      status: fulfilment.status === 'skipped' ? 'partial' : 'success',
+      message: `Payment processed: ${fulfilment.message}`,
+      paymentId: payment._id,
+      guestId: fulfilment.guest?._id
     };
   } catch (error) {
     console.error('Error handling payment_intent.succeeded:', error);
@@ -169,11 +210,13 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
  */
 async function handlePaymentIntentFailed(paymentIntent) {
   try {
+    // Subscription periods are recorded from their invoice
+    if (paymentIntent.invoice) {
+      return { status: 'ignored', message: 'Subscription payments are handled by invoice webhooks' };
+    }
+    
     // Find the payment record in our database
-    const payment = await Payment.findOne({ 
-      provider: 'stripe',
-      providerPaymentId: paymentIntent.id
-    });
+    const payment = await findPayment(paymentIntent.id, paymentIntent.metadata);
     
     if (!payment) {
       console.error(`Payment not found for Stripe payment intent ${paymentIntent.id}`);
@@ -183,12 +226,30 @@ async function handlePaymentIntentFailed(paymentIntent) {
       };
     }
     
+    // Don't overwrite a payment that has already gone through
+    if (!payment.canTransitionTo('failed')) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+    
     // Update payment status to failed
-    await payment.updateStatus('failed', {
+    const updated = await payment.updateStatus('failed', {
       error: paymentIntent.last_payment_error,
-      paymentIntent
+      paymentIntent: toStoredPaymentIntent(paymentIntent)
     });
     
+    // Leave it as it is if something else changed it since it was read
+    if (!updated) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+    
     return { 
       status: 'success', 
       message: 'Payment failure recorded',
@@ -217,10 +278,14 @@ async function handleChargeRefunded(charge) {
       };
     }
     
-    // Find the payment record in our database
+    // Find the payment record in our database; Checkout payments are stored
+    // under the session and keep the payment intent in the provider data
     const payment = await Payment.findOne({ 
       provider: 'stripe',
-      providerPaymentId: paymentIntentId
+      $or: [
+        { providerPaymentId: paymentIntentId },
+        { 'providerData.paymentIntentId': paymentIntentId }
+      ]
     });
     
     if (!payment) {
@@ -231,42 +296,341 @@ async function handleChargeRefunded(charge) {
       };
     }
     
-    // Check if fully or partially refunded
-    const status = charge.amount_refunded === charge.amount ? 'refunded' : 'partially_refunded';
-    
-    // Update payment with refund information
-    await payment.updateStatus(status, {
-      refund: {
-        amount: charge.amount_refunded / 100, // Convert from cents
-        date: new Date(),
-        chargeId: charge.id
-      },
-      charge
+    // amount_refunded is the total so far; refunds made from the admin panel
+    // were recorded already and are skipped
+    const { recorded, payment: updated } = await recordRefund(payment, {
+      totalRefunded: StripeProvider.fromStripeAmount(charge.amount_refunded, charge.currency),
+      source: 'stripe_webhook',
+      providerRefundId: charge.refunds?.data?.[0]?.id || charge.id
+    });
+    
+    return { 
+      status: 'success', 
+      message: recorded ? `Payment ${updated.status}` : 'Refund already recorded',
+      paymentId: payment._id
+    };
+  } catch (error) {
+    console.error('Error handling charge.refunded:', error);
+    throw new Error(`Failed to handle refund: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a dispute (chargeback) opened, updated or closed on a charge
+ * @param {Object} dispute - The Stripe dispute object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleChargeDispute(dispute) {
+  try {
+    const paymentIntentId = dispute.payment_intent;
+    
+    if (!paymentIntentId) {
+      return { 
+        status: 'error', 
+        message: 'No payment intent ID found in dispute' 
+      };
+    }
+    
+    const payment = await Payment.findOne({ 
+      provider: 'stripe',
+      $or: [
+        { providerPaymentId: paymentIntentId },
+        { 'providerData.paymentIntentId': paymentIntentId }
+      ]
+    });
+    
+    if (!payment) {
+      console.error(`Payment not found for disputed Stripe payment intent ${paymentIntentId}`);
+      return { 
+        status: 'error', 
+        message: 'Payment record not found in database' 
+      };
+    }
+    
+    const dueBy = dispute.evidence_details?.due_by;
+    const { changed } = await recordDispute(payment, {
+      providerDisputeId: dispute.id,
+      status: dispute.status,
+      reason: dispute.reason,
+      amount: StripeProvider.fromStripeAmount(dispute.amount, dispute.currency),
+      evidenceDueBy: dueBy ? new Date(dueBy * 1000) : undefined
     });
     
-    // If guest is associated and fully refunded, revoke access
-    if (payment.guestId && status === 'refunded') {
-      const guest = await Guest.findById(payment.guestId);
+    return { 
+      status: 'success', 
+      message: changed ? `Dispute ${dispute.status}` : 'Dispute already recorded',
+      paymentId: payment._id
+    };
+  } catch (error) {
+    console.error('Error handling charge.dispute:', error);
+    throw new Error(`Failed to handle dispute: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a Checkout Session the guest completed on Stripe's hosted page
+ * @param {Object} session - The Stripe Checkout Session object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleCheckoutSessionCompleted(session) {
+  try {
+    const payment = await findPayment(session.id, session.metadata);
+    
+    if (!payment) {
+      console.error(`Payment not found for Stripe Checkout Session ${session.id}`);
+      return { 
+        status: 'error', 
+        message: 'Payment record not found in database' 
+      };
+    }
+    
+    // Payment methods that settle later send async_payment_succeeded when paid
+    const unpaid = session.payment_status === 'unpaid';
+    
+    // A late or retried event must not undo a refund or cancellation
+    if (!payment.canTransitionTo(unpaid ? 'processing' : 'succeeded')) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+    
+    if (unpaid) {
+      const updated = await payment.updateStatus('processing', {
+        paymentIntentId: session.payment_intent,
+        checkoutSession: session
+      });
       
-      if (guest && guest.accessType === 'payment' && guest.paymentId.equals(payment._id)) {
-        guest.authorized = false;
-        guest.status = 'disconnected';
-        guest.disconnectedAt = new Date();
-        await guest.save();
-        
-        // TODO: Deauthorize guest with UniFi controller
-        // This would be implemented in the UniFi service
+      // Leave it as it is if something else changed it since it was read
+      if (!updated) {
+        return {
+          status: 'ignored',
+          message: `Payment is already ${payment.status}`,
+          paymentId: payment._id
+        };
+      }
+      
+      return { 
+        status: 'success', 
+        message: 'Payment processing',
+        paymentId: payment._id
+      };
+    }
+    
+    const updated = await payment.updateStatus('succeeded', {
+      paymentIntentId: session.payment_intent,
+      checkoutSession: session
+    });
+    
+    // Carry on if the portal confirmed it since it was read, but not if it was canceled or refunded meanwhile
+    if (!updated && payment.status !== 'succeeded') {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+    
+    if (payment.subscriptionId) {
+      const subscription = await Subscription.findById(payment.subscriptionId);
+      if (subscription) {
+        await subscriptions.activateSubscription(subscription, {
+          providerSubscriptionId: session.subscription,
+          providerCustomerId: session.customer
+        });
       }
     }
     
+    // Grant access unless the guest already confirmed on the success page
+    const fulfilment = await fulfilPayment(payment, {
+      mac: session.metadata?.mac,
+      source: 'webhook'
+    });
+    
+    return {
+      status: fulfilment.status === 'skipped' ? 'partial' : 'success',
+      message: `Payment processed: ${fulfilment.message}`,
+      paymentId: payment._id,
+      guestId: fulfilment.guest?._id
+    };
+  } catch (error) {
+    console.error('Error handling checkout.session.completed:', error);
+    throw new Error(`Failed to handle completed Checkout Session: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a Checkout Session that expired or whose delayed payment failed
+ * @param {Object} session - The Stripe Checkout Session object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleCheckoutSessionFailed(session) {
+  try {
+    const payment = await findPayment(session.id, session.metadata);
+    
+    if (!payment) {
+      console.error(`Payment not found for Stripe Checkout Session ${session.id}`);
+      return { 
+        status: 'error', 
+        message: 'Payment record not found in database' 
+      };
+    }
+    
+    // Don't overwrite a payment that has already gone through
+    if (!payment.canTransitionTo('failed')) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+    
+    const updated = await payment.updateStatus('failed', {
+      paymentIntentId: session.payment_intent,
+      checkoutSession: session
+    });
+    
+    // Leave it as it is if something else changed it since it was read
+    if (!updated) {
+      return {
+        status: 'ignored',
+        message: `Payment is already ${payment.status}`,
+        paymentId: payment._id
+      };
+    }
+    
     return { 
       status: 'success', 
-      message: `Payment ${status}`,
+      message: 'Payment failure recorded',
       paymentId: payment._id
     };
   } catch (error) {
-    console.error('Error handling charge.refunded:', error);
-    throw new Error(`Failed to handle refund: ${error.message}`);
+    console.error('Error handling failed Checkout Session:', error);
+    throw new Error(`Failed to handle failed Checkout Session: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a paid subscription invoice: the first one pays for the period the
+ * guest subscribed for, later ones renew it
+ * @param {Object} invoice - The Stripe invoice object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleInvoicePaid(invoice) {
+  try {
+    // One-off payments are handled through their payment intent
+    if (!invoice.subscription) {
+      return { status: 'ignored', message: 'Invoice is not for a subscription' };
+    }
+    
+    const metadata = invoice.subscription_details?.metadata || invoice.lines?.data?.[0]?.metadata;
+    const subscription = await findSubscription(invoice.subscription, metadata);
+    
+    if (!subscription) {
+      console.error(`Subscription not found for Stripe subscription ${invoice.subscription}`);
+      return { 
+        status: 'error', 
+        message: 'Subscription record not found in database' 
+      };
+    }
+    
+    if (!subscription.providerSubscriptionId) {
+      await subscriptions.activateSubscription(subscription, {
+        providerSubscriptionId: invoice.subscription,
+        providerCustomerId: invoice.customer
+      });
+    }
+    
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    
+    const { payment, fulfilment } = await subscriptions.recordPeriodPayment(subscription, {
+      providerPaymentId: invoice.id,
+      amount: StripeProvider.fromStripeAmount(invoice.amount_paid, invoice.currency),
+      currency: invoice.currency,
+      initial: invoice.billing_reason === 'subscription_create',
+      periodEnd: periodEnd ? new Date(periodEnd * 1000) : undefined,
+      // Kept so refunds and charge.refunded can find the charge
+      providerData: {
+        paymentIntentId: invoice.payment_intent,
+        invoiceId: invoice.id
+      }
+    });
+    
+    return {
+      status: fulfilment.status === 'skipped' ? 'partial' : 'success',
+      message: `Subscription period paid: ${fulfilment.message}`,
+      paymentId: payment._id,
+      guestId: fulfilment.guest?._id
+    };
+  } catch (error) {
+    console.error('Error handling invoice.paid:', error);
+    throw new Error(`Failed to handle paid invoice: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a subscription changing status, or being set to cancel at period end
+ * @param {Object} stripeSubscription - The Stripe subscription object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleSubscriptionUpdated(stripeSubscription) {
+  try {
+    const subscription = await findSubscription(stripeSubscription.id, stripeSubscription.metadata);
+    
+    if (!subscription) {
+      console.error(`Subscription not found for Stripe subscription ${stripeSubscription.id}`);
+      return { 
+        status: 'error', 
+        message: 'Subscription record not found in database' 
+      };
+    }
+    
+    await subscriptions.syncSubscription(subscription, {
+      status: SUBSCRIPTION_STATUSES[stripeSubscription.status] || subscription.status,
+      cancelAtPeriodEnd: stripeSubscription.cancel_at_period_end,
+      currentPeriodEnd: new Date(stripeSubscription.current_period_end * 1000)
+    });
+    
+    return { 
+      status: 'success', 
+      message: `Subscription ${subscription.status}`,
+      subscriptionId: subscription._id
+    };
+  } catch (error) {
+    console.error('Error handling customer.subscription.updated:', error);
+    throw new Error(`Failed to handle subscription update: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a subscription that has ended, at the end of a canceled period or
+ * because renewal payments kept failing
+ * @param {Object} stripeSubscription - The Stripe subscription object
+ * @returns {Promise<Object>} - The processing result
+ */
+async function handleSubscriptionDeleted(stripeSubscription) {
+  try {
+    const subscription = await findSubscription(stripeSubscription.id, stripeSubscription.metadata);
+    
+    if (!subscription) {
+      console.error(`Subscription not found for Stripe subscription ${stripeSubscription.id}`);
+      return { 
+        status: 'error', 
+        message: 'Subscription record not found in database' 
+      };
+    }
+    
+    await subscriptions.endSubscription(subscription);
+    
+    return { 
+      status: 'success', 
+      message: 'Subscription ended',
+      subscriptionId: subscription._id
+    };
+  } catch (error) {
+    console.error('Error handling customer.subscription.deleted:', error);
+    throw new Error(`Failed to handle ended subscription: ${error.message}`);
   }
 }
 
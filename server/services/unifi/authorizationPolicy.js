@@ -0,0 +1,137 @@
+/**
+ * Authorization Policy
+ * Translates a plan, plus any overrides on the redeemed voucher, into the
+ * options expected by unifiService.authorizeGuest. The controller takes
+ * minutes for duration, kbps for bandwidth and megabytes for the data quota.
+ */
+
+// Bandwidth units to kbps (network rates are decimal)
+const KBPS_PER_UNIT = {
+  kbps: 1,
+  mbps: 1000,
+  gbps: 1000000
+};
+
+// Data limit units to megabytes
+const MEGABYTES_PER_UNIT = {
+  mb: 1,
+  gb: 1024,
+  tb: 1048576
+};
+
+// Duration units to seconds
+const SECONDS_PER_UNIT = {
+  minutes: 60,
+  hours: 3600,
+  days: 86400,
+  weeks: 604800,
+  months: 2592000 // Approximate - 30 days
+};
+
+/**
+ * Look up a unit conversion factor
+ * @param {Object} table - Conversion table
+ * @param {String} unit - Unit name
+ * @param {String} kind - What is being converted, used in errors
+ * @returns {Number} - Conversion factor
+ */
+const getFactor = (table, unit, kind) => {
+  const factor = table[unit];
+
+  if (factor === undefined) {
+    throw new Error(`Unsupported ${kind} unit: ${unit}`);
+  }
+
+  return factor;
+};
+
+/**
+ * Convert a bandwidth value to whole kbps
+ * @param {Number} value - Bandwidth value
+ * @param {String} unit - kbps, mbps or gbps
+ * @returns {Number|null} - kbps, or null when unrestricted
+ */
+const toKbps = (value, unit = 'mbps') => {
+  if (!value || value <= 0) return null;
+  return Math.round(value * getFactor(KBPS_PER_UNIT, unit, 'bandwidth'));
+};
+
+/**
+ * Convert a data limit to whole megabytes
+ * @param {Object} dataLimit - { value, unit, unlimited }
+ * @returns {Number|null} - Megabytes, or null when unlimited
+ */
+const toQuotaMegabytes = (dataLimit) => {
+  if (!dataLimit || dataLimit.unlimited || !dataLimit.value || dataLimit.value <= 0) {
+    return null;
+  }
+
+  return Math.ceil(dataLimit.value * getFactor(MEGABYTES_PER_UNIT, dataLimit.unit || 'gb', 'data limit'));
+};
+
+/**
+ * Convert a duration to seconds
+ * @param {Object} duration - { value, unit }
+ * @returns {Number} - Seconds
+ */
+const toSeconds = (duration) => {
+  return duration.value * getFactor(SECONDS_PER_UNIT, duration.unit || 'hours', 'duration');
+};
+
+/**
+ * Check whether a voucher overrides a data limit
+ * @param {Object} dataLimit - Voucher data limit
+ * @returns {Boolean}
+ */
+const hasDataLimitOverride = (dataLimit) => {
+  return Boolean(dataLimit && (dataLimit.unlimited || dataLimit.value > 0));
+};
+
+/**
+ * Build the access policy for a plan and optional voucher
+ * @param {Object} plan - Plan document
+ * @param {Object} [voucher] - Voucher document whose settings take precedence
+ * @returns {Object} - { durationSeconds, authorization } where authorization
+ *                     is passed to unifiService.authorizeGuest
+ */
+const buildAuthorizationPolicy = (plan, voucher = null) => {
+  if (!plan) {
+    throw new Error('A plan is required to build an authorization policy');
+  }
+
+  const voucherBandwidth = voucher?.bandwidth || {};
+  const planBandwidth = plan.bandwidth || {};
+
+  // Each direction is overridden independently, in the unit it was set in
+  const downloadBandwidth = voucherBandwidth.download
+    ? toKbps(voucherBandwidth.download, voucherBandwidth.unit)
+    : toKbps(planBandwidth.download, planBandwidth.unit);
+  const uploadBandwidth = voucherBandwidth.upload
+    ? toKbps(voucherBandwidth.upload, voucherBandwidth.unit)
+    : toKbps(planBandwidth.upload, planBandwidth.unit);
+
+  const quotaMegabytes = hasDataLimitOverride(voucher?.dataLimit)
+    ? toQuotaMegabytes(voucher.dataLimit)
+    : toQuotaMegabytes(plan.dataLimit);
+
+  const durationSeconds = voucher?.duration?.value > 0
+    ? toSeconds(voucher.duration)
+    : toSeconds(plan.duration);
+
+  return {
+    durationSeconds,
+    authorization: {
+      minutesDuration: Math.ceil(durationSeconds / 60),
+      downloadBandwidth,
+      uploadBandwidth,
+      quotaMegabytes
+    }
+  };
+};
+
+module.exports = {
+  buildAuthorizationPolicy,
+  toKbps,
+  toQuotaMegabytes,
+  toSeconds
+};
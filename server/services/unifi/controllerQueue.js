@@ -0,0 +1,224 @@
+/**
+ * UniFi Controller Job Queue
+ * Persists authorize/unauthorize operations so that controller outages do not
+ * leave paying guests offline. Jobs are attempted immediately and retried with
+ * exponential backoff until they succeed or are moved to the dead-letter state.
+ */
+
+const ControllerJob = require('../../models/ControllerJob');
+const Guest = require('../../models/Guest');
+const unifiService = require('./unifiService');
+const config = require('../../config/config');
+const { createScheduledTask } = require('../../utils/scheduler');
+
+const queueConfig = config.jobs.controllerQueue;
+
+// Jobs stuck in processing longer than this were interrupted (e.g. restart)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Run the controller operation for a job
+ * @param {Object} job - ControllerJob document
+ * @returns {Promise<Object>} - UniFi service result
+ */
+const runOperation = (job) => {
+  switch (job.type) {
+    case 'authorize':
+      return unifiService.authorizeGuest({ ...job.payload, mac: job.mac });
+    case 'unauthorize':
+      return unifiService.unauthorizeGuest(job.mac);
+    default:
+      throw new Error(`Unknown controller job type: ${job.type}`);
+  }
+};
+
+/**
+ * Claim and process a single job
+ * @param {ObjectId} jobId - Job ID
+ * @returns {Promise<Object|null>} - Processed job, or null if it could not be claimed
+ */
+const processJob = async (jobId) => {
+  // Atomically claim the job so concurrent workers don't run it twice
+  const job = await ControllerJob.findOneAndUpdate(
+    { _id: jobId, status: 'pending' },
+    {
+      $set: { status: 'processing', lastAttemptAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!job) {
+    return null;
+  }
+
+  try {
+    await runOperation(job);
+
+    job.status = 'succeeded';
+    job.completedAt = new Date();
+    job.lastError = undefined;
+    await job.save();
+
+    // The guest is only fully authorized once the controller has confirmed
+    if (job.type === 'authorize' && job.guestId) {
+      await Guest.updateOne(
+        { _id: job.guestId, status: 'pending_authorization' },
+        { $set: { status: 'authorized' } }
+      );
+    }
+  } catch (error) {
+    console.error(`Controller job ${job._id} (${job.type} ${job.mac}) failed:`, error.message);
+    await job.scheduleRetry(error.message, queueConfig.baseDelayMs, queueConfig.maxDelayMs);
+
+    if (job.status === 'dead') {
+      console.error(`Controller job ${job._id} moved to dead-letter after ${job.attempts} attempts`);
+    }
+  }
+
+  return job;
+};
+
+/**
+ * Add a job to the queue and try it once straight away
+ * @param {Object} options - Job options
+ * @returns {Promise<Object>} - The job after its first attempt
+ */
+const enqueue = async ({ type, mac, guestId, payload, source }) => {
+  const normalizedMac = unifiService.normalizeMac(mac);
+
+  // The latest request for a device wins over any still-pending ones
+  await ControllerJob.updateMany(
+    { mac: normalizedMac, status: 'pending' },
+    { $set: { status: 'canceled', completedAt: new Date(), lastError: 'Superseded by a newer job' } }
+  );
+
+  const job = await ControllerJob.create({
+    type,
+    mac: normalizedMac,
+    guestId,
+    payload,
+    source,
+    maxAttempts: queueConfig.maxAttempts
+  });
+
+  return (await processJob(job._id)) || job;
+};
+
+/**
+ * Queue authorization of a guest on the controller. The guest is marked as
+ * pending authorization until the controller confirms.
+ * @param {Object} guest - Guest document
+ * @param {Object} options - Options for unifiService.authorizeGuest
+ * @param {String} source - What triggered the authorization
+ * @returns {Promise<Object>} - The job after its first attempt
+ */
+const enqueueAuthorization = async (guest, options, source) => {
+  guest.status = 'pending_authorization';
+  await guest.save();
+
+  const job = await enqueue({
+    type: 'authorize',
+    mac: guest.mac,
+    guestId: guest._id,
+    payload: options,
+    source
+  });
+
+  // Reflect the confirmed state on the in-memory document as well
+  if (job.status === 'succeeded') {
+    guest.status = 'authorized';
+  }
+
+  return job;
+};
+
+/**
+ * Queue removal of a guest's authorization on the controller
+ * @param {Object} guest - Guest document
+ * @param {String} source - What triggered the unauthorization
+ * @returns {Promise<Object>} - The job after its first attempt
+ */
+const enqueueUnauthorization = (guest, source) => {
+  return enqueue({
+    type: 'unauthorize',
+    mac: guest.mac,
+    guestId: guest._id,
+    source
+  });
+};
+
+/**
+ * Process all jobs that are due for another attempt
+ * @returns {Promise<Object>} - Run summary
+ */
+const processDueJobs = async () => {
+  const now = new Date();
+
+  // Release jobs whose worker died mid-attempt
+  await ControllerJob.updateMany(
+    { status: 'processing', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+    { $set: { status: 'pending', nextAttemptAt: now } }
+  );
+
+  const dueJobs = await ControllerJob.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now }
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50)
+    .select('_id');
+
+  const summary = { processed: 0, succeeded: 0, failed: 0, dead: 0 };
+
+  // Run sequentially to avoid hammering a controller that is recovering
+  for (const { _id } of dueJobs) {
+    const job = await processJob(_id);
+    if (!job) continue;
+
+    summary.processed += 1;
+    if (job.status === 'succeeded') summary.succeeded += 1;
+    else if (job.status === 'dead') summary.dead += 1;
+    else summary.failed += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Reset a pending or dead job and attempt it immediately
+ * @param {ObjectId} jobId - Job ID
+ * @returns {Promise<Object|null>} - The job after the attempt, or null if not found
+ */
+const retryJob = async (jobId) => {
+  const job = await ControllerJob.findById(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  if (!['pending', 'dead'].includes(job.status)) {
+    throw new Error(`Cannot retry a job with status: ${job.status}`);
+  }
+
+  job.status = 'pending';
+  job.nextAttemptAt = new Date();
+  // Give a dead job a fresh set of attempts
+  if (job.attempts >= job.maxAttempts) {
+    job.maxAttempts = job.attempts + queueConfig.maxAttempts;
+  }
+  await job.save();
+
+  return (await processJob(job._id)) || job;
+};
+
+const worker = createScheduledTask('controller-queue', processDueJobs, queueConfig.intervalMs);
+
+module.exports = {
+  enqueueAuthorization,
+  enqueueUnauthorization,
+  processDueJobs,
+  retryJob,
+  start: worker.start,
+  stop: worker.stop
+};
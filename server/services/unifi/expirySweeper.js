@@ -0,0 +1,94 @@
+/**
+ * Guest Expiry Sweeper
+ * Periodically removes controller access for guests whose time has run out
+ * and marks vouchers past their validity window as expired, instead of
+ * waiting for someone to request /api/guest/info.
+ */
+
+const Guest = require('../../models/Guest');
+const Voucher = require('../../models/Voucher');
+const JobRun = require('../../models/JobRun');
+const controllerQueue = require('./controllerQueue');
+const config = require('../../config/config');
+const { createScheduledTask } = require('../../utils/scheduler');
+
+const JOB_NAME = 'expiry-sweeper';
+
+const sweeperConfig = config.jobs.expirySweeper;
+
+/**
+ * Deauthorize guests whose access has expired
+ * @param {Date} now - Sweep time
+ * @returns {Promise<Object>} - Guest counts
+ */
+const expireGuests = async (now) => {
+  const guests = await Guest.find({
+    authorized: true,
+    expiresAt: { $lte: now }
+  }).limit(sweeperConfig.batchSize);
+
+  const summary = { guestsExpired: 0, unauthorizeFailed: 0 };
+
+  for (const guest of guests) {
+    guest.authorized = false;
+    guest.isConnected = false;
+    guest.status = 'expired';
+    guest.disconnectedAt = now;
+    await guest.save();
+    summary.guestsExpired += 1;
+
+    // Failures stay in the controller queue and are retried there
+    const job = await controllerQueue.enqueueUnauthorization(guest, 'expiry');
+    if (job.status !== 'succeeded') {
+      summary.unauthorizeFailed += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Mark unused vouchers past validUntil as expired
+ * @param {Date} now - Sweep time
+ * @returns {Promise<Number>} - Number of vouchers expired
+ */
+const expireVouchers = async (now) => {
+  const result = await Voucher.updateMany(
+    { status: 'active', validUntil: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Run one sweep and record its summary
+ * @returns {Promise<Object>} - JobRun document
+ */
+const runSweep = () => {
+  return JobRun.track(JOB_NAME, async () => {
+    const now = new Date();
+    const guestSummary = await expireGuests(now);
+    const vouchersExpired = await expireVouchers(now);
+
+    return {
+      ...guestSummary,
+      vouchersExpired
+    };
+  });
+};
+
+/**
+ * Get the most recent sweep
+ * @returns {Promise<Object|null>} - JobRun document
+ */
+const getLastRun = () => JobRun.getLatest(JOB_NAME);
+
+const worker = createScheduledTask(JOB_NAME, runSweep, sweeperConfig.intervalMs);
+
+module.exports = {
+  runSweep,
+  getLastRun,
+  start: worker.start,
+  stop: worker.stop
+};
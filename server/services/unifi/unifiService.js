@@ -7,6 +7,20 @@ const axios = require('axios');
 const https = require('https');
 const config = require('../../config/config');
 
+// Controller flavours and the paths they use
+const CONTROLLER_TYPES = {
+  // UniFi OS consoles (UDM, UCG, Cloud Key Gen2+) proxy the Network app
+  unifios: {
+    loginEndpoint: '/api/auth/login',
+    apiPrefix: '/proxy/network'
+  },
+  // Classic self-hosted controllers and Cloud Key Gen1
+  classic: {
+    loginEndpoint: '/api/login',
+    apiPrefix: ''
+  }
+};
+
 class UnifiService {
   constructor() {
     this.baseURL = config.unifi.controller.url;
@@ -14,9 +28,26 @@ class UnifiService {
     this.username = config.unifi.controller.username;
     this.password = config.unifi.controller.password;
     this.site = config.unifi.controller.site;
-    this.cookie = null;
+    // 'auto' detects the controller flavour on first login
+    this.controllerType = CONTROLLER_TYPES[config.unifi.controller.type]
+      ? config.unifi.controller.type
+      : null;
+    this.cookies = {};
+    this.csrfToken = null;
     this.loggedIn = false;
     
+    // Session bookkeeping: concurrent callers share one in-flight login, and
+    // each login bumps the generation so stale 401s do not trigger another
+    this.loginPromise = null;
+    this.sessionGeneration = 0;
+    this.sessionStats = {
+      lastLoginAt: null,
+      lastLoginError: null,
+      loginCount: 0,
+      reloginCount: 0,
+      retriedRequests: 0
+    };
+    
     // Create axios instance with proper configuration
     this.api = axios.create({
       baseURL: `${this.baseURL}:${this.port}`,
@@ -29,77 +60,212 @@ class UnifiService {
       }
     });
     
+    // Add request interceptor to send session cookies and CSRF token
+    this.api.interceptors.request.use(requestConfig => {
+      requestConfig.sessionGeneration = this.sessionGeneration;
+      
+      const cookieHeader = this.getCookieHeader();
+      if (cookieHeader) {
+        requestConfig.headers.Cookie = cookieHeader;
+      }
+      if (this.csrfToken) {
+        requestConfig.headers['X-CSRF-Token'] = this.csrfToken;
+      }
+      return requestConfig;
+    });
+    
     // Add response interceptor to manage cookies
     this.api.interceptors.response.use(
       response => {
-        // Capture cookies from response
-        const cookies = response.headers['set-cookie'];
-        if (cookies) {
-          this.cookie = cookies.join('; ');
-          this.api.defaults.headers.Cookie = this.cookie;
-        }
+        this.captureSession(response);
         return response;
       },
-      error => {
-        // Handle session expiration
-        if (error.response && error.response.status === 401) {
-          this.loggedIn = false;
-        }
-        return Promise.reject(error);
-      }
+      error => this.handleSessionError(error)
     );
   }
   
   /**
-   * Log in to the UniFi Controller
+   * Re-authenticate and replay a request once when the session has expired
+   * @param {Error} error - Axios error
+   * @returns {Promise<Object>} - Replayed response
+   */
+  async handleSessionError(error) {
+    const { config: requestConfig, response } = error;
+    
+    const isSessionError = response && [401, 403].includes(response.status);
+    if (!isSessionError || !requestConfig || requestConfig.skipSessionRetry || requestConfig.sessionRetried) {
+      return Promise.reject(error);
+    }
+    
+    // Only invalidate the session the request was sent with; if another
+    // caller already logged in again, just replay with the new session
+    if (requestConfig.sessionGeneration === this.sessionGeneration) {
+      this.loggedIn = false;
+      this.sessionStats.reloginCount += 1;
+    }
+    
+    await this.login();
+    
+    this.sessionStats.retriedRequests += 1;
+    requestConfig.sessionRetried = true;
+    return this.api.request(requestConfig);
+  }
+  
+  /**
+   * Store cookies and CSRF token returned by the controller
+   * @param {Object} response - Axios response
+   */
+  captureSession(response) {
+    const setCookies = response.headers['set-cookie'];
+    if (setCookies) {
+      setCookies.forEach(cookie => {
+        // Only keep the name=value pair, not the attributes
+        const [pair] = cookie.split(';');
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+          this.cookies[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        }
+      });
+    }
+    
+    // UniFi OS rotates the token through x-updated-csrf-token
+    const csrfToken = response.headers['x-updated-csrf-token'] ||
+                      response.headers['x-csrf-token'] ||
+                      this.getCsrfFromToken();
+    if (csrfToken) {
+      this.csrfToken = csrfToken;
+    }
+  }
+  
+  /**
+   * Build the Cookie header from the stored cookies
+   * @returns {String} - Cookie header value
+   */
+  getCookieHeader() {
+    return Object.entries(this.cookies)
+      .map(([name, value]) => `${name}=${value}`)
+      .join('; ');
+  }
+  
+  /**
+   * Read the CSRF token embedded in the UniFi OS TOKEN cookie (a JWT)
+   * @returns {String|null} - CSRF token
+   */
+  getCsrfFromToken() {
+    const token = this.cookies.TOKEN;
+    if (!token) {
+      return null;
+    }
+    
+    try {
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+      return payload.csrfToken || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Clear stored session state
+   */
+  resetSession() {
+    this.cookies = {};
+    this.csrfToken = null;
+    this.loggedIn = false;
+  }
+  
+  /**
+   * Detect whether the controller runs UniFi OS or the classic software.
+   * UniFi OS answers the root URL with 200, classic controllers redirect
+   * to /manage.
+   * @returns {Promise<String>} - Controller type
+   */
+  async detectControllerType() {
+    if (this.controllerType) {
+      return this.controllerType;
+    }
+    
+    try {
+      const response = await this.api.get('/', {
+        maxRedirects: 0,
+        skipSessionRetry: true,
+        validateStatus: status => status < 400
+      });
+      
+      this.controllerType = response.status === 200 ? 'unifios' : 'classic';
+    } catch (error) {
+      console.error('UniFi controller detection error:', error.message);
+      throw new Error(`Failed to detect UniFi Controller type: ${error.message}`);
+    }
+    
+    console.log(`Detected UniFi Controller type: ${this.controllerType}`);
+    return this.controllerType;
+  }
+  
+  /**
+   * Build the path to a site-scoped API endpoint for the detected controller
+   * @param {String} path - Endpoint path relative to the site (e.g. 'cmd/stamgr')
+   * @returns {String} - Full endpoint path
+   */
+  sitePath(path) {
+    const { apiPrefix } = CONTROLLER_TYPES[this.controllerType || 'classic'];
+    return `${apiPrefix}/api/s/${this.site}/${path}`;
+  }
+  
+  /**
+   * Log in to the UniFi Controller. Concurrent callers share a single login.
    * @returns {Promise<boolean>} - Success indicator
    */
   async login() {
+    // Skip login if already logged in
+    if (this.loggedIn) {
+      return true;
+    }
+    
+    if (!this.loginPromise) {
+      this.loginPromise = this.performLogin().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    
+    return this.loginPromise;
+  }
+  
+  /**
+   * Perform the login request against the controller
+   * @returns {Promise<boolean>} - Success indicator
+   */
+  async performLogin() {
     try {
-      // Skip login if already logged in
-      if (this.loggedIn) {
-        return true;
-      }
+      const controllerType = await this.detectControllerType();
+      const { loginEndpoint } = CONTROLLER_TYPES[controllerType];
       
-      // Determine login endpoint based on controller version
-      // UniFi OS uses /api/auth/login, older versions use /api/login
-      const loginEndpoint = '/api/auth/login';
+      // Start from a clean session so stale cookies are not replayed
+      this.resetSession();
       
       const response = await this.api.post(loginEndpoint, {
         username: this.username,
-        password: this.password
+        password: this.password,
+        remember: true
+      }, {
+        skipSessionRetry: true
       });
       
       if (response.status === 200) {
         this.loggedIn = true;
-        console.log('Successfully logged in to UniFi Controller');
+        this.sessionGeneration += 1;
+        this.sessionStats.loginCount += 1;
+        this.sessionStats.lastLoginAt = new Date();
+        this.sessionStats.lastLoginError = null;
+        console.log(`Successfully logged in to UniFi Controller (${controllerType})`);
         return true;
       } else {
         throw new Error(`Login failed with status: ${response.status}`);
       }
     } catch (error) {
       console.error('UniFi login error:', error.message);
-      
-      // Try alternate login endpoint if first one fails
-      if (error.response && error.response.status === 404) {
-        try {
-          const alternateLoginEndpoint = '/api/login';
-          const response = await this.api.post(alternateLoginEndpoint, {
-            username: this.username,
-            password: this.password
-          });
-          
-          if (response.status === 200) {
-            this.loggedIn = true;
-            console.log('Successfully logged in to UniFi Controller (using alternate endpoint)');
-            return true;
-          }
-        } catch (altError) {
-          console.error('UniFi alternate login error:', altError.message);
-        }
-      }
-      
       this.loggedIn = false;
+      this.sessionStats.lastLoginError = error.message;
       throw new Error(`Failed to log in to UniFi Controller: ${error.message}`);
     }
   }
@@ -113,6 +279,23 @@ class UnifiService {
     }
   }
   
+  /**
+   * Get the current controller session state for diagnostics
+   * @returns {Object} - Session state
+   */
+  getSessionState() {
+    return {
+      controllerUrl: `${this.baseURL}:${this.port}`,
+      site: this.site,
+      controllerType: this.controllerType,
+      loggedIn: this.loggedIn,
+      loginInProgress: Boolean(this.loginPromise),
+      hasCsrfToken: Boolean(this.csrfToken),
+      sessionGeneration: this.sessionGeneration,
+      ...this.sessionStats
+    };
+  }
+  
   /**
    * Authorize a guest on the network
    * @param {Object} options - Authorization options
@@ -128,6 +311,7 @@ class UnifiService {
         uploadBandwidth = null,
         downloadBandwidth = null,
         quotaMegabytes = null,
+        apMac = null,
         name = '',
         authorizeOnly = false
       } = options;
@@ -149,11 +333,14 @@ class UnifiService {
       // Add optional parameters if provided
       if (uploadBandwidth) authRequest.up = uploadBandwidth;
       if (downloadBandwidth) authRequest.down = downloadBandwidth;
-      if (quotaMegabytes) authRequest.bytes = quotaMegabytes * 1024 * 1024;
+      // The controller's "bytes" parameter is the quota in megabytes
+      if (quotaMegabytes) authRequest.bytes = quotaMegabytes;
+      // Access point the guest is connected through
+      if (apMac) authRequest.ap_mac = this.normalizeMac(apMac);
       if (name) authRequest.name = name;
       
       // API endpoint
-      const endpoint = `/api/s/${this.site}/cmd/stamgr`;
+      const endpoint = this.sitePath('cmd/stamgr');
       
       // Make the request
       const response = await this.api.post(endpoint, authRequest);
@@ -207,7 +394,7 @@ class UnifiService {
       };
       
       // API endpoint
-      const endpoint = `/api/s/${this.site}/cmd/stamgr`;
+      const endpoint = this.sitePath('cmd/stamgr');
       
       // Make the request
       const response = await this.api.post(endpoint, unauthorizeRequest);
@@ -272,7 +459,7 @@ class UnifiService {
       if (quotaMegabytes) guestUser.quota = quotaMegabytes;
       
       // API endpoint
-      const endpoint = `/api/s/${this.site}/rest/user`;
+      const endpoint = this.sitePath('rest/user');
       
       // Make the request
       const response = await this.api.post(endpoint, guestUser);
@@ -311,7 +498,7 @@ class UnifiService {
       const normalizedMac = this.normalizeMac(mac);
       
       // API endpoint
-      const endpoint = `/api/s/${this.site}/stat/sta/${normalizedMac}`;
+      const endpoint = this.sitePath(`stat/sta/${normalizedMac}`);
       
       // Make the request
       const response = await this.api.get(endpoint);
@@ -322,6 +509,7 @@ class UnifiService {
           return {
             success: true,
             mac: normalizedMac,
+            site: this.site,
             isAuthorized: clientData.authorized || false,
             ipAddress: clientData.ip,
             hostname: clientData.hostname || '',
@@ -359,7 +547,7 @@ class UnifiService {
       await this.ensureLoggedIn();
       
       // API endpoint
-      const endpoint = `/api/s/${this.site}/stat/sta`;
+      const endpoint = this.sitePath('stat/sta');
       
       // Make the request
       const response = await this.api.get(endpoint);
@@ -0,0 +1,149 @@
+/**
+ * Controller Usage Sync
+ * Periodically pulls the client list from the UniFi Controller and refreshes
+ * data usage, connection state, IP and last-seen on Guest records. Clients the
+ * controller has authorized without a matching portal authorization are
+ * reported in the run summary.
+ */
+
+const Guest = require('../../models/Guest');
+const JobRun = require('../../models/JobRun');
+const unifiService = require('./unifiService');
+const config = require('../../config/config');
+const { createScheduledTask } = require('../../utils/scheduler');
+
+const JOB_NAME = 'usage-sync';
+
+// Upper bound on unknown clients listed in a single run summary
+const MAX_FLAGGED_CLIENTS = 50;
+
+const syncConfig = config.jobs.usageSync;
+
+/**
+ * Copy the latest controller state for a client onto a guest (does not save)
+ * @param {Object} guest - Guest document
+ * @param {Object} client - Client from unifiService.getAllClients
+ * @param {Date} now - Sync time
+ */
+const applyClientState = (guest, client, now) => {
+  guest.applyUsageCounters(client.rxBytes, client.txBytes);
+  guest.isConnected = true;
+
+  if (client.ipAddress) {
+    guest.ip = client.ipAddress;
+  }
+  if (client.lastSeen) {
+    guest.lastSeenAt = new Date(client.lastSeen * 1000);
+  }
+
+  guest.unifiData = {
+    hostname: client.hostname,
+    isAuthorized: client.isAuthorized,
+    isGuest: client.isGuest,
+    syncedAt: now
+  };
+};
+
+/**
+ * Sync all controller clients into Guest records
+ * @returns {Promise<Object>} - Run summary
+ */
+const syncClients = async () => {
+  const now = new Date();
+  const { clients } = await unifiService.getAllClients();
+
+  const clientsByMac = new Map(clients.map(client => [client.mac.toLowerCase(), client]));
+
+  // Guests seen by the controller now, plus those we still think are online
+  const guests = await Guest.find({
+    $or: [
+      { mac: { $in: [...clientsByMac.keys()] } },
+      { isConnected: true }
+    ]
+  });
+
+  const guestsByMac = new Map();
+  const operations = [];
+  const summary = {
+    clients: clients.length,
+    guestsUpdated: 0,
+    guestsDisconnected: 0,
+    unknownAuthorized: 0,
+    unknownAuthorizedClients: []
+  };
+
+  for (const guest of guests) {
+    const mac = guest.mac.toLowerCase();
+    const client = clientsByMac.get(mac);
+    guestsByMac.set(mac, guest);
+
+    if (client) {
+      applyClientState(guest, client, now);
+    } else if (guest.isConnected) {
+      guest.isConnected = false;
+      guest.disconnectedAt = now;
+      summary.guestsDisconnected += 1;
+    }
+
+    const update = guest.getChanges();
+    if (Object.keys(update).length > 0) {
+      operations.push({
+        updateOne: {
+          filter: { _id: guest._id },
+          update
+        }
+      });
+    }
+  }
+
+  if (operations.length > 0) {
+    const result = await Guest.bulkWrite(operations, { ordered: false });
+    summary.guestsUpdated = result.modifiedCount;
+  }
+
+  // Authorized on the controller but not through the portal
+  for (const [mac, client] of clientsByMac) {
+    const guest = guestsByMac.get(mac);
+
+    if (!client.isAuthorized || (guest && guest.authorized)) {
+      continue;
+    }
+
+    summary.unknownAuthorized += 1;
+    if (summary.unknownAuthorizedClients.length < MAX_FLAGGED_CLIENTS) {
+      summary.unknownAuthorizedClients.push({
+        mac,
+        ipAddress: client.ipAddress,
+        hostname: client.hostname,
+        reason: guest ? 'not_authorized_in_portal' : 'unknown_guest'
+      });
+    }
+  }
+
+  if (summary.unknownAuthorized > 0) {
+    console.warn(`Usage sync found ${summary.unknownAuthorized} controller clients authorized outside the portal`);
+  }
+
+  return summary;
+};
+
+/**
+ * Run one sync and record its summary
+ * @returns {Promise<Object>} - JobRun document
+ */
+const runSync = () => JobRun.track(JOB_NAME, syncClients);
+
+/**
+ * Get the most recent sync
+ * @returns {Promise<Object|null>} - JobRun document
+ */
+const getLastRun = () => JobRun.getLatest(JOB_NAME);
+
+const worker = createScheduledTask(JOB_NAME, runSync, syncConfig.intervalMs);
+
+module.exports = {
+  runSync,
+  getLastRun,
+  start: worker.start,
+  stop: worker.stop
+};
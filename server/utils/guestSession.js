@@ -0,0 +1,46 @@
+/**
+ * Guest Session Tokens
+ * Short-lived JWTs issued when a guest lands on the portal from the UniFi
+ * redirect. They bind the device MAC, access point and IP address so later
+ * requests cannot authorize a different device.
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+// Keeps guest tokens from being accepted anywhere an admin token is expected
+const AUDIENCE = 'guest-session';
+
+/**
+ * Sign a guest session token
+ * @param {Object} session - { mac, ap, ip, ssid, site }
+ * @returns {Object} - { token, expiresAt }
+ */
+const signGuestSession = ({ mac, ap, ip, ssid, site }) => {
+  const token = jwt.sign(
+    { mac, ap: ap || null, ip, ssid: ssid || null, site: site || null },
+    config.jwt.secret,
+    { expiresIn: config.guestSession.expiresIn, audience: AUDIENCE }
+  );
+
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+/**
+ * Verify a guest session token
+ * @param {String} token - Signed token
+ * @returns {Object} - Decoded session ({ mac, ap, ip, ssid, site })
+ */
+const verifyGuestSession = (token) => {
+  return jwt.verify(token, config.jwt.secret, { audience: AUDIENCE });
+};
+
+module.exports = {
+  signGuestSession,
+  verifyGuestSession
+};
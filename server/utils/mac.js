@@ -0,0 +1,21 @@
+/**
+ * MAC Address Helpers
+ */
+
+/**
+ * Format a MAC address as lowercase colon-separated hex
+ * @param {String} mac - MAC address in any common format
+ * @returns {String|null} - Formatted MAC, or null if missing or invalid
+ */
+const formatMac = (mac) => {
+  if (!mac || typeof mac !== 'string') {
+    return null;
+  }
+
+  const clean = mac.replace(/[^a-fA-F0-9]/g, '').toLowerCase();
+  return clean.length === 12 ? clean.match(/.{2}/g).join(':') : null;
+};
+
+module.exports = {
+  formatMac
+};
@@ -0,0 +1,37 @@
+/**
+ * Mailer
+ * Shared SMTP transport for outgoing email. Nothing is sent unless an SMTP
+ * host is configured.
+ */
+
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+
+let transporter = null;
+
+/**
+ * Get the SMTP transport, or null when email is not configured
+ * @returns {Object|null} - Nodemailer transport
+ */
+const getTransporter = () => {
+  const { smtp } = config.email;
+
+  if (!smtp.host) {
+    return null;
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+module.exports = {
+  getTransporter
+};
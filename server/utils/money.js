@@ -0,0 +1,123 @@
+/**
+ * Money
+ * Amounts are sent over the API in major units (e.g. 12.50 USD). Plans and
+ * payments also store them as integers in the currency's minor units
+ * (priceMinor, amountMinor), which totals are summed from. Arithmetic is done
+ * here in minor units, using each currency's ISO 4217 exponent, so sums and
+ * shares never pick up float errors and zero-decimal currencies such as JPY
+ * are never given cents.
+ */
+
+const config = require('../config/config');
+
+// ISO 4217 currencies whose minor unit is not a hundredth; everything else has
+// 2 decimals. The portal formats amounts from the same table, so it lives
+// under src/, where the React build can import it
+const CURRENCY_EXPONENTS = require('../../src/shared/currencyExponents.json');
+
+/**
+ * Get the number of decimals a currency's amounts have
+ * @param {String} currency - ISO currency code, in any case
+ * @returns {Number}
+ */
+const getExponent = (currency) => {
+  const exponent = CURRENCY_EXPONENTS[String(currency || '').toLowerCase()];
+  return exponent === undefined ? 2 : exponent;
+};
+
+/**
+ * Convert an amount in major units to an integer number of minor units
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO currency code
+ * @returns {Number} - e.g. 1250 for 12.50 USD, 500 for 500 JPY
+ */
+const toMinorUnits = (amount, currency) => {
+  const scaled = Number(amount) * 10 ** getExponent(currency);
+  // Trim float noise first, so 1.005 * 100 rounds to 101 rather than 100
+  return Math.round(Number(scaled.toPrecision(15)));
+};
+
+/**
+ * Convert an integer number of minor units to major units
+ * @param {Number} minor - Amount in minor units
+ * @param {String} currency - ISO currency code
+ * @returns {Number}
+ */
+const fromMinorUnits = (minor, currency) => minor / 10 ** getExponent(currency);
+
+/**
+ * Round an amount in major units to the currency's smallest unit
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO currency code
+ * @returns {Number}
+ */
+const roundAmount = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+/**
+ * Check that an amount has no more decimals than its currency allows
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO currency code
+ * @returns {Boolean}
+ */
+const isValidAmount = (amount, currency) => {
+  return Number.isFinite(amount) && Math.abs(roundAmount(amount, currency) - amount) < 1e-9;
+};
+
+/**
+ * Add amounts in major units without float drift
+ * @param {String} currency - ISO currency code
+ * @param {...Number} amounts - Amounts in major units
+ * @returns {Number}
+ */
+const addAmounts = (currency, ...amounts) => {
+  const total = amounts.reduce((sum, amount) => sum + toMinorUnits(amount || 0, currency), 0);
+  return fromMinorUnits(total, currency);
+};
+
+/**
+ * Take one amount from another without float drift
+ * @param {Number} amount - Amount in major units
+ * @param {Number} subtrahend - Amount to take off, in major units
+ * @param {String} currency - ISO currency code
+ * @returns {Number}
+ */
+const subtractAmounts = (amount, subtrahend, currency) => {
+  return fromMinorUnits(toMinorUnits(amount, currency) - toMinorUnits(subtrahend, currency), currency);
+};
+
+/**
+ * Format an amount for display, e.g. $12.50, ¥500 or 12,50 €
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO currency code
+ * @param {Object} [options]
+ * @param {String} [options.locale] - BCP 47 locale, defaulting to the server's
+ * @param {String} [options.currencyDisplay] - symbol, or code for USD 12.50
+ * @returns {String}
+ */
+const formatMoney = (amount, currency, { locale = config.locale, currencyDisplay = 'symbol' } = {}) => {
+  const exponent = getExponent(currency);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: String(currency).toUpperCase(),
+      currencyDisplay,
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent
+    }).format(amount);
+  } catch (error) {
+    // Unknown currency codes or locales
+    return `${Number(amount).toFixed(exponent)} ${String(currency || '').toUpperCase()}`;
+  }
+};
+
+module.exports = {
+  getExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  isValidAmount,
+  addAmounts,
+  subtractAmounts,
+  formatMoney
+};
@@ -0,0 +1,76 @@
+const money = require('./money');
+
+describe('getExponent', () => {
+  it('knows zero-, two- and three-decimal currencies in any case', () => {
+    expect(money.getExponent('JPY')).toBe(0);
+    expect(money.getExponent('usd')).toBe(2);
+    expect(money.getExponent('kwd')).toBe(3);
+  });
+
+  it('defaults to two decimals for unknown or missing currencies', () => {
+    expect(money.getExponent('xyz')).toBe(2);
+    expect(money.getExponent(undefined)).toBe(2);
+  });
+});
+
+describe('toMinorUnits and fromMinorUnits', () => {
+  it.each([
+    [12.5, 'usd', 1250],
+    [500, 'jpy', 500],
+    [1.234, 'kwd', 1234],
+    [0.1 + 0.2, 'usd', 30],
+    [1.005, 'usd', 101]
+  ])('converts %p %s to %p minor units', (amount, currency, minor) => {
+    expect(money.toMinorUnits(amount, currency)).toBe(minor);
+  });
+
+  it('converts back to major units', () => {
+    expect(money.fromMinorUnits(1250, 'usd')).toBe(12.5);
+    expect(money.fromMinorUnits(500, 'jpy')).toBe(500);
+    expect(money.fromMinorUnits(1234, 'kwd')).toBe(1.234);
+  });
+});
+
+describe('roundAmount and isValidAmount', () => {
+  it('rounds to the currency smallest unit', () => {
+    expect(money.roundAmount(499.6, 'jpy')).toBe(500);
+    expect(money.roundAmount(1.2345, 'kwd')).toBe(1.235);
+    expect(money.roundAmount(9.999, 'usd')).toBe(10);
+  });
+
+  it('refuses more decimals than the currency has', () => {
+    expect(money.isValidAmount(500, 'jpy')).toBe(true);
+    expect(money.isValidAmount(500.5, 'jpy')).toBe(false);
+    expect(money.isValidAmount(1.234, 'kwd')).toBe(true);
+    expect(money.isValidAmount(1.2345, 'kwd')).toBe(false);
+    expect(money.isValidAmount(9.99, 'usd')).toBe(true);
+    expect(money.isValidAmount(9.999, 'usd')).toBe(false);
+    expect(money.isValidAmount(NaN, 'usd')).toBe(false);
+  });
+});
+
+describe('addAmounts and subtractAmounts', () => {
+  it('adds without float drift', () => {
+    expect(money.addAmounts('usd', 0.1, 0.2)).toBe(0.3);
+    expect(money.addAmounts('kwd', 0.001, 0.002, undefined)).toBe(0.003);
+    expect(money.addAmounts('jpy', 100, 250)).toBe(350);
+  });
+
+  it('subtracts without float drift', () => {
+    expect(money.subtractAmounts(1, 0.9, 'usd')).toBe(0.1);
+    expect(money.subtractAmounts(1.5, 0.001, 'kwd')).toBe(1.499);
+    expect(money.subtractAmounts(1000, 150, 'jpy')).toBe(850);
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats with the currency decimals', () => {
+    expect(money.formatMoney(12.5, 'usd', { locale: 'en-US' })).toBe('$12.50');
+    expect(money.formatMoney(500, 'jpy', { locale: 'en-US' })).toBe('¥500');
+    expect(money.formatMoney(1.5, 'kwd', { locale: 'en-US', currencyDisplay: 'code' })).toMatch(/^KWD\s1\.500$/);
+  });
+
+  it('falls back to the amount and code for unknown currencies', () => {
+    expect(money.formatMoney(3, 'zz')).toBe('3.00 ZZ');
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Interval Scheduler
+ * Runs background tasks on a fixed interval without overlapping runs
+ */
+
+/**
+ * Create a scheduled task
+ * @param {String} name - Task name used in logs
+ * @param {Function} task - Async function to run
+ * @param {Number} intervalMs - Interval between runs in milliseconds
+ * @returns {Object} - Task controls ({ start, stop, runNow, isRunning })
+ */
+const createScheduledTask = (name, task, intervalMs) => {
+  let timer = null;
+  let running = false;
+
+  const runNow = async () => {
+    // Skip this tick if the previous run has not finished yet
+    if (running) {
+      return null;
+    }
+
+    running = true;
+    try {
+      return await task();
+    } catch (error) {
+      console.error(`Scheduled task ${name} failed:`, error);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer || !intervalMs || intervalMs <= 0) {
+      return;
+    }
+
+    timer = setInterval(runNow, intervalMs);
+    // Don't keep the process alive just for background tasks
+    timer.unref();
+    console.log(`Scheduled task ${name} started (every ${Math.round(intervalMs / 1000)}s)`);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    start,
+    stop,
+    runNow,
+    isRunning: () => running
+  };
+};
+
+module.exports = {
+  createScheduledTask
+};
@@ -14,6 +14,7 @@ import RedeemVoucher from './components/guest/RedeemVoucher';
 import PaymentForm from './components/guest/PaymentForm';
 import SuccessPage from './components/guest/SuccessPage';
 import DeviceInfo from './components/guest/DeviceInfo';
+import SubscriptionPage from './components/guest/SubscriptionPage';
 
 // Admin panel components
 import AdminLogin from './components/admin/AdminLogin';
@@ -23,11 +24,16 @@ import PaymentHistory from './components/admin/PaymentHistory';
 import GuestManagement from './components/admin/GuestManagement';
 import SystemSettings from './components/admin/SystemSettings';
 import PlanSettings from './components/admin/PlanSettings';
+import ControllerJobs from './components/admin/ControllerJobs';
+import FrontDesk from './components/admin/FrontDesk';
+import WebhookEvents from './components/admin/WebhookEvents';
+import PromoCodes from './components/admin/PromoCodes';
 
 // Context providers
 import { AuthProvider } from './contexts/AuthContext';
 import { APIProvider } from './contexts/APIContext';
 import { AlertProvider } from './contexts/AlertContext';
+import { PortalProvider } from './contexts/PortalContext';
 
 // Utility components
 import PrivateRoute from './components/common/PrivateRoute';
@@ -75,38 +81,45 @@ function App() {
       <AuthProvider>
         <APIProvider>
           <AlertProvider>
-            <Elements stripe={stripePromise}>
-              <Router>
-                <Alert />
-                <Switch>
-                  {/* Setup Routes */}
-                  <Route path="/setup" component={SetupWizard} />
+            <PortalProvider>
+              <Elements stripe={stripePromise}>
+                <Router>
+                  <Alert />
+                  <Switch>
+                    {/* Setup Routes */}
+                    <Route path="/setup" component={SetupWizard} />
                   
-                  {/* Redirect to setup if needed */}
-                  {needsSetup && <Redirect from="/" to="/setup" />}
+                    {/* Redirect to setup if needed */}
+                    {needsSetup && <Redirect from="/" to="/setup" />}
                   
-                  {/* Guest Portal Routes */}
-                  <Route exact path="/" component={GuestPortal} />
-                  <Route path="/purchase" component={PurchasePlan} />
-                  <Route path="/redeem" component={RedeemVoucher} />
-                  <Route path="/payment/:planId" component={PaymentForm} />
-                  <Route path="/success/:type" component={SuccessPage} />
-                  <Route path="/device-info" component={DeviceInfo} />
+                    {/* Guest Portal Routes */}
+                    <Route exact path="/" component={GuestPortal} />
+                    <Route path="/purchase" component={PurchasePlan} />
+                    <Route path="/redeem" component={RedeemVoucher} />
+                    <Route path="/payment/:planId" component={PaymentForm} />
+                    <Route path="/success/:type" component={SuccessPage} />
+                    <Route path="/device-info" component={DeviceInfo} />
+                    <Route path="/subscription" component={SubscriptionPage} />
                   
-                  {/* Admin Panel Routes */}
-                  <Route path="/admin/login" component={AdminLogin} />
-                  <PrivateRoute path="/admin/dashboard" component={AdminDashboard} />
-                  <PrivateRoute path="/admin/vouchers" component={VoucherManagement} />
-                  <PrivateRoute path="/admin/payments" component={PaymentHistory} />
-                  <PrivateRoute path="/admin/guests" component={GuestManagement} />
-                  <PrivateRoute path="/admin/settings" component={SystemSettings} />
-                  <PrivateRoute path="/admin/plans" component={PlanSettings} />
+                    {/* Admin Panel Routes */}
+                    <Route path="/admin/login" component={AdminLogin} />
+                    <PrivateRoute path="/admin/dashboard" component={AdminDashboard} />
+                    <PrivateRoute path="/admin/vouchers" component={VoucherManagement} />
+                    <PrivateRoute path="/admin/payments" component={PaymentHistory} />
+                    <PrivateRoute path="/admin/front-desk" component={FrontDesk} />
+                    <PrivateRoute path="/admin/guests" component={GuestManagement} />
+                    <PrivateRoute path="/admin/settings" component={SystemSettings} />
+                    <PrivateRoute path="/admin/plans" component={PlanSettings} />
+                    <PrivateRoute path="/admin/promo-codes" component={PromoCodes} />
+                    <PrivateRoute path="/admin/controller-jobs" component={ControllerJobs} />
+                    <PrivateRoute path="/admin/webhook-events" component={WebhookEvents} />
                   
-                  {/* Redirect unknown routes back to the home page */}
-                  <Redirect to="/" />
-                </Switch>
-              </Router>
-            </Elements>
+                    {/* Redirect unknown routes back to the home page */}
+                    <Redirect to="/" />
+                  </Switch>
+                </Router>
+              </Elements>
+            </PortalProvider>
           </AlertProvider>
         </APIProvider>
       </AuthProvider>
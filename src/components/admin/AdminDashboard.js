@@ -5,6 +5,7 @@ import { useAPI } from '../../contexts/APIContext';
 import { useAlert } from '../../contexts/AlertContext';
 import AdminLayout from './components/AdminLayout';
 import Spinner from '../common/Spinner';
+import { formatMoney } from '../../services/money';
 import { Line, Bar } from 'react-chartjs-2';
 import { Chart, registerables } from 'chart.js';
 
@@ -233,8 +234,11 @@ function AdminDashboard() {
     history.push('/admin/payments');
   };
 
-  const formatCurrency = (cents) => {
-    return `$${(cents / 100).toFixed(2)}`;
+  // Revenue is totalled per currency, e.g. "$120.00, €45.00"
+  const formatRevenue = (period) => {
+    const revenue = (stats?.payments?.revenue || []).filter(total => total[period] > 0);
+    if (revenue.length === 0) return '0';
+    return revenue.map(total => formatMoney(total[period], total.currency)).join(', ');
   };
 
   const formatDate = (dateString) => {
@@ -250,19 +254,33 @@ function AdminDashboard() {
     );
   }
 
-  // Prepare chart data
+  const lastSweep = stats?.jobs?.expirySweeper;
+  const lastSync = stats?.jobs?.usageSync;
+  const lastReconciliation = stats?.jobs?.paymentReconciliation;
+
+  // Prepare chart data, one line per currency
+  const dailyRevenue = stats?.payments?.dailyStats || [];
+  const revenueDates = [...new Set(dailyRevenue.map(day => day.date))];
+  const revenueCurrencies = [...new Set(dailyRevenue.map(day => day.currency))];
+  const revenueColors = ['75, 192, 192', '54, 162, 235', '255, 159, 64', '153, 102, 255', '255, 99, 132'];
+
   const revenueData = {
-    labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
-    datasets: [
-      {
-        label: 'Revenue',
-        data: stats?.revenueData?.map(d => d.amount / 100) || [],
+    labels: revenueDates,
+    datasets: revenueCurrencies.map((currency, index) => {
+      const color = revenueColors[index % revenueColors.length];
+      return {
+        label: `Revenue (${currency.toUpperCase()})`,
+        currency,
+        data: revenueDates.map(date => {
+          const day = dailyRevenue.find(d => d.date === date && d.currency === currency);
+          return day ? day.amount : 0;
+        }),
         fill: false,
-        backgroundColor: 'rgba(75, 192, 192, 0.2)',
-        borderColor: 'rgba(75, 192, 192, 1)',
+        backgroundColor: `rgba(${color}, 0.2)`,
+        borderColor: `rgba(${color}, 1)`,
         tension: 0.4
-      }
-    ]
+      };
+    })
   };
 
   const usageData = {
@@ -322,7 +340,7 @@ function AdminDashboard() {
           
           <StatCard>
             <StatTitle>Today's Revenue</StatTitle>
-            <StatValue>{formatCurrency(stats?.revenue?.today || 0)}</StatValue>
+            <StatValue>{formatRevenue('today')}</StatValue>
             <StatChange positive={stats?.revenue?.todayChange >= 0}>
               {stats?.revenue?.todayChange >= 0 ? '↑' : '↓'} {Math.abs(stats?.revenue?.todayChange || 0)}% from yesterday
             </StatChange>
@@ -330,11 +348,57 @@ function AdminDashboard() {
           
           <StatCard>
             <StatTitle>Monthly Revenue</StatTitle>
-            <StatValue>{formatCurrency(stats?.revenue?.monthly || 0)}</StatValue>
+            <StatValue>{formatRevenue('monthly')}</StatValue>
             <StatChange positive={stats?.revenue?.monthlyChange >= 0}>
               {stats?.revenue?.monthlyChange >= 0 ? '↑' : '↓'} {Math.abs(stats?.revenue?.monthlyChange || 0)}% from last month
             </StatChange>
           </StatCard>
+          
+          <StatCard>
+            <StatTitle>Open Disputes</StatTitle>
+            <StatValue>{stats?.payments?.openDisputes || 0}</StatValue>
+            <StatChange positive={!stats?.payments?.openDisputes}>
+              {stats?.payments?.nextEvidenceDueBy
+                ? `Next evidence due ${formatDate(stats.payments.nextEvidenceDueBy)}`
+                : 'No evidence due'}
+            </StatChange>
+          </StatCard>
+          
+          <StatCard>
+            <StatTitle>Last Expiry Sweep</StatTitle>
+            <StatValue>{lastSweep?.summary?.guestsExpired || 0} guests</StatValue>
+            <StatChange positive={lastSweep?.status !== 'failed'}>
+              {lastSweep
+                ? lastSweep.status === 'failed'
+                  ? `Failed at ${formatDate(lastSweep.startedAt)}: ${lastSweep.error}`
+                  : `${lastSweep.summary?.vouchersExpired || 0} vouchers expired at ${formatDate(lastSweep.startedAt)}`
+                : 'Not run yet'}
+            </StatChange>
+          </StatCard>
+          
+          <StatCard>
+            <StatTitle>Unknown Authorized Clients</StatTitle>
+            <StatValue>{lastSync?.summary?.unknownAuthorized || 0}</StatValue>
+            <StatChange positive={lastSync?.status !== 'failed' && !lastSync?.summary?.unknownAuthorized}>
+              {lastSync
+                ? lastSync.status === 'failed'
+                  ? `Sync failed at ${formatDate(lastSync.startedAt)}: ${lastSync.error}`
+                  : `${lastSync.summary?.clients || 0} clients synced at ${formatDate(lastSync.startedAt)}`
+                : 'Not synced yet'}
+            </StatChange>
+          </StatCard>
+          
+          <StatCard>
+            <StatTitle>Payment Discrepancies</StatTitle>
+            <StatValue>{lastReconciliation?.summary?.discrepancies || 0}</StatValue>
+            <StatChange positive={lastReconciliation?.status !== 'failed' && !lastReconciliation?.summary?.discrepancies}>
+              {lastReconciliation
+                ? lastReconciliation.status === 'failed'
+                  ? `Reconciliation failed at ${formatDate(lastReconciliation.startedAt)}: ${lastReconciliation.error}`
+                  : `${lastReconciliation.summary?.fulfilled || 0} late payments fulfilled, ${lastReconciliation.summary?.canceled || 0} abandoned at ${formatDate(lastReconciliation.startedAt)}`
+                : 'Not reconciled yet'}
+            </StatChange>
+          </StatCard>
         </StatsGrid>
         
         <ChartsContainer>
@@ -351,7 +415,7 @@ function AdminDashboard() {
                   tooltip: {
                     callbacks: {
                       label: function(context) {
-                        return `$${context.raw.toFixed(2)}`;
+                        return formatMoney(context.raw, context.dataset.currency);
                       }
                     }
                   }
@@ -361,7 +425,8 @@ function AdminDashboard() {
                     beginAtZero: true,
                     ticks: {
                       callback: function(value) {
-                        return '$' + value;
+                        // Mixed currencies share the axis, so only label it for one
+                        return revenueCurrencies.length === 1 ? formatMoney(value, revenueCurrencies[0]) : value;
                       }
                     }
                   }
@@ -444,7 +509,7 @@ function AdminDashboard() {
                 <TableRow key={payment.id}>
                   <TableCell>{payment.id.substring(0, 8)}...</TableCell>
                   <TableCell>{formatDate(payment.timestamp)}</TableCell>
-                  <TableCell>{formatCurrency(payment.amount)}</TableCell>
+                  <TableCell>{formatMoney(payment.amount, payment.currency)}</TableCell>
                   <TableCell>{payment.plan?.name || 'N/A'}</TableCell>
                   <TableCell>
                     <StatusBadge status={payment.status === 'succeeded' ? 'active' : 'revoked'}>
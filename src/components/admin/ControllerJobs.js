@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { useAPI } from '../../contexts/APIContext';
+import { useAlert } from '../../contexts/AlertContext';
+import AdminLayout from './components/AdminLayout';
+import Spinner from '../common/Spinner';
+
+const Container = styled.div`
+  padding: 20px;
+`;
+
+const PageHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 24px;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 24px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const Button = styled.button`
+  background-color: ${({ theme, secondary, danger }) => 
+    danger ? theme.colors.danger : 
+    secondary ? theme.colors.light : 
+    theme.colors.primary
+  };
+  color: ${({ theme, secondary }) => secondary ? theme.colors.dark : theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+  
+  &:hover {
+    background-color: ${({ theme, secondary, danger }) => 
+      danger ? '#c82333' : 
+      secondary ? '#e2e6ea' : 
+      '#0069d9'
+    };
+  }
+  
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const TableContainer = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  overflow: hidden;
+  margin-bottom: 20px;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+`;
+
+const TableHead = styled.thead`
+  background-color: ${({ theme }) => theme.colors.light};
+`;
+
+const TableRow = styled.tr`
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+  
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const TableHeader = styled.th`
+  text-align: left;
+  padding: 12px 16px;
+  font-size: 14px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const TableCell = styled.td`
+  padding: 12px 16px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 4px 8px;
+  border-radius: 4px;
+  font-size: 12px;
+  font-weight: 500;
+  
+  background-color: ${({ theme, status }) => 
+    status === 'succeeded' ? theme.colors.success :
+    status === 'dead' ? theme.colors.danger :
+    status === 'canceled' ? theme.colors.secondary :
+    theme.colors.warning
+  };
+  
+  color: ${({ theme }) => theme.colors.white};
+`;
+
+
+const FilterBar = styled.div`
+  display: flex;
+  gap: 8px;
+  margin-bottom: 20px;
+`;
+
+const FilterButton = styled.button`
+  background-color: ${({ theme, active }) => active ? theme.colors.primary : theme.colors.white};
+  color: ${({ theme, active }) => active ? theme.colors.white : theme.colors.dark};
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  padding: 6px 12px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const ErrorText = styled.span`
+  color: ${({ theme }) => theme.colors.danger};
+  font-size: 12px;
+`;
+
+const statusFilters = [
+  { value: '', label: 'Needs attention' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'dead', label: 'Dead' },
+  { value: 'succeeded', label: 'Succeeded' },
+  { value: 'all', label: 'All' }
+];
+
+function ControllerJobs() {
+  const [loading, setLoading] = useState(true);
+  const [jobs, setJobs] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [statusFilter, setStatusFilter] = useState('');
+  const [retrying, setRetrying] = useState(null);
+  
+  const { api } = useAPI();
+  const { showAlert } = useAlert();
+
+  useEffect(() => {
+    fetchJobs();
+  }, [statusFilter]);
+
+  const fetchJobs = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getControllerJobs({ status: statusFilter || undefined });
+      setJobs(response.data);
+      setSummary(response.summary || {});
+    } catch (error) {
+      showAlert('Error loading controller jobs', 'danger');
+      console.error('Error fetching controller jobs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRetry = async (job) => {
+    setRetrying(job._id);
+    try {
+      const response = await api.retryControllerJob(job._id);
+      showAlert(response.message, response.data.status === 'succeeded' ? 'success' : 'warning');
+      fetchJobs();
+    } catch (error) {
+      showAlert('Error retrying job: ' + error.message, 'danger');
+      console.error('Error retrying controller job:', error);
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : '-';
+  };
+
+  return (
+    <AdminLayout>
+      <Container>
+        <PageHeader>
+          <PageTitle>Controller Jobs</PageTitle>
+          <Button onClick={fetchJobs}>Refresh</Button>
+        </PageHeader>
+
+        <FilterBar>
+          {statusFilters.map(filter => (
+            <FilterButton
+              key={filter.value}
+              active={statusFilter === filter.value}
+              onClick={() => setStatusFilter(filter.value)}
+            >
+              {filter.label}
+              {summary[filter.value] ? ` (${summary[filter.value]})` : ''}
+            </FilterButton>
+          ))}
+        </FilterBar>
+
+        <TableContainer>
+          {loading ? (
+            <Spinner message="Loading controller jobs..." />
+          ) : (
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableHeader>Type</TableHeader>
+                  <TableHeader>MAC Address</TableHeader>
+                  <TableHeader>Source</TableHeader>
+                  <TableHeader>Attempts</TableHeader>
+                  <TableHeader>Next Attempt</TableHeader>
+                  <TableHeader>Last Error</TableHeader>
+                  <TableHeader>Status</TableHeader>
+                  <TableHeader>Actions</TableHeader>
+                </TableRow>
+              </TableHead>
+              <tbody>
+                {jobs.map(job => (
+                  <TableRow key={job._id}>
+                    <TableCell>{job.type}</TableCell>
+                    <TableCell>{job.mac}</TableCell>
+                    <TableCell>{job.source || '-'}</TableCell>
+                    <TableCell>{job.attempts}/{job.maxAttempts}</TableCell>
+                    <TableCell>
+                      {job.status === 'pending' ? formatDate(job.nextAttemptAt) : '-'}
+                    </TableCell>
+                    <TableCell>
+                      {job.lastError ? <ErrorText>{job.lastError}</ErrorText> : '-'}
+                    </TableCell>
+                    <TableCell>
+                      <StatusBadge status={job.status}>
+                        {job.status.charAt(0).toUpperCase() + job.status.slice(1)}
+                      </StatusBadge>
+                    </TableCell>
+                    <TableCell>
+                      {['pending', 'dead'].includes(job.status) && (
+                        <Button
+                          disabled={retrying === job._id}
+                          onClick={() => handleRetry(job)}
+                        >
+                          {retrying === job._id ? 'Retrying...' : 'Retry now'}
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {jobs.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan="8" style={{ textAlign: 'center' }}>
+                      No controller jobs found
+                    </TableCell>
+                  </TableRow>
+                )}
+              </tbody>
+            </Table>
+          )}
+        </TableContainer>
+      </Container>
+    </AdminLayout>
+  );
+}
+
+export default ControllerJobs;
@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { useAPI } from '../../contexts/APIContext';
+import { useAlert } from '../../contexts/AlertContext';
+import AdminLayout from './components/AdminLayout';
+import Spinner from '../common/Spinner';
+import { formatMoney } from '../../services/money';
+
+const Container = styled.div`
+  padding: 20px;
+`;
+
+const PageHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 24px;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 24px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const Card = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  padding: 20px;
+  margin-bottom: 20px;
+`;
+
+const CardTitle = styled.h2`
+  font-size: 18px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 16px;
+`;
+
+const FormRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 16px;
+  margin-bottom: 16px;
+`;
+
+const FormGroup = styled.div`
+  flex: 1;
+  min-width: 200px;
+`;
+
+const Label = styled.label`
+  display: block;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 8px;
+`;
+
+const Select = styled.select`
+  width: 100%;
+  padding: 8px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 14px;
+`;
+
+const Input = styled.input`
+  width: 100%;
+  padding: 8px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 14px;
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 16px;
+`;
+
+const Button = styled.button`
+  background-color: ${({ theme, secondary }) => secondary ? theme.colors.light : theme.colors.primary};
+  color: ${({ theme, secondary }) => secondary ? theme.colors.dark : theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: ${({ secondary }) => secondary ? '#e2e6ea' : '#0069d9'};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Receipt = styled.div`
+  background-color: ${({ theme }) => theme.colors.light};
+  border-radius: 4px;
+  padding: 12px 16px;
+  margin-top: 16px;
+  font-size: 14px;
+`;
+
+const VoucherCode = styled.div`
+  font-family: monospace;
+  font-size: 20px;
+  letter-spacing: 2px;
+  text-align: center;
+  margin-top: 8px;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+`;
+
+const TableRow = styled.tr`
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const TableHeader = styled.th`
+  text-align: left;
+  padding: 12px 16px;
+  font-size: 14px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const TableCell = styled.td`
+  padding: 12px 16px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const methodLabels = {
+  cash: 'Cash',
+  card_terminal: 'Card terminal'
+};
+
+const emptyForm = {
+  planId: '',
+  method: 'cash',
+  mac: '',
+  issueVoucher: false,
+  reference: '',
+  name: ''
+};
+
+function FrontDesk() {
+  const [loading, setLoading] = useState(true);
+  const [plans, setPlans] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [lastPayment, setLastPayment] = useState(null);
+  const [shift, setShift] = useState({ operators: [] });
+
+  const { api } = useAPI();
+  const { showAlert } = useAlert();
+
+  const fetchShiftTotals = useCallback(async () => {
+    try {
+      const response = await api.getShiftTotals();
+      setShift(response.data);
+    } catch (error) {
+      showAlert('Error loading shift totals', 'danger');
+      console.error('Error fetching shift totals:', error);
+    }
+  }, [api, showAlert]);
+
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        const response = await api.getPlanSettings();
+        setPlans(response.data.filter(plan => plan.isActive));
+        await fetchShiftTotals();
+      } catch (error) {
+        showAlert('Error loading plans', 'danger');
+        console.error('Error fetching plans:', error);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchData();
+  }, [api, showAlert, fetchShiftTotals]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.planId) {
+      showAlert('Select a plan', 'warning');
+      return;
+    }
+
+    if (!formData.mac && !formData.issueVoucher) {
+      showAlert('Enter the device MAC address or print a voucher', 'warning');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await api.recordManualPayment({
+        planId: formData.planId,
+        method: formData.method,
+        mac: formData.issueVoucher ? undefined : formData.mac,
+        issueVoucher: formData.issueVoucher,
+        reference: formData.reference || undefined,
+        customerInfo: { name: formData.name || undefined }
+      });
+
+      showAlert(response.message, response.data.pendingAuthorization ? 'warning' : 'success');
+      setLastPayment(response.data);
+      setFormData(prev => ({ ...emptyForm, method: prev.method, issueVoucher: prev.issueVoucher }));
+      fetchShiftTotals();
+    } catch (error) {
+      showAlert('Error recording payment: ' + error.message, 'danger');
+      console.error('Error recording payment:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <AdminLayout>
+        <Container>
+          <Spinner message="Loading front desk..." />
+        </Container>
+      </AdminLayout>
+    );
+  }
+
+  return (
+    <AdminLayout>
+      <Container>
+        <PageHeader>
+          <PageTitle>Front Desk</PageTitle>
+          <Button secondary onClick={fetchShiftTotals}>Refresh Totals</Button>
+        </PageHeader>
+
+        <Card>
+          <CardTitle>Record Payment</CardTitle>
+          <form onSubmit={handleSubmit}>
+            <FormRow>
+              <FormGroup>
+                <Label htmlFor="planId">Plan</Label>
+                <Select id="planId" name="planId" value={formData.planId} onChange={handleChange}>
+                  <option value="">Select a plan</option>
+                  {plans.map(plan => (
+                    <option key={plan._id} value={plan._id}>
+                      {plan.name} - {formatMoney(plan.price, plan.currency)}
+                    </option>
+                  ))}
+                </Select>
+              </FormGroup>
+
+              <FormGroup>
+                <Label htmlFor="method">Paid by</Label>
+                <Select id="method" name="method" value={formData.method} onChange={handleChange}>
+                  {Object.entries(methodLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </Select>
+              </FormGroup>
+            </FormRow>
+
+            <CheckboxLabel>
+              <input
+                type="checkbox"
+                name="issueVoucher"
+                checked={formData.issueVoucher}
+                onChange={handleChange}
+              />
+              Print a voucher instead of connecting a device
+            </CheckboxLabel>
+
+            <FormRow>
+              {!formData.issueVoucher && (
+                <FormGroup>
+                  <Label htmlFor="mac">Device MAC address</Label>
+                  <Input
+                    id="mac"
+                    name="mac"
+                    value={formData.mac}
+                    onChange={handleChange}
+                    placeholder="aa:bb:cc:dd:ee:ff"
+                  />
+                </FormGroup>
+              )}
+
+              <FormGroup>
+                <Label htmlFor="name">Guest name (optional)</Label>
+                <Input id="name" name="name" value={formData.name} onChange={handleChange} />
+              </FormGroup>
+
+              <FormGroup>
+                <Label htmlFor="reference">Receipt / terminal reference (optional)</Label>
+                <Input id="reference" name="reference" value={formData.reference} onChange={handleChange} />
+              </FormGroup>
+            </FormRow>
+
+            <Button type="submit" disabled={submitting}>
+              {submitting ? 'Recording...' : 'Record Payment'}
+            </Button>
+          </form>
+
+          {lastPayment && (
+            <Receipt>
+              Recorded {formatMoney(lastPayment.amount, lastPayment.currency)} ({methodLabels[lastPayment.method] || lastPayment.method})
+              {lastPayment.voucherCode && (
+                <VoucherCode>{lastPayment.voucherCode}</VoucherCode>
+              )}
+            </Receipt>
+          )}
+        </Card>
+
+        <Card>
+          <CardTitle>Shift Totals</CardTitle>
+          <Table>
+            <thead>
+              <TableRow>
+                <TableHeader>Operator</TableHeader>
+                <TableHeader>Method</TableHeader>
+                <TableHeader>Payments</TableHeader>
+                <TableHeader>Collected</TableHeader>
+                <TableHeader>Refunded</TableHeader>
+                <TableHeader>Net</TableHeader>
+              </TableRow>
+            </thead>
+            <tbody>
+              {shift.operators.flatMap(operator => operator.totals.map(total => (
+                <TableRow key={`${operator.operatorId}-${total.currency}-${total.method}`}>
+                  <TableCell>{operator.username}</TableCell>
+                  <TableCell>{methodLabels[total.method] || total.method}</TableCell>
+                  <TableCell>{total.count}</TableCell>
+                  <TableCell>{formatMoney(total.collected, total.currency)}</TableCell>
+                  <TableCell>{formatMoney(total.refunded, total.currency)}</TableCell>
+                  <TableCell>{formatMoney(total.net, total.currency)}</TableCell>
+                </TableRow>
+              )))}
+              {shift.operators.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan="6" style={{ textAlign: 'center' }}>
+                    No front desk payments today
+                  </TableCell>
+                </TableRow>
+              )}
+            </tbody>
+          </Table>
+        </Card>
+      </Container>
+    </AdminLayout>
+  );
+}
+
+export default FrontDesk;
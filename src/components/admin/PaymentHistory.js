@@ -4,6 +4,9 @@ import { useAPI } from '../../contexts/APIContext';
 import { useAlert } from '../../contexts/AlertContext';
 import AdminLayout from './components/AdminLayout';
 import Spinner from '../common/Spinner';
+import Modal from '../common/Modal';
+import { saveFile } from '../../services/download';
+import { formatMoney, getExponent } from '../../services/money';
 
 const Container = styled.div`
   padding: 20px;
@@ -109,13 +112,151 @@ const StatusBadge = styled.span`
   
   background-color: ${({ theme, status }) => 
     status === 'succeeded' ? theme.colors.success :
-    status === 'refunded' ? theme.colors.warning :
+    status === 'refunded' || status === 'partially_refunded' ? theme.colors.warning :
+    status === 'canceled' ? theme.colors.secondary :
     theme.colors.danger
   };
   
   color: ${({ theme }) => theme.colors.white};
 `;
 
+const DisputeBadge = styled.span`
+  display: inline-block;
+  margin-left: 6px;
+  padding: 4px 8px;
+  border-radius: 4px;
+  font-size: 12px;
+  font-weight: 500;
+  background-color: ${({ theme, open }) => open ? theme.colors.danger : theme.colors.secondary};
+  color: ${({ theme }) => theme.colors.white};
+`;
+
+const DisputeNote = styled.div`
+  margin-top: 4px;
+  font-size: 12px;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const ReceiptButton = styled.button`
+  background-color: ${({ theme }) => theme.colors.light};
+  color: ${({ theme }) => theme.colors.dark};
+  border: none;
+  border-radius: 4px;
+  padding: 4px 8px;
+  font-size: 12px;
+  cursor: pointer;
+  
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+// Payments that were paid at some point and so have a receipt
+const receiptStatuses = ['succeeded', 'refunded', 'partially_refunded'];
+
+// Dispute statuses still waiting on the card network's decision
+const openDisputeStatuses = ['warning_needs_response', 'warning_under_review', 'needs_response', 'under_review'];
+
+// Payments with money left to refund
+const refundableStatuses = ['succeeded', 'partially_refunded'];
+
+const refundReasons = [
+  { value: 'requested_by_customer', label: 'Requested by customer' },
+  { value: 'service_issue', label: 'Connection problem' },
+  { value: 'duplicate', label: 'Duplicate payment' },
+  { value: 'fraudulent', label: 'Fraudulent' },
+  { value: 'other', label: 'Other' }
+];
+
+const accessPolicies = [
+  { value: '', label: 'Default (REFUND_ACCESS_POLICY)' },
+  { value: 'auto', label: 'Revoke on full refund, shorten on partial refund' },
+  { value: 'revoke', label: 'Revoke access now' },
+  { value: 'prorate', label: 'Shorten access by the refunded share' },
+  { value: 'keep', label: 'Keep access' }
+];
+
+const accessActions = {
+  revoked: 'access revoked',
+  shortened: 'access shortened',
+  none: 'access unchanged'
+};
+
+const emptyRefund = {
+  amount: '',
+  reason: 'requested_by_customer',
+  note: '',
+  accessPolicy: ''
+};
+
+const ActionButton = styled(ReceiptButton)`
+  margin-left: 4px;
+`;
+
+const FormGroup = styled.div`
+  margin-bottom: 16px;
+`;
+
+const Label = styled.label`
+  display: block;
+  font-size: 14px;
+  font-weight: 500;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 8px;
+`;
+
+const TextArea = styled.textarea`
+  width: 100%;
+  padding: 8px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 14px;
+  resize: vertical;
+`;
+
+const HelpText = styled.div`
+  font-size: 12px;
+  color: ${({ theme }) => theme.colors.secondary};
+  margin-top: 4px;
+`;
+
+const RefundLog = styled.ul`
+  list-style: none;
+  margin: 0 0 16px;
+  padding: 0;
+  font-size: 13px;
+  color: ${({ theme }) => theme.colors.secondary};
+
+  li {
+    padding: 4px 0;
+    border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+  }
+`;
+
+const ModalActions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 10px;
+  margin-top: 24px;
+`;
+
+const ModalButton = styled.button`
+  background-color: ${({ theme, secondary }) => secondary ? theme.colors.light : theme.colors.danger};
+  color: ${({ theme, secondary }) => secondary ? theme.colors.dark : theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
 const Pagination = styled.div`
   display: flex;
   justify-content: space-between;
@@ -161,9 +302,14 @@ function PaymentHistory() {
   const [filters, setFilters] = useState({
     status: '',
     plan: '',
+    dispute: '',
     startDate: '',
     endDate: ''
   });
+  const [downloading, setDownloading] = useState(null);
+  const [refundPayment, setRefundPayment] = useState(null);
+  const [refundForm, setRefundForm] = useState(emptyRefund);
+  const [refunding, setRefunding] = useState(false);
   
   const { api } = useAPI();
   const { showAlert } = useAlert();
@@ -205,8 +351,58 @@ function PaymentHistory() {
     setPagination(prev => ({ ...prev, page }));
   };
 
-  const formatCurrency = (cents) => {
-    return `$${(cents / 100).toFixed(2)}`;
+  const handleDownloadReceipt = async (payment) => {
+    setDownloading(payment.id);
+    try {
+      const pdf = await api.getAdminReceipt(payment.id);
+      saveFile(pdf, `${payment.invoiceNumber || `receipt-${payment.id}`}.pdf`);
+    } catch (error) {
+      showAlert('Error downloading receipt: ' + error.message, 'danger');
+      console.error('Error downloading receipt:', error);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const openRefundModal = (payment) => {
+    setRefundPayment(payment);
+    setRefundForm(emptyRefund);
+  };
+
+  const handleRefundChange = (e) => {
+    const { name, value } = e.target;
+    setRefundForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleRefund = async () => {
+    const amount = refundForm.amount
+      ? formatMoney(parseFloat(refundForm.amount), refundPayment.currency)
+      : 'the remaining amount';
+    const policy = accessPolicies.find(option => option.value === refundForm.accessPolicy);
+    if (!window.confirm(`Refund ${amount} of payment ${refundPayment.id}?\nNetwork access: ${policy.label}.`)) {
+      return;
+    }
+
+    setRefunding(true);
+    try {
+      const response = await api.refundPayment(refundPayment.id, {
+        ...refundForm,
+        amount: refundForm.amount ? parseFloat(refundForm.amount) : undefined,
+        accessPolicy: refundForm.accessPolicy || undefined
+      });
+      const access = response.data.access ? `, ${accessActions[response.data.access.action]}` : '';
+      showAlert(`${response.message}${access}`, 'success');
+      setRefundPayment(null);
+      fetchPayments();
+    } catch (error) {
+      showAlert('Error refunding payment: ' + error.message, 'danger');
+      console.error('Error refunding payment:', error);
+    } finally {
+      setRefunding(false);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -227,7 +423,20 @@ function PaymentHistory() {
               <option value="">All Statuses</option>
               <option value="succeeded">Succeeded</option>
               <option value="refunded">Refunded</option>
+              <option value="partially_refunded">Partially Refunded</option>
               <option value="failed">Failed</option>
+              <option value="canceled">Canceled</option>
+            </Select>
+          </FilterGroup>
+          
+          <FilterGroup>
+            <FilterLabel>Dispute</FilterLabel>
+            <Select name="dispute" value={filters.dispute} onChange={handleFilterChange}>
+              <option value="">All Payments</option>
+              <option value="any">Disputed</option>
+              <option value="open">Open Disputes</option>
+              <option value="won">Disputes Won</option>
+              <option value="lost">Disputes Lost</option>
             </Select>
           </FilterGroup>
           
@@ -278,6 +487,7 @@ function PaymentHistory() {
                     <TableHeader>Plan</TableHeader>
                     <TableHeader>Amount</TableHeader>
                     <TableHeader>Status</TableHeader>
+                    <TableHeader>Actions</TableHeader>
                   </TableRow>
                 </TableHead>
                 <tbody>
@@ -287,17 +497,42 @@ function PaymentHistory() {
                       <TableCell>{formatDate(payment.timestamp)}</TableCell>
                       <TableCell>{payment.customer?.name || 'N/A'}</TableCell>
                       <TableCell>{payment.plan?.name || 'N/A'}</TableCell>
-                      <TableCell>{formatCurrency(payment.amount)}</TableCell>
+                      <TableCell>{formatMoney(payment.amount, payment.currency)}</TableCell>
                       <TableCell>
                         <StatusBadge status={payment.status}>
                           {payment.status.charAt(0).toUpperCase() + payment.status.slice(1)}
                         </StatusBadge>
+                        {payment.dispute?.status && (
+                          <>
+                            <DisputeBadge open={openDisputeStatuses.includes(payment.dispute.status)}>
+                              Dispute: {payment.dispute.status.replace(/_/g, ' ')}
+                            </DisputeBadge>
+                            {openDisputeStatuses.includes(payment.dispute.status) && payment.dispute.evidenceDueBy && (
+                              <DisputeNote>Evidence due {formatDate(payment.dispute.evidenceDueBy)}</DisputeNote>
+                            )}
+                          </>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {receiptStatuses.includes(payment.status) && (
+                          <ReceiptButton
+                            disabled={downloading === payment.id}
+                            onClick={() => handleDownloadReceipt(payment)}
+                          >
+                            {payment.invoiceNumber || 'Download'}
+                          </ReceiptButton>
+                        )}
+                        {refundableStatuses.includes(payment.status) && (
+                          <ActionButton onClick={() => openRefundModal(payment)}>
+                            Refund
+                          </ActionButton>
+                        )}
                       </TableCell>
                     </TableRow>
                   ))}
                   {payments.length === 0 && (
                     <TableRow>
-                      <TableCell colSpan="6" style={{ textAlign: 'center' }}>
+                      <TableCell colSpan="7" style={{ textAlign: 'center' }}>
                         No payments found
                       </TableCell>
                     </TableRow>
@@ -361,6 +596,74 @@ function PaymentHistory() {
             </>
           )}
         </TableContainer>
+
+        <Modal
+          isOpen={Boolean(refundPayment)}
+          title="Refund Payment"
+          onClose={() => setRefundPayment(null)}
+        >
+          {refundPayment && (
+            <>
+              {refundPayment.refunds?.length > 0 && (
+                <RefundLog>
+                  {refundPayment.refunds.map(refund => (
+                    <li key={refund._id}>
+                      {formatDate(refund.createdAt)}: {formatMoney(refund.amount, refundPayment.currency)} refunded
+                      {refund.reason && ` (${refund.reason.replace(/_/g, ' ')})`}
+                      {refund.access?.action && `, ${accessActions[refund.access.action]}`}
+                    </li>
+                  ))}
+                </RefundLog>
+              )}
+
+              <FormGroup>
+                <Label htmlFor="amount">Amount</Label>
+                <Input
+                  type="number"
+                  id="amount"
+                  name="amount"
+                  min="0"
+                  step={10 ** -getExponent(refundPayment.currency)}
+                  value={refundForm.amount}
+                  onChange={handleRefundChange}
+                />
+                <HelpText>Leave blank to refund everything not yet refunded</HelpText>
+              </FormGroup>
+
+              <FormGroup>
+                <Label htmlFor="reason">Reason</Label>
+                <Select id="reason" name="reason" value={refundForm.reason} onChange={handleRefundChange}>
+                  {refundReasons.map(reason => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+                </Select>
+              </FormGroup>
+
+              <FormGroup>
+                <Label htmlFor="note">Note</Label>
+                <TextArea id="note" name="note" rows="2" value={refundForm.note} onChange={handleRefundChange} />
+              </FormGroup>
+
+              <FormGroup>
+                <Label htmlFor="accessPolicy">Network access</Label>
+                <Select id="accessPolicy" name="accessPolicy" value={refundForm.accessPolicy} onChange={handleRefundChange}>
+                  {accessPolicies.map(policy => (
+                    <option key={policy.value} value={policy.value}>{policy.label}</option>
+                  ))}
+                </Select>
+              </FormGroup>
+
+              <ModalActions>
+                <ModalButton secondary onClick={() => setRefundPayment(null)}>
+                  Cancel
+                </ModalButton>
+                <ModalButton onClick={handleRefund} disabled={refunding}>
+                  {refunding ? 'Refunding...' : 'Refund'}
+                </ModalButton>
+              </ModalActions>
+            </>
+          )}
+        </Modal>
       </Container>
     </AdminLayout>
   );
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { useAPI } from '../../contexts/APIContext';
+import { useAlert } from '../../contexts/AlertContext';
+import Spinner from '../common/Spinner';
+
+const Card = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  overflow: hidden;
+  margin-bottom: 20px;
+`;
+
+const CardHeader = styled.div`
+  padding: 16px;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+  background-color: ${({ theme }) => theme.colors.light};
+`;
+
+const CardTitle = styled.h2`
+  font-size: 18px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const ProviderRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 12px 16px;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const ProviderIcon = styled.span`
+  font-size: 24px;
+  width: 32px;
+  text-align: center;
+`;
+
+const ProviderInfo = styled.div`
+  flex: 1;
+`;
+
+const ProviderName = styled.div`
+  font-size: 15px;
+  font-weight: 500;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const ProviderStatus = styled.div`
+  font-size: 13px;
+  color: ${({ theme, warning }) => warning ? theme.colors.danger : theme.colors.secondary};
+`;
+
+const SettingLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-top: 6px;
+  font-size: 13px;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const Select = styled.select`
+  padding: 4px 8px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const Input = styled.input`
+  width: 110px;
+  padding: 4px 8px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const Button = styled.button`
+  background-color: ${({ theme, enabled }) => enabled ? theme.colors.light : theme.colors.primary};
+  color: ${({ theme, enabled }) => enabled ? theme.colors.dark : theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+// Enable and disable payment providers; credentials are saved with the other settings
+function PaymentProviderSettings() {
+  const [loading, setLoading] = useState(true);
+  const [providers, setProviders] = useState([]);
+  const [defaultProvider, setDefaultProvider] = useState(null);
+  const [updating, setUpdating] = useState(null);
+  // Site typed in for a new per-site value, by provider and setting key
+  const [newSites, setNewSites] = useState({});
+
+  const { api } = useAPI();
+  const { showAlert } = useAlert();
+
+  const fetchProviders = useCallback(async () => {
+    try {
+      const response = await api.getPaymentProviderSettings();
+      setProviders(response.data.providers);
+      setDefaultProvider(response.data.defaultProvider);
+    } catch (error) {
+      showAlert('Error loading payment providers', 'danger');
+      console.error('Error fetching payment providers:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, showAlert]);
+
+  useEffect(() => {
+    fetchProviders();
+  }, [fetchProviders]);
+
+  const handleToggle = async (provider) => {
+    setUpdating(provider.name);
+    try {
+      const response = await api.setPaymentProviderEnabled(provider.name, !provider.enabled);
+      showAlert(response.message, 'success');
+      await fetchProviders();
+    } catch (error) {
+      showAlert(error.message, 'danger');
+      console.error('Error updating payment provider:', error);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  // An empty value with a site puts the site back on the setting for all sites
+  const handleSettingChange = async (provider, setting, value, site) => {
+    setUpdating(provider.name);
+    try {
+      const response = await api.updatePaymentProviderSetting(provider.name, setting.key, value, site);
+      showAlert(response.message, 'success');
+      if (site) {
+        setNewSites(prev => ({ ...prev, [`${provider.name}.${setting.key}`]: '' }));
+      }
+      await fetchProviders();
+    } catch (error) {
+      showAlert(error.message, 'danger');
+      console.error('Error updating payment provider setting:', error);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const describe = (provider) => {
+    if (!provider.configured) return `Not configured: ${provider.error}`;
+    if (!provider.enabled) return 'Disabled';
+    if (!provider.guestSelectable) return 'Enabled for staff';
+    return provider.name === defaultProvider ? 'Offered to guests (default)' : 'Offered to guests';
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Payment Providers</CardTitle>
+      </CardHeader>
+      {loading ? (
+        <Spinner message="Loading payment providers..." />
+      ) : (
+        providers.map(provider => (
+          <ProviderRow key={provider.name}>
+            <ProviderIcon>{provider.icon}</ProviderIcon>
+            <ProviderInfo>
+              <ProviderName>{provider.displayName}</ProviderName>
+              <ProviderStatus warning={!provider.configured}>{describe(provider)}</ProviderStatus>
+              {provider.settings.map(setting => {
+                const siteKey = `${provider.name}.${setting.key}`;
+                const newSite = (newSites[siteKey] || '').trim();
+
+                return (
+                  <React.Fragment key={setting.key}>
+                    <SettingLabel title={setting.description}>
+                      {setting.label}{setting.perSite && ' (all sites)'}
+                      <Select
+                        value={setting.value || ''}
+                        disabled={updating === provider.name}
+                        onChange={(e) => handleSettingChange(provider, setting, e.target.value)}
+                      >
+                        {setting.options.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </Select>
+                    </SettingLabel>
+                    {setting.perSite && Object.entries(setting.siteValues || {}).map(([site, value]) => (
+                      <SettingLabel key={site} title={setting.description}>
+                        {setting.label} on site {site}
+                        <Select
+                          value={value}
+                          disabled={updating === provider.name}
+                          onChange={(e) => handleSettingChange(provider, setting, e.target.value, site)}
+                        >
+                          <option value="">Same as all sites</option>
+                          {setting.options.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </Select>
+                      </SettingLabel>
+                    ))}
+                    {setting.perSite && (
+                      <SettingLabel title={setting.description}>
+                        {setting.label} on site
+                        <Input
+                          value={newSites[siteKey] || ''}
+                          placeholder="UniFi site"
+                          onChange={(e) => {
+                            const site = e.target.value;
+                            setNewSites(prev => ({ ...prev, [siteKey]: site }));
+                          }}
+                        />
+                        <Select
+                          value=""
+                          disabled={!newSite || updating === provider.name}
+                          onChange={(e) => handleSettingChange(provider, setting, e.target.value, newSite)}
+                        >
+                          <option value="" disabled>Choose...</option>
+                          {setting.options.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </Select>
+                      </SettingLabel>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </ProviderInfo>
+            <Button
+              type="button"
+              enabled={provider.enabled}
+              disabled={updating === provider.name || (!provider.enabled && !provider.configured)}
+              onClick={() => handleToggle(provider)}
+            >
+              {provider.enabled ? 'Disable' : 'Enable'}
+            </Button>
+          </ProviderRow>
+        ))
+      )}
+    </Card>
+  );
+}
+
+export default PaymentProviderSettings;
@@ -5,6 +5,7 @@ import { useAlert } from '../../contexts/AlertContext';
 import AdminLayout from './components/AdminLayout';
 import Spinner from '../common/Spinner';
 import Modal from '../common/Modal';
+import { getExponent } from '../../services/money';
 
 const Container = styled.div`
   padding: 20px;
@@ -167,6 +168,121 @@ const ModalActions = styled.div`
   margin-top: 24px;
 `;
 
+const Select = styled.select`
+  width: 100%;
+  padding: 10px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 14px;
+`;
+
+const FormRow = styled.div`
+  display: flex;
+  gap: 12px;
+  
+  & > ${FormGroup} {
+    flex: 1;
+  }
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const OrderButton = styled.button`
+  background: none;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  padding: 2px 6px;
+  margin-right: 4px;
+  cursor: pointer;
+  
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const emptyForm = {
+  name: '',
+  description: '',
+  price: 0,
+  currency: 'usd',
+  otherPrices: '',
+  billingInterval: '',
+  durationValue: 1,
+  durationUnit: 'hours',
+  download: 0,
+  upload: 0,
+  bandwidthUnit: 'mbps',
+  dataLimitValue: 0,
+  dataLimitUnit: 'gb',
+  unlimited: true,
+  features: '',
+  isActive: true
+};
+
+// Fields parsed as numbers from the form inputs
+const numericFields = ['price', 'durationValue', 'download', 'upload', 'dataLimitValue'];
+
+// Convert a plan from the API into flat form fields
+const toFormData = (plan) => ({
+  name: plan.name,
+  description: plan.description || '',
+  price: plan.price,
+  currency: plan.currency,
+  otherPrices: (plan.prices || []).map(price => `${price.currency} ${price.price}`).join(', '),
+  billingInterval: plan.billingInterval || '',
+  durationValue: plan.duration.value,
+  durationUnit: plan.duration.unit,
+  download: plan.bandwidth.download,
+  upload: plan.bandwidth.upload,
+  bandwidthUnit: plan.bandwidth.unit,
+  dataLimitValue: plan.dataLimit?.value || 0,
+  dataLimitUnit: plan.dataLimit?.unit || 'gb',
+  unlimited: plan.dataLimit?.unlimited ?? true,
+  features: (plan.features || []).join(', '),
+  isActive: plan.isActive
+});
+
+// Convert flat form fields into the plan shape the API expects
+const toPlanPayload = (formData) => ({
+  name: formData.name,
+  description: formData.description,
+  price: formData.price,
+  currency: formData.currency,
+  // "eur 9.50, gbp 8" to [{ currency: 'eur', price: 9.5 }, { currency: 'gbp', price: 8 }]
+  prices: formData.otherPrices
+    .split(',')
+    .map(entry => entry.trim().split(/\s+/))
+    .filter(([currency, price]) => currency && price)
+    .map(([currency, price]) => ({ currency, price: parseFloat(price) })),
+  billingInterval: formData.billingInterval,
+  duration: {
+    value: formData.durationValue,
+    unit: formData.durationUnit
+  },
+  bandwidth: {
+    download: formData.download,
+    upload: formData.upload,
+    unit: formData.bandwidthUnit
+  },
+  dataLimit: {
+    value: formData.unlimited ? undefined : formData.dataLimitValue,
+    unit: formData.dataLimitUnit,
+    unlimited: formData.unlimited
+  },
+  features: formData.features
+    .split(',')
+    .map(feature => feature.trim())
+    .filter(Boolean),
+  isActive: formData.isActive
+});
+
 function PlanSettings() {
   const [loading, setLoading] = useState(true);
   const [plans, setPlans] = useState([]);
@@ -174,16 +290,7 @@ function PlanSettings() {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
-  const [formData, setFormData] = useState({
-    name: '',
-    durationHours: 1,
-    dataLimitMB: 0,
-    downloadSpeedKbps: 0,
-    uploadSpeedKbps: 0,
-    priceInCents: 0,
-    maxDevices: 1,
-    active: true
-  });
+  const [formData, setFormData] = useState(emptyForm);
   
   const { api } = useAPI();
   const { showAlert } = useAlert();
@@ -210,14 +317,13 @@ function PlanSettings() {
     setFormData(prev => ({
       ...prev,
       [name]: type === 'checkbox' ? checked : 
-              (name === 'name' ? value : parseInt(value, 10))
+              (numericFields.includes(name) ? parseFloat(value) || 0 : value)
     }));
   };
 
-  const handleToggleStatus = async (planId, currentStatus) => {
+  const handleToggleStatus = async (plan) => {
     try {
-      const plan = plans.find(p => p.id === planId);
-      await api.updatePlan(planId, { ...plan, active: !currentStatus });
+      await api.setPlanActive(plan.id, !plan.isActive);
       fetchPlans();
     } catch (error) {
       showAlert('Error updating plan status', 'danger');
@@ -225,9 +331,25 @@ function PlanSettings() {
     }
   };
 
+  const handleMovePlan = async (index, direction) => {
+    const reordered = [...plans];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    
+    setPlans(reordered);
+    
+    try {
+      await api.reorderPlans(reordered.map(plan => plan.id));
+    } catch (error) {
+      showAlert('Error reordering plans: ' + error.message, 'danger');
+      console.error('Error reordering plans:', error);
+      fetchPlans();
+    }
+  };
+
   const handleCreatePlan = async () => {
     try {
-      await api.createPlan(formData);
+      await api.createPlan(toPlanPayload(formData));
       showAlert('Plan created successfully', 'success');
       setShowCreateModal(false);
       fetchPlans();
@@ -239,7 +361,7 @@ function PlanSettings() {
 
   const handleEditPlan = async () => {
     try {
-      await api.updatePlan(selectedPlan.id, formData);
+      await api.updatePlan(selectedPlan.id, toPlanPayload(formData));
       showAlert('Plan updated successfully', 'success');
       setShowEditModal(false);
       fetchPlans();
@@ -251,8 +373,9 @@ function PlanSettings() {
 
   const handleDeletePlan = async () => {
     try {
-      await api.deletePlan(selectedPlan.id);
-      showAlert('Plan deleted successfully', 'success');
+      // Plans still referenced by vouchers, guests or payments are archived
+      const response = await api.deletePlan(selectedPlan.id, { archive: true });
+      showAlert(response.message || 'Plan deleted successfully', 'success');
       setShowDeleteModal(false);
       fetchPlans();
     } catch (error) {
@@ -263,16 +386,7 @@ function PlanSettings() {
 
   const openEditModal = (plan) => {
     setSelectedPlan(plan);
-    setFormData({
-      name: plan.name,
-      durationHours: plan.durationHours,
-      dataLimitMB: plan.dataLimitMB,
-      downloadSpeedKbps: plan.downloadSpeedKbps,
-      uploadSpeedKbps: plan.uploadSpeedKbps,
-      priceInCents: plan.priceInCents,
-      maxDevices: plan.maxDevices,
-      active: plan.active
-    });
+    setFormData(toFormData(plan));
     setShowEditModal(true);
   };
 
@@ -282,22 +396,208 @@ function PlanSettings() {
   };
 
   const openCreateModal = () => {
-    setFormData({
-      name: '',
-      durationHours: 1,
-      dataLimitMB: 0,
-      downloadSpeedKbps: 0,
-      uploadSpeedKbps: 0,
-      priceInCents: 0,
-      maxDevices: 1,
-      active: true
-    });
+    setFormData(emptyForm);
     setShowCreateModal(true);
   };
 
-  const formatCurrency = (cents) => {
-    return `$${(cents / 100).toFixed(2)}`;
-  };
+  const renderPlanFields = () => (
+    <>
+      <FormGroup>
+        <Label htmlFor="name">Plan Name</Label>
+        <Input 
+          type="text"
+          id="name"
+          name="name"
+          value={formData.name}
+          onChange={handleInputChange}
+          placeholder="e.g., Basic Hour"
+        />
+      </FormGroup>
+      
+      <FormGroup>
+        <Label htmlFor="description">Description</Label>
+        <Input 
+          type="text"
+          id="description"
+          name="description"
+          value={formData.description}
+          onChange={handleInputChange}
+        />
+      </FormGroup>
+      
+      <FormRow>
+        <FormGroup>
+          <Label htmlFor="price">Price</Label>
+          <Input 
+            type="number"
+            id="price"
+            name="price"
+            value={formData.price}
+            onChange={handleInputChange}
+            min="0"
+            step={10 ** -getExponent(formData.currency)}
+          />
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="currency">Currency</Label>
+          <Input 
+            type="text"
+            id="currency"
+            name="currency"
+            value={formData.currency}
+            onChange={handleInputChange}
+            maxLength={3}
+          />
+        </FormGroup>
+      </FormRow>
+      
+      <FormGroup>
+        <Label htmlFor="otherPrices">Prices in other currencies (comma-separated)</Label>
+        <Input 
+          type="text"
+          id="otherPrices"
+          name="otherPrices"
+          value={formData.otherPrices}
+          onChange={handleInputChange}
+          placeholder="e.g., eur 9.50, gbp 8.00"
+        />
+      </FormGroup>
+      
+      <FormRow>
+        <FormGroup>
+          <Label htmlFor="durationValue">Duration</Label>
+          <Input 
+            type="number"
+            id="durationValue"
+            name="durationValue"
+            value={formData.durationValue}
+            onChange={handleInputChange}
+            min="1"
+          />
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="durationUnit">Unit</Label>
+          <Select
+            id="durationUnit"
+            name="durationUnit"
+            value={formData.durationUnit}
+            onChange={handleInputChange}
+          >
+            <option value="minutes">Minutes</option>
+            <option value="hours">Hours</option>
+            <option value="days">Days</option>
+            <option value="weeks">Weeks</option>
+            <option value="months">Months</option>
+          </Select>
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="billingInterval">Billing</Label>
+          <Select
+            id="billingInterval"
+            name="billingInterval"
+            value={formData.billingInterval}
+            onChange={handleInputChange}
+          >
+            <option value="">One-off payment</option>
+            <option value="week">Renews weekly</option>
+            <option value="month">Renews monthly</option>
+            <option value="year">Renews yearly</option>
+          </Select>
+        </FormGroup>
+      </FormRow>
+      
+      <FormRow>
+        <FormGroup>
+          <Label htmlFor="download">Download Speed</Label>
+          <Input 
+            type="number"
+            id="download"
+            name="download"
+            value={formData.download}
+            onChange={handleInputChange}
+            min="0"
+          />
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="upload">Upload Speed</Label>
+          <Input 
+            type="number"
+            id="upload"
+            name="upload"
+            value={formData.upload}
+            onChange={handleInputChange}
+            min="0"
+          />
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="bandwidthUnit">Unit</Label>
+          <Select
+            id="bandwidthUnit"
+            name="bandwidthUnit"
+            value={formData.bandwidthUnit}
+            onChange={handleInputChange}
+          >
+            <option value="kbps">Kbps</option>
+            <option value="mbps">Mbps</option>
+            <option value="gbps">Gbps</option>
+          </Select>
+        </FormGroup>
+      </FormRow>
+      
+      <FormGroup>
+        <CheckboxLabel>
+          <input
+            type="checkbox"
+            name="unlimited"
+            checked={formData.unlimited}
+            onChange={handleInputChange}
+          />
+          Unlimited data
+        </CheckboxLabel>
+      </FormGroup>
+      
+      {!formData.unlimited && (
+        <FormRow>
+          <FormGroup>
+            <Label htmlFor="dataLimitValue">Data Limit</Label>
+            <Input 
+              type="number"
+              id="dataLimitValue"
+              name="dataLimitValue"
+              value={formData.dataLimitValue}
+              onChange={handleInputChange}
+              min="0"
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label htmlFor="dataLimitUnit">Unit</Label>
+            <Select
+              id="dataLimitUnit"
+              name="dataLimitUnit"
+              value={formData.dataLimitUnit}
+              onChange={handleInputChange}
+            >
+              <option value="mb">MB</option>
+              <option value="gb">GB</option>
+              <option value="tb">TB</option>
+            </Select>
+          </FormGroup>
+        </FormRow>
+      )}
+      
+      <FormGroup>
+        <Label htmlFor="features">Features (comma-separated)</Label>
+        <Input 
+          type="text"
+          id="features"
+          name="features"
+          value={formData.features}
+          onChange={handleInputChange}
+          placeholder="e.g., HD video streaming, Video calls"
+        />
+      </FormGroup>
+    </>
+  );
 
   return (
     <AdminLayout>
@@ -314,43 +614,47 @@ function PlanSettings() {
             <Table>
               <TableHead>
                 <TableRow>
+                  <TableHeader>Order</TableHeader>
                   <TableHeader>Name</TableHeader>
                   <TableHeader>Duration</TableHeader>
                   <TableHeader>Data Limit</TableHeader>
                   <TableHeader>Speed</TableHeader>
                   <TableHeader>Price</TableHeader>
-                  <TableHeader>Devices</TableHeader>
                   <TableHeader>Status</TableHeader>
                   <TableHeader>Actions</TableHeader>
                 </TableRow>
               </TableHead>
               <tbody>
-                {plans.map(plan => (
+                {plans.map((plan, index) => (
                   <TableRow key={plan.id}>
-                    <TableCell>{plan.name}</TableCell>
-                    <TableCell>{plan.durationHours} hour{plan.durationHours > 1 ? 's' : ''}</TableCell>
                     <TableCell>
-                      {plan.dataLimitMB 
-                        ? plan.dataLimitMB >= 1024 
-                          ? `${(plan.dataLimitMB / 1024).toFixed(1)} GB` 
-                          : `${plan.dataLimitMB} MB`
-                        : 'Unlimited'
-                      }
+                      <OrderButton
+                        disabled={index === 0}
+                        onClick={() => handleMovePlan(index, -1)}
+                      >
+                        ▲
+                      </OrderButton>
+                      <OrderButton
+                        disabled={index === plans.length - 1}
+                        onClick={() => handleMovePlan(index, 1)}
+                      >
+                        ▼
+                      </OrderButton>
                     </TableCell>
+                    <TableCell>{plan.name}</TableCell>
+                    <TableCell>{plan.formattedDuration}</TableCell>
+                    <TableCell>{plan.formattedDataLimit}</TableCell>
+                    <TableCell>{plan.formattedBandwidth}</TableCell>
                     <TableCell>
-                      {plan.downloadSpeedKbps 
-                        ? `${(plan.downloadSpeedKbps / 1024).toFixed(1)}/${(plan.uploadSpeedKbps / 1024).toFixed(1)} Mbps`
-                        : 'Unlimited'
-                      }
+                      {plan.formattedPrice}{plan.billingInterval && ` / ${plan.billingInterval}`}
+                      {plan.prices?.length > 0 && ` (also ${plan.prices.map(price => price.currency.toUpperCase()).join(', ')})`}
                     </TableCell>
-                    <TableCell>{formatCurrency(plan.priceInCents)}</TableCell>
-                    <TableCell>{plan.maxDevices}</TableCell>
                     <TableCell>
                       <Switch>
                         <SwitchInput 
                           type="checkbox" 
-                          checked={plan.active} 
-                          onChange={() => handleToggleStatus(plan.id, plan.active)}
+                          checked={plan.isActive} 
+                          onChange={() => handleToggleStatus(plan)}
                         />
                         <SwitchSlider />
                       </Switch>
@@ -384,89 +688,7 @@ function PlanSettings() {
           title="Create New Plan"
           onClose={() => setShowCreateModal(false)}
         >
-          <FormGroup>
-            <Label htmlFor="name">Plan Name</Label>
-            <Input 
-              type="text"
-              id="name"
-              name="name"
-              value={formData.name}
-              onChange={handleInputChange}
-              placeholder="e.g., Basic Hour"
-            />
-          </FormGroup>
-          
-          <FormGroup>
-            <Label htmlFor="durationHours">Duration (hours)</Label>
-            <Input 
-              type="number"
-              id="durationHours"
-              name="durationHours"
-              value={formData.durationHours}
-              onChange={handleInputChange}
-              min="1"
-            />
-          </FormGroup>
-          
-          <FormGroup>
-            <Label htmlFor="dataLimitMB">Data Limit (MB, 0 for unlimited)</Label>
-            <Input 
-              type="number"
-              id="dataLimitMB"
-              name="dataLimitMB"
-              value={formData.dataLimitMB}
-              onChange={handleInputChange}
-              min="0"
-            />
-          </FormGroup>
-          
-          <FormGroup>
-            <Label htmlFor="downloadSpeedKbps">Download Speed (Kbps, 0 for unlimited)</Label>
-            <Input 
-              type="number"
-              id="downloadSpeedKbps"
-              name="downloadSpeedKbps"
-              value={formData.downloadSpeedKbps}
-              onChange={handleInputChange}
-              min="0"
-            />
-          </FormGroup>
-          
-          <FormGroup>
-            <Label htmlFor="uploadSpeedKbps">Upload Speed (Kbps, 0 for unlimited)</Label>
-            <Input 
-              type="number"
-              id="uploadSpeedKbps"
-              name="uploadSpeedKbps"
-              value={formData.uploadSpeedKbps}
-              onChange={handleInputChange}
-              min="0"
-            />
-          </FormGroup>
-          
-          <FormGroup>
-            <Label htmlFor="priceInCents">Price (in cents)</Label>
-            <Input 
-              type="number"
-              id="priceInCents"
-              name="priceInCents"
-              value={formData.priceInCents}
-              onChange={handleInputChange}
-              min="0"
-            />
-          </FormGroup>
-          
-          <FormGroup>
-            <Label htmlFor="maxDevices">Max Devices</Label>
-            <Input 
-              type="number"
-              id="maxDevices"
-              name="maxDevices"
-              value={formData.maxDevices}
-              onChange={handleInputChange}
-              min="1"
-            />
-          </FormGroup>
+          {renderPlanFields()}
           
           <ModalActions>
             <Button secondary onClick={() => setShowCreateModal(false)}>
@@ -486,88 +708,7 @@ function PlanSettings() {
         >
           {selectedPlan && (
             <>
-              <FormGroup>
-                <Label htmlFor="name">Plan Name</Label>
-                <Input 
-                  type="text"
-                  id="name"
-                  name="name"
-                  value={formData.name}
-                  onChange={handleInputChange}
-                />
-              </FormGroup>
-              
-              <FormGroup>
-                <Label htmlFor="durationHours">Duration (hours)</Label>
-                <Input 
-                  type="number"
-                  id="durationHours"
-                  name="durationHours"
-                  value={formData.durationHours}
-                  onChange={handleInputChange}
-                  min="1"
-                />
-              </FormGroup>
-              
-              <FormGroup>
-                <Label htmlFor="dataLimitMB">Data Limit (MB, 0 for unlimited)</Label>
-                <Input 
-                  type="number"
-                  id="dataLimitMB"
-                  name="dataLimitMB"
-                  value={formData.dataLimitMB}
-                  onChange={handleInputChange}
-                  min="0"
-                />
-              </FormGroup>
-              
-              <FormGroup>
-                <Label htmlFor="downloadSpeedKbps">Download Speed (Kbps, 0 for unlimited)</Label>
-                <Input 
-                  type="number"
-                  id="downloadSpeedKbps"
-                  name="downloadSpeedKbps"
-                  value={formData.downloadSpeedKbps}
-                  onChange={handleInputChange}
-                  min="0"
-                />
-              </FormGroup>
-              
-              <FormGroup>
-                <Label htmlFor="uploadSpeedKbps">Upload Speed (Kbps, 0 for unlimited)</Label>
-                <Input 
-                  type="number"
-                  id="uploadSpeedKbps"
-                  name="uploadSpeedKbps"
-                  value={formData.uploadSpeedKbps}
-                  onChange={handleInputChange}
-                  min="0"
-                />
-              </FormGroup>
-              
-              <FormGroup>
-                <Label htmlFor="priceInCents">Price (in cents)</Label>
-                <Input 
-                  type="number"
-                  id="priceInCents"
-                  name="priceInCents"
-                  value={formData.priceInCents}
-                  onChange={handleInputChange}
-                  min="0"
-                />
-              </FormGroup>
-              
-              <FormGroup>
-                <Label htmlFor="maxDevices">Max Devices</Label>
-                <Input 
-                  type="number"
-                  id="maxDevices"
-                  name="maxDevices"
-                  value={formData.maxDevices}
-                  onChange={handleInputChange}
-                  min="1"
-                />
-              </FormGroup>
+              {renderPlanFields()}
               
               <ModalActions>
                 <Button secondary onClick={() => setShowEditModal(false)}>
@@ -590,7 +731,10 @@ function PlanSettings() {
           {selectedPlan && (
             <>
               <p>Are you sure you want to delete the plan "{selectedPlan.name}"?</p>
-              <p>This action cannot be undone.</p>
+              <p>
+                Plans already used by vouchers, guests or payments will be archived
+                instead, so their history is kept.
+              </p>
               
               <ModalActions>
                 <Button secondary onClick={() => setShowDeleteModal(false)}>
@@ -608,4 +752,4 @@ function PlanSettings() {
   );
 }
 
-export default PlanSettings;
\ No newline at end of file
+export default PlanSettings;
@@ -0,0 +1,700 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { useAPI } from '../../contexts/APIContext';
+import { useAlert } from '../../contexts/AlertContext';
+import AdminLayout from './components/AdminLayout';
+import Spinner from '../common/Spinner';
+import Modal from '../common/Modal';
+import { formatMoney } from '../../services/money';
+
+const Container = styled.div`
+  padding: 20px;
+`;
+
+const PageHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 24px;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 24px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const Button = styled.button`
+  background-color: ${({ theme, secondary, danger }) =>
+    danger ? theme.colors.danger :
+    secondary ? theme.colors.light :
+    theme.colors.primary
+  };
+  color: ${({ theme, secondary }) => secondary ? theme.colors.dark : theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  margin-right: 8px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: ${({ secondary, danger }) =>
+      danger ? '#c82333' :
+      secondary ? '#e2e6ea' :
+      '#0069d9'
+    };
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const TableContainer = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  overflow: hidden;
+  margin-bottom: 20px;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+`;
+
+const TableHead = styled.thead`
+  background-color: ${({ theme }) => theme.colors.light};
+`;
+
+const TableRow = styled.tr`
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const TableHeader = styled.th`
+  text-align: left;
+  padding: 12px 16px;
+  font-size: 14px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const TableCell = styled.td`
+  padding: 12px 16px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const Code = styled.span`
+  font-family: monospace;
+  font-weight: 600;
+`;
+
+const SubText = styled.div`
+  font-size: 12px;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 4px 8px;
+  border-radius: 4px;
+  font-size: 12px;
+  font-weight: 500;
+  background-color: ${({ theme, status }) =>
+    status === 'active' ? theme.colors.success :
+    status === 'inactive' ? theme.colors.secondary :
+    theme.colors.warning
+  };
+  color: ${({ theme }) => theme.colors.white};
+`;
+
+const DetailCard = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  padding: 16px;
+  margin-bottom: 20px;
+`;
+
+const DetailHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 12px;
+`;
+
+const DetailTitle = styled.h2`
+  font-size: 18px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const FormGroup = styled.div`
+  margin-bottom: 16px;
+`;
+
+const Label = styled.label`
+  display: block;
+  font-size: 14px;
+  font-weight: 500;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 8px;
+`;
+
+const Input = styled.input`
+  width: 100%;
+  padding: 10px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 14px;
+
+  &:focus {
+    outline: none;
+    border-color: ${({ theme }) => theme.colors.primary};
+    box-shadow: 0 0 0 2px rgba(0, 119, 204, 0.2);
+  }
+`;
+
+const Select = styled.select`
+  width: 100%;
+  padding: 10px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 14px;
+`;
+
+const FormRow = styled.div`
+  display: flex;
+  gap: 12px;
+
+  & > ${FormGroup} {
+    flex: 1;
+  }
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 4px;
+`;
+
+const HelpText = styled.div`
+  font-size: 12px;
+  color: ${({ theme }) => theme.colors.secondary};
+  margin-top: 4px;
+`;
+
+const ModalActions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 10px;
+  margin-top: 24px;
+`;
+
+const emptyForm = {
+  code: '',
+  description: '',
+  discountType: 'percentage',
+  discountValue: 10,
+  currency: 'usd',
+  planIds: [],
+  validFrom: '',
+  validUntil: '',
+  maxUses: '',
+  maxUsesPerMac: '',
+  isActive: true
+};
+
+// Convert a date from the API into a datetime-local input value
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Convert a promo code from the API into form fields
+const toFormData = (promo) => ({
+  code: promo.code,
+  description: promo.description || '',
+  discountType: promo.discountType,
+  discountValue: promo.discountValue,
+  currency: promo.currency || 'usd',
+  planIds: promo.planIds.map(plan => plan.id || plan._id),
+  validFrom: toLocalInput(promo.validFrom),
+  validUntil: toLocalInput(promo.validUntil),
+  maxUses: promo.maxUses ?? '',
+  maxUsesPerMac: promo.maxUsesPerMac ?? '',
+  isActive: promo.isActive
+});
+
+// Convert form fields into the shape the API expects; blank limits and dates clear them
+const toPromoPayload = (formData) => ({
+  ...formData,
+  discountValue: parseFloat(formData.discountValue) || 0,
+  validFrom: formData.validFrom ? new Date(formData.validFrom).toISOString() : '',
+  validUntil: formData.validUntil ? new Date(formData.validUntil).toISOString() : '',
+  maxUses: formData.maxUses === '' ? '' : parseInt(formData.maxUses, 10),
+  maxUsesPerMac: formData.maxUsesPerMac === '' ? '' : parseInt(formData.maxUsesPerMac, 10)
+});
+
+// Where a code stands for guests right now
+const getPromoStatus = (promo) => {
+  const now = new Date();
+  if (!promo.isActive) return 'inactive';
+  if (promo.validFrom && new Date(promo.validFrom) > now) return 'scheduled';
+  if (promo.validUntil && new Date(promo.validUntil) < now) return 'expired';
+  if (promo.maxUses && promo.usage.uses >= promo.maxUses) return 'used up';
+  return 'active';
+};
+
+const formatTotals = (totals) => {
+  if (totals.length === 0) return '-';
+  return totals
+    .map(total => formatMoney(total.revenue, total.currency))
+    .join(', ');
+};
+
+const formatDiscountTotals = (totals) => {
+  return totals
+    .map(total => `${formatMoney(total.discount, total.currency)} off`)
+    .join(', ');
+};
+
+function PromoCodes() {
+  const [loading, setLoading] = useState(true);
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [selectedPromo, setSelectedPromo] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const { api } = useAPI();
+  const { showAlert } = useAlert();
+
+  const fetchPromoCodes = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [promoResponse, planResponse] = await Promise.all([
+        api.getPromoCodes(),
+        api.getPlanSettings()
+      ]);
+      setPromoCodes(promoResponse.data);
+      setPlans(planResponse.data);
+    } catch (error) {
+      showAlert('Error loading promo codes', 'danger');
+      console.error('Error fetching promo codes:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, showAlert]);
+
+  useEffect(() => {
+    fetchPromoCodes();
+  }, [fetchPromoCodes]);
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : name === 'code' ? value.toUpperCase() : value
+    }));
+  };
+
+  const handlePlanToggle = (planId) => {
+    setFormData(prev => ({
+      ...prev,
+      planIds: prev.planIds.includes(planId)
+        ? prev.planIds.filter(id => id !== planId)
+        : [...prev.planIds, planId]
+    }));
+  };
+
+  const openCreateModal = () => {
+    setSelectedPromo(null);
+    setFormData(emptyForm);
+    setShowFormModal(true);
+  };
+
+  const openEditModal = (promo) => {
+    setSelectedPromo(promo);
+    setFormData(toFormData(promo));
+    setShowFormModal(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const payload = toPromoPayload(formData);
+      const response = selectedPromo
+        ? await api.updatePromoCode(selectedPromo.id, payload)
+        : await api.createPromoCode(payload);
+      showAlert(response.message, 'success');
+      setShowFormModal(false);
+      fetchPromoCodes();
+    } catch (error) {
+      showAlert('Error saving promo code: ' + error.message, 'danger');
+      console.error('Error saving promo code:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleStatus = async (promo) => {
+    try {
+      await api.setPromoCodeActive(promo.id, !promo.isActive);
+      fetchPromoCodes();
+    } catch (error) {
+      showAlert('Error updating promo code status', 'danger');
+      console.error('Error updating promo code status:', error);
+    }
+  };
+
+  const handleDelete = async (promo) => {
+    if (!window.confirm(`Delete promo code ${promo.code}?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.deletePromoCode(promo.id);
+      showAlert(response.message, 'success');
+      if (detail?.id === promo.id) setDetail(null);
+      fetchPromoCodes();
+    } catch (error) {
+      showAlert(error.message, 'danger');
+      console.error('Error deleting promo code:', error);
+    }
+  };
+
+  const handleView = async (promo) => {
+    try {
+      const response = await api.getPromoCode(promo.id);
+      setDetail(response.data);
+    } catch (error) {
+      showAlert('Error loading promo code: ' + error.message, 'danger');
+      console.error('Error fetching promo code:', error);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : '-';
+  };
+
+  const formatValidity = (promo) => {
+    if (!promo.validFrom && !promo.validUntil) return 'Always';
+    if (!promo.validFrom) return `Until ${formatDate(promo.validUntil)}`;
+    if (!promo.validUntil) return `From ${formatDate(promo.validFrom)}`;
+    return `${formatDate(promo.validFrom)} – ${formatDate(promo.validUntil)}`;
+  };
+
+  return (
+    <AdminLayout>
+      <Container>
+        <PageHeader>
+          <PageTitle>Promo Codes</PageTitle>
+          <Button onClick={openCreateModal}>Add Promo Code</Button>
+        </PageHeader>
+
+        {detail && (
+          <DetailCard>
+            <DetailHeader>
+              <DetailTitle>
+                <Code>{detail.code}</Code> – {detail.formattedDiscount}
+              </DetailTitle>
+              <Button secondary onClick={() => setDetail(null)}>Close</Button>
+            </DetailHeader>
+            {detail.description && <p>{detail.description}</p>}
+            <p>Created by: {detail.createdById?.username || '-'}</p>
+            <p>
+              Used {detail.usage.uses} times on {detail.usage.devices} devices,
+              last on {formatDate(detail.usage.lastUsedAt)}
+            </p>
+            {detail.usage.totals.length > 0 && (
+              <p>Discount given: {formatDiscountTotals(detail.usage.totals)}</p>
+            )}
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableHeader>Date</TableHeader>
+                  <TableHeader>Plan</TableHeader>
+                  <TableHeader>Device</TableHeader>
+                  <TableHeader>Paid</TableHeader>
+                  <TableHeader>Discount</TableHeader>
+                  <TableHeader>Status</TableHeader>
+                </TableRow>
+              </TableHead>
+              <tbody>
+                {detail.redemptions.map(payment => (
+                  <TableRow key={payment._id}>
+                    <TableCell>{formatDate(payment.createdAt)}</TableCell>
+                    <TableCell>{payment.planId?.name || '-'}</TableCell>
+                    <TableCell>{payment.customer?.mac || '-'}</TableCell>
+                    <TableCell>{formatMoney(payment.amount, payment.currency)}</TableCell>
+                    <TableCell>{formatMoney(payment.promo.discount, payment.currency)}</TableCell>
+                    <TableCell>{payment.status}</TableCell>
+                  </TableRow>
+                ))}
+                {detail.redemptions.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan="6" style={{ textAlign: 'center' }}>
+                      Not used yet
+                    </TableCell>
+                  </TableRow>
+                )}
+              </tbody>
+            </Table>
+          </DetailCard>
+        )}
+
+        <TableContainer>
+          {loading ? (
+            <Spinner message="Loading promo codes..." />
+          ) : (
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableHeader>Code</TableHeader>
+                  <TableHeader>Discount</TableHeader>
+                  <TableHeader>Plans</TableHeader>
+                  <TableHeader>Valid</TableHeader>
+                  <TableHeader>Uses</TableHeader>
+                  <TableHeader>Revenue</TableHeader>
+                  <TableHeader>Status</TableHeader>
+                  <TableHeader>Actions</TableHeader>
+                </TableRow>
+              </TableHead>
+              <tbody>
+                {promoCodes.map(promo => {
+                  const status = getPromoStatus(promo);
+
+                  return (
+                    <TableRow key={promo.id}>
+                      <TableCell>
+                        <Code>{promo.code}</Code>
+                        {promo.description && <SubText>{promo.description}</SubText>}
+                      </TableCell>
+                      <TableCell>{promo.formattedDiscount}</TableCell>
+                      <TableCell>
+                        {promo.planIds.length === 0
+                          ? 'All plans'
+                          : promo.planIds.map(plan => plan.name).join(', ')}
+                      </TableCell>
+                      <TableCell>{formatValidity(promo)}</TableCell>
+                      <TableCell>
+                        {promo.usage.uses}{promo.maxUses ? ` / ${promo.maxUses}` : ''}
+                        <SubText>
+                          {promo.usage.devices} devices
+                          {promo.maxUsesPerMac ? `, ${promo.maxUsesPerMac} per device` : ''}
+                        </SubText>
+                      </TableCell>
+                      <TableCell>
+                        {formatTotals(promo.usage.totals)}
+                        {promo.usage.totals.length > 0 && (
+                          <SubText>{formatDiscountTotals(promo.usage.totals)}</SubText>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <StatusBadge status={status}>
+                          {status.charAt(0).toUpperCase() + status.slice(1)}
+                        </StatusBadge>
+                      </TableCell>
+                      <TableCell>
+                        <Button secondary onClick={() => handleView(promo)}>View</Button>
+                        <Button secondary onClick={() => openEditModal(promo)}>Edit</Button>
+                        <Button secondary onClick={() => handleToggleStatus(promo)}>
+                          {promo.isActive ? 'Deactivate' : 'Activate'}
+                        </Button>
+                        {promo.usage.uses === 0 && (
+                          <Button danger onClick={() => handleDelete(promo)}>Delete</Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+                {promoCodes.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan="8" style={{ textAlign: 'center' }}>
+                      No promo codes found
+                    </TableCell>
+                  </TableRow>
+                )}
+              </tbody>
+            </Table>
+          )}
+        </TableContainer>
+
+        <Modal
+          isOpen={showFormModal}
+          title={selectedPromo ? 'Edit Promo Code' : 'Create Promo Code'}
+          onClose={() => setShowFormModal(false)}
+        >
+          <FormGroup>
+            <Label htmlFor="code">Code</Label>
+            <Input
+              type="text"
+              id="code"
+              name="code"
+              value={formData.code}
+              onChange={handleInputChange}
+              placeholder="e.g., SUMMER25"
+            />
+          </FormGroup>
+
+          <FormGroup>
+            <Label htmlFor="description">Description</Label>
+            <Input
+              type="text"
+              id="description"
+              name="description"
+              value={formData.description}
+              onChange={handleInputChange}
+            />
+          </FormGroup>
+
+          <FormRow>
+            <FormGroup>
+              <Label htmlFor="discountType">Discount</Label>
+              <Select
+                id="discountType"
+                name="discountType"
+                value={formData.discountType}
+                onChange={handleInputChange}
+              >
+                <option value="percentage">Percentage off</option>
+                <option value="fixed">Amount off</option>
+              </Select>
+            </FormGroup>
+            <FormGroup>
+              <Label htmlFor="discountValue">
+                {formData.discountType === 'percentage' ? 'Percent' : 'Amount'}
+              </Label>
+              <Input
+                type="number"
+                id="discountValue"
+                name="discountValue"
+                value={formData.discountValue}
+                onChange={handleInputChange}
+                min="0"
+                max={formData.discountType === 'percentage' ? '100' : undefined}
+                step="0.01"
+              />
+            </FormGroup>
+            {formData.discountType === 'fixed' && (
+              <FormGroup>
+                <Label htmlFor="currency">Currency</Label>
+                <Input
+                  type="text"
+                  id="currency"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleInputChange}
+                  maxLength={3}
+                />
+              </FormGroup>
+            )}
+          </FormRow>
+
+          <FormGroup>
+            <Label>Plans</Label>
+            {plans.map(plan => (
+              <CheckboxLabel key={plan.id}>
+                <input
+                  type="checkbox"
+                  checked={formData.planIds.includes(plan.id)}
+                  onChange={() => handlePlanToggle(plan.id)}
+                />
+                {plan.name} ({plan.formattedPrice})
+              </CheckboxLabel>
+            ))}
+            <HelpText>Leave all unchecked to apply the code to every plan.</HelpText>
+          </FormGroup>
+
+          <FormRow>
+            <FormGroup>
+              <Label htmlFor="validFrom">Valid From</Label>
+              <Input
+                type="datetime-local"
+                id="validFrom"
+                name="validFrom"
+                value={formData.validFrom}
+                onChange={handleInputChange}
+              />
+            </FormGroup>
+            <FormGroup>
+              <Label htmlFor="validUntil">Valid Until</Label>
+              <Input
+                type="datetime-local"
+                id="validUntil"
+                name="validUntil"
+                value={formData.validUntil}
+                onChange={handleInputChange}
+              />
+            </FormGroup>
+          </FormRow>
+
+          <FormRow>
+            <FormGroup>
+              <Label htmlFor="maxUses">Maximum Uses</Label>
+              <Input
+                type="number"
+                id="maxUses"
+                name="maxUses"
+                value={formData.maxUses}
+                onChange={handleInputChange}
+                min="1"
+                placeholder="Unlimited"
+              />
+            </FormGroup>
+            <FormGroup>
+              <Label htmlFor="maxUsesPerMac">Uses per Device</Label>
+              <Input
+                type="number"
+                id="maxUsesPerMac"
+                name="maxUsesPerMac"
+                value={formData.maxUsesPerMac}
+                onChange={handleInputChange}
+                min="1"
+                placeholder="Unlimited"
+              />
+            </FormGroup>
+          </FormRow>
+
+          <FormGroup>
+            <CheckboxLabel>
+              <input
+                type="checkbox"
+                name="isActive"
+                checked={formData.isActive}
+                onChange={handleInputChange}
+              />
+              Active
+            </CheckboxLabel>
+          </FormGroup>
+
+          <ModalActions>
+            <Button secondary onClick={() => setShowFormModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={saving}>
+              {selectedPromo ? 'Save Changes' : 'Create Promo Code'}
+            </Button>
+          </ModalActions>
+        </Modal>
+      </Container>
+    </AdminLayout>
+  );
+}
+
+export default PromoCodes;
@@ -4,6 +4,8 @@ import { useAPI } from '../../contexts/APIContext';
 import { useAlert } from '../../contexts/AlertContext';
 import AdminLayout from './components/AdminLayout';
 import Spinner from '../common/Spinner';
+import PaymentProviderSettings from './PaymentProviderSettings';
+import TaxRateSettings from './TaxRateSettings';
 
 const Container = styled.div`
   padding: 20px;
@@ -217,6 +219,10 @@ function SystemSettings() {
           <PageTitle>System Settings</PageTitle>
         </PageHeader>
 
+        <PaymentProviderSettings />
+
+        <TaxRateSettings />
+
         <form onSubmit={handleSubmit}>
           <SettingsCard>
             <CardHeader>
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { useAPI } from '../../contexts/APIContext';
+import { useAlert } from '../../contexts/AlertContext';
+import Spinner from '../common/Spinner';
+
+const Card = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  overflow: hidden;
+  margin-bottom: 20px;
+`;
+
+const CardHeader = styled.div`
+  padding: 16px;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+  background-color: ${({ theme }) => theme.colors.light};
+`;
+
+const CardTitle = styled.h2`
+  font-size: 18px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const RateRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 12px 16px;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+`;
+
+const RateInfo = styled.div`
+  flex: 1;
+`;
+
+const RateName = styled.div`
+  font-size: 15px;
+  font-weight: 500;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const RateDetail = styled.div`
+  font-size: 13px;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const EmptyMessage = styled.div`
+  padding: 12px 16px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.secondary};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  padding: 12px 16px;
+`;
+
+const Input = styled.input`
+  padding: 6px 8px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+  width: ${({ width }) => width || 'auto'};
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 13px;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const Button = styled.button`
+  background-color: ${({ theme, secondary }) => secondary ? theme.colors.light : theme.colors.primary};
+  color: ${({ theme, secondary }) => secondary ? theme.colors.dark : theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const emptyForm = {
+  name: 'VAT',
+  rate: '',
+  inclusive: true,
+  site: '',
+  isActive: true
+};
+
+// Tax rates charged per UniFi site; a rate without a site covers all other sites
+function TaxRateSettings() {
+  const [loading, setLoading] = useState(true);
+  const [taxRates, setTaxRates] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { api } = useAPI();
+  const { showAlert } = useAlert();
+
+  const fetchTaxRates = useCallback(async () => {
+    try {
+      const response = await api.getTaxRates();
+      setTaxRates(response.data);
+    } catch (error) {
+      showAlert('Error loading tax rates', 'danger');
+      console.error('Error fetching tax rates:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, showAlert]);
+
+  useEffect(() => {
+    fetchTaxRates();
+  }, [fetchTaxRates]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleEdit = (taxRate) => {
+    setEditingId(taxRate._id);
+    setForm({
+      name: taxRate.name,
+      rate: String(taxRate.rate),
+      inclusive: taxRate.inclusive,
+      site: taxRate.site || '',
+      isActive: taxRate.isActive
+    });
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const taxRateData = { ...form, rate: parseFloat(form.rate) };
+      const response = editingId
+        ? await api.updateTaxRate(editingId, taxRateData)
+        : await api.createTaxRate(taxRateData);
+      showAlert(response.message, 'success');
+      handleCancel();
+      await fetchTaxRates();
+    } catch (error) {
+      showAlert(error.message, 'danger');
+      console.error('Error saving tax rate:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (taxRate) => {
+    if (!window.confirm(`Delete the ${taxRate.name} rate for ${taxRate.site || 'all sites'}?`)) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.deleteTaxRate(taxRate._id);
+      showAlert(response.message, 'success');
+      if (editingId === taxRate._id) handleCancel();
+      await fetchTaxRates();
+    } catch (error) {
+      showAlert(error.message, 'danger');
+      console.error('Error deleting tax rate:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Tax Rates</CardTitle>
+      </CardHeader>
+      {loading ? (
+        <Spinner message="Loading tax rates..." />
+      ) : (
+        <>
+          {taxRates.length === 0 && (
+            <EmptyMessage>No tax is charged. Add a rate to show tax on prices and receipts.</EmptyMessage>
+          )}
+          {taxRates.map(taxRate => (
+            <RateRow key={taxRate._id}>
+              <RateInfo>
+                <RateName>{taxRate.name} {taxRate.rate}%</RateName>
+                <RateDetail>
+                  {taxRate.site || 'All sites'}
+                  {' · '}
+                  {taxRate.inclusive ? 'Included in plan prices' : 'Added to plan prices'}
+                  {!taxRate.isActive && ' · Inactive'}
+                </RateDetail>
+              </RateInfo>
+              <Button type="button" secondary disabled={saving} onClick={() => handleEdit(taxRate)}>
+                Edit
+              </Button>
+              <Button type="button" secondary disabled={saving} onClick={() => handleDelete(taxRate)}>
+                Delete
+              </Button>
+            </RateRow>
+          ))}
+          <Form onSubmit={handleSubmit}>
+            <Input
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              placeholder="Name, e.g. VAT"
+              width="120px"
+              required
+            />
+            <Input
+              type="number"
+              name="rate"
+              value={form.rate}
+              onChange={handleChange}
+              placeholder="Rate %"
+              min="0"
+              max="100"
+              step="0.01"
+              width="90px"
+              required
+            />
+            <Input
+              name="site"
+              value={form.site}
+              onChange={handleChange}
+              placeholder="Site (blank for all sites)"
+              width="180px"
+            />
+            <CheckboxLabel>
+              <input type="checkbox" name="inclusive" checked={form.inclusive} onChange={handleChange} />
+              Included in prices
+            </CheckboxLabel>
+            <CheckboxLabel>
+              <input type="checkbox" name="isActive" checked={form.isActive} onChange={handleChange} />
+              Active
+            </CheckboxLabel>
+            <Button type="submit" disabled={saving}>
+              {editingId ? 'Save Rate' : 'Add Rate'}
+            </Button>
+            {editingId && (
+              <Button type="button" secondary onClick={handleCancel}>Cancel</Button>
+            )}
+          </Form>
+        </>
+      )}
+    </Card>
+  );
+}
+
+export default TaxRateSettings;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { useAPI } from '../../contexts/APIContext';
+import { useAlert } from '../../contexts/AlertContext';
+import AdminLayout from './components/AdminLayout';
+import Spinner from '../common/Spinner';
+
+const Container = styled.div`
+  padding: 20px;
+`;
+
+const PageHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 24px;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 24px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const Button = styled.button`
+  background-color: ${({ theme, secondary }) => secondary ? theme.colors.light : theme.colors.primary};
+  color: ${({ theme, secondary }) => secondary ? theme.colors.dark : theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 8px 16px;
+  margin-right: 8px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: ${({ secondary }) => secondary ? '#e2e6ea' : '#0069d9'};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const TableContainer = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  overflow: hidden;
+  margin-bottom: 20px;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+`;
+
+const TableHead = styled.thead`
+  background-color: ${({ theme }) => theme.colors.light};
+`;
+
+const TableRow = styled.tr`
+  border-bottom: 1px solid ${({ theme }) => theme.colors.light};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const TableHeader = styled.th`
+  text-align: left;
+  padding: 12px 16px;
+  font-size: 14px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const TableCell = styled.td`
+  padding: 12px 16px;
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 4px 8px;
+  border-radius: 4px;
+  font-size: 12px;
+  font-weight: 500;
+
+  background-color: ${({ theme, status }) =>
+    status === 'processed' ? theme.colors.success :
+    ['dead', 'rejected'].includes(status) ? theme.colors.danger :
+    status === 'ignored' ? theme.colors.secondary :
+    theme.colors.warning
+  };
+
+  color: ${({ theme }) => theme.colors.white};
+`;
+
+const FilterBar = styled.div`
+  display: flex;
+  gap: 8px;
+  margin-bottom: 20px;
+`;
+
+const FilterButton = styled.button`
+  background-color: ${({ theme, active }) => active ? theme.colors.primary : theme.colors.white};
+  color: ${({ theme, active }) => active ? theme.colors.white : theme.colors.dark};
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  padding: 6px 12px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const ErrorText = styled.span`
+  color: ${({ theme }) => theme.colors.danger};
+  font-size: 12px;
+`;
+
+const DetailCard = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+  padding: 16px;
+  margin-bottom: 20px;
+`;
+
+const DetailHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 12px;
+`;
+
+const DetailTitle = styled.h2`
+  font-size: 18px;
+  font-weight: 600;
+  color: ${({ theme }) => theme.colors.dark};
+`;
+
+const Json = styled.pre`
+  background-color: ${({ theme }) => theme.colors.light};
+  border-radius: 4px;
+  padding: 12px;
+  font-size: 12px;
+  max-height: 400px;
+  overflow: auto;
+`;
+
+const statusFilters = [
+  { value: '', label: 'All' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'dead', label: 'Dead' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'processed', label: 'Processed' },
+  { value: 'ignored', label: 'Ignored' }
+];
+
+function WebhookEvents() {
+  const [loading, setLoading] = useState(true);
+  const [events, setEvents] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [replaying, setReplaying] = useState(null);
+
+  const { api } = useAPI();
+  const { showAlert } = useAlert();
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getWebhookEvents({ status: statusFilter || undefined });
+      setEvents(response.data);
+      setSummary(response.summary || {});
+    } catch (error) {
+      showAlert('Error loading webhook events', 'danger');
+      console.error('Error fetching webhook events:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, showAlert, statusFilter]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleView = async (event) => {
+    try {
+      const response = await api.getWebhookEvent(event._id);
+      setSelectedEvent(response.data);
+    } catch (error) {
+      showAlert('Error loading webhook event: ' + error.message, 'danger');
+      console.error('Error fetching webhook event:', error);
+    }
+  };
+
+  const handleReplay = async (event) => {
+    if (!window.confirm(`Process ${event.provider} event ${event.eventId} again?`)) {
+      return;
+    }
+
+    setReplaying(event._id);
+    try {
+      const response = await api.replayWebhookEvent(event._id);
+      showAlert(response.message, response.data.status === 'processed' ? 'success' : 'warning');
+      if (selectedEvent?._id === event._id) {
+        setSelectedEvent(response.data);
+      }
+      fetchEvents();
+    } catch (error) {
+      showAlert('Error replaying event: ' + error.message, 'danger');
+      console.error('Error replaying webhook event:', error);
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : '-';
+  };
+
+  return (
+    <AdminLayout>
+      <Container>
+        <PageHeader>
+          <PageTitle>Webhook Events</PageTitle>
+          <Button onClick={fetchEvents}>Refresh</Button>
+        </PageHeader>
+
+        <FilterBar>
+          {statusFilters.map(filter => (
+            <FilterButton
+              key={filter.value}
+              active={statusFilter === filter.value}
+              onClick={() => setStatusFilter(filter.value)}
+            >
+              {filter.label}
+              {summary[filter.value] ? ` (${summary[filter.value]})` : ''}
+            </FilterButton>
+          ))}
+        </FilterBar>
+
+        {selectedEvent && (
+          <DetailCard>
+            <DetailHeader>
+              <DetailTitle>{selectedEvent.provider} {selectedEvent.type}</DetailTitle>
+              <Button secondary onClick={() => setSelectedEvent(null)}>Close</Button>
+            </DetailHeader>
+            <p>Event ID: {selectedEvent.eventId || '-'}</p>
+            <p>Received: {formatDate(selectedEvent.createdAt)}</p>
+            <p>
+              Signature: {selectedEvent.signatureVerified
+                ? 'Verified'
+                : <ErrorText>{selectedEvent.signatureError}</ErrorText>}
+            </p>
+            {selectedEvent.replayedBy && (
+              <p>Last replayed by: {selectedEvent.replayedBy.username}</p>
+            )}
+            {selectedEvent.result && (
+              <>
+                <p>Result:</p>
+                <Json>{JSON.stringify(selectedEvent.result, null, 2)}</Json>
+              </>
+            )}
+            <p>Payload:</p>
+            <Json>{JSON.stringify(selectedEvent.payload, null, 2)}</Json>
+          </DetailCard>
+        )}
+
+        <TableContainer>
+          {loading ? (
+            <Spinner message="Loading webhook events..." />
+          ) : (
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableHeader>Received</TableHeader>
+                  <TableHeader>Provider</TableHeader>
+                  <TableHeader>Type</TableHeader>
+                  <TableHeader>Event ID</TableHeader>
+                  <TableHeader>Deliveries</TableHeader>
+                  <TableHeader>Attempts</TableHeader>
+                  <TableHeader>Last Error</TableHeader>
+                  <TableHeader>Status</TableHeader>
+                  <TableHeader>Actions</TableHeader>
+                </TableRow>
+              </TableHead>
+              <tbody>
+                {events.map(event => (
+                  <TableRow key={event._id}>
+                    <TableCell>{formatDate(event.createdAt)}</TableCell>
+                    <TableCell>{event.provider}</TableCell>
+                    <TableCell>{event.type || '-'}</TableCell>
+                    <TableCell>{event.eventId || '-'}</TableCell>
+                    <TableCell>{event.deliveries}</TableCell>
+                    <TableCell>{event.attempts}</TableCell>
+                    <TableCell>
+                      {event.lastError || event.signatureError
+                        ? <ErrorText>{event.lastError || event.signatureError}</ErrorText>
+                        : '-'}
+                    </TableCell>
+                    <TableCell>
+                      <StatusBadge status={event.status}>
+                        {event.status.charAt(0).toUpperCase() + event.status.slice(1)}
+                      </StatusBadge>
+                    </TableCell>
+                    <TableCell>
+                      <Button secondary onClick={() => handleView(event)}>View</Button>
+                      {event.signatureVerified && event.status !== 'processing' && (
+                        <Button
+                          disabled={replaying === event._id}
+                          onClick={() => handleReplay(event)}
+                        >
+                          {replaying === event._id ? 'Replaying...' : 'Replay'}
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {events.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan="9" style={{ textAlign: 'center' }}>
+                      No webhook events found
+                    </TableCell>
+                  </TableRow>
+                )}
+              </tbody>
+            </Table>
+          )}
+        </TableContainer>
+      </Container>
+    </AdminLayout>
+  );
+}
+
+export default WebhookEvents;
@@ -207,8 +207,12 @@ function AdminLayout({ children }) {
     { path: '/admin/dashboard', icon: '📊', text: 'Dashboard' },
     { path: '/admin/vouchers', icon: '🎟️', text: 'Vouchers' },
     { path: '/admin/payments', icon: '💰', text: 'Payments' },
+    { path: '/admin/front-desk', icon: '🛎️', text: 'Front Desk' },
     { path: '/admin/guests', icon: '👥', text: 'Guests' },
     { path: '/admin/plans', icon: '📋', text: 'Plans' },
+    { path: '/admin/promo-codes', icon: '🏷️', text: 'Promo Codes' },
+    { path: '/admin/controller-jobs', icon: '🔁', text: 'Controller Jobs' },
+    { path: '/admin/webhook-events', icon: '📨', text: 'Webhook Events' },
     { path: '/admin/settings', icon: '⚙️', text: 'Settings' },
   ];
 
@@ -319,6 +319,10 @@ function DeviceInfo() {
           </>
         )}
 
+        <Button secondary onClick={() => history.push('/subscription')}>
+          Manage Subscription
+        </Button>
+
         {connectionStatus === 'connected' ? (
           <Button secondary onClick={handleDisconnect}>
             Disconnect from Network
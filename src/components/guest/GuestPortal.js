@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import styled from 'styled-components';
 import { useAPI } from '../../contexts/APIContext';
 import { useAlert } from '../../contexts/AlertContext';
+import { usePortal } from '../../contexts/PortalContext';
 import Spinner from '../common/Spinner';
 import Logo from '../common/Logo';
 
@@ -91,6 +92,7 @@ function GuestPortal() {
   const [deviceInfo, setDeviceInfo] = useState(null);
   const { api } = useAPI();
   const { showAlert } = useAlert();
+  const { portalParams } = usePortal();
 
   useEffect(() => {
     // Flag to track if the component is mounted
@@ -162,7 +164,7 @@ function GuestPortal() {
       <Logo />
       <PortalCard>
         <WelcomeHeader>
-          {networkInfo?.networkName || 'Welcome to WiFi'}
+          {portalParams.ssid || networkInfo?.networkName || 'Welcome to WiFi'}
         </WelcomeHeader>
         <Subtitle>
           Please choose an option to access the internet
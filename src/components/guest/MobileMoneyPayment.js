@@ -0,0 +1,191 @@
+import React, { useEffect, useRef, useState } from 'react';
+import styled from 'styled-components';
+import Spinner from '../common/Spinner';
+
+const Label = styled.label`
+  display: block;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 8px;
+`;
+
+const Input = styled.input`
+  width: 100%;
+  padding: 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 16px;
+  margin-bottom: 16px;
+`;
+
+const Button = styled.button`
+  width: 100%;
+  background-color: ${({ theme, secondary }) => secondary ? theme.colors.secondary : theme.colors.success};
+  color: ${({ theme }) => theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 12px 24px;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 16px;
+  font-weight: 600;
+  cursor: pointer;
+  margin-top: 8px;
+
+  &:disabled {
+    background-color: ${({ theme }) => theme.colors.secondary};
+    cursor: not-allowed;
+  }
+`;
+
+const WaitingTitle = styled.h3`
+  font-family: ${({ theme }) => theme.fonts.heading};
+  font-size: 20px;
+  color: ${({ theme }) => theme.colors.dark};
+  text-align: center;
+  margin-bottom: 8px;
+`;
+
+const WaitingText = styled.p`
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.secondary};
+  text-align: center;
+`;
+
+// Pays by mobile money: sends a payment prompt to the guest's phone, then
+// checks the payment until they approve it there. onPay must resolve to the
+// response of initializePayment and onCheck to that of confirmPayment
+function MobileMoneyPayment({ displayName, clientConfig, onPay, onCheck, onSuccess, onError, disabled }) {
+  const [phone, setPhone] = useState('');
+  const [sending, setSending] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [timedOut, setTimedOut] = useState(false);
+
+  // Keep the latest callbacks without restarting the polling
+  const handlers = useRef({ onCheck, onSuccess, onError });
+  handlers.current = { onCheck, onSuccess, onError };
+
+  const pollIntervalMs = (clientConfig.pollIntervalSeconds || 5) * 1000;
+  const timeoutMs = (clientConfig.timeoutSeconds || 90) * 1000;
+
+  useEffect(() => {
+    if (!pending || timedOut) return undefined;
+
+    let timer = null;
+    let cancelled = false;
+
+    const check = async () => {
+      try {
+        const response = await handlers.current.onCheck(pending.paymentId);
+        if (cancelled) return;
+
+        if (response.data.status === 'succeeded') {
+          handlers.current.onSuccess(pending.paymentId);
+          return;
+        }
+
+        if (response.data.status === 'failed') {
+          setPending(null);
+          handlers.current.onError(response.data.failureReason || `The ${displayName} payment did not go through`);
+          return;
+        }
+      } catch (error) {
+        // A failed check is retried on the next tick
+        console.error('Error checking payment:', error);
+        if (cancelled) return;
+      }
+
+      if (Date.now() - pending.sentAt >= timeoutMs) {
+        setTimedOut(true);
+        return;
+      }
+
+      timer = setTimeout(check, pollIntervalMs);
+    };
+
+    timer = setTimeout(check, pollIntervalMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pending, timedOut, displayName, pollIntervalMs, timeoutMs]);
+
+  const handlePay = async () => {
+    setSending(true);
+
+    try {
+      const response = await onPay(phone);
+      setTimedOut(false);
+      setPending({
+        paymentId: response.data.paymentId,
+        phone: response.data.clientData.phone,
+        sentAt: Date.now()
+      });
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleCheckAgain = () => {
+    setPending({ ...pending, sentAt: Date.now() });
+    setTimedOut(false);
+  };
+
+  const handleStartOver = () => {
+    setPending(null);
+    setTimedOut(false);
+  };
+
+  if (pending && !timedOut) {
+    return (
+      <>
+        <WaitingTitle>Check your phone</WaitingTitle>
+        <WaitingText>
+          We sent a payment request to +{pending.phone}. Enter your {displayName} PIN on your phone to pay.
+        </WaitingText>
+        <Spinner message="Waiting for your approval..." />
+        <Button secondary onClick={handleStartOver}>
+          Use a different number
+        </Button>
+      </>
+    );
+  }
+
+  if (pending && timedOut) {
+    return (
+      <>
+        <WaitingTitle>Still waiting for your payment</WaitingTitle>
+        <WaitingText>
+          We have not heard back from {displayName} yet. If you approved the payment, check again;
+          otherwise send a new request.
+        </WaitingText>
+        <Button onClick={handleCheckAgain}>Check again</Button>
+        <Button secondary onClick={handleStartOver}>Send a new request</Button>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Label htmlFor="mobileMoneyPhone">{displayName} phone number</Label>
+      <Input
+        type="tel"
+        id="mobileMoneyPhone"
+        name="mobileMoneyPhone"
+        placeholder={`07XXXXXXXX or ${clientConfig.countryCode || ''}7XXXXXXXX`}
+        value={phone}
+        onChange={(e) => setPhone(e.target.value)}
+      />
+      <Button disabled={disabled || sending || !phone.trim()} onClick={handlePay}>
+        {sending ? 'Sending request...' : `Pay with ${displayName}`}
+      </Button>
+    </>
+  );
+}
+
+export default MobileMoneyPayment;
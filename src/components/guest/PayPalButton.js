@@ -0,0 +1,87 @@
+import React, { useEffect, useRef, useState } from 'react';
+import styled from 'styled-components';
+
+const SDK_URL = 'https://www.paypal.com/sdk/js';
+
+const ButtonContainer = styled.div`
+  min-height: 48px;
+  opacity: ${({ disabled }) => disabled ? 0.5 : 1};
+  pointer-events: ${({ disabled }) => disabled ? 'none' : 'auto'};
+`;
+
+const LoadError = styled.div`
+  color: ${({ theme }) => theme.colors.danger};
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  text-align: center;
+`;
+
+// The SDK is loaded once per page, for the first client ID and currency used
+let sdkPromise = null;
+
+const loadPayPalSdk = (clientId, currency) => {
+  if (!sdkPromise) {
+    sdkPromise = new Promise((resolve, reject) => {
+      const params = new URLSearchParams({
+        'client-id': clientId,
+        currency: currency.toUpperCase(),
+        intent: 'capture'
+      });
+      const script = document.createElement('script');
+      script.src = `${SDK_URL}?${params}`;
+      script.async = true;
+      script.onload = () => resolve(window.paypal);
+      script.onerror = () => {
+        sdkPromise = null;
+        reject(new Error('Could not load PayPal'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+
+  return sdkPromise;
+};
+
+// Renders the PayPal Smart Buttons. createOrder must resolve to a PayPal order ID
+function PayPalButton({ clientId, currency = 'USD', createOrder, onApprove, onError, disabled }) {
+  const containerRef = useRef(null);
+  const [loadError, setLoadError] = useState(null);
+
+  // Keep the latest callbacks without re-rendering the buttons
+  const handlers = useRef({ createOrder, onApprove, onError });
+  handlers.current = { createOrder, onApprove, onError };
+
+  useEffect(() => {
+    let buttons = null;
+    let cancelled = false;
+
+    loadPayPalSdk(clientId, currency)
+      .then(paypal => {
+        if (cancelled || !containerRef.current) return;
+
+        buttons = paypal.Buttons({
+          style: { layout: 'horizontal', tagline: false },
+          createOrder: () => handlers.current.createOrder(),
+          onApprove: (data) => handlers.current.onApprove(data),
+          onError: (error) => handlers.current.onError?.(error)
+        });
+        buttons.render(containerRef.current);
+      })
+      .catch(error => {
+        if (!cancelled) setLoadError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (buttons) buttons.close();
+    };
+  }, [clientId, currency]);
+
+  if (loadError) {
+    return <LoadError>{loadError}</LoadError>;
+  }
+
+  return <ButtonContainer ref={containerRef} disabled={disabled} />;
+}
+
+export default PayPalButton;
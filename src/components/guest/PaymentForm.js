@@ -1,12 +1,16 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useHistory } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useHistory, useLocation } from 'react-router-dom';
 import styled from 'styled-components';
 import { CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import { useAPI } from '../../contexts/APIContext';
 import { useAlert } from '../../contexts/AlertContext';
+import { usePortal } from '../../contexts/PortalContext';
 import BackButton from '../common/BackButton';
 import Spinner from '../common/Spinner';
 import Logo from '../common/Logo';
+import PayPalButton from './PayPalButton';
+import MobileMoneyPayment from './MobileMoneyPayment';
+import { formatMoney } from '../../services/money';
 
 const PaymentContainer = styled.div`
   display: flex;
@@ -64,6 +68,19 @@ const PlanPrice = styled.div`
   text-align: right;
 `;
 
+const PromoLine = styled.div`
+  display: flex;
+  justify-content: space-between;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.success};
+  margin-top: 8px;
+`;
+
+const TaxLine = styled(PromoLine)`
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
 const CardContainer = styled.div`
   border: 1px solid #ddd;
   border-radius: 4px;
@@ -122,13 +139,40 @@ const ErrorMessage = styled.div`
   margin-top: 8px;
 `;
 
+const Divider = styled.div`
+  display: flex;
+  align-items: center;
+  margin: 24px 0;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.secondary};
+  
+  &::before,
+  &::after {
+    content: '';
+    flex: 1;
+    border-bottom: 1px solid #ddd;
+  }
+  
+  &::before {
+    margin-right: 12px;
+  }
+  
+  &::after {
+    margin-left: 12px;
+  }
+`;
+
 function PaymentForm() {
   const { planId } = useParams();
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
   const [plan, setPlan] = useState(null);
-  const [deviceInfo, setDeviceInfo] = useState(null);
   const [error, setError] = useState(null);
+  const [paypalConfig, setPaypalConfig] = useState(null);
+  const [stripeCheckout, setStripeCheckout] = useState(false);
+  const [mobileMoney, setMobileMoney] = useState(null);
+  const [quote, setQuote] = useState(null);
   const [customerInfo, setCustomerInfo] = useState({
     email: '',
     name: ''
@@ -138,18 +182,51 @@ function PaymentForm() {
   const elements = useElements();
   const { api } = useAPI();
   const { showAlert } = useAlert();
+  const { portalParams } = usePortal();
   const history = useHistory();
+  const location = useLocation();
+  
+  // Promo code and currency chosen on the plan list; the server checks both again when paying
+  const searchParams = new URLSearchParams(location.search);
+  const promoCode = searchParams.get('promo');
+  const currency = searchParams.get('currency') || undefined;
+  
+  // Our payment record for the PayPal order being approved
+  const paypalPaymentId = useRef(null);
 
   useEffect(() => {
     async function fetchData() {
       try {
-        const [planResponse, deviceResponse] = await Promise.all([
+        const [planResponse, providersResponse] = await Promise.all([
           api.getWifiPlan(planId),
-          api.getDeviceInfo()
+          api.getPaymentProviders()
         ]);
         
         setPlan(planResponse.data);
-        setDeviceInfo(deviceResponse.data);
+        
+        // Renewing plans are set up on Stripe's hosted page, without promo codes
+        const subscription = Boolean(planResponse.data.billingInterval);
+        
+        const { providers } = providersResponse.data;
+        const paypal = providers.find(provider => provider.name === 'paypal');
+        const stripeProvider = providers.find(provider => provider.name === 'stripe');
+        setPaypalConfig(paypal && !subscription ? paypal.clientConfig : null);
+        setMobileMoney(subscription ? null : providers.find(provider => provider.requiresPhone) || null);
+        setStripeCheckout(subscription || stripeProvider?.clientConfig.checkoutMode === 'checkout');
+        
+        // The quote carries the site's tax as well as any promo discount
+        let quoteResponse = null;
+        if (promoCode && !subscription) {
+          try {
+            quoteResponse = await api.quotePrices({ promoCode, planId, currency });
+          } catch (error) {
+            showAlert(`Promo code not applied: ${error.message}`, 'warning');
+          }
+        }
+        if (!quoteResponse) {
+          quoteResponse = await api.quotePrices({ planId, currency });
+        }
+        setQuote({ ...quoteResponse.data.quotes[0], code: quoteResponse.data.promoCode?.code });
       } catch (error) {
         showAlert('Error loading plan information', 'danger');
         console.error('Error fetching data:', error);
@@ -160,7 +237,7 @@ function PaymentForm() {
     }
 
     fetchData();
-  }, [api, planId, showAlert, history]);
+  }, [api, planId, promoCode, currency, showAlert, history]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -170,10 +247,26 @@ function PaymentForm() {
     }));
   };
 
+  // Captive-network browsers often break the embedded card form, so sites
+  // can send guests to Stripe's hosted page instead; it returns to SuccessPage
+  const redirectToStripeCheckout = async () => {
+    const response = await api.initializePayment({
+      planId: plan.id,
+      paymentMethod: 'stripe',
+      customerInfo,
+      ssid: portalParams.ssid,
+      promoCode: quote?.code,
+      currency: quote?.currency,
+      returnUrl: window.location.origin
+    });
+    
+    window.location.assign(response.data.clientData.checkoutUrl);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!stripe || !elements) {
+    if (!stripeCheckout && (!stripe || !elements)) {
       return;
     }
     
@@ -187,15 +280,37 @@ function PaymentForm() {
       return;
     }
     
+    if (stripeCheckout) {
+      try {
+        await redirectToStripeCheckout();
+      } catch (error) {
+        setError(error.message);
+        showAlert('Payment failed: ' + error.message, 'danger');
+        setProcessing(false);
+      }
+      return;
+    }
+    
     try {
-      // Create a payment method
-      const cardElement = elements.getElement(CardElement);
-      const { error, paymentMethod } = await stripe.createPaymentMethod({
-        type: 'card',
-        card: cardElement,
-        billing_details: {
-          name: customerInfo.name,
-          email: customerInfo.email
+      // The payment intent is created server-side so the amount comes from the plan
+      const response = await api.initializePayment({
+        planId: plan.id,
+        paymentMethod: 'stripe',
+        customerInfo,
+        ssid: portalParams.ssid,
+        promoCode: quote?.code,
+        currency: quote?.currency
+      });
+      const { paymentId, clientData } = response.data;
+      
+      // Stripe charges the card, running any 3D Secure check itself
+      const { error } = await stripe.confirmCardPayment(clientData.clientSecret, {
+        payment_method: {
+          card: elements.getElement(CardElement),
+          billing_details: {
+            name: customerInfo.name,
+            email: customerInfo.email
+          }
         }
       });
       
@@ -203,20 +318,58 @@ function PaymentForm() {
         throw new Error(error.message);
       }
       
-      // Process the payment
-      const response = await api.processPayment({
+      // The server checks the intent with Stripe and grants access
+      const confirmation = await api.confirmPayment({ paymentId });
+      
+      if (confirmation.data.status !== 'succeeded') {
+        throw new Error('Card payment was not completed');
+      }
+      
+      showAlert('Payment successful', 'success');
+      history.push('/success/payment', { paymentId });
+    } catch (error) {
+      setError(error.message);
+      showAlert('Payment failed: ' + error.message, 'danger');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // PayPal orders are created server-side so the amount comes from the plan
+  const createPayPalOrder = async () => {
+    setError(null);
+    
+    try {
+      const response = await api.initializePayment({
         planId: plan.id,
-        paymentMethodId: paymentMethod.id,
-        deviceMac: deviceInfo.macAddress,
-        customerInfo
+        paymentMethod: 'paypal',
+        customerInfo,
+        ssid: portalParams.ssid,
+        promoCode: quote?.code,
+        currency: quote?.currency
       });
       
-      if (response.success) {
-        showAlert('Payment successful', 'success');
-        history.push('/success/payment');
-      } else {
-        throw new Error('Payment processing failed');
+      paypalPaymentId.current = response.data.paymentId;
+      return response.data.clientData.orderId;
+    } catch (error) {
+      setError(error.message);
+      throw error;
+    }
+  };
+  
+  // The server captures the approved order and grants access
+  const handlePayPalApprove = async () => {
+    setProcessing(true);
+    
+    try {
+      const response = await api.confirmPayment({ paymentId: paypalPaymentId.current });
+      
+      if (response.data.status !== 'succeeded') {
+        throw new Error('PayPal payment was not completed');
       }
+      
+      showAlert('Payment successful', 'success');
+      history.push('/success/payment', { paymentId: paypalPaymentId.current });
     } catch (error) {
       setError(error.message);
       showAlert('Payment failed: ' + error.message, 'danger');
@@ -224,10 +377,34 @@ function PaymentForm() {
       setProcessing(false);
     }
   };
+  
+  const handlePayPalError = (error) => {
+    console.error('PayPal error:', error);
+    setError('PayPal could not process the payment');
+  };
 
-  const formatPrice = (cents) => {
-    const dollars = cents / 100;
-    return `$${dollars.toFixed(2)}`;
+  // Mobile money prompts go to the guest's phone; MobileMoneyPayment waits for the result
+  const createMobileMoneyPayment = (phone) => {
+    setError(null);
+    
+    return api.initializePayment({
+      planId: plan.id,
+      paymentMethod: mobileMoney.name,
+      customerInfo: { ...customerInfo, phone },
+      ssid: portalParams.ssid,
+      promoCode: quote?.code,
+      currency: quote?.currency
+    });
+  };
+  
+  const handleMobileMoneySuccess = (paymentId) => {
+    showAlert('Payment successful', 'success');
+    history.push('/success/payment', { paymentId });
+  };
+  
+  const handleMobileMoneyError = (message) => {
+    setError(message);
+    showAlert('Payment failed: ' + message, 'danger');
   };
 
   if (loading) {
@@ -239,6 +416,9 @@ function PaymentForm() {
     );
   }
 
+  const currencyCode = quote?.currency || plan.currency;
+  const total = formatMoney(quote ? quote.amount : plan.price, currencyCode);
+
   return (
     <PaymentContainer>
       <Logo />
@@ -252,7 +432,19 @@ function PaymentForm() {
           {plan.dataLimitMB && (
             <PlanDetail>{(plan.dataLimitMB / 1024).toFixed(1)} GB data limit</PlanDetail>
           )}
-          <PlanPrice>{formatPrice(plan.priceInCents)}</PlanPrice>
+          {quote?.code && (
+            <PromoLine>
+              <span>Promo code {quote.code}</span>
+              <span>-{formatMoney(quote.discount, currencyCode)}</span>
+            </PromoLine>
+          )}
+          {quote?.tax && (
+            <TaxLine>
+              <span>{quote.tax.inclusive ? `Includes ${quote.tax.name} ${quote.tax.rate}%` : `+ ${quote.tax.name} ${quote.tax.rate}%`}</span>
+              <span>{formatMoney(quote.tax.amount, currencyCode)}</span>
+            </TaxLine>
+          )}
+          <PlanPrice>{total}</PlanPrice>
         </PlanSummary>
 
         <form onSubmit={handleSubmit}>
@@ -280,26 +472,62 @@ function PaymentForm() {
             />
           </FormGroup>
 
-          <FormGroup>
-            <Label>Card Details</Label>
-            <CardContainer>
-              <CardElement options={{
-                style: {
-                  base: {
-                    fontSize: '16px',
-                    fontFamily: 'Roboto, sans-serif',
+          {!stripeCheckout && (
+            <FormGroup>
+              <Label>Card Details</Label>
+              <CardContainer>
+                <CardElement options={{
+                  style: {
+                    base: {
+                      fontSize: '16px',
+                      fontFamily: 'Roboto, sans-serif',
+                    }
                   }
-                }
-              }} />
-            </CardContainer>
-          </FormGroup>
+                }} />
+              </CardContainer>
+            </FormGroup>
+          )}
 
           {error && <ErrorMessage>{error}</ErrorMessage>}
 
-          <PayButton type="submit" disabled={!stripe || processing}>
-            {processing ? 'Processing...' : `Pay ${formatPrice(plan.priceInCents)}`}
+          <PayButton type="submit" disabled={(!stripeCheckout && !stripe) || processing}>
+            {processing
+              ? 'Processing...'
+              : plan.billingInterval
+                ? `Subscribe for ${total} / ${plan.billingInterval}`
+                : `${stripeCheckout ? 'Pay by card' : 'Pay'} ${total}`}
           </PayButton>
         </form>
+        
+        {paypalConfig && (
+          <>
+            <Divider>or</Divider>
+            <PayPalButton
+              clientId={paypalConfig.clientId}
+              currency={paypalConfig.currency}
+              createOrder={createPayPalOrder}
+              onApprove={handlePayPalApprove}
+              onError={handlePayPalError}
+              disabled={processing}
+            />
+          </>
+        )}
+        
+        {/* Mobile money is only charged in its own currency */}
+        {mobileMoney && mobileMoney.clientConfig.currency?.toLowerCase() === currencyCode && (
+          <>
+            <Divider>or</Divider>
+            <MobileMoneyPayment
+              displayName={mobileMoney.displayName}
+              clientConfig={mobileMoney.clientConfig}
+              onPay={createMobileMoneyPayment}
+              onCheck={(paymentId) => api.confirmPayment({ paymentId })}
+              onSuccess={handleMobileMoneySuccess}
+              onError={handleMobileMoneyError}
+              disabled={processing}
+            />
+          </>
+        )}
       </PaymentCard>
     </PaymentContainer>
   );
@@ -6,6 +6,7 @@ import { useAlert } from '../../contexts/AlertContext';
 import BackButton from '../common/BackButton';
 import Spinner from '../common/Spinner';
 import Logo from '../common/Logo';
+import { formatMoney } from '../../services/money';
 
 const PlanContainer = styled.div`
   display: flex;
@@ -107,6 +108,52 @@ const SelectButton = styled.button`
   }
 `;
 
+const OriginalPrice = styled.span`
+  font-size: 20px;
+  color: ${({ theme }) => theme.colors.secondary};
+  text-decoration: line-through;
+  margin-left: 8px;
+`;
+
+const BillingInterval = styled.span`
+  font-size: 16px;
+  color: ${({ theme }) => theme.colors.secondary};
+  margin-left: 4px;
+`;
+
+const PromoForm = styled.form`
+  display: flex;
+  gap: 8px;
+  width: 100%;
+  max-width: 480px;
+`;
+
+const PromoInput = styled.input`
+  flex: 1;
+  padding: 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 16px;
+  text-transform: uppercase;
+`;
+
+const PromoMessage = styled.div`
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme, error }) => error ? theme.colors.danger : theme.colors.success};
+  margin-top: 8px;
+`;
+
+const CurrencySelect = styled.select`
+  padding: 8px 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 16px;
+  margin-top: 16px;
+`;
+
 const PageTitle = styled.h1`
   font-family: ${({ theme }) => theme.fonts.heading};
   color: ${({ theme }) => theme.colors.dark};
@@ -118,6 +165,12 @@ const PageTitle = styled.h1`
 function PurchasePlan() {
   const [loading, setLoading] = useState(true);
   const [plans, setPlans] = useState([]);
+  const [promoInput, setPromoInput] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  const [applyingPromo, setApplyingPromo] = useState(false);
+  const [currency, setCurrency] = useState('');
+  const [prices, setPrices] = useState({});
   const { api } = useAPI();
   const { showAlert } = useAlert();
   const history = useHistory();
@@ -138,15 +191,87 @@ function PurchasePlan() {
     fetchPlans();
   }, [api, showAlert]);
 
-  const handleSelectPlan = (planId) => {
-    history.push(`/payment/${planId}`);
+  const indexQuotes = (quotes) => {
+    const byPlan = {};
+    quotes.forEach(quote => {
+      byPlan[quote.planId] = quote;
+    });
+    return byPlan;
+  };
+
+  // Discounted prices are worked out by the server, which also checks the code's limits
+  const applyPromo = async (code, selectedCurrency) => {
+    setApplyingPromo(true);
+    setPromoError(null);
+    
+    try {
+      const response = await api.quotePrices({ promoCode: code, currency: selectedCurrency || undefined });
+      setPromo({ ...response.data.promoCode, quotes: indexQuotes(response.data.quotes) });
+    } catch (error) {
+      setPromo(null);
+      setPromoError(error.message);
+    } finally {
+      setApplyingPromo(false);
+    }
+  };
+
+  const handleApplyPromo = (e) => {
+    e.preventDefault();
+    
+    const code = promoInput.trim();
+    if (!code) {
+      setPromo(null);
+      setPromoError(null);
+      return;
+    }
+    
+    applyPromo(code, currency);
+  };
+
+  // Plans without a price in the chosen currency keep their own
+  const handleCurrencyChange = async (e) => {
+    const selected = e.target.value;
+    setCurrency(selected);
+    
+    try {
+      const response = await api.quotePrices({ currency: selected || undefined });
+      setPrices(indexQuotes(response.data.quotes));
+    } catch (error) {
+      showAlert('Error loading prices', 'danger');
+      console.error('Error fetching prices:', error);
+    }
+    
+    // Fixed-amount codes only apply in their own currency
+    if (promo) {
+      applyPromo(promo.code, selected);
+    }
+  };
+
+  const formatListPrice = (plan) => {
+    const quote = prices[plan.id];
+    return quote
+      ? formatMoney(quote.originalAmount, quote.currency)
+      : formatMoney(plan.price, plan.currency);
+  };
+
+  // Promo codes are not offered on renewing plans
+  const getQuote = (plan) => {
+    if (plan.billingInterval) return null;
+    const quote = promo?.quotes[plan.id];
+    return quote?.promoApplied ? quote : null;
   };
 
-  const formatPrice = (cents) => {
-    const dollars = cents / 100;
-    return `$${dollars.toFixed(2)}`;
+  const handleSelectPlan = (plan) => {
+    const params = new URLSearchParams();
+    if (getQuote(plan)) params.set('promo', promo.code);
+    if (currency) params.set('currency', currency);
+    
+    const query = params.toString();
+    history.push(query ? `/payment/${plan.id}?${query}` : `/payment/${plan.id}`);
   };
 
+  const currencies = [...new Set(plans.flatMap(plan => plan.currencies || [plan.currency]))];
+
   if (loading) {
     return (
       <PlanContainer>
@@ -162,29 +287,71 @@ function PurchasePlan() {
       <BackButton onClick={() => history.push('/')} />
       <PageTitle>Select a WiFi Plan</PageTitle>
 
+      <PromoForm onSubmit={handleApplyPromo}>
+        <PromoInput
+          type="text"
+          value={promoInput}
+          onChange={(e) => setPromoInput(e.target.value)}
+          placeholder="Promo code"
+          aria-label="Promo code"
+        />
+        <SelectButton type="submit" disabled={applyingPromo}>
+          {applyingPromo ? 'Applying...' : 'Apply'}
+        </SelectButton>
+      </PromoForm>
+      {promoError && <PromoMessage error>{promoError}</PromoMessage>}
+      {promo && (
+        <PromoMessage>
+          {promo.code} applied: {promo.description || promo.formattedDiscount}
+        </PromoMessage>
+      )}
+
+      {currencies.length > 1 && (
+        <CurrencySelect value={currency} onChange={handleCurrencyChange} aria-label="Currency">
+          <option value="">Default currency</option>
+          {currencies.map(code => (
+            <option key={code} value={code}>{code.toUpperCase()}</option>
+          ))}
+        </CurrencySelect>
+      )}
+
       <PlansGrid>
-        {plans.map((plan) => (
-          <PlanCard key={plan.id}>
-            <PlanName>{plan.name}</PlanName>
-            <PlanPrice>{formatPrice(plan.priceInCents)}</PlanPrice>
-            <PlanFeatureList>
-              <PlanFeature>{plan.durationHours} hours of access</PlanFeature>
-              {plan.dataLimitMB && (
-                <PlanFeature>{(plan.dataLimitMB / 1024).toFixed(1)} GB data limit</PlanFeature>
-              )}
-              {plan.downloadSpeedKbps && (
-                <PlanFeature>{(plan.downloadSpeedKbps / 1024).toFixed(1)} Mbps download speed</PlanFeature>
-              )}
-              {plan.uploadSpeedKbps && (
-                <PlanFeature>{(plan.uploadSpeedKbps / 1024).toFixed(1)} Mbps upload speed</PlanFeature>
+        {plans.map((plan) => {
+          const quote = getQuote(plan);
+          
+          return (
+            <PlanCard key={plan.id}>
+              <PlanName>{plan.name}</PlanName>
+              {quote ? (
+                <PlanPrice>
+                  {formatMoney(quote.subtotal, quote.currency)}
+                  <OriginalPrice>{formatListPrice(plan)}</OriginalPrice>
+                </PlanPrice>
+              ) : (
+                <PlanPrice>
+                  {formatListPrice(plan)}
+                  {plan.billingInterval && <BillingInterval>/ {plan.billingInterval}</BillingInterval>}
+                </PlanPrice>
               )}
-              <PlanFeature>Connect up to {plan.maxDevices || 1} device(s)</PlanFeature>
-            </PlanFeatureList>
-            <SelectButton onClick={() => handleSelectPlan(plan.id)}>
-              Select Plan
-            </SelectButton>
-          </PlanCard>
-        ))}
+              <PlanFeatureList>
+                <PlanFeature>{plan.durationHours} hours of access</PlanFeature>
+                {plan.dataLimitMB && (
+                  <PlanFeature>{(plan.dataLimitMB / 1024).toFixed(1)} GB data limit</PlanFeature>
+                )}
+                {plan.downloadSpeedKbps && (
+                  <PlanFeature>{(plan.downloadSpeedKbps / 1024).toFixed(1)} Mbps download speed</PlanFeature>
+                )}
+                {plan.uploadSpeedKbps && (
+                  <PlanFeature>{(plan.uploadSpeedKbps / 1024).toFixed(1)} Mbps upload speed</PlanFeature>
+                )}
+                <PlanFeature>Connect up to {plan.maxDevices || 1} device(s)</PlanFeature>
+              </PlanFeatureList>
+              <SelectButton onClick={() => handleSelectPlan(plan)}>
+                Select Plan
+              </SelectButton>
+            </PlanCard>
+          );
+        })}
       </PlansGrid>
     </PlanContainer>
   );
@@ -3,6 +3,7 @@ import { useHistory } from 'react-router-dom';
 import styled from 'styled-components';
 import { useAPI } from '../../contexts/APIContext';
 import { useAlert } from '../../contexts/AlertContext';
+import { usePortal } from '../../contexts/PortalContext';
 import BackButton from '../common/BackButton';
 import Logo from '../common/Logo';
 
@@ -102,6 +103,7 @@ function RedeemVoucher() {
   const [error, setError] = useState(null);
   const { api } = useAPI();
   const { showAlert } = useAlert();
+  const { portalParams } = usePortal();
   const history = useHistory();
 
   const handleVoucherChange = (e) => {
@@ -117,11 +119,17 @@ function RedeemVoucher() {
       return;
     }
     
+    // The device is only known when the guest arrives via the controller
+    if (!portalParams.mac) {
+      setError('Your device could not be identified. Please reconnect to the WiFi network and try again.');
+      return;
+    }
+    
     setProcessing(true);
     setError(null);
     
     try {
-      const response = await api.redeemVoucher(voucherCode.trim());
+      const response = await api.redeemVoucher(voucherCode.trim(), portalParams);
       
       if (response.success) {
         showAlert('Voucher redeemed successfully', 'success');
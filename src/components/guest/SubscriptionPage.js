@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useHistory } from 'react-router-dom';
+import styled from 'styled-components';
+import { useAPI } from '../../contexts/APIContext';
+import { useAlert } from '../../contexts/AlertContext';
+import BackButton from '../common/BackButton';
+import Spinner from '../common/Spinner';
+import Logo from '../common/Logo';
+import { formatMoney } from '../../services/money';
+
+const SubscriptionContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  min-height: 100vh;
+  background-color: ${({ theme }) => theme.colors.background};
+  padding: 20px;
+`;
+
+const SubscriptionCard = styled.div`
+  background-color: ${({ theme }) => theme.colors.white};
+  border-radius: 8px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+  width: 100%;
+  max-width: 480px;
+  padding: 24px;
+  margin-top: 20px;
+`;
+
+const PageTitle = styled.h1`
+  font-family: ${({ theme }) => theme.fonts.heading};
+  color: ${({ theme }) => theme.colors.dark};
+  text-align: center;
+  margin: 24px 0;
+  font-size: 28px;
+`;
+
+const PlanName = styled.h3`
+  font-family: ${({ theme }) => theme.fonts.heading};
+  font-size: 18px;
+  color: ${({ theme }) => theme.colors.dark};
+  margin-bottom: 12px;
+`;
+
+const InfoRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  margin-bottom: 8px;
+`;
+
+const InfoLabel = styled.span`
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.secondary};
+`;
+
+const InfoValue = styled.span`
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.dark};
+  font-weight: 500;
+`;
+
+const Notice = styled.p`
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.secondary};
+  margin: 16px 0;
+`;
+
+const Button = styled.button`
+  width: 100%;
+  background-color: ${({ theme, danger }) => danger ? theme.colors.danger : theme.colors.primary};
+  color: ${({ theme }) => theme.colors.white};
+  border: none;
+  border-radius: 4px;
+  padding: 12px 24px;
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 16px;
+  font-weight: 600;
+  cursor: pointer;
+  margin-top: 16px;
+
+  &:disabled {
+    background-color: ${({ theme }) => theme.colors.secondary};
+    cursor: not-allowed;
+  }
+`;
+
+// Renewing plans paid for from this device, with the option to stop renewal
+function SubscriptionPage() {
+  const [loading, setLoading] = useState(true);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [canceling, setCanceling] = useState(null);
+  const { api } = useAPI();
+  const { showAlert } = useAlert();
+  const history = useHistory();
+
+  const fetchSubscriptions = useCallback(async () => {
+    try {
+      const response = await api.getSubscriptions();
+      setSubscriptions(response.data);
+    } catch (error) {
+      showAlert('Error loading subscriptions', 'danger');
+      console.error('Error fetching subscriptions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, showAlert]);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [fetchSubscriptions]);
+
+  const handleCancel = async (subscription) => {
+    if (!window.confirm(`Stop renewing ${subscription.plan?.name || 'this plan'}? You keep access until the end of the period you have paid for.`)) {
+      return;
+    }
+
+    setCanceling(subscription.id);
+    try {
+      const response = await api.cancelSubscription(subscription.id);
+      showAlert(response.message, 'success');
+      await fetchSubscriptions();
+    } catch (error) {
+      showAlert(error.message, 'danger');
+      console.error('Error canceling subscription:', error);
+    } finally {
+      setCanceling(null);
+    }
+  };
+
+  const formatAmount = (subscription) => {
+    const interval = subscription.plan?.billingInterval;
+    return `${formatMoney(subscription.amount, subscription.currency)}${interval ? ` / ${interval}` : ''}`;
+  };
+
+  if (loading) {
+    return (
+      <SubscriptionContainer>
+        <Logo />
+        <Spinner message="Loading subscriptions..." />
+      </SubscriptionContainer>
+    );
+  }
+
+  return (
+    <SubscriptionContainer>
+      <Logo />
+      <BackButton onClick={() => history.push('/device-info')} />
+      <PageTitle>My Subscription</PageTitle>
+
+      {subscriptions.length === 0 && (
+        <SubscriptionCard>
+          <Notice>This device has no renewing plan.</Notice>
+          <Button onClick={() => history.push('/purchase')}>View Plans</Button>
+        </SubscriptionCard>
+      )}
+
+      {subscriptions.map(subscription => (
+        <SubscriptionCard key={subscription.id}>
+          <PlanName>{subscription.plan?.name || 'Subscription'}</PlanName>
+          <InfoRow>
+            <InfoLabel>Price:</InfoLabel>
+            <InfoValue>{formatAmount(subscription)}</InfoValue>
+          </InfoRow>
+          <InfoRow>
+            <InfoLabel>Status:</InfoLabel>
+            <InfoValue>
+              {subscription.status === 'past_due' ? 'Payment overdue' : 'Active'}
+            </InfoValue>
+          </InfoRow>
+          {subscription.currentPeriodEnd && (
+            <InfoRow>
+              <InfoLabel>{subscription.cancelAtPeriodEnd ? 'Ends:' : 'Renews:'}</InfoLabel>
+              <InfoValue>{new Date(subscription.currentPeriodEnd).toLocaleString()}</InfoValue>
+            </InfoRow>
+          )}
+
+          {subscription.cancelAtPeriodEnd ? (
+            <Notice>Renewal is canceled. Your access ends with the current period.</Notice>
+          ) : (
+            <Button
+              danger
+              disabled={canceling === subscription.id}
+              onClick={() => handleCancel(subscription)}
+            >
+              {canceling === subscription.id ? 'Canceling...' : 'Cancel Subscription'}
+            </Button>
+          )}
+        </SubscriptionCard>
+      ))}
+    </SubscriptionContainer>
+  );
+}
+
+export default SubscriptionPage;
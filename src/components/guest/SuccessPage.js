@@ -1,8 +1,11 @@
 import React, { useEffect, useState } from 'react';
-import { useParams, useHistory } from 'react-router-dom';
+import { useParams, useHistory, useLocation } from 'react-router-dom';
 import styled from 'styled-components';
 import { useAPI } from '../../contexts/APIContext';
+import { usePortal } from '../../contexts/PortalContext';
 import Logo from '../common/Logo';
+import Spinner from '../common/Spinner';
+import { saveFile } from '../../services/download';
 
 const SuccessContainer = styled.div`
   display: flex;
@@ -31,7 +34,7 @@ const SuccessIcon = styled.div`
 
 const SuccessTitle = styled.h1`
   font-family: ${({ theme }) => theme.fonts.heading};
-  color: ${({ theme }) => theme.colors.success};
+  color: ${({ theme, warning }) => warning ? theme.colors.danger : theme.colors.success};
   margin-bottom: 16px;
   font-size: 28px;
 `;
@@ -87,13 +90,104 @@ const Button = styled.button`
   }
 `;
 
+const ReceiptButton = styled.button`
+  background: none;
+  border: none;
+  color: ${({ theme }) => theme.colors.primary};
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  text-decoration: underline;
+  cursor: pointer;
+  display: block;
+  margin: 0 auto 16px;
+
+  &:disabled {
+    cursor: default;
+    opacity: 0.6;
+  }
+`;
+
+const RedirectNotice = styled.p`
+  font-family: ${({ theme }) => theme.fonts.main};
+  font-size: 14px;
+  color: ${({ theme }) => theme.colors.secondary};
+  margin-bottom: 16px;
+`;
+
+// Seconds before the guest is sent on to their destination
+const REDIRECT_DELAY = 5;
+
+// How often and how many times to check a payment made on a hosted page
+const CONFIRM_INTERVAL_MS = 3000;
+const CONFIRM_ATTEMPTS = 10;
+
 function SuccessPage() {
   const { type } = useParams();
+  const { search, state } = useLocation();
   const [connectionInfo, setConnectionInfo] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+  const [destination, setDestination] = useState('');
+  const [countdown, setCountdown] = useState(REDIRECT_DELAY);
   const { api } = useAPI();
+  const { getDestination, redirectToDestination } = usePortal();
   const history = useHistory();
 
+  // Hosted payment pages (Stripe Checkout) return here with the payment ID
+  const query = new URLSearchParams(search);
+  const paymentId = query.get('payment_id');
+  const [paymentState, setPaymentState] = useState(() => {
+    if (!paymentId) return 'confirmed';
+    return query.get('canceled') ? 'canceled' : 'confirming';
+  });
+
+  // Payments taken on this page pass their ID along in the history state
+  const receiptPaymentId = paymentId || state?.paymentId;
+
+  useEffect(() => {
+    if (paymentState !== 'confirming') return;
+
+    let attempts = 0;
+    let timer = null;
+    let active = true;
+
+    // The webhook may not have arrived yet, so keep asking for a while
+    async function confirm() {
+      attempts += 1;
+      try {
+        const response = await api.confirmPayment({ paymentId });
+        if (!active) return;
+
+        if (response.data.status === 'succeeded') {
+          setPaymentState('confirmed');
+          return;
+        }
+        if (response.data.status === 'failed') {
+          setPaymentState('failed');
+          return;
+        }
+      } catch (error) {
+        console.error('Error confirming payment:', error);
+      }
+
+      if (!active) return;
+      if (attempts >= CONFIRM_ATTEMPTS) {
+        setPaymentState('pending');
+        return;
+      }
+      timer = setTimeout(confirm, CONFIRM_INTERVAL_MS);
+    }
+
+    confirm();
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [api, paymentId, paymentState]);
+
   useEffect(() => {
+    if (paymentState !== 'confirmed') return;
+
     async function fetchConnectionInfo() {
       try {
         const response = await api.getConnectionInfo();
@@ -104,7 +198,36 @@ function SuccessPage() {
     }
 
     fetchConnectionInfo();
-  }, [api]);
+  }, [api, paymentState]);
+
+  useEffect(() => {
+    // The configured redirect URL takes precedence over the page the guest
+    // originally requested
+    async function fetchDestination() {
+      let configuredUrl = '';
+      try {
+        const response = await api.getNetworkInfo();
+        configuredUrl = response.data?.redirectUrl;
+      } catch (error) {
+        console.error('Error fetching network info:', error);
+      }
+      setDestination(getDestination(configuredUrl));
+    }
+
+    fetchDestination();
+  }, [api, getDestination]);
+
+  useEffect(() => {
+    if (!destination || paymentState !== 'confirmed') return;
+
+    if (countdown <= 0) {
+      redirectToDestination(destination);
+      return;
+    }
+
+    const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [destination, countdown, redirectToDestination, paymentState]);
 
   const formatDuration = (minutes) => {
     if (minutes < 60) {
@@ -141,6 +264,66 @@ function SuccessPage() {
     history.push('/');
   };
 
+  const handleDownloadReceipt = async () => {
+    setDownloading(true);
+    try {
+      const pdf = await api.getReceipt(receiptPaymentId);
+      saveFile(pdf, 'receipt.pdf');
+    } catch (error) {
+      console.error('Error downloading receipt:', error);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (paymentState === 'confirming') {
+    return (
+      <SuccessContainer>
+        <Logo />
+        <SuccessCard>
+          <Spinner message="Confirming your payment..." />
+        </SuccessCard>
+      </SuccessContainer>
+    );
+  }
+
+  if (paymentState !== 'confirmed') {
+    const notices = {
+      canceled: {
+        icon: '↩️',
+        title: 'Payment Canceled',
+        message: 'No payment was taken. You can choose a plan and try again.'
+      },
+      failed: {
+        icon: '❌',
+        title: 'Payment Failed',
+        message: 'Your payment could not be completed. Please try again.'
+      },
+      pending: {
+        icon: '⏳',
+        title: 'Payment Processing',
+        message: 'Your payment is still being processed. You will be connected as soon as it completes.'
+      }
+    };
+    const notice = notices[paymentState];
+
+    return (
+      <SuccessContainer>
+        <Logo />
+        <SuccessCard>
+          <SuccessIcon>{notice.icon}</SuccessIcon>
+          <SuccessTitle warning>{notice.title}</SuccessTitle>
+          <SuccessMessage>{notice.message}</SuccessMessage>
+          {paymentState === 'pending' ? (
+            <Button onClick={() => setPaymentState('confirming')}>Check Again</Button>
+          ) : (
+            <Button onClick={() => history.push('/purchase')}>Choose a Plan</Button>
+          )}
+        </SuccessCard>
+      </SuccessContainer>
+    );
+  }
+
   return (
     <SuccessContainer>
       <Logo />
@@ -191,7 +374,22 @@ function SuccessPage() {
           </ConnectionInfoBox>
         )}
 
-        <Button onClick={handleBackHome}>Back to Home</Button>
+        {type === 'payment' && receiptPaymentId && (
+          <ReceiptButton disabled={downloading} onClick={handleDownloadReceipt}>
+            {downloading ? 'Preparing receipt...' : 'Download receipt (PDF)'}
+          </ReceiptButton>
+        )}
+
+        {destination ? (
+          <>
+            <RedirectNotice>
+              Taking you to {new URL(destination).hostname} in {countdown} second{countdown === 1 ? '' : 's'}...
+            </RedirectNotice>
+            <Button onClick={() => redirectToDestination(destination)}>Continue</Button>
+          </>
+        ) : (
+          <Button onClick={handleBackHome}>Back to Home</Button>
+        )}
       </SuccessCard>
     </SuccessContainer>
   );
@@ -25,10 +25,6 @@ export function APIProvider({ children }) {
     return api.get(`/guest/wifi-plans/${planId}`);
   };
   
-  const processPayment = (paymentData) => {
-    return api.post('/guest/process-payment', paymentData);
-  };
-  
   const redeemVoucher = (voucherCode) => {
     return api.post('/guest/redeem-voucher', { voucherCode });
   };
@@ -102,8 +98,8 @@ export function APIProvider({ children }) {
     return api.put(`/admin/plans/${planId}`, planData);
   };
   
-  const deletePlan = (planId) => {
-    return api.delete(`/admin/plans/${planId}`);
+  const deletePlan = (planId, params) => {
+    return api.delete(`/admin/plans/${planId}`, { params });
   };
   
   const apiMethods = {
@@ -113,7 +109,6 @@ export function APIProvider({ children }) {
     getDeviceInfo,
     getWifiPlans,
     getWifiPlan,
-    processPayment,
     redeemVoucher,
     getConnectionInfo,
     getUsageInfo,
@@ -0,0 +1,65 @@
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import api from '../services/api';
+import {
+  capturePortalParams,
+  getDestinationUrl,
+  loadGuestSession,
+  saveGuestSession
+} from '../services/portalParams';
+
+const PortalContext = createContext();
+
+export function usePortal() {
+  return useContext(PortalContext);
+}
+
+export function PortalProvider({ children }) {
+  // Read the controller redirect before the router rewrites the URL
+  const [portalParams] = useState(() => capturePortalParams());
+  const [guestSession, setGuestSession] = useState(() => loadGuestSession());
+  
+  // Exchange the redirect parameters for a signed guest session
+  useEffect(() => {
+    if (!portalParams.mac) return;
+    if (guestSession && guestSession.mac === portalParams.mac) return;
+    
+    api.createGuestSession(portalParams)
+      .then(response => {
+        saveGuestSession(response.data);
+        setGuestSession(response.data);
+      })
+      .catch(error => {
+        console.error('Error starting guest session:', error);
+      });
+  }, [portalParams, guestSession]);
+
+  const getDestination = useCallback((configuredUrl) => {
+    return getDestinationUrl(portalParams, configuredUrl);
+  }, [portalParams]);
+
+  // Send the guest on to their original page or the configured redirect
+  const redirectToDestination = useCallback((configuredUrl) => {
+    const destination = getDestination(configuredUrl);
+
+    if (destination) {
+      window.location.href = destination;
+      return true;
+    }
+
+    return false;
+  }, [getDestination]);
+
+  const value = {
+    portalParams,
+    hasDevice: !!portalParams.mac,
+    guestSession,
+    getDestination,
+    redirectToDestination
+  };
+
+  return (
+    <PortalContext.Provider value={value}>
+      {children}
+    </PortalContext.Provider>
+  );
+}
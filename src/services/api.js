@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { loadPortalParams, loadGuestSession } from './portalParams';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3881/api';
 
@@ -17,6 +18,21 @@ apiClient.interceptors.request.use(
     if (token) {
       config.headers['Authorization'] = `Bearer ${token}`;
     }
+    
+    // Identify the guest device from the UniFi redirect parameters
+    const { mac, ap } = loadPortalParams();
+    if (mac) {
+      config.headers['X-Client-Mac'] = mac;
+    }
+    if (ap) {
+      config.headers['X-Client-Ap'] = ap;
+    }
+    
+    // Proves the device in the redirect is the one making the request
+    const guestSession = loadGuestSession();
+    if (guestSession) {
+      config.headers['X-Guest-Session'] = guestSession.token;
+    }
     return config;
   },
   error => {
@@ -125,7 +141,134 @@ const api = {
     return apiClient.post(`/admin/guests/${id}/unauthorize`);
   },
   
+  getUnifiStatus: (check = false) => {
+    return apiClient.get('/admin/unifi/status', { params: { check } });
+  },
+  
+  getControllerJobs: (params) => {
+    return apiClient.get('/admin/controller-jobs', { params });
+  },
+  
+  retryControllerJob: (id) => {
+    return apiClient.post(`/admin/controller-jobs/${id}/retry`);
+  },
+  
+  // Payment providers
+  getPaymentProviderSettings: () => {
+    return apiClient.get('/admin/payment-providers');
+  },
+  
+  setPaymentProviderEnabled: (name, enabled) => {
+    return apiClient.post(`/admin/payment-providers/${name}/${enabled ? 'enable' : 'disable'}`);
+  },
+  
+  updatePaymentProviderSetting: (name, key, value, site) => {
+    return apiClient.put(`/admin/payment-providers/${name}/settings`, { key, value, site });
+  },
+  
+  // Payment webhook log
+  getWebhookEvents: (params) => {
+    return apiClient.get('/admin/webhook-events', { params });
+  },
+  
+  getWebhookEvent: (id) => {
+    return apiClient.get(`/admin/webhook-events/${id}`);
+  },
+  
+  replayWebhookEvent: (id) => {
+    return apiClient.post(`/admin/webhook-events/${id}/replay`);
+  },
+  
+  // Front desk payments
+  recordManualPayment: (paymentData) => {
+    return apiClient.post('/payments/manual', paymentData);
+  },
+  
+  getShiftTotals: (params) => {
+    return apiClient.get('/payments/manual/shift-totals', { params });
+  },
+  
+  // Refunds
+  refundPayment: (paymentId, refundData) => {
+    return apiClient.post(`/payments/${paymentId}/refund`, refundData);
+  },
+  
+  // Plan management
+  getPlanSettings: (params) => {
+    return apiClient.get('/admin/plans', { params });
+  },
+  
+  createPlan: (planData) => {
+    return apiClient.post('/admin/plans', planData);
+  },
+  
+  updatePlan: (id, planData) => {
+    return apiClient.put(`/admin/plans/${id}`, planData);
+  },
+  
+  deletePlan: (id, params) => {
+    return apiClient.delete(`/admin/plans/${id}`, { params });
+  },
+  
+  reorderPlans: (planIds) => {
+    return apiClient.post('/admin/plans/reorder', { planIds });
+  },
+  
+  setPlanActive: (id, active) => {
+    return apiClient.post(`/admin/plans/${id}/${active ? 'activate' : 'deactivate'}`);
+  },
+  
+  // Tax rates and receipts
+  getTaxRates: () => {
+    return apiClient.get('/admin/tax-rates');
+  },
+  
+  createTaxRate: (taxRateData) => {
+    return apiClient.post('/admin/tax-rates', taxRateData);
+  },
+  
+  updateTaxRate: (id, taxRateData) => {
+    return apiClient.put(`/admin/tax-rates/${id}`, taxRateData);
+  },
+  
+  deleteTaxRate: (id) => {
+    return apiClient.delete(`/admin/tax-rates/${id}`);
+  },
+  
+  getAdminReceipt: (paymentId) => {
+    return apiClient.get(`/admin/payments/${paymentId}/receipt`, { responseType: 'blob' });
+  },
+  
+  // Promo codes
+  getPromoCodes: (params) => {
+    return apiClient.get('/admin/promo-codes', { params });
+  },
+  
+  getPromoCode: (id) => {
+    return apiClient.get(`/admin/promo-codes/${id}`);
+  },
+  
+  createPromoCode: (promoData) => {
+    return apiClient.post('/admin/promo-codes', promoData);
+  },
+  
+  updatePromoCode: (id, promoData) => {
+    return apiClient.put(`/admin/promo-codes/${id}`, promoData);
+  },
+  
+  deletePromoCode: (id) => {
+    return apiClient.delete(`/admin/promo-codes/${id}`);
+  },
+  
+  setPromoCodeActive: (id, active) => {
+    return apiClient.post(`/admin/promo-codes/${id}/${active ? 'activate' : 'deactivate'}`);
+  },
+  
   // Guest portal
+  createGuestSession: ({ mac, ap, ssid }) => {
+    return apiClient.post('/guest/session', { mac, ap, ssid });
+  },
+  
   getGuestInfo: (mac) => {
     return apiClient.get('/guest/info', { params: { mac } });
   },
@@ -138,12 +281,42 @@ const api = {
     return apiClient.get('/guest/network-info');
   },
   
-  redeemVoucher: (code, mac) => {
-    return apiClient.post('/guest/redeem-voucher', { code, mac });
+  redeemVoucher: (code, { mac, ap, ssid } = {}) => {
+    return apiClient.post('/guest/redeem-voucher', { code, mac, ap, ssid });
+  },
+  
+  getAvailablePlans: (params) => {
+    return apiClient.get('/guest/plans', { params });
+  },
+  
+  // Payments
+  getPaymentProviders: () => {
+    return apiClient.get('/payments/providers');
+  },
+  
+  quotePrices: ({ promoCode, planId, currency }) => {
+    return apiClient.post('/payments/quote', { promoCode, planId, currency });
+  },
+  
+  initializePayment: ({ planId, paymentMethod, customerInfo, ssid, promoCode, currency, returnUrl }) => {
+    return apiClient.post('/payments/initialize', { planId, paymentMethod, customerInfo, ssid, promoCode, currency, returnUrl });
+  },
+  
+  confirmPayment: ({ paymentId }) => {
+    return apiClient.post('/payments/confirm', { paymentId });
+  },
+  
+  getReceipt: (paymentId) => {
+    return apiClient.get(`/payments/${paymentId}/receipt`, { responseType: 'blob' });
+  },
+  
+  // Subscriptions
+  getSubscriptions: () => {
+    return apiClient.get('/payments/subscriptions');
   },
   
-  getAvailablePlans: () => {
-    return apiClient.get('/guest/plans');
+  cancelSubscription: (subscriptionId) => {
+    return apiClient.post(`/payments/subscriptions/${subscriptionId}/cancel`);
   }
 };
 
@@ -0,0 +1,56 @@
+import axios from 'axios';
+import api from './api';
+
+jest.mock('axios', () => {
+  const client = {
+    defaults: { headers: { common: {} } },
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+    interceptors: {
+      request: { use: jest.fn() },
+      response: { use: jest.fn() }
+    }
+  };
+
+  return {
+    __esModule: true,
+    default: { create: () => client }
+  };
+});
+
+const apiClient = axios.create();
+
+beforeEach(() => {
+  apiClient.post.mockReset();
+  apiClient.post.mockResolvedValue({ success: true });
+});
+
+describe('guest payment requests', () => {
+  it('quotes prices in the currency the guest picked', async () => {
+    await api.quotePrices({ promoCode: 'SUMMER', currency: 'eur' });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/payments/quote', {
+      promoCode: 'SUMMER',
+      planId: undefined,
+      currency: 'eur'
+    });
+  });
+
+  it('charges in the currency the guest picked', async () => {
+    await api.initializePayment({
+      planId: 'plan-1',
+      paymentMethod: 'stripe',
+      customerInfo: { email: 'guest@example.com' },
+      promoCode: 'SUMMER',
+      currency: 'eur'
+    });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/payments/initialize', expect.objectContaining({
+      planId: 'plan-1',
+      promoCode: 'SUMMER',
+      currency: 'eur'
+    }));
+  });
+});
@@ -0,0 +1,12 @@
+// Save a file fetched through the API (which needs auth headers, so a plain
+// link won't do) by handing the browser a temporary object URL
+export const saveFile = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,25 @@
+// Amounts from the API are in major units (e.g. 12.50 USD). Currencies whose
+// minor unit is not a hundredth come from the table server/utils/money.js
+// rounds with, so the portal shows what receipts print
+import CURRENCY_EXPONENTS from '../shared/currencyExponents.json';
+
+export const getExponent = (currency) => {
+  const exponent = CURRENCY_EXPONENTS[String(currency || '').toLowerCase()];
+  return exponent === undefined ? 2 : exponent;
+};
+
+// Format an amount in the browser's locale, e.g. $12.50, ¥500 or 12,50 €
+export const formatMoney = (amount, currency = 'usd', locale) => {
+  const exponent = getExponent(currency);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: currency.toUpperCase(),
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent
+    }).format(amount);
+  } catch (error) {
+    return `${Number(amount).toFixed(exponent)} ${currency.toUpperCase()}`;
+  }
+};
@@ -0,0 +1,19 @@
+import { formatMoney, getExponent } from './money';
+
+const serverMoney = require('../../server/utils/money');
+
+describe('getExponent', () => {
+  it('matches the server for every currency it rounds differently', () => {
+    ['jpy', 'KRW', 'iqd', 'kwd', 'clf', 'usd', 'eur', 'xyz'].forEach(currency => {
+      expect(getExponent(currency)).toBe(serverMoney.getExponent(currency));
+    });
+  });
+});
+
+describe('formatMoney', () => {
+  it('shows the currency decimals', () => {
+    expect(formatMoney(12.5, 'usd', 'en-US')).toBe('$12.50');
+    expect(formatMoney(500, 'jpy', 'en-US')).toBe('¥500');
+    expect(formatMoney(1.5, 'iqd', 'en-US')).toMatch(/1\.500$/);
+  });
+});
@@ -0,0 +1,79 @@
+// UniFi external portal redirect parameters.
+// The controller sends guests to /guest/s/<site>/?id=<mac>&ap=<ap mac>&t=<timestamp>&ssid=<ssid>&url=<original url>
+// and they need to survive navigation through the portal until access is granted.
+
+const STORAGE_KEY = 'portalParams';
+const SESSION_KEY = 'guestSession';
+
+const normalizeMac = (mac) => {
+  const clean = (mac || '').replace(/[^a-fA-F0-9]/g, '').toLowerCase();
+  return clean.length === 12 ? clean.match(/.{2}/g).join(':') : '';
+};
+
+// Only follow plain web URLs so the redirect can't be abused
+const safeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '';
+  } catch (error) {
+    return '';
+  }
+};
+
+export const parsePortalParams = (location = window.location) => {
+  const query = new URLSearchParams(location.search);
+  const siteMatch = location.pathname.match(/\/guest\/s\/([^/]+)/);
+
+  return {
+    mac: normalizeMac(query.get('id')),
+    ap: normalizeMac(query.get('ap')),
+    timestamp: query.get('t') || '',
+    ssid: query.get('ssid') || '',
+    url: safeUrl(query.get('url')),
+    site: siteMatch ? siteMatch[1] : ''
+  };
+};
+
+export const loadPortalParams = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const savePortalParams = (params) => {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(params));
+};
+
+// Capture parameters from the current URL, keeping earlier values when the
+// guest navigates around the portal without them
+export const capturePortalParams = (location = window.location) => {
+  const stored = loadPortalParams();
+  const parsed = parsePortalParams(location);
+
+  // A new controller redirect starts a new journey
+  const params = parsed.mac ? parsed : stored;
+  savePortalParams(params);
+
+  return params;
+};
+
+// Signed guest session issued by the server for the device in the redirect
+export const loadGuestSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveGuestSession = (session) => {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+// Where to send the guest once access has been granted
+export const getDestinationUrl = (params, configuredUrl) => {
+  return safeUrl(configuredUrl) || params?.url || '';
+};